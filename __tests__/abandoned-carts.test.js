@@ -0,0 +1,229 @@
+/**
+ * Abandoned Cart Tests
+ * Tests for reminder scheduling, template rendering, signed restore links and recovery stats
+ * Run with: npm test -- abandoned-carts.test.js
+ */
+
+import {
+  formatCartItems,
+  generatePromoCode,
+  getDueReminderStep,
+  parseReminderSteps,
+  renderTemplate,
+  signRestoreToken,
+  summarizeRecovery,
+  verifyRestoreToken,
+} from '../utils/abandonedCarts.js'
+import { planCartRestore } from '../utils/cartMerge.js'
+import { generateAbandonedCartEmailTemplate } from '../utils/generateAbandonedCartEmailTemplate.js'
+
+const ABANDONED_CART_ID = '5b1d2c3e-4f5a-4b6c-9d7e-8f9a0b1c2d3e'
+const SECRET = 'test-cart-secret'
+const HOUR = 60 * 60 * 1000
+
+const line = (overrides) => ({
+  id: 'line',
+  product_id: 'p1',
+  variant_id: null,
+  quantity: 1,
+  name: 'Mug',
+  product_type: 'simple',
+  sold_individually: false,
+  stock: 10,
+  available: true,
+  ...overrides,
+})
+
+describe('parseReminderSteps', () => {
+  it('parses, sorts and de-duplicates hours', () => {
+    expect(parseReminderSteps('72, 1,24,24')).toEqual([1, 24, 72])
+  })
+
+  it('accepts fractional hours', () => {
+    expect(parseReminderSteps('0.5,12')).toEqual([0.5, 12])
+  })
+
+  it('ignores invalid entries and falls back when nothing is left', () => {
+    expect(parseReminderSteps('abc,-4,6')).toEqual([6])
+    expect(parseReminderSteps('')).toEqual([1, 24, 72])
+    expect(parseReminderSteps(undefined)).toEqual([1, 24, 72])
+  })
+})
+
+describe('getDueReminderStep', () => {
+  const steps = [1, 24, 72]
+  const now = new Date('2026-03-10T12:00:00Z')
+  const idleFor = (hours) => new Date(now.getTime() - hours * HOUR)
+
+  it('sends nothing before the first step', () => {
+    expect(getDueReminderStep(steps, 0, idleFor(0.5), now)).toBeNull()
+  })
+
+  it('sends the first reminder once the cart is idle long enough', () => {
+    expect(getDueReminderStep(steps, 0, idleFor(1), now)).toBe(0)
+  })
+
+  it('waits for the next step after a reminder was sent', () => {
+    expect(getDueReminderStep(steps, 1, idleFor(5), now)).toBeNull()
+    expect(getDueReminderStep(steps, 1, idleFor(30), now)).toBe(1)
+  })
+
+  it('skips reminders a late check missed', () => {
+    expect(getDueReminderStep(steps, 0, idleFor(80), now)).toBe(2)
+  })
+
+  it('sends nothing once the sequence is complete', () => {
+    expect(getDueReminderStep(steps, 3, idleFor(200), now)).toBeNull()
+  })
+})
+
+describe('renderTemplate', () => {
+  it('fills placeholders, with or without spaces', () => {
+    expect(
+      renderTemplate('Hi {{customer_name}}, total {{ cart_total }}', {
+        customer_name: 'Rafi',
+        cart_total: '৳500.00',
+      }),
+    ).toBe('Hi Rafi, total ৳500.00')
+  })
+
+  it('renders unknown or empty variables as nothing', () => {
+    expect(renderTemplate('A{{missing}}B{{promo_message}}C', { promo_message: null })).toBe('ABC')
+  })
+})
+
+describe('formatCartItems', () => {
+  it('lists each line with quantity and total', () => {
+    expect(
+      formatCartItems([
+        { name: 'Mug', quantity: 2, line_total: 500 },
+        { name: 'Tea', quantity: 1, line_total: 120.5 },
+      ]),
+    ).toBe('- Mug x 2: ৳500.00\n- Tea x 1: ৳120.50')
+  })
+})
+
+describe('generatePromoCode', () => {
+  it('generates distinct upper-case codes', () => {
+    const code = generatePromoCode()
+    expect(code).toMatch(/^COMEBACK-[0-9A-F]{8}$/)
+    expect(generatePromoCode()).not.toBe(code)
+  })
+})
+
+describe('restore tokens', () => {
+  const now = new Date('2026-03-10T12:00:00Z')
+  const expiresAt = new Date(now.getTime() + 7 * 24 * HOUR)
+
+  it('verifies a token it signed', () => {
+    const token = signRestoreToken(ABANDONED_CART_ID, expiresAt, SECRET)
+    const verified = verifyRestoreToken(token, now, SECRET)
+    expect(verified.abandonedCartId).toBe(ABANDONED_CART_ID)
+    expect(verified.expiresAt.getTime()).toBe(expiresAt.getTime())
+  })
+
+  it('rejects expired tokens', () => {
+    const token = signRestoreToken(ABANDONED_CART_ID, expiresAt, SECRET)
+    expect(verifyRestoreToken(token, new Date(expiresAt.getTime() + 1000), SECRET)).toBeNull()
+  })
+
+  it('rejects tampered ids and expiry dates', () => {
+    const token = signRestoreToken(ABANDONED_CART_ID, expiresAt, SECRET)
+    const [, expires, signature] = token.split('.')
+    const otherId = '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c6b'
+    expect(verifyRestoreToken(`${otherId}.${expires}.${signature}`, now, SECRET)).toBeNull()
+    expect(
+      verifyRestoreToken(
+        `${ABANDONED_CART_ID}.${Number(expires) + 3600}.${signature}`,
+        now,
+        SECRET,
+      ),
+    ).toBeNull()
+  })
+
+  it('rejects tokens signed with another secret or malformed', () => {
+    const token = signRestoreToken(ABANDONED_CART_ID, expiresAt, 'other-secret')
+    expect(verifyRestoreToken(token, now, SECRET)).toBeNull()
+    expect(verifyRestoreToken('not-a-token', now, SECRET)).toBeNull()
+    expect(verifyRestoreToken(undefined, now, SECRET)).toBeNull()
+  })
+})
+
+describe('planCartRestore', () => {
+  it('adds saved lines missing from an empty cart', () => {
+    const plan = planCartRestore([line({ quantity: 2 })], [])
+    expect(plan.inserts).toEqual([{ product_id: 'p1', variant_id: null, quantity: 2 }])
+    expect(plan.dropped).toEqual([])
+  })
+
+  it('only tops up quantities already in the cart', () => {
+    const plan = planCartRestore([line({ quantity: 3 })], [line({ id: 'c1', quantity: 1 })])
+    expect(plan.updates).toEqual([{ id: 'c1', quantity: 3 }])
+    expect(plan.inserts).toEqual([])
+  })
+
+  it('changes nothing when restored twice', () => {
+    const plan = planCartRestore([line({ quantity: 2 })], [line({ id: 'c1', quantity: 2 })])
+    expect(plan).toEqual({ updates: [], inserts: [], dropped: [] })
+  })
+
+  it('caps restored lines by stock and reports what could not be restored', () => {
+    const plan = planCartRestore(
+      [line({ quantity: 5, stock: 2 }), line({ product_id: 'p2', available: false })],
+      [],
+    )
+    expect(plan.inserts).toEqual([{ product_id: 'p1', variant_id: null, quantity: 2 }])
+    expect(plan.dropped).toEqual([
+      expect.objectContaining({
+        product_id: 'p1',
+        requested: 5,
+        added: 2,
+        reason: 'insufficient_stock',
+      }),
+      expect.objectContaining({ product_id: 'p2', added: 0, reason: 'unavailable' }),
+    ])
+  })
+})
+
+describe('summarizeRecovery', () => {
+  it('computes the recovery rate as a percentage', () => {
+    expect(
+      summarizeRecovery({ emailed: 8, recovered: 3, restored: 5, recovered_revenue: '4520.50' }),
+    ).toEqual({
+      emailed: 8,
+      restored: 5,
+      recovered: 3,
+      recoveryRate: 37.5,
+      recoveredRevenue: 4520.5,
+    })
+  })
+
+  it('reports zero when nothing was emailed', () => {
+    expect(summarizeRecovery({ emailed: 0, recovered: 0 }).recoveryRate).toBe(0)
+    expect(summarizeRecovery(undefined).recoveryRate).toBe(0)
+  })
+})
+
+describe('generateAbandonedCartEmailTemplate', () => {
+  it('escapes the rendered body and includes the restore link and promo code', () => {
+    const html = generateAbandonedCartEmailTemplate({
+      heading: 'You left something in your cart',
+      body: 'Dear <b>Rafi</b>,\n\n- Mug x 1: ৳250.00',
+      restoreUrl: 'https://api.example.com/api/v1/customer/cart/restore/abc',
+      promoCode: 'COMEBACK-1A2B3C4D',
+    })
+    expect(html).toContain('Dear &lt;b&gt;Rafi&lt;/b&gt;,')
+    expect(html).toContain('href="https://api.example.com/api/v1/customer/cart/restore/abc"')
+    expect(html).toContain('COMEBACK-1A2B3C4D')
+  })
+
+  it('leaves out the promo block without a code', () => {
+    const html = generateAbandonedCartEmailTemplate({
+      heading: 'Reminder',
+      body: 'Hi',
+      restoreUrl: 'https://example.com',
+      promoCode: null,
+    })
+    expect(html).not.toContain('Your code')
+  })
+})
@@ -0,0 +1,170 @@
+/**
+ * AI Product Search Tests
+ * Tests for LLM provider selection, candidate prefiltering, answer validation and fallback
+ * Run with: npm test -- ai-product-search.test.js
+ */
+
+import { jest } from '@jest/globals'
+import {
+  createMockProvider,
+  createOpenAICompatibleProvider,
+  getLLMProvider,
+} from '../utils/llmProviders.js'
+import {
+  extractKeywords,
+  getAIRecommendation,
+  parseProductIdResponse,
+  selectCandidates,
+} from '../utils/getAIRecommendation.js'
+
+const products = [
+  {
+    id: 'p1',
+    name: 'Red Cotton Saree',
+    category: 'Sarees',
+    brand: 'Aarong',
+    price: '2500',
+    ratings: 4.5,
+  },
+  {
+    id: 'p2',
+    name: 'Blue Silk Saree',
+    category: 'Sarees',
+    brand: 'Aarong',
+    price: '5200',
+    ratings: 4.8,
+  },
+  {
+    id: 'p3',
+    name: 'Red Panjabi',
+    category: 'Menswear',
+    brand: 'Yellow',
+    price: '1800',
+    ratings: 4.1,
+  },
+  {
+    id: 'p4',
+    name: 'Leather Wallet',
+    category: 'Accessories',
+    brand: 'Apex',
+    price: '900',
+    ratings: 3.9,
+  },
+]
+
+describe('AI Product Search', () => {
+  describe('getLLMProvider', () => {
+    it('should pick the provider from the environment', () => {
+      expect(getLLMProvider({}).name).toBe('mock')
+      expect(getLLMProvider({ GEMINI_API_KEY: 'key' }).name).toBe('gemini')
+      expect(getLLMProvider({ AI_PROVIDER: 'openai', OPENAI_MODEL: 'local' }).model).toBe('local')
+      expect(getLLMProvider({ AI_PROVIDER: 'MOCK', GEMINI_API_KEY: 'key' }).name).toBe('mock')
+    })
+  })
+
+  describe('createOpenAICompatibleProvider', () => {
+    it('should call chat completions and return the message content', async () => {
+      const fetchMock = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: ' {"productIds":[]} ' } }] }),
+      })
+      const originalFetch = global.fetch
+      global.fetch = fetchMock
+
+      try {
+        const provider = createOpenAICompatibleProvider({
+          apiKey: 'secret',
+          model: 'local-model',
+          baseUrl: 'http://localhost:11434/v1/',
+        })
+        const text = await provider.generate({ system: 'sys', prompt: 'hi' })
+
+        expect(text).toBe('{"productIds":[]}')
+        const [url, options] = fetchMock.mock.calls[0]
+        expect(url).toBe('http://localhost:11434/v1/chat/completions')
+        expect(options.headers.Authorization).toBe('Bearer secret')
+        expect(JSON.parse(options.body).model).toBe('local-model')
+      } finally {
+        global.fetch = originalFetch
+      }
+    })
+  })
+
+  describe('extractKeywords', () => {
+    it('should drop stop words, numbers and punctuation', () => {
+      expect(extractKeywords('Show me a RED saree for 2 people!')).toEqual([
+        'red',
+        'saree',
+        'people',
+      ])
+      expect(extractKeywords('লাল শাড়ি')).toEqual(['লাল', 'শাড়ি'])
+    })
+  })
+
+  describe('selectCandidates', () => {
+    it('should send the best keyword matches that fit the token budget', () => {
+      const all = selectCandidates(products, ['red', 'saree'])
+      expect(all.map((candidate) => candidate.id)).toEqual(['p1', 'p2', 'p3', 'p4'])
+      expect(all[0]).toEqual({
+        id: 'p1',
+        name: 'Red Cotton Saree',
+        category: 'Sarees',
+        brand: 'Aarong',
+        price: 2500,
+        description: '',
+      })
+
+      expect(selectCandidates(products, ['red', 'saree'], 40).map((c) => c.id)).toEqual(['p1'])
+    })
+  })
+
+  describe('parseProductIdResponse', () => {
+    it('should keep only known ids once, in order', () => {
+      expect(
+        parseProductIdResponse('```json\n{"productIds":["p2","x","p1","p2"]}\n```', ['p1', 'p2']),
+      ).toEqual(['p2', 'p1'])
+      expect(parseProductIdResponse('[{"id":"p1"}]', ['p1'])).toEqual(['p1'])
+    })
+
+    it('should reject answers that are not the expected JSON', () => {
+      expect(() => parseProductIdResponse('', ['p1'])).toThrow('Empty AI response')
+      expect(() => parseProductIdResponse('p1, p2', ['p1'])).toThrow('not valid JSON')
+      expect(() => parseProductIdResponse('{"ids":["p1"]}', ['p1'])).toThrow('no productIds')
+    })
+  })
+
+  describe('getAIRecommendation', () => {
+    it('should return the products the provider picked', async () => {
+      const result = await getAIRecommendation('red saree', products, {
+        provider: createMockProvider(),
+        timeoutMs: 50,
+      })
+
+      expect(result.source).toBe('ai')
+      expect(result.provider).toBe('mock')
+      expect(result.products.map((product) => product.id)).toEqual(['p1', 'p2', 'p3'])
+    })
+
+    it('should fall back to keyword ranking on an invalid answer', async () => {
+      const result = await getAIRecommendation('red saree', products, {
+        provider: createMockProvider({ respond: () => 'Sure! Here are some sarees.' }),
+        timeoutMs: 50,
+      })
+
+      expect(result.source).toBe('keyword')
+      expect(result.fallbackReason).toBe('AI response is not valid JSON')
+      expect(result.products.map((product) => product.id)).toEqual(['p1', 'p2', 'p3'])
+    })
+
+    it('should fall back to keyword ranking when the provider times out', async () => {
+      const result = await getAIRecommendation('wallet', products, {
+        provider: createMockProvider({ respond: () => new Promise(() => {}) }),
+        timeoutMs: 20,
+      })
+
+      expect(result.source).toBe('keyword')
+      expect(result.fallbackReason).toBe('Operation timeout')
+      expect(result.products.map((product) => product.id)).toEqual(['p4'])
+    })
+  })
+})
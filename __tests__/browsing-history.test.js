@@ -0,0 +1,57 @@
+/**
+ * Browsing History Tests
+ * Tests for the guest visitor cookie and view signals in the recommendation engine
+ * Run with: npm test -- browsing-history.test.js
+ */
+
+import { jest } from '@jest/globals'
+import { VISITOR_COOKIE, ensureVisitorId, readVisitorId } from '../utils/visitorId.js'
+import { buildShopperVectors, computeItemSimilarities } from '../utils/recommendations.js'
+
+const VISITOR = '0f8b3c2a-5d6e-4f70-8a9b-0c1d2e3f4a5b'
+
+describe('Browsing History', () => {
+  describe('readVisitorId', () => {
+    it('should accept only uuid visitor cookies', () => {
+      expect(readVisitorId({ cookies: { [VISITOR_COOKIE]: VISITOR } })).toBe(VISITOR)
+      expect(readVisitorId({ cookies: { [VISITOR_COOKIE]: "1' OR 1=1" } })).toBeNull()
+      expect(readVisitorId({})).toBeNull()
+    })
+  })
+
+  describe('ensureVisitorId', () => {
+    it('should reuse an existing visitor cookie', () => {
+      const res = { cookie: jest.fn() }
+
+      expect(ensureVisitorId({ cookies: { [VISITOR_COOKIE]: VISITOR } }, res)).toBe(VISITOR)
+      expect(res.cookie).not.toHaveBeenCalled()
+    })
+
+    it('should issue a long-lived http-only cookie for new visitors', () => {
+      const res = { cookie: jest.fn() }
+      const visitorId = ensureVisitorId({ cookies: {} }, res)
+
+      expect(readVisitorId({ cookies: { [VISITOR_COOKIE]: visitorId } })).toBe(visitorId)
+      const [name, value, options] = res.cookie.mock.calls[0]
+      expect(name).toBe(VISITOR_COOKIE)
+      expect(value).toBe(visitorId)
+      expect(options.httpOnly).toBe(true)
+      expect(options.expires.getTime()).toBeGreaterThan(Date.now() + 300 * 24 * 60 * 60 * 1000)
+    })
+  })
+
+  describe('view signals', () => {
+    it('should count views as a weak interaction', () => {
+      const vectors = buildShopperVectors([
+        { user_id: VISITOR, product_id: 'a', source: 'view' },
+        { user_id: VISITOR, product_id: 'b', source: 'view' },
+        { user_id: 'u1', product_id: 'a', source: 'view' },
+        { user_id: 'u1', product_id: 'a', source: 'order' },
+      ])
+
+      expect(vectors.get(VISITOR).get('a')).toBe(0.5)
+      expect(vectors.get('u1').get('a')).toBe(3)
+      expect(computeItemSimilarities(vectors).get('a').get('b')).toBeGreaterThan(0)
+    })
+  })
+})
@@ -0,0 +1,192 @@
+/**
+ * Cart Pricing Tests
+ * Tests for server-side cart totals: line discounts, promotions, shipping zones and tax
+ * Run with: npm test -- cart-pricing.test.js
+ */
+
+import {
+  allocateDiscount,
+  calculateShipping,
+  computePromotionDiscount,
+  findTotalsMismatches,
+  getPromotionProblem,
+  sameCartLines,
+  summarizeCart,
+} from '../utils/cartPricing.js'
+
+const row = (overrides) => ({
+  cart_item_id: 'c1',
+  product_id: 'p1',
+  variant_id: null,
+  name: 'Kettle',
+  quantity: 2,
+  price: '1000.00',
+  sale_price: null,
+  category: 'Kitchen',
+  brand: 'Acme',
+  product_type: 'simple',
+  free_shipping: false,
+  ...overrides,
+})
+
+const promotion = (overrides) => ({
+  id: 'promo-1',
+  code: 'SAVE10',
+  type: 'percentage',
+  value: '10.00',
+  min_order_value: '0',
+  max_uses: null,
+  used_count: 0,
+  expiry_date: null,
+  is_active: true,
+  ...overrides,
+})
+
+describe('Cart Pricing', () => {
+  describe('summarizeCart', () => {
+    it('should price lines at their effective price and report line discounts', () => {
+      const summary = summarizeCart(
+        [
+          row({ sale_price: '900.00' }),
+          row({ cart_item_id: 'c2', product_id: 'p2', quantity: 1, price: '499.50' }),
+        ],
+        { taxRate: 0.05, district: 'Dhaka' },
+      )
+
+      expect(summary.currency).toBe('BDT')
+      expect(summary.lines[0]).toMatchObject({
+        unit_price: 900,
+        line_subtotal: 2000,
+        line_discount: 200,
+        line_total: 1800,
+      })
+      expect(summary.regular_subtotal).toBe(2499.5)
+      expect(summary.line_discount_total).toBe(200)
+      expect(summary.subtotal).toBe(2299.5)
+      expect(summary.shipping).toBe(100)
+      expect(summary.tax).toBe(115)
+      expect(summary.total).toBe(2515)
+    })
+
+    it('should apply a promotion before shipping and tax', () => {
+      const summary = summarizeCart([row()], {
+        promoCode: 'save10',
+        promotion: promotion(),
+        district: 'Chittagong',
+        taxRate: 0.05,
+      })
+
+      expect(summary.promotion).toMatchObject({ code: 'SAVE10', discount: 200 })
+      expect(summary.lines[0].promotion_discount).toBe(200)
+      expect(summary.shipping).toBe(60)
+      expect(summary.tax).toBe(90)
+      expect(summary.total).toBe(1950)
+    })
+
+    it('should report why a promotion does not apply', () => {
+      const summary = summarizeCart([row()], {
+        promoCode: 'BIG',
+        promotion: promotion({ min_order_value: '5000' }),
+      })
+
+      expect(summary.promotion).toBeNull()
+      expect(summary.promotion_error).toBe('Minimum order value is ৳5000')
+    })
+  })
+
+  describe('promotions', () => {
+    it('should reject inactive, expired and used up codes', () => {
+      const now = new Date('2026-06-01T00:00:00Z')
+      expect(getPromotionProblem(null, 100, now)).toBe('Invalid or expired promotion code')
+      expect(getPromotionProblem(promotion({ is_active: false }), 100, now)).toBeTruthy()
+      expect(getPromotionProblem(promotion({ expiry_date: '2026-05-01' }), 100, now)).toBeTruthy()
+      expect(getPromotionProblem(promotion({ max_uses: 5, used_count: 5 }), 100, now)).toBe(
+        'This promotion code has reached its usage limit',
+      )
+      expect(getPromotionProblem(promotion(), 100, now)).toBeNull()
+    })
+
+    it('should never discount more than the merchandise total', () => {
+      expect(computePromotionDiscount(promotion({ type: 'fixed', value: '500' }), 300)).toBe(300)
+      expect(computePromotionDiscount(promotion({ value: '12.5' }), 999)).toBe(124.88)
+    })
+
+    it('should spread a discount over the lines so the parts add up', () => {
+      const lines = allocateDiscount(
+        [{ line_total: 100 }, { line_total: 100 }, { line_total: 100 }],
+        10,
+      )
+      const shares = lines.map((line) => line.promotion_discount)
+
+      expect(shares.reduce((sum, share) => sum + share, 0)).toBeCloseTo(10, 10)
+      expect(shares).toEqual([3.34, 3.33, 3.33])
+    })
+  })
+
+  describe('calculateShipping', () => {
+    const settings = {
+      zones: [
+        { name: 'Dhaka', regions: ['Dhaka'], rate: 70, freeShippingThreshold: 3000 },
+        { name: 'Everywhere else', regions: [], rate: 130 },
+      ],
+    }
+    const physical = [{ product_type: 'simple', free_shipping: false }]
+
+    it('should use the zone of the district, else the catch-all zone', () => {
+      expect(calculateShipping(physical, settings, ' dhaka ', 100).amount).toBe(70)
+      expect(calculateShipping(physical, settings, 'Sylhet', 100).amount).toBe(130)
+      expect(calculateShipping(physical, settings, 'Dhaka', 3000)).toMatchObject({
+        amount: 0,
+        free_reason: 'threshold',
+      })
+    })
+
+    it('should fall back to the flat rates without configured zones', () => {
+      expect(calculateShipping(physical, { zones: [] }, 'চট্টগ্রাম', 0).amount).toBe(60)
+      expect(calculateShipping(physical, null, 'Khulna', 0).amount).toBe(100)
+    })
+
+    it('should not charge for carts with nothing to ship', () => {
+      const lines = [
+        { product_type: 'downloadable', free_shipping: false },
+        { product_type: 'simple', free_shipping: true },
+      ]
+      expect(calculateShipping(lines, settings, 'Sylhet', 0)).toMatchObject({
+        amount: 0,
+        free_reason: 'nothing_to_ship',
+      })
+    })
+  })
+
+  describe('checkout checks', () => {
+    const summary = { subtotal: 2000, shipping: 100, tax: 100, total: 2200 }
+
+    it('should list client totals that disagree', () => {
+      expect(
+        findTotalsMismatches({ subtotal: 2000, shippingCost: 100, tax: 100, total: 2200 }, summary),
+      ).toEqual([])
+      expect(
+        findTotalsMismatches({ subtotal: 1500, shippingCost: 100, tax: 100 }, summary).map(
+          (mismatch) => mismatch.field,
+        ),
+      ).toEqual(['subtotal', 'total'])
+    })
+
+    it('should require the checkout items to be the cart lines', () => {
+      const lines = [
+        { product_id: 'p1', variant_id: null, quantity: 2 },
+        { product_id: 'p2', variant_id: 'v1', quantity: 1 },
+      ]
+      expect(
+        sameCartLines(
+          [
+            { id: 'p2', variant_id: 'v1', quantity: 1 },
+            { id: 'p1', quantity: 2 },
+          ],
+          lines,
+        ),
+      ).toBe(true)
+      expect(sameCartLines([{ id: 'p1', quantity: 3 }], lines)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * Category Tree Tests
+ * Tests for nesting, breadcrumbs, visibility and move validation of categories
+ * Run with: npm test -- category-tree.test.js
+ */
+
+import {
+  buildCategoryTree,
+  getBreadcrumbs,
+  getDescendantIds,
+  getVisibleCategories,
+  slugifyCategory,
+  wouldCreateCycle,
+} from '../utils/categoryTree.js'
+import { buildProductFilters } from '../utils/productFilters.js'
+
+const categories = [
+  { id: 'home', parent_id: null, name: 'Home', slug: 'home', position: 1, is_active: true },
+  { id: 'bedding', parent_id: 'home', name: 'Bedding', slug: 'bedding', position: 0 },
+  { id: 'sheets', parent_id: 'bedding', name: 'Bed Sheets', slug: 'bed-sheets', position: 0 },
+  { id: 'pillows', parent_id: 'bedding', name: 'Pillows', slug: 'pillows', position: 1 },
+  { id: 'fashion', parent_id: null, name: 'Fashion', slug: 'fashion', position: 0 },
+  {
+    id: 'archive',
+    parent_id: 'fashion',
+    name: 'Archive',
+    slug: 'archive',
+    position: 5,
+    is_active: false,
+  },
+  { id: 'old-stock', parent_id: 'archive', name: 'Old Stock', slug: 'old-stock', position: 0 },
+]
+
+describe('Category Tree', () => {
+  describe('slugifyCategory', () => {
+    it('should build URL-safe slugs and keep Bengali names', () => {
+      expect(slugifyCategory('  Bed Sheets & Covers ')).toBe('bed-sheets-and-covers')
+      expect(slugifyCategory('শাড়ি')).toBe('শাড়ি')
+      expect(slugifyCategory('***')).toBe('')
+    })
+  })
+
+  describe('getBreadcrumbs', () => {
+    it('should return the path from the root', () => {
+      expect(getBreadcrumbs(categories, 'sheets')).toEqual([
+        { id: 'home', name: 'Home', slug: 'home' },
+        { id: 'bedding', name: 'Bedding', slug: 'bedding' },
+        { id: 'sheets', name: 'Bed Sheets', slug: 'bed-sheets' },
+      ])
+      expect(getBreadcrumbs(categories, 'missing')).toEqual([])
+    })
+
+    it('should stop on a cyclic parent chain', () => {
+      const cyclic = [
+        { id: 'a', parent_id: 'b', name: 'A', slug: 'a' },
+        { id: 'b', parent_id: 'a', name: 'B', slug: 'b' },
+      ]
+      expect(getBreadcrumbs(cyclic, 'a').map((crumb) => crumb.id)).toEqual(['b', 'a'])
+    })
+  })
+
+  describe('getDescendantIds / wouldCreateCycle', () => {
+    it('should collect the whole subtree', () => {
+      expect(getDescendantIds(categories, 'home').sort()).toEqual([
+        'bedding',
+        'home',
+        'pillows',
+        'sheets',
+      ])
+    })
+
+    it('should refuse moving a category under itself or its descendants', () => {
+      expect(wouldCreateCycle(categories, 'home', 'sheets')).toBe(true)
+      expect(wouldCreateCycle(categories, 'home', 'home')).toBe(true)
+      expect(wouldCreateCycle(categories, 'sheets', 'fashion')).toBe(false)
+      expect(wouldCreateCycle(categories, 'sheets', null)).toBe(false)
+    })
+  })
+
+  describe('buildCategoryTree', () => {
+    it('should nest categories in position order with depth and breadcrumbs', () => {
+      const tree = buildCategoryTree(categories)
+
+      expect(tree.map((node) => node.id)).toEqual(['fashion', 'home'])
+      const bedding = tree[1].children[0]
+      expect(bedding).toMatchObject({ id: 'bedding', depth: 1 })
+      expect(bedding.children.map((node) => node.id)).toEqual(['sheets', 'pillows'])
+      expect(bedding.children[0].breadcrumbs.map((crumb) => crumb.slug)).toEqual([
+        'home',
+        'bedding',
+        'bed-sheets',
+      ])
+    })
+
+    it('should hide inactive categories together with their subtree', () => {
+      const visible = getVisibleCategories(categories)
+      expect(visible.map((category) => category.id)).not.toContain('archive')
+      expect(visible.map((category) => category.id)).not.toContain('old-stock')
+      expect(buildCategoryTree(visible)[0].children).toEqual([])
+    })
+  })
+
+  describe('buildProductFilters categoryId', () => {
+    it('should filter by a category and everything below it', () => {
+      const id = '3f1b2c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d'
+      const { conditions, values } = buildProductFilters({ categoryId: id })
+
+      expect(values).toEqual([id])
+      expect(conditions[0]).toContain('WITH RECURSIVE subtree')
+      expect(buildProductFilters({ categoryId: 'bedding' }).error).toBe('Invalid category_id')
+    })
+  })
+})
@@ -0,0 +1,129 @@
+/**
+ * Downloadable Product Tests
+ * Tests for signed download links, grant limits and stock lines of downloadable products
+ * Run with: npm test -- downloads.test.js
+ */
+
+import path from 'path'
+import {
+  DOWNLOADS_DIR,
+  getGrantBlockReason,
+  resolveStoragePath,
+  signDownloadToken,
+  verifyDownloadToken,
+  withDownloadLink,
+} from '../utils/downloads.js'
+import { getStockLines } from '../utils/stockManager.js'
+
+process.env.DOWNLOAD_URL_SECRET = 'test-download-secret'
+
+const grantId = '8d7c9a40-2222-4b4b-8c8c-000000000001'
+const now = new Date('2026-03-01T10:00:00Z')
+const inAnHour = new Date('2026-03-01T11:00:00Z')
+
+const grant = (overrides) => ({
+  id: grantId,
+  download_limit: 3,
+  download_count: 1,
+  expires_at: '2026-03-31T00:00:00Z',
+  revoked_at: null,
+  ...overrides,
+})
+
+describe('Downloadable Products', () => {
+  describe('signed download tokens', () => {
+    it('should verify a token until it expires', () => {
+      const token = signDownloadToken(grantId, inAnHour)
+
+      expect(verifyDownloadToken(token, now)).toEqual({ grantId, expiresAt: inAnHour })
+      expect(verifyDownloadToken(token, inAnHour)).toBeNull()
+    })
+
+    it('should reject tampered or malformed tokens', () => {
+      const [, expires, signature] = signDownloadToken(grantId, inAnHour).split('.')
+      const otherGrant = '8d7c9a40-2222-4b4b-8c8c-000000000002'
+
+      expect(verifyDownloadToken(`${otherGrant}.${expires}.${signature}`, now)).toBeNull()
+      expect(
+        verifyDownloadToken(`${grantId}.${Number(expires) + 3600}.${signature}`, now),
+      ).toBeNull()
+      expect(
+        verifyDownloadToken(signDownloadToken(grantId, inAnHour, 'other-secret'), now),
+      ).toBeNull()
+      expect(verifyDownloadToken('not-a-token', now)).toBeNull()
+      expect(verifyDownloadToken(undefined, now)).toBeNull()
+    })
+  })
+
+  describe('getGrantBlockReason', () => {
+    it('should allow downloads within the limit and access period', () => {
+      expect(getGrantBlockReason(grant(), now)).toBeNull()
+      expect(getGrantBlockReason(grant({ expires_at: null }), now)).toBeNull()
+    })
+
+    it('should block revoked, expired and used up grants', () => {
+      expect(getGrantBlockReason(grant({ revoked_at: '2026-02-01' }), now)).toBe('revoked')
+      expect(getGrantBlockReason(grant({ expires_at: '2026-02-28T00:00:00Z' }), now)).toBe(
+        'expired',
+      )
+      expect(getGrantBlockReason(grant({ download_count: 3 }), now)).toBe('limit_reached')
+    })
+  })
+
+  describe('withDownloadLink', () => {
+    it('should add a signed link only while the grant is usable', () => {
+      const linked = withDownloadLink(grant(), 'https://api.example.com', now)
+      expect(linked).toMatchObject({
+        downloads_remaining: 2,
+        available: true,
+        blocked_reason: null,
+      })
+      expect(linked.download_url).toMatch(/^https:\/\/api\.example\.com\/api\/v1\/downloads\//)
+
+      const token = linked.download_url.split('/').pop()
+      expect(verifyDownloadToken(token, now).grantId).toBe(grantId)
+
+      const usedUp = withDownloadLink(grant({ download_count: 3 }), 'https://api.example.com', now)
+      expect(usedUp).toMatchObject({
+        downloads_remaining: 0,
+        available: false,
+        blocked_reason: 'limit_reached',
+        download_url: null,
+      })
+    })
+  })
+
+  describe('resolveStoragePath', () => {
+    it('should keep files inside the private downloads directory', () => {
+      expect(resolveStoragePath('abc.pdf')).toBe(path.join(DOWNLOADS_DIR, 'abc.pdf'))
+      expect(() => resolveStoragePath('../../.env')).toThrow('Invalid storage key')
+      expect(() => resolveStoragePath('')).toThrow('Invalid storage key')
+    })
+  })
+
+  describe('getStockLines', () => {
+    const client = {
+      query: async (sql) => ({
+        rows: sql.includes("product_type = 'downloadable'")
+          ? [{ id: 'ebook' }]
+          : [{ bundle_id: 'gift-set', component_id: 'sheet', quantity: 2 }],
+      }),
+    }
+
+    it('should drop downloadable lines and expand bundles', async () => {
+      const lines = await getStockLines(
+        [
+          { productId: 'ebook', variantId: null, quantity: 1 },
+          { productId: 'gift-set', variantId: null, quantity: 2 },
+          { productId: 'towel', variantId: null, quantity: 1 },
+        ],
+        client,
+      )
+
+      expect(lines).toEqual([
+        { productId: 'sheet', variantId: null, quantity: 4 },
+        { productId: 'towel', variantId: null, quantity: 1 },
+      ])
+    })
+  })
+})
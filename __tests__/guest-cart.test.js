@@ -0,0 +1,129 @@
+/**
+ * Guest Cart Tests
+ * Tests for the signed guest cart cookie and merging a guest cart into an account on login
+ * Run with: npm test -- guest-cart.test.js
+ */
+
+import { jest } from '@jest/globals'
+import {
+  CART_COOKIE,
+  ensureCartToken,
+  readCartToken,
+  signCartToken,
+  verifyCartToken,
+} from '../utils/cartToken.js'
+import { lineQuantityLimit, planCartMerge } from '../utils/cartMerge.js'
+
+const CART_ID = '2c9a7e4b-1f3d-4a5b-8c6d-7e8f9a0b1c2d'
+const SECRET = 'test-cart-secret'
+
+const line = (overrides) => ({
+  id: 'line',
+  product_id: 'p1',
+  variant_id: null,
+  quantity: 1,
+  name: 'Mug',
+  product_type: 'simple',
+  sold_individually: false,
+  stock: 10,
+  available: true,
+  ...overrides,
+})
+
+describe('Guest Cart', () => {
+  describe('cart token', () => {
+    it('should accept only tokens signed with the secret', () => {
+      const token = signCartToken(CART_ID, SECRET)
+
+      expect(verifyCartToken(token, SECRET)).toBe(CART_ID)
+      expect(verifyCartToken(token, 'another-secret')).toBeNull()
+      expect(verifyCartToken(`${CART_ID}.forged`, SECRET)).toBeNull()
+      expect(verifyCartToken(CART_ID, SECRET)).toBeNull()
+      expect(verifyCartToken(undefined, SECRET)).toBeNull()
+    })
+
+    it('should issue a cookie only when the request has no valid cart', () => {
+      const previousSecret = process.env.CART_TOKEN_SECRET
+      process.env.CART_TOKEN_SECRET = SECRET
+      const res = { cookie: jest.fn() }
+
+      const issued = ensureCartToken({ cookies: {} }, res)
+      const [name, value, options] = res.cookie.mock.calls[0]
+      expect(name).toBe(CART_COOKIE)
+      expect(options.httpOnly).toBe(true)
+      expect(readCartToken({ cookies: { [CART_COOKIE]: value } })).toBe(issued)
+
+      expect(ensureCartToken({ cookies: { [CART_COOKIE]: value } }, res)).toBe(issued)
+      expect(res.cookie).toHaveBeenCalledTimes(1)
+
+      process.env.CART_TOKEN_SECRET = previousSecret
+    })
+  })
+
+  describe('lineQuantityLimit', () => {
+    it('should cap by stock, sold individually and never for downloads', () => {
+      expect(lineQuantityLimit(line({ stock: 4 }))).toBe(4)
+      expect(lineQuantityLimit(line({ stock: 4, sold_individually: true }))).toBe(1)
+      expect(lineQuantityLimit(line({ stock: 0, sold_individually: true }))).toBe(0)
+      expect(lineQuantityLimit(line({ product_type: 'downloadable', stock: 0 }))).toBe(Infinity)
+    })
+  })
+
+  describe('planCartMerge', () => {
+    it('should combine quantities of the same product and variant', () => {
+      const plan = planCartMerge(
+        [
+          line({ id: 'g1', quantity: 2 }),
+          line({ id: 'g2', product_id: 'p2', variant_id: 'v1', quantity: 1 }),
+        ],
+        [line({ id: 'a1', quantity: 3 })],
+      )
+
+      expect(plan.updates).toEqual([{ id: 'a1', quantity: 5 }])
+      expect(plan.inserts).toEqual([{ product_id: 'p2', variant_id: 'v1', quantity: 1 }])
+      expect(plan.dropped).toEqual([])
+    })
+
+    it('should keep what stock allows and report the rest', () => {
+      const plan = planCartMerge(
+        [line({ id: 'g1', quantity: 4, stock: 5 })],
+        [line({ id: 'a1', quantity: 3, stock: 5 })],
+      )
+
+      expect(plan.updates).toEqual([{ id: 'a1', quantity: 5 }])
+      expect(plan.dropped).toEqual([
+        expect.objectContaining({ requested: 4, added: 2, reason: 'insufficient_stock' }),
+      ])
+    })
+
+    it('should respect sold individually products', () => {
+      const soldIndividually = { sold_individually: true }
+      const plan = planCartMerge(
+        [
+          line({ id: 'g1', ...soldIndividually }),
+          line({ id: 'g2', product_id: 'p2', ...soldIndividually }),
+        ],
+        [line({ id: 'a1', ...soldIndividually })],
+      )
+
+      expect(plan.updates).toEqual([])
+      expect(plan.inserts).toEqual([{ product_id: 'p2', variant_id: null, quantity: 1 }])
+      expect(plan.dropped).toEqual([
+        expect.objectContaining({ product_id: 'p1', added: 0, reason: 'sold_individually' }),
+      ])
+    })
+
+    it('should drop out of stock and unavailable items', () => {
+      const plan = planCartMerge(
+        [
+          line({ id: 'g1', stock: 0 }),
+          line({ id: 'g2', product_id: 'p2', variant_id: 'v9', available: false }),
+        ],
+        [],
+      )
+
+      expect(plan.inserts).toEqual([])
+      expect(plan.dropped.map((item) => item.reason)).toEqual(['out_of_stock', 'unavailable'])
+    })
+  })
+})
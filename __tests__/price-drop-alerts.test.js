@@ -0,0 +1,128 @@
+/**
+ * Price-Drop Alert Tests
+ * Tests for picking wishlist items to alert about and the price drop email
+ * Run with: npm test -- price-drop-alerts.test.js
+ */
+
+import { planPriceDropAlerts } from '../utils/priceDropAlerts.js'
+import { generatePriceDropEmailTemplate } from '../utils/generatePriceDropEmailTemplate.js'
+
+const row = (overrides) => ({
+  id: 'item-1',
+  user_id: 'u1',
+  product_id: 'p1',
+  variant_id: null,
+  name: 'Panjabi',
+  list_name: 'My Wishlist',
+  price_at_add: 2000,
+  last_notified_price: null,
+  current_price: 1500,
+  ...overrides,
+})
+
+describe('planPriceDropAlerts', () => {
+  it('alerts about a drop since the item was added', () => {
+    const { alerts, raised } = planPriceDropAlerts([row()], 5)
+    expect(raised).toEqual([])
+    expect(alerts).toEqual([
+      expect.objectContaining({
+        user_id: 'u1',
+        product_id: 'p1',
+        old_price: 2000,
+        new_price: 1500,
+        drop_percent: 25,
+        item_ids: ['item-1'],
+        list_names: ['My Wishlist'],
+      }),
+    ])
+  })
+
+  it('ignores drops below the minimum and unchanged prices', () => {
+    const { alerts } = planPriceDropAlerts(
+      [row({ current_price: 1950 }), row({ id: 'item-2', current_price: 2000 })],
+      5,
+    )
+    expect(alerts).toEqual([])
+  })
+
+  it('measures from the last alerted price, not the added price', () => {
+    const repeat = planPriceDropAlerts([row({ last_notified_price: '1500.00' })], 5)
+    expect(repeat.alerts).toEqual([])
+
+    const further = planPriceDropAlerts(
+      [row({ last_notified_price: '1500.00', current_price: 1200 })],
+      5,
+    )
+    expect(further.alerts[0]).toMatchObject({ old_price: 1500, new_price: 1200, drop_percent: 20 })
+  })
+
+  it('raises the baseline when the price went back up', () => {
+    const { alerts, raised } = planPriceDropAlerts(
+      [row({ last_notified_price: '1500.00', current_price: 2000 })],
+      5,
+    )
+    expect(alerts).toEqual([])
+    expect(raised).toEqual([{ id: 'item-1', price: 2000 }])
+  })
+
+  it('skips items without a known price', () => {
+    expect(planPriceDropAlerts([row({ price_at_add: null })], 5).alerts).toEqual([])
+  })
+
+  it('sends one alert when the same product sits on several lists', () => {
+    const { alerts } = planPriceDropAlerts(
+      [
+        row(),
+        row({ id: 'item-2', list_name: 'Eid gifts', price_at_add: '2200.00' }),
+        row({ id: 'item-3', user_id: 'u2' }),
+      ],
+      5,
+    )
+    expect(alerts).toHaveLength(2)
+    expect(alerts[0]).toMatchObject({
+      user_id: 'u1',
+      old_price: 2200,
+      item_ids: ['item-1', 'item-2'],
+      list_names: ['My Wishlist', 'Eid gifts'],
+    })
+    expect(alerts[1]).toMatchObject({ user_id: 'u2', item_ids: ['item-3'] })
+  })
+
+  it('keeps variants of the same product apart', () => {
+    const { alerts } = planPriceDropAlerts(
+      [row({ variant_id: 'v1' }), row({ id: 'item-2', variant_id: 'v2' })],
+      5,
+    )
+    expect(alerts.map((alert) => alert.variant_id)).toEqual(['v1', 'v2'])
+  })
+})
+
+describe('generatePriceDropEmailTemplate', () => {
+  const drop = {
+    name: 'Panjabi',
+    listNames: ['My Wishlist'],
+    oldPrice: 2000,
+    newPrice: 1500,
+    dropPercent: 25,
+    productUrl: 'https://shop.example/product/p1',
+  }
+
+  it('lists old and new prices with a product link', () => {
+    const html = generatePriceDropEmailTemplate({ customerName: 'Rahim', drops: [drop] })
+    expect(html).toContain('Dear Rahim')
+    expect(html).toContain('৳2000.00')
+    expect(html).toContain('৳1500.00')
+    expect(html).toContain('(-25%)')
+    expect(html).toContain('href="https://shop.example/product/p1"')
+  })
+
+  it('escapes product and list names', () => {
+    const html = generatePriceDropEmailTemplate({
+      customerName: 'Rahim',
+      drops: [{ ...drop, name: '<script>x</script>', listNames: ['A & B'] }],
+    })
+    expect(html).not.toContain('<script>')
+    expect(html).toContain('&lt;script&gt;')
+    expect(html).toContain('A &amp; B')
+  })
+})
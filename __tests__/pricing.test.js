@@ -0,0 +1,147 @@
+/**
+ * Effective Pricing Tests
+ * Tests for scheduled price rules and the effective price of products and variants
+ * Run with: npm test -- pricing.test.js
+ */
+
+import {
+  applyPriceRule,
+  expandCategoryRules,
+  getEffectiveUnitPrice,
+  getProductPricing,
+  getVariantPricing,
+  ruleMatchesProduct,
+  withEffectivePrice,
+} from '../utils/pricing.js'
+
+const product = {
+  id: '5b2f7c1e-1111-4a4a-9a9a-000000000001',
+  name: 'Cotton Bedsheet',
+  category: 'Bedding',
+  brand: 'Bedtex',
+  price: '1000.00',
+  sale_price: '900.00',
+}
+
+const rule = (overrides) => ({
+  id: 'r1',
+  name: 'Midnight sale',
+  target_type: 'category',
+  target_values: ['bedding'],
+  discount_type: 'percentage',
+  value: '20',
+  ends_at: '2030-01-01T00:00:00Z',
+  ...overrides,
+})
+
+describe('Effective Pricing', () => {
+  describe('ruleMatchesProduct', () => {
+    it('should match products by id, category and brand', () => {
+      expect(
+        ruleMatchesProduct(rule({ target_type: 'product', target_values: [product.id] }), product),
+      ).toBe(true)
+      expect(ruleMatchesProduct(rule({ target_values: ['BEDDING'] }), product)).toBe(true)
+      expect(
+        ruleMatchesProduct(rule({ target_type: 'brand', target_values: ['bedtex'] }), product),
+      ).toBe(true)
+      expect(ruleMatchesProduct(rule({ target_values: ['Towels'] }), product)).toBe(false)
+      expect(ruleMatchesProduct(rule({ target_type: 'brand' }), { ...product, brand: null })).toBe(
+        false,
+      )
+    })
+
+    it('should accept target values stored as a JSON string', () => {
+      expect(ruleMatchesProduct(rule({ target_values: '["Bedding"]' }), product)).toBe(true)
+    })
+  })
+
+  describe('applyPriceRule', () => {
+    it('should apply each discount type and stay within 0 and the regular price', () => {
+      expect(applyPriceRule(rule({ value: '15' }), 999)).toBe(849.15)
+      expect(applyPriceRule(rule({ discount_type: 'fixed', value: '150' }), 1000)).toBe(850)
+      expect(applyPriceRule(rule({ discount_type: 'fixed', value: '5000' }), 1000)).toBe(0)
+      expect(applyPriceRule(rule({ discount_type: 'fixed_price', value: '499' }), 1000)).toBe(499)
+      expect(applyPriceRule(rule({ discount_type: 'fixed_price', value: '1500' }), 1000)).toBe(1000)
+    })
+  })
+
+  describe('getProductPricing', () => {
+    it('should use the static sale price without rules', () => {
+      expect(getProductPricing(product)).toEqual({
+        regular_price: 1000,
+        effective_price: 900,
+        on_sale: true,
+        price_rule: null,
+      })
+      expect(getProductPricing({ ...product, sale_price: '1200' }).effective_price).toBe(1000)
+    })
+
+    it('should pick the lowest of the sale price and running rules', () => {
+      const pricing = getProductPricing(product, [
+        rule({ id: 'small', value: '5' }),
+        rule({ id: 'big', value: '20' }),
+      ])
+      expect(pricing.effective_price).toBe(800)
+      expect(pricing.price_rule).toMatchObject({
+        id: 'big',
+        discount_type: 'percentage',
+        value: 20,
+      })
+    })
+
+    it('should keep the sale price when it beats the rule', () => {
+      const pricing = getProductPricing(product, [rule({ value: '5' })])
+      expect(pricing.effective_price).toBe(900)
+      expect(pricing.price_rule).toBeNull()
+    })
+  })
+
+  describe('variants', () => {
+    it('should apply rules to the variant price', () => {
+      const variant = { price: 1500, sale_price: null }
+      expect(getVariantPricing(variant, product, [rule()]).effective_price).toBe(1200)
+      expect(getEffectiveUnitPrice(product, { price: null, sale_price: null }, [rule()])).toBe(800)
+      expect(getEffectiveUnitPrice(product, { price: 1500, sale_price: 1100 })).toBe(1100)
+    })
+
+    it('should price the product and each variant', () => {
+      const priced = withEffectivePrice(
+        { ...product, variants: [{ id: 'v1', price: 2000, sale_price: null }] },
+        [rule({ discount_type: 'fixed', value: '300' })],
+      )
+      expect(priced.effective_price).toBe(700)
+      expect(priced.variants[0]).toMatchObject({ id: 'v1', effective_price: 1700, on_sale: true })
+      expect(priced.price).toBe('1000.00')
+    })
+  })
+
+  describe('expandCategoryRules', () => {
+    const categories = [
+      { id: 'c1', name: 'Home', parent_id: null },
+      { id: 'c2', name: 'Bedding', parent_id: 'c1' },
+      { id: 'c3', name: 'Pillow Covers', parent_id: 'c2' },
+      { id: 'c4', name: 'Kitchen', parent_id: 'c1' },
+    ]
+
+    it('should apply a parent category rule to products in its child categories', () => {
+      const [expanded] = expandCategoryRules([rule({ target_values: ['home'] })], categories)
+      const pillowCover = { ...product, category: 'Pillow Covers', sale_price: null }
+
+      expect(ruleMatchesProduct(rule({ target_values: ['home'] }), pillowCover)).toBe(false)
+      expect(ruleMatchesProduct(expanded, pillowCover)).toBe(true)
+      expect(getProductPricing(pillowCover, [expanded]).effective_price).toBe(800)
+    })
+
+    it('should not widen a rule to sibling or parent categories', () => {
+      const [expanded] = expandCategoryRules([rule()], categories)
+      expect(ruleMatchesProduct(expanded, { ...product, category: 'Pillow Covers' })).toBe(true)
+      expect(ruleMatchesProduct(expanded, { ...product, category: 'Kitchen' })).toBe(false)
+      expect(ruleMatchesProduct(expanded, { ...product, category: 'Home' })).toBe(false)
+    })
+
+    it('should leave product and brand rules alone', () => {
+      const brandRule = rule({ target_type: 'brand', target_values: ['Home'] })
+      expect(expandCategoryRules([brandRule], categories)).toEqual([brandRule])
+    })
+  })
+})
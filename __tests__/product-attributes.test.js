@@ -0,0 +1,196 @@
+/**
+ * Product Attributes & Facets Tests
+ * Tests for attribute value validation, attribute filters and facet shaping
+ * Run with: npm test -- product-attributes.test.js
+ */
+
+import {
+  formatAttributeValues,
+  normalizeAttributeOptions,
+  normalizeAttributeValue,
+  readQueryAttributeFilters,
+  resolveAttributeFilters,
+} from '../utils/productAttributes.js'
+import { buildProductFilters } from '../utils/productFilters.js'
+import {
+  buildSearchFilters,
+  getPriceBucketBounds,
+  shapeAttributeFacets,
+  withoutFacet,
+} from '../utils/searchFacets.js'
+
+const ram = { id: 'a-ram', name: 'RAM', slug: 'ram', type: 'number', unit: 'GB' }
+const material = {
+  id: 'a-material',
+  name: 'Material',
+  slug: 'material',
+  type: 'select',
+  options: ['Cotton', 'Silk'],
+}
+const colors = {
+  id: 'a-colors',
+  name: 'Colors',
+  slug: 'colors',
+  type: 'multiselect',
+  options: '["Red","Blue"]',
+}
+const waterproof = { id: 'a-waterproof', name: 'Waterproof', slug: 'waterproof', type: 'boolean' }
+const attributes = [ram, material, colors, waterproof]
+
+describe('Product Attributes', () => {
+  describe('normalizeAttributeOptions', () => {
+    it('should trim and de-duplicate options and require them for select types', () => {
+      expect(normalizeAttributeOptions('select', [' Cotton', 'cotton', 'Silk'])).toEqual({
+        options: ['Cotton', 'Silk'],
+      })
+      expect(normalizeAttributeOptions('select', []).error).toBeDefined()
+      expect(normalizeAttributeOptions('number', ['x'])).toEqual({ options: [] })
+    })
+  })
+
+  describe('normalizeAttributeValue', () => {
+    it('should store values in the column matching the type', () => {
+      expect(normalizeAttributeValue(ram, '16').rows).toEqual([
+        { value_text: null, value_number: 16, value_boolean: null },
+      ])
+      expect(normalizeAttributeValue(waterproof, 'yes').rows[0].value_boolean).toBe(true)
+      expect(normalizeAttributeValue(ram, 'lots').error).toBe('RAM must be a number')
+    })
+
+    it('should keep the option spelling and reject unknown options', () => {
+      expect(normalizeAttributeValue(material, 'cotton').rows[0].value_text).toBe('Cotton')
+      expect(normalizeAttributeValue(material, 'Wool').error).toContain('Cotton, Silk')
+      expect(normalizeAttributeValue(material, ['Cotton', 'Silk']).error).toBeDefined()
+      expect(normalizeAttributeValue(colors, 'red,Blue,RED').rows.map((r) => r.value_text)).toEqual(
+        ['Red', 'Blue'],
+      )
+    })
+
+    it('should clear the attribute on empty values', () => {
+      expect(normalizeAttributeValue(material, '')).toEqual({ rows: [] })
+      expect(normalizeAttributeValue(ram, null)).toEqual({ rows: [] })
+    })
+  })
+
+  describe('formatAttributeValues', () => {
+    it('should group multiselect values into arrays', () => {
+      const formatted = formatAttributeValues([
+        { attribute_id: 'a-ram', name: 'RAM', slug: 'ram', type: 'number', value_number: '8.0000' },
+        {
+          attribute_id: 'a-colors',
+          name: 'Colors',
+          slug: 'colors',
+          type: 'multiselect',
+          value_text: 'Red',
+        },
+        {
+          attribute_id: 'a-colors',
+          name: 'Colors',
+          slug: 'colors',
+          type: 'multiselect',
+          value_text: 'Blue',
+        },
+      ])
+      expect(formatted.map((attribute) => attribute.value)).toEqual([['Red', 'Blue'], 8])
+    })
+  })
+
+  describe('attribute filters', () => {
+    it('should read attr.* query parameters', () => {
+      expect(readQueryAttributeFilters({ page: '1', 'attr.ram': '8-16', 'attr.': 'x' })).toEqual({
+        ram: '8-16',
+      })
+    })
+
+    it('should resolve ranges, exact numbers and option lists', () => {
+      const { filters } = resolveAttributeFilters(
+        { ram: '8-', material: 'cotton,silk', waterproof: 'false' },
+        attributes,
+      )
+      expect(filters[0]).toMatchObject({ min: 8, max: null })
+      expect(filters[1].values).toEqual(['cotton', 'silk'])
+      expect(filters[2].values).toEqual([false])
+
+      expect(resolveAttributeFilters({ ram: [8, 16] }, attributes).filters[0].values).toEqual([
+        8, 16,
+      ])
+      expect(resolveAttributeFilters({ ram: { min: 16, max: 8 } }, attributes).error).toBeDefined()
+      expect(resolveAttributeFilters({ size: 'XL' }, attributes).error).toBe(
+        'Unknown attribute filter: size',
+      )
+    })
+
+    it('should add one EXISTS condition per attribute to the product filters', () => {
+      const { filters } = resolveAttributeFilters({ ram: '8-16', material: 'Cotton' }, attributes)
+      const { conditions, values } = buildProductFilters({
+        brand: 'Acme, Globex',
+        attributes: filters,
+      })
+
+      expect(conditions).toHaveLength(3)
+      expect(values[0]).toEqual(['acme', 'globex'])
+      expect(conditions[1]).toContain('pav_f.value_number >=')
+      expect(conditions[2]).toContain('LOWER(pav_f.value_text) = ANY')
+      expect(values.slice(1)).toEqual(['a-ram', 8, 16, 'a-material', ['cotton']])
+    })
+  })
+})
+
+describe('Search Facets', () => {
+  describe('buildSearchFilters / withoutFacet', () => {
+    it('should drop only the facet being counted', () => {
+      const { filters } = resolveAttributeFilters({ material: 'Silk' }, attributes)
+      const spec = {
+        query: 'saree',
+        brands: ['Acme'],
+        minPrice: 100,
+        minRating: 4,
+        attributes: filters,
+      }
+
+      expect(buildSearchFilters(spec).conditions).toHaveLength(5)
+      expect(buildSearchFilters(withoutFacet(spec, 'brand')).conditions).toHaveLength(4)
+      expect(withoutFacet(spec, 'price').minPrice).toBeUndefined()
+      expect(withoutFacet(spec, 'a-material').attributes).toEqual([])
+      expect(buildSearchFilters({ minPrice: 'cheap' }).error).toBeDefined()
+    })
+  })
+
+  describe('getPriceBucketBounds', () => {
+    it('should build round buckets covering the range', () => {
+      expect(getPriceBucketBounds(120, 980)).toEqual([
+        { min: 0, max: 200 },
+        { min: 200, max: 400 },
+        { min: 400, max: 600 },
+        { min: 600, max: 800 },
+        { min: 800, max: 1000 },
+      ])
+      expect(getPriceBucketBounds(50, 50)).toEqual([{ min: 50, max: 50 }])
+      expect(getPriceBucketBounds(null, null)).toEqual([])
+    })
+  })
+
+  describe('shapeAttributeFacets', () => {
+    it('should group counts per attribute and mark selected values', () => {
+      const { filters } = resolveAttributeFilters({ ram: '8-12' }, attributes)
+      const facets = shapeAttributeFacets(
+        attributes,
+        [
+          { attribute_id: 'a-ram', value_number: '16', count: 2 },
+          { attribute_id: 'a-ram', value_number: '8', count: 5 },
+          { attribute_id: 'a-material', value_text: 'Silk', count: 1 },
+          { attribute_id: 'a-material', value_text: 'Cotton', count: 4 },
+        ],
+        filters,
+      )
+
+      expect(facets.map((facet) => facet.slug)).toEqual(['ram', 'material'])
+      expect(facets[0].values).toEqual([
+        { value: 8, count: 5, selected: true },
+        { value: 16, count: 2, selected: false },
+      ])
+      expect(facets[0].range).toEqual({ min: 8, max: 16 })
+      expect(facets[1].values.map((entry) => entry.value)).toEqual(['Cotton', 'Silk'])
+    })
+  })
+})
@@ -0,0 +1,80 @@
+/**
+ * Product Bundle Tests
+ * Tests for derived bundle stock / price and expanding bundle order lines
+ * Run with: npm test -- product-bundles.test.js
+ */
+
+import { calculateBundlePrice, calculateBundleStock } from '../models/productBundlesTable.js'
+import { expandBundleLines } from '../utils/stockManager.js'
+
+const components = [
+  { component_id: 'sheet', price: '1200.00', stock: 9, quantity: 2 },
+  { component_id: 'pillow', price: '350.50', stock: 3, quantity: 1 },
+]
+
+describe('Product Bundles', () => {
+  describe('calculateBundleStock', () => {
+    it('should count complete sets the components can make', () => {
+      expect(calculateBundleStock(components)).toBe(3)
+      expect(calculateBundleStock([{ stock: 9, quantity: 2 }])).toBe(4)
+      expect(
+        calculateBundleStock([
+          { stock: 1, quantity: 2 },
+          { stock: 10, quantity: 1 },
+        ]),
+      ).toBe(0)
+    })
+
+    it('should treat an empty bundle as unavailable', () => {
+      expect(calculateBundleStock([])).toBe(0)
+    })
+  })
+
+  describe('calculateBundlePrice', () => {
+    it('should sum component prices without a discount', () => {
+      expect(calculateBundlePrice(components)).toEqual({ price: 2750.5, sale_price: null })
+    })
+
+    it('should turn the bundle discount into a sale price', () => {
+      expect(
+        calculateBundlePrice(components, { discount_type: 'percentage', discount_value: '10' }),
+      ).toEqual({ price: 2750.5, sale_price: 2475.45 })
+      expect(
+        calculateBundlePrice(components, { discount_type: 'fixed', discount_value: 250.5 }),
+      ).toEqual({ price: 2750.5, sale_price: 2500 })
+      expect(
+        calculateBundlePrice(components, { discount_type: 'fixed', discount_value: 9999 })
+          .sale_price,
+      ).toBe(0)
+    })
+  })
+
+  describe('expandBundleLines', () => {
+    const client = {
+      query: async () => ({
+        rows: [
+          { bundle_id: 'gift-set', component_id: 'sheet', quantity: 2 },
+          { bundle_id: 'gift-set', component_id: 'pillow', quantity: 1 },
+        ],
+      }),
+    }
+
+    it('should replace bundle lines with their components', async () => {
+      const lines = await expandBundleLines(
+        [
+          { productId: 'gift-set', variantId: null, quantity: 3 },
+          { productId: 'towel', variantId: null, quantity: 1 },
+          { productId: 'shirt', variantId: 'shirt-m', quantity: 2 },
+        ],
+        client,
+      )
+
+      expect(lines).toEqual([
+        { productId: 'sheet', variantId: null, quantity: 6 },
+        { productId: 'pillow', variantId: null, quantity: 3 },
+        { productId: 'towel', variantId: null, quantity: 1 },
+        { productId: 'shirt', variantId: 'shirt-m', quantity: 2 },
+      ])
+    })
+  })
+})
@@ -0,0 +1,132 @@
+/**
+ * Product Comparison Tests
+ * Tests for the side-by-side comparison matrix and its normalization
+ * Run with: npm test -- product-comparison.test.js
+ */
+
+import {
+  buildComparisonMatrix,
+  normalizeDimensions,
+  normalizeWeightKg,
+  valuesDiffer,
+} from '../utils/productComparison.js'
+
+const phoneA = {
+  id: 'a',
+  name: 'Phone A',
+  slug: 'phone-a',
+  images: [{ url: 'https://cdn/a.jpg' }],
+  brand: 'Acme',
+  category: 'Phones',
+  price: '25000.00',
+  sale_price: null,
+  ratings: '4.50',
+  weight: '180',
+  weight_unit: 'g',
+  length: '15.0',
+  width: '7.1',
+  height: '0.8',
+}
+
+const phoneB = {
+  ...phoneA,
+  id: 'b',
+  name: 'Phone B',
+  slug: 'phone-b',
+  images: [],
+  price: '25000.00',
+  sale_price: '22000.00',
+  ratings: '4.10',
+  weight: '0.18',
+  weight_unit: 'kg',
+}
+
+const attributeRow = (productId, overrides) => ({
+  product_id: productId,
+  value_text: null,
+  value_number: null,
+  value_boolean: null,
+  attribute_position: 0,
+  unit: null,
+  ...overrides,
+})
+
+const ram = { attribute_id: 1, name: 'RAM', slug: 'ram', type: 'number', unit: 'GB' }
+const colors = { attribute_id: 2, name: 'Colors', slug: 'colors', type: 'multiselect' }
+const nfc = { attribute_id: 3, name: 'NFC', slug: 'nfc', type: 'boolean', attribute_position: 5 }
+
+describe('Product Comparison', () => {
+  describe('normalization', () => {
+    it('should convert weights to kilograms', () => {
+      expect(normalizeWeightKg('180', 'g')).toBe(0.18)
+      expect(normalizeWeightKg('1', 'lb')).toBe(0.454)
+      expect(normalizeWeightKg(null, 'kg')).toBeNull()
+      expect(normalizeWeightKg('2', 'stone')).toBeNull()
+    })
+
+    it('should return dimensions only when one is set', () => {
+      expect(normalizeDimensions(phoneA)).toEqual({ length: 15, width: 7.1, height: 0.8 })
+      expect(normalizeDimensions({ length: null, width: '', height: undefined })).toBeNull()
+    })
+
+    it('should compare multiselect values regardless of order', () => {
+      expect(
+        valuesDiffer([
+          ['Red', 'Blue'],
+          ['Blue', 'Red'],
+        ]),
+      ).toBe(false)
+      expect(valuesDiffer([1, 1, null])).toBe(true)
+      expect(valuesDiffer([5])).toBe(false)
+    })
+  })
+
+  describe('buildComparisonMatrix', () => {
+    const matrix = buildComparisonMatrix(
+      [phoneA, phoneB],
+      [
+        attributeRow('a', { ...ram, value_number: '8' }),
+        attributeRow('b', { ...ram, value_number: '12' }),
+        attributeRow('a', { ...colors, value_text: 'Red' }),
+        attributeRow('a', { ...colors, value_text: 'Blue' }),
+        attributeRow('b', { ...colors, value_text: 'Blue' }),
+        attributeRow('b', { ...colors, value_text: 'Red' }),
+        attributeRow('b', { ...nfc, value_boolean: true }),
+      ],
+      [{ product_id: 'a', total_reviews: 20, avg_rating: 4.456, five_star_count: 15 }],
+    )
+    const row = (key) => matrix.rows.find((candidate) => candidate.key === key)
+
+    it('should list the compared products in order', () => {
+      expect(matrix.products.map((product) => product.id)).toEqual(['a', 'b'])
+      expect(matrix.products[0].image).toEqual({ url: 'https://cdn/a.jpg' })
+      expect(matrix.products[1].image).toBeNull()
+    })
+
+    it('should flag rows whose values differ', () => {
+      expect(row('price')).toMatchObject({ values: [25000, 25000], differs: false })
+      expect(row('sale_price')).toMatchObject({ values: [null, 22000], differs: true })
+      expect(row('weight')).toMatchObject({ values: [0.18, 0.18], unit: 'kg', differs: false })
+      expect(row('dimensions').differs).toBe(false)
+    })
+
+    it('should include review statistics', () => {
+      expect(row('total_reviews').values).toEqual([20, 0])
+      expect(row('avg_review_rating').values).toEqual([4.46, null])
+      expect(row('five_star_percent').values).toEqual([75, null])
+    })
+
+    it('should add a row for every attribute of any compared product', () => {
+      const attributes = matrix.rows.filter((candidate) => candidate.group === 'attributes')
+
+      expect(attributes.map((candidate) => candidate.key)).toEqual([
+        'attr.colors',
+        'attr.ram',
+        'attr.nfc',
+      ])
+      expect(row('attr.ram')).toMatchObject({ values: [8, 12], unit: 'GB', differs: true })
+      expect(row('attr.colors').differs).toBe(false)
+      expect(row('attr.nfc').values).toEqual([null, true])
+    })
+  })
+})
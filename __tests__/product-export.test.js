@@ -0,0 +1,126 @@
+/**
+ * Product Export Tests
+ * Tests for export row shaping, CSV escaping, listing filters and import round-trips
+ * Run with: npm test -- product-export.test.js
+ */
+
+import {
+  EXPORT_COLUMNS,
+  toExportRow,
+  flattenExportRow,
+  escapeCsvCell,
+} from '../utils/productExport.js'
+import { parseCsv, rowsToRecords, mapImportRecord } from '../utils/productImport.js'
+import { buildProductFilters } from '../utils/productFilters.js'
+
+const product = {
+  id: '0b6f2a52-93f4-4c1e-9d0a-6f1f3c2b7a11',
+  name: 'Mug, "Large"',
+  description: 'Line one\nLine two',
+  sku: 'MUG-L',
+  category: 'Kitchen',
+  price: '12.50',
+  sale_price: null,
+  stock: 8,
+  featured: true,
+  product_type: 'simple',
+  meta_title: '=HYPERLINK("x")',
+  images: [{ url: 'https://cdn.example/a.jpg', public_id: 'a' }],
+  tags: '["kitchen","gift"]',
+}
+
+describe('Product Export', () => {
+  describe('toExportRow', () => {
+    it('should use import columns and plain values', () => {
+      const row = toExportRow(product)
+      expect(Object.keys(row)).toEqual(EXPORT_COLUMNS)
+      expect(row.price).toBe(12.5)
+      expect(row.sale_price).toBeNull()
+      expect(row.images).toEqual(['https://cdn.example/a.jpg'])
+      expect(row.tags).toEqual(['kitchen', 'gift'])
+    })
+
+    it('should leave stock empty for variable products', () => {
+      expect(toExportRow({ ...product, product_type: 'variable' }).stock).toBeNull()
+    })
+  })
+
+  describe('escapeCsvCell', () => {
+    it('should quote cells with commas, quotes and newlines', () => {
+      expect(escapeCsvCell('plain')).toBe('plain')
+      expect(escapeCsvCell('a,b')).toBe('"a,b"')
+      expect(escapeCsvCell('say "hi"')).toBe('"say ""hi"""')
+      expect(escapeCsvCell('a\nb')).toBe('"a\nb"')
+    })
+
+    it('should neutralise formula-like text', () => {
+      expect(escapeCsvCell('=1+1')).toBe("'=1+1")
+      expect(escapeCsvCell(-5)).toBe('-5')
+    })
+  })
+
+  describe('round-trip', () => {
+    it('should import an exported CSV row back to the same values', () => {
+      const csv = [
+        EXPORT_COLUMNS.join(','),
+        flattenExportRow(toExportRow(product)).map(escapeCsvCell).join(','),
+      ].join('\r\n')
+
+      const { records, unknownColumns } = rowsToRecords(parseCsv(csv))
+      const { data, errors } = mapImportRecord(records[0])
+
+      expect(unknownColumns).toEqual([])
+      expect(errors).toEqual([])
+      expect(data).toMatchObject({
+        id: product.id,
+        name: 'Mug, "Large"',
+        description: 'Line one\nLine two',
+        sku: 'MUG-L',
+        price: 12.5,
+        stock: 8,
+        featured: true,
+        meta_title: '=HYPERLINK("x")',
+        images: [{ url: 'https://cdn.example/a.jpg', public_id: null }],
+        tags: ['kitchen', 'gift'],
+      })
+    })
+
+    it('should keep list values that contain commas', () => {
+      const row = toExportRow({
+        ...product,
+        sku: null,
+        tags: '["red, white and blue"]',
+        images: ['https://cdn.example/a,b.jpg'],
+      })
+      const [header, line] = [EXPORT_COLUMNS, flattenExportRow(row).map(escapeCsvCell)]
+      const { records } = rowsToRecords(parseCsv(`${header.join(',')}\r\n${line.join(',')}`))
+      const { data, errors } = mapImportRecord(records[0])
+
+      expect(errors).toEqual([])
+      expect(data.id).toBe(product.id)
+      expect(data.tags).toEqual(['red, white and blue'])
+      expect(data.images).toEqual([{ url: 'https://cdn.example/a,b.jpg', public_id: null }])
+    })
+  })
+
+  describe('buildProductFilters', () => {
+    it('should number placeholders in order', () => {
+      const { conditions, values } = buildProductFilters({
+        price: '10-20',
+        category: 'Kitchen',
+        search: 'mug',
+      })
+      expect(conditions).toEqual([
+        'price BETWEEN $1 AND $2',
+        'category ILIKE $3',
+        '(p.name ILIKE $4 OR p.description ILIKE $4)',
+      ])
+      expect(values).toEqual([10, 20, '%Kitchen%', '%mug%'])
+    })
+
+    it('should reject invalid ranges and ratings', () => {
+      expect(buildProductFilters({ price: '20-10' }).error).toMatch(/price range/)
+      expect(buildProductFilters({ ratings: '7' }).error).toMatch(/between 0 and 5/)
+    })
+  })
+})
@@ -0,0 +1,182 @@
+/**
+ * Product Feed Tests
+ * Tests for Google / Facebook feed items and XML / CSV rendering
+ * Run with: npm test -- product-feed.test.js
+ */
+
+import {
+  buildFeedItems,
+  resolveAvailability,
+  renderXmlFeed,
+  renderCsvFeed,
+  toPlainText,
+} from '../utils/productFeed.js'
+
+const product = {
+  id: 'p1',
+  name: 'Cotton Bedsheet',
+  slug: 'cotton-bedsheet',
+  description: '<p>Soft &nbsp; <b>cotton</b></p>',
+  category: 'Bedding',
+  brand: 'Bedtex',
+  sku: 'BS-1',
+  barcode: '1234567890123',
+  price: '1500.00',
+  sale_price: '1200.00',
+  stock: 4,
+  stock_status: 'in-stock',
+  product_type: 'simple',
+  images: [{ url: 'https://cdn.example/1.jpg' }, { url: 'https://cdn.example/2.jpg' }],
+}
+
+describe('Product Feed', () => {
+  describe('resolveAvailability', () => {
+    it('should follow stock_status first', () => {
+      expect(resolveAvailability({ stock_status: 'out-of-stock', stock: 10 })).toBe('out')
+      expect(resolveAvailability({ stock_status: 'on-backorder', stock: 0 })).toBe('backorder')
+    })
+
+    it('should fall back to stock and backorders', () => {
+      expect(resolveAvailability({ stock: 2 })).toBe('in')
+      expect(resolveAvailability({ stock: 0, allow_backorders: true })).toBe('backorder')
+      expect(resolveAvailability({ stock: 0 })).toBe('out')
+    })
+  })
+
+  describe('buildFeedItems', () => {
+    it('should map a simple product for Google', () => {
+      const [item] = buildFeedItems(product, {
+        channel: 'google',
+        categoryMappings: { bedding: '569' },
+        baseUrl: 'https://shop.example',
+      })
+      expect(item).toMatchObject({
+        id: 'BS-1',
+        title: 'Cotton Bedsheet',
+        description: 'Soft cotton',
+        link: 'https://shop.example/product/cotton-bedsheet',
+        image_link: 'https://cdn.example/1.jpg',
+        additional_image_link: ['https://cdn.example/2.jpg'],
+        availability: 'in_stock',
+        price: '1500.00 BDT',
+        sale_price: '1200.00 BDT',
+        gtin: '1234567890123',
+        google_product_category: '569',
+      })
+      expect(item.identifier_exists).toBeUndefined()
+    })
+
+    it('should use Facebook availability values and category field', () => {
+      const [item] = buildFeedItems(
+        { ...product, stock_status: 'out-of-stock' },
+        { channel: 'facebook', categoryMappings: { bedding: 'Home > Bedding' } },
+      )
+      expect(item.availability).toBe('out of stock')
+      expect(item.fb_product_category).toBe('Home > Bedding')
+    })
+
+    it('should list each variant with an item group', () => {
+      const items = buildFeedItems(
+        { ...product, product_type: 'variable' },
+        {
+          channel: 'google',
+          variants: [
+            { id: 'v1', sku: 'BS-1-K', options: { Size: 'King' }, price: '1800', stock: 0 },
+            { id: 'v2', sku: 'BS-1-Q', options: { Size: 'Queen' }, price: null, stock: 3 },
+          ],
+        },
+      )
+      expect(items.map((item) => [item.id, item.item_group_id, item.title, item.price])).toEqual([
+        ['BS-1-K', 'BS-1', 'Cotton Bedsheet - King', '1800.00 BDT'],
+        ['BS-1-Q', 'BS-1', 'Cotton Bedsheet - Queen', '1500.00 BDT'],
+      ])
+      expect(items[0].availability).toBe('out_of_stock')
+    })
+
+    it('should skip items without an image or price and flag missing identifiers', () => {
+      expect(buildFeedItems({ ...product, images: [] }, { channel: 'google' })).toEqual([])
+      expect(buildFeedItems({ ...product, price: '0' }, { channel: 'google' })).toEqual([])
+
+      const [item] = buildFeedItems(
+        { ...product, brand: null, barcode: null, sale_price: '2000' },
+        { channel: 'google' },
+      )
+      expect(item.identifier_exists).toBe('no')
+      expect(item.sale_price).toBeNull()
+    })
+  })
+
+  describe('price rules', () => {
+    const flashSale = {
+      id: 'r1',
+      name: 'Flash sale',
+      target_type: 'category',
+      target_values: ['bedding'],
+      discount_type: 'percentage',
+      value: '40',
+      starts_at: '2024-06-01T00:00:00Z',
+      ends_at: '2024-06-02T00:00:00Z',
+    }
+
+    it('should price items with a running rule and give its window', () => {
+      const [item] = buildFeedItems(product, { channel: 'google', rules: [flashSale] })
+      expect(item.price).toBe('1500.00 BDT')
+      expect(item.sale_price).toBe('900.00 BDT')
+      expect(item.sale_price_effective_date).toBe(
+        '2024-06-01T00:00:00.000Z/2024-06-02T00:00:00.000Z',
+      )
+    })
+
+    it('should apply rules to variant prices', () => {
+      const [item] = buildFeedItems(
+        { ...product, product_type: 'variable' },
+        {
+          channel: 'google',
+          variants: [{ id: 'v1', sku: 'BS-1-K', options: { Size: 'King' }, price: '2000' }],
+          rules: [flashSale],
+        },
+      )
+      expect(item.sale_price).toBe('1200.00 BDT')
+    })
+
+    it('should leave out the window for static sale prices and open-ended rules', () => {
+      const [staticSale] = buildFeedItems(product, { channel: 'google' })
+      expect(staticSale.sale_price_effective_date).toBeNull()
+
+      const [openEnded] = buildFeedItems(product, {
+        channel: 'google',
+        rules: [{ ...flashSale, ends_at: null }],
+      })
+      expect(openEnded.sale_price).toBe('900.00 BDT')
+      expect(openEnded.sale_price_effective_date).toBeNull()
+    })
+  })
+
+  describe('rendering', () => {
+    const items = buildFeedItems(product, { channel: 'google' })
+
+    it('should escape XML and repeat list fields', () => {
+      const xml = renderXmlFeed([{ ...items[0], title: 'Sheets & "Covers"' }], {
+        title: 'Shop',
+        link: 'https://shop.example',
+        description: 'Feed',
+      })
+      expect(xml).toContain('xmlns:g="http://base.google.com/ns/1.0"')
+      expect(xml).toContain('<g:title>Sheets &amp; &quot;Covers&quot;</g:title>')
+      expect(xml).toContain(
+        '<g:additional_image_link>https://cdn.example/2.jpg</g:additional_image_link>',
+      )
+      expect(xml).not.toContain('<g:item_group_id>')
+    })
+
+    it('should render a CSV header from the item fields', () => {
+      const [header, row] = renderCsvFeed(items).trim().split('\n')
+      expect(header.split(',')).toContain('google_product_category')
+      expect(row.startsWith('BS-1,')).toBe(true)
+    })
+
+    it('should strip markup from descriptions', () => {
+      expect(toPlainText('<h1>Hi</h1>\n<p>there</p>')).toBe('Hi there')
+    })
+  })
+})
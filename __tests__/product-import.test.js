@@ -0,0 +1,188 @@
+/**
+ * Product Import Tests
+ * Tests for CSV parsing, header mapping and per-row validation
+ * Run with: npm test -- product-import.test.js
+ */
+
+import {
+  parseCsv,
+  rowsToRecords,
+  objectsToRecords,
+  mapImportRecord,
+  validateNewProduct,
+  detectImportFileType,
+  importProductRecords,
+} from '../utils/productImport.js'
+import { failInterruptedImportJobs } from '../models/importJobsTable.js'
+
+// Dry runs only look up existing products; each test decides what the lookup returns
+jest.mock('../database/db.js', () => ({
+  __esModule: true,
+  default: { query: (sql, params) => mockDatabaseQuery(sql, params) },
+}))
+
+let mockDatabaseQuery
+
+describe('Product Import', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted fields, escaped quotes and embedded newlines', () => {
+      const csv = 'name,description\r\n"Tee, red","Soft ""cotton""\nshirt"\r\n'
+      expect(parseCsv(csv)).toEqual([
+        ['name', 'description'],
+        ['Tee, red', 'Soft "cotton"\nshirt'],
+      ])
+    })
+
+    it('should detect semicolon delimiters and strip a BOM', () => {
+      expect(parseCsv('\uFEFFname;price\nMug;4,50')).toEqual([
+        ['name', 'price'],
+        ['Mug', '4,50'],
+      ])
+    })
+
+    it('should skip blank lines', () => {
+      expect(parseCsv('name\n\nMug\n\n')).toEqual([['name'], ['Mug']])
+    })
+  })
+
+  describe('rowsToRecords', () => {
+    it('should map header aliases and number rows from the spreadsheet line', () => {
+      const { records, unknownColumns } = rowsToRecords([
+        ['Title', 'Regular Price', 'Qty', 'Colour'],
+        ['Mug', '4.5', '10', 'Blue'],
+      ])
+      expect(records).toEqual([{ __row: 2, name: 'Mug', price: '4.5', stock: '10' }])
+      expect(unknownColumns).toEqual(['Colour'])
+    })
+
+    it('should map JSON product objects the same way', () => {
+      expect(objectsToRecords([{ name: 'Mug', 'Stock Quantity': 3 }])).toEqual([
+        { __row: 1, name: 'Mug', stock: 3 },
+      ])
+    })
+  })
+
+  describe('mapImportRecord', () => {
+    it('should coerce numbers, booleans, lists and images', () => {
+      const { data, errors } = mapImportRecord({
+        name: ' Mug ',
+        price: '1,200.50',
+        stock: '7',
+        featured: 'Yes',
+        tags: 'kitchen | gift',
+        images: 'https://cdn.example/a.jpg|https://cdn.example/b.jpg',
+      })
+      expect(errors).toEqual([])
+      expect(data).toEqual({
+        name: 'Mug',
+        price: 1200.5,
+        stock: 7,
+        featured: true,
+        tags: ['kitchen', 'gift'],
+        images: [
+          { url: 'https://cdn.example/a.jpg', public_id: null },
+          { url: 'https://cdn.example/b.jpg', public_id: null },
+        ],
+      })
+    })
+
+    it('should leave blank cells out so updates keep existing values', () => {
+      const { data } = mapImportRecord({ sku: 'MUG-1', price: '', description: '  ' })
+      expect(data).toEqual({ sku: 'MUG-1' })
+    })
+
+    it('should report every invalid cell', () => {
+      const { errors } = mapImportRecord({
+        price: 'abc',
+        stock: '-2',
+        featured: 'maybe',
+        images: 'not-a-url',
+      })
+      expect(errors).toEqual([
+        'price must be a non-negative number',
+        'stock cannot be less than 0',
+        'featured must be yes/no or true/false',
+        'images must be http(s) URLs (got "not-a-url")',
+      ])
+    })
+
+    it('should reject a sale price above the price', () => {
+      const { errors } = mapImportRecord({ price: '10', sale_price: '12' })
+      expect(errors).toContain('sale_price cannot be higher than price')
+    })
+
+    it('should reject prices that do not fit the column', () => {
+      const { errors } = mapImportRecord({ price: '100000' })
+      expect(errors).toEqual(['price cannot exceed 99999.99'])
+    })
+  })
+
+  describe('validateNewProduct', () => {
+    it('should require name and price for new products', () => {
+      expect(validateNewProduct({ sku: 'X' })).toEqual([
+        'name is required for new products',
+        'price is required for new products',
+      ])
+      expect(validateNewProduct({ name: 'Mug', price: 0 })).toEqual([])
+    })
+  })
+
+  describe('detectImportFileType', () => {
+    it('should recognise csv and xlsx uploads only', () => {
+      expect(detectImportFileType({ name: 'products.CSV' })).toBe('csv')
+      expect(detectImportFileType({ name: 'products.xlsx' })).toBe('xlsx')
+      expect(detectImportFileType({ name: 'products.xls' })).toBeNull()
+    })
+  })
+
+  describe('importProductRecords', () => {
+    const productId = '0b6f2a52-93f4-4c1e-9d0a-6f1f3c2b7a11'
+
+    beforeEach(() => {
+      mockDatabaseQuery = async (sql, [ids]) => ({
+        rows: ids.includes(productId)
+          ? [{ id: productId, sku: null, stock: 3, product_type: 'simple', price: '10.00' }]
+          : [],
+      })
+    })
+
+    it('should update a product without a SKU through its exported id', async () => {
+      const { summary, report } = await importProductRecords(
+        [{ __row: 2, id: productId.toUpperCase(), name: 'Mug', price: '12' }],
+        { dryRun: true },
+      )
+      expect(summary).toMatchObject({ created: 0, updated: 1, failed: 0 })
+      expect(report[0]).toMatchObject({ action: 'update', status: 'ok' })
+    })
+
+    it('should not create products for unknown or malformed ids', async () => {
+      const { summary, report } = await importProductRecords(
+        [
+          { __row: 2, id: '5d0c1b3e-0000-4000-8000-000000000000', name: 'Mug', price: '12' },
+          { __row: 3, id: 'a1', name: 'Cup', price: '8' },
+        ],
+        { dryRun: true },
+      )
+      expect(summary.failed).toBe(2)
+      expect(report[0].errors).toContain('No product with id 5d0c1b3e-0000-4000-8000-000000000000')
+      expect(report[1].errors).toContain('id must be a product id from an export')
+    })
+  })
+
+  describe('failInterruptedImportJobs', () => {
+    it('should only fail jobs whose heartbeat went stale, using the database clock', async () => {
+      const queries = []
+      mockDatabaseQuery = async (sql, params) => {
+        queries.push({ sql: sql.replace(/\s+/g, ' '), params })
+        return { rows: [], rowCount: 0 }
+      }
+
+      await failInterruptedImportJobs()
+
+      expect(queries[0].sql).toContain(
+        "COALESCE(heartbeat_at, created_at) < NOW() - ($1 || ' minutes')::INTERVAL",
+      )
+      expect(queries[0].params).toEqual(['5'])
+    })
+  })
+})
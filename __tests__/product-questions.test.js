@@ -0,0 +1,104 @@
+/**
+ * Product Q&A Tests
+ * Tests for question/answer validation, answer permissions and the answered email
+ * Run with: npm test -- product-questions.test.js
+ */
+
+import {
+  ANSWERS_PER_QUESTION,
+  QUESTION_MAX_LENGTH,
+  QUESTION_MIN_LENGTH,
+  canAnswerQuestion,
+  groupAnswersByQuestion,
+  initialAnswerStatus,
+  validateQaText,
+} from '../utils/productQuestions.js'
+import { generateQuestionAnsweredEmailTemplate } from '../utils/generateQuestionAnsweredEmailTemplate.js'
+
+const questionLimits = { label: 'Question', min: QUESTION_MIN_LENGTH, max: QUESTION_MAX_LENGTH }
+
+describe('Product Q&A', () => {
+  describe('validateQaText', () => {
+    it('should trim and collapse whitespace', () => {
+      expect(validateQaText('  Does it   fit\na 15" laptop? ', questionLimits)).toEqual({
+        text: 'Does it fit a 15" laptop?',
+      })
+    })
+
+    it('should reject text that is too short or too long', () => {
+      expect(validateQaText('Size?', questionLimits).error).toBe(
+        `Question must be at least ${QUESTION_MIN_LENGTH} characters`,
+      )
+      expect(validateQaText(undefined, questionLimits).error).toBeDefined()
+      expect(validateQaText('a'.repeat(QUESTION_MAX_LENGTH + 1), questionLimits).error).toBe(
+        `Question cannot exceed ${QUESTION_MAX_LENGTH} characters`,
+      )
+    })
+  })
+
+  describe('answer permissions', () => {
+    it('should let admins and verified buyers answer', () => {
+      expect(canAnswerQuestion({ isAdmin: true, verifiedPurchase: false })).toBe(true)
+      expect(canAnswerQuestion({ isAdmin: false, verifiedPurchase: true })).toBe(true)
+      expect(canAnswerQuestion({ isAdmin: false, verifiedPurchase: false })).toBe(false)
+    })
+
+    it('should publish admin answers right away and moderate buyer answers', () => {
+      expect(initialAnswerStatus({ isAdmin: true })).toBe('approved')
+      expect(initialAnswerStatus({ isAdmin: false })).toBe('pending')
+    })
+  })
+
+  describe('groupAnswersByQuestion', () => {
+    const questions = [{ id: 'q1' }, { id: 'q2' }]
+    const answer = (id, overrides) => ({
+      id,
+      question_id: 'q1',
+      is_admin_answer: false,
+      upvotes: 0,
+      created_at: '2026-01-01T00:00:00Z',
+      ...overrides,
+    })
+
+    it('should put admin answers first, then the most upvoted', () => {
+      const [first, second] = groupAnswersByQuestion(questions, [
+        answer('a1', { upvotes: 2 }),
+        answer('a2', { upvotes: 9 }),
+        answer('a3', { is_admin_answer: true }),
+      ])
+
+      expect(first.answers.map((a) => a.id)).toEqual(['a3', 'a2', 'a1'])
+      expect(first.answers[0]).not.toHaveProperty('question_id')
+      expect(second.answers).toEqual([])
+    })
+
+    it('should keep a limited number of answers per question', () => {
+      const answers = Array.from({ length: ANSWERS_PER_QUESTION + 2 }, (_, i) => answer(`a${i}`))
+
+      expect(groupAnswersByQuestion(questions, answers)[0].answers).toHaveLength(
+        ANSWERS_PER_QUESTION,
+      )
+      expect(groupAnswersByQuestion(questions, answers, Infinity)[0].answers).toHaveLength(
+        answers.length,
+      )
+    })
+  })
+
+  describe('generateQuestionAnsweredEmailTemplate', () => {
+    it('should include the question, answer and product link with text escaped', () => {
+      const html = generateQuestionAnsweredEmailTemplate({
+        askerName: 'Sam',
+        productName: 'Trail Backpack',
+        question: 'Is it <b>waterproof</b>?',
+        answer: 'Yes & it has a rain cover',
+        productUrl: 'https://shop.test/product/1',
+      })
+
+      expect(html).toContain('Dear Sam,')
+      expect(html).toContain('Trail Backpack')
+      expect(html).toContain('Is it &lt;b&gt;waterproof&lt;/b&gt;?')
+      expect(html).toContain('Yes &amp; it has a rain cover')
+      expect(html).toContain('href="https://shop.test/product/1"')
+    })
+  })
+})
@@ -0,0 +1,103 @@
+/**
+ * Product Search Tests
+ * Tests for transliteration skeletons, prefix queries and the text search SQL builder
+ * Run with: npm test -- product-search.test.js
+ */
+
+import {
+  BANGLA_TO_LATIN,
+  buildPrefixTsQuery,
+  buildSkeletonFunctionSql,
+  buildTextSearch,
+  toSearchSkeleton,
+} from '../utils/productSearch.js'
+import { buildSearchFilters } from '../utils/searchFacets.js'
+
+describe('Product Search', () => {
+  describe('toSearchSkeleton', () => {
+    it('should give Bangla and romanized spellings the same skeleton', () => {
+      const pairs = [
+        ['শাড়ি', 'Saree'],
+        ['শাড়ি', 'sari'],
+        ['পাঞ্জাবি', 'Panjabi'],
+        ['লুঙ্গি', 'Lungi'],
+        ['বিরিয়ানি', 'Biryani'],
+      ]
+      for (const [bangla, latin] of pairs) {
+        expect(toSearchSkeleton(bangla)).toBe(toSearchSkeleton(latin))
+      }
+    })
+
+    it('should handle decomposed nukta letters like the composed ones', () => {
+      expect(toSearchSkeleton('\u09B6\u09BE\u09A1\u09BC\u09BF')).toBe(
+        toSearchSkeleton('\u09B6\u09BE\u09DC\u09BF'),
+      )
+    })
+
+    it('should keep word boundaries and digits', () => {
+      expect(toSearchSkeleton('Red Saree, 32GB!')).toBe('rd sr 32gb')
+      expect(toSearchSkeleton('৩২ জিবি')).toBe('32 jb')
+      expect(toSearchSkeleton('')).toBe('')
+    })
+  })
+
+  describe('buildPrefixTsQuery', () => {
+    it('should prefix every word and drop punctuation', () => {
+      expect(buildPrefixTsQuery("Men's  red sar")).toBe('men:* & s:* & red:* & sar:*')
+      expect(buildPrefixTsQuery('শাড়ি')).toBe('শাড়ি:*')
+      expect(buildPrefixTsQuery('!!!')).toBe('')
+    })
+  })
+
+  describe('buildSkeletonFunctionSql', () => {
+    it('should compile the same letter map into the SQL function', () => {
+      const sql = buildSkeletonFunctionSql()
+      expect(sql).toContain('CREATE OR REPLACE FUNCTION search_skeleton')
+      expect(sql).toContain(JSON.stringify(BANGLA_TO_LATIN))
+      expect(sql).toContain("'([a-z])\\1+', '\\1'")
+    })
+  })
+
+  describe('buildTextSearch', () => {
+    it('should combine full-text, fuzzy and transliterated matches', () => {
+      const values = ['existing']
+      const { condition, rank, headline } = buildTextSearch(' saree ', values)
+
+      expect(values).toEqual(['existing', 'saree', 'saree:*', 'sr'])
+      expect(condition).toContain('p.search_vector @@ to_tsquery')
+      expect(condition).toContain('word_similarity($2, p.name)')
+      expect(condition).toContain('p.search_skeleton')
+      expect(rank).toContain('ts_rank')
+      expect(headline).toContain('<mark>')
+    })
+
+    it('should skip the full-text part when the query has no words', () => {
+      const values = []
+      const { condition, headline } = buildTextSearch('%%', values)
+
+      expect(values).toEqual(['%%'])
+      expect(condition).not.toContain('search_vector')
+      expect(headline).toContain("'&#39;') AS highlighted_name")
+      expect(headline).not.toContain('p.name AS highlighted_name')
+    })
+
+    it('should escape product text before highlighting it', () => {
+      const { headline } = buildTextSearch('saree', [])
+      const [name, snippet] = headline.split('AS highlighted_name')
+
+      for (const sql of [name, snippet]) {
+        expect(sql).toContain("'<', '&lt;'")
+        expect(sql).toContain("'>', '&gt;'")
+        expect(sql).toContain("'&', '&amp;'")
+      }
+      // Escaping wraps the text, and highlighting wraps the escaped text
+      expect(name).toMatch(/ts_headline\('simple', replace\(/)
+      expect(snippet).toMatch(/ts_headline\('simple', replace\(/)
+    })
+
+    it('should expose rank and headline through the search filters', () => {
+      expect(buildSearchFilters({ query: 'saree' }).rank).toContain('ts_rank')
+      expect(buildSearchFilters({ category: 'Sarees' }).rank).toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Product Variants Tests
+ * Tests for variant parsing, normalization and unit price resolution
+ * Run with: npm test -- product-variants.test.js
+ */
+
+import {
+  parseJsonField,
+  normalizeVariant,
+  getVariantUnitPrice,
+  mergeVariantUpdate,
+} from '../models/productVariantsTable.js'
+
+describe('Product Variants', () => {
+  describe('parseJsonField', () => {
+    it('should parse JSON strings sent as form data', () => {
+      expect(parseJsonField('[{"name":"Size","values":["S","M"]}]', [])).toEqual([
+        { name: 'Size', values: ['S', 'M'] },
+      ])
+    })
+
+    it('should return arrays and objects unchanged', () => {
+      const variants = [{ sku: 'TS-RED-M' }]
+      expect(parseJsonField(variants, [])).toBe(variants)
+    })
+
+    it('should return the fallback for empty or invalid input', () => {
+      expect(parseJsonField(undefined, [])).toEqual([])
+      expect(parseJsonField('', {})).toEqual({})
+      expect(parseJsonField('{not json', [])).toEqual([])
+    })
+  })
+
+  describe('normalizeVariant', () => {
+    it('should convert DECIMAL strings and parse JSON columns', () => {
+      const variant = normalizeVariant({
+        id: 'v1',
+        price: '499.00',
+        sale_price: null,
+        stock: '7',
+        options: '{"Size":"M","Color":"Red"}',
+        images: '[]',
+      })
+
+      expect(variant.price).toBe(499)
+      expect(variant.sale_price).toBeNull()
+      expect(variant.stock).toBe(7)
+      expect(variant.options).toEqual({ Size: 'M', Color: 'Red' })
+      expect(variant.images).toEqual([])
+    })
+
+    it('should pass through missing rows', () => {
+      expect(normalizeVariant(undefined)).toBeUndefined()
+    })
+  })
+
+  describe('mergeVariantUpdate', () => {
+    const existing = {
+      id: 'v1',
+      sku: 'TS-RED-M',
+      price: 550,
+      stock: 7,
+      options: { Size: 'M', Color: 'Red' },
+      images: ['red.jpg'],
+    }
+
+    it('should keep stored fields a partial update does not send', () => {
+      expect(mergeVariantUpdate(existing, { price: '600' })).toEqual({ ...existing, price: '600' })
+    })
+
+    it('should replace options and images sent as form data', () => {
+      const merged = mergeVariantUpdate(existing, { options: '{"Size":"L","Color":"Red"}' })
+      expect(merged.options).toEqual({ Size: 'L', Color: 'Red' })
+      expect(merged.images).toEqual(['red.jpg'])
+    })
+
+    it('should default options and images for a new variant', () => {
+      expect(mergeVariantUpdate(null, { sku: 'TS-BLUE-S', stock: 3 })).toEqual({
+        sku: 'TS-BLUE-S',
+        stock: 3,
+        options: {},
+        images: [],
+      })
+    })
+  })
+
+  describe('getVariantUnitPrice', () => {
+    const product = { price: '500.00' }
+
+    it('should prefer the variant sale price', () => {
+      expect(getVariantUnitPrice({ price: 550, sale_price: 450 }, product)).toBe(450)
+    })
+
+    it('should use the variant price when there is no sale price', () => {
+      expect(getVariantUnitPrice({ price: 550, sale_price: null }, product)).toBe(550)
+    })
+
+    it('should fall back to the parent product price', () => {
+      expect(getVariantUnitPrice({ price: null, sale_price: null }, product)).toBe(500)
+    })
+  })
+})
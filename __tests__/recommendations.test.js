@@ -0,0 +1,112 @@
+/**
+ * Recommendation Engine Tests
+ * Tests for shopper vectors, item similarity, bought-together counts and pair selection
+ * Run with: npm test -- recommendations.test.js
+ */
+
+import {
+  buildShopperVectors,
+  computeBoughtTogether,
+  computeItemSimilarities,
+  selectRecommendationPairs,
+} from '../utils/recommendations.js'
+
+describe('Recommendation Engine', () => {
+  describe('buildShopperVectors', () => {
+    it('should keep the strongest signal per product', () => {
+      const vectors = buildShopperVectors([
+        { user_id: 'u1', product_id: 'a', source: 'wishlist' },
+        { user_id: 'u1', product_id: 'a', source: 'order' },
+        { user_id: 'u1', product_id: 'b', source: 'cart' },
+        { user_id: 'u2', product_id: 'a', source: 'unknown' },
+      ])
+
+      expect(vectors.get('u1')).toEqual(
+        new Map([
+          ['a', 3],
+          ['b', 2],
+        ]),
+      )
+      expect(vectors.has('u2')).toBe(false)
+    })
+  })
+
+  describe('computeItemSimilarities', () => {
+    it('should score products shared by the same shoppers', () => {
+      const vectors = new Map([
+        [
+          'u1',
+          new Map([
+            ['a', 1],
+            ['b', 1],
+          ]),
+        ],
+        [
+          'u2',
+          new Map([
+            ['a', 1],
+            ['b', 1],
+            ['c', 1],
+          ]),
+        ],
+      ])
+      const similarities = computeItemSimilarities(vectors)
+
+      expect(similarities.get('a').get('b')).toBeCloseTo(1)
+      expect(similarities.get('b').get('a')).toBeCloseTo(1)
+      expect(similarities.get('a').get('c')).toBeCloseTo(1 / Math.sqrt(2))
+      expect(similarities.get('c').get('a')).toBeCloseTo(1 / Math.sqrt(2))
+    })
+
+    it('should not relate products no shopper has in common', () => {
+      const similarities = computeItemSimilarities(
+        new Map([
+          ['u1', new Map([['a', 3]])],
+          ['u2', new Map([['b', 3]])],
+        ]),
+      )
+
+      expect(similarities.size).toBe(0)
+    })
+  })
+
+  describe('computeBoughtTogether', () => {
+    it('should count orders containing both products', () => {
+      const together = computeBoughtTogether([
+        { order_id: 'o1', product_id: 'a' },
+        { order_id: 'o1', product_id: 'b' },
+        { order_id: 'o2', product_id: 'a' },
+        { order_id: 'o2', product_id: 'b' },
+        { order_id: 'o2', product_id: 'c' },
+        { order_id: 'o3', product_id: 'c' },
+      ])
+
+      expect(together.get('a').get('b')).toBe(2)
+      expect(together.get('b').get('c')).toBe(1)
+      expect(together.get('c').has('c')).toBe(false)
+    })
+  })
+
+  describe('selectRecommendationPairs', () => {
+    it('should merge top similar and bought-together products per product', () => {
+      const similarities = new Map([
+        [
+          'a',
+          new Map([
+            ['b', 0.9],
+            ['c', 0.5],
+            ['d', 0.1],
+          ]),
+        ],
+      ])
+      const together = new Map([['a', new Map([['e', 4]])]])
+      const pairs = selectRecommendationPairs(similarities, together, 2)
+
+      expect(pairs).toEqual([
+        { productId: 'a', relatedProductId: 'b', similarity: 0.9, boughtTogether: 0 },
+        { productId: 'a', relatedProductId: 'c', similarity: 0.5, boughtTogether: 0 },
+        { productId: 'a', relatedProductId: 'e', similarity: 0, boughtTogether: 4 },
+      ])
+    })
+  })
+})
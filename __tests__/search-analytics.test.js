@@ -0,0 +1,114 @@
+/**
+ * Search Analytics Tests
+ * Tests for query normalization, synonym expansion, redirects and click-through summaries
+ * Run with: npm test -- search-analytics.test.js
+ */
+
+import {
+  buildSynonymMap,
+  expandSearchTerms,
+  findSearchRedirect,
+  isValidRedirectUrl,
+  normalizeSearchQuery,
+  summarizeClickThrough,
+} from '../utils/searchSynonyms.js'
+import { buildPrefixTsQuery, buildTextSearch } from '../utils/productSearch.js'
+
+const rules = [
+  { term: 'Mobile', type: 'synonym', synonyms: ['smartphone', 'cell phone'], is_active: true },
+  { term: 'tv', type: 'synonym', synonyms: ['television'], is_active: false },
+  { term: 'mobile cover', type: 'synonym', synonyms: ['phone case'], is_active: true },
+  { term: 'sale', type: 'redirect', redirect_url: '/promotions', is_active: true },
+  { term: 'clearance', type: 'redirect', redirect_url: '/outlet', is_active: false },
+]
+
+describe('Search Analytics', () => {
+  describe('normalizeSearchQuery', () => {
+    it('should lowercase, drop punctuation and collapse spaces', () => {
+      expect(normalizeSearchQuery('  Red   SAREE!! ')).toBe('red saree')
+      expect(normalizeSearchQuery("Men's")).toBe('men s')
+      expect(normalizeSearchQuery('শাড়ি')).toBe('শাড়ি')
+      expect(normalizeSearchQuery(null)).toBe('')
+    })
+  })
+
+  describe('buildSynonymMap', () => {
+    it('should keep only active synonym rules', () => {
+      const synonyms = buildSynonymMap(rules)
+
+      expect(synonyms.get('mobile')).toEqual(['smartphone', 'cell phone'])
+      expect(synonyms.get('mobile cover')).toEqual(['phone case'])
+      expect(synonyms.has('tv')).toBe(false)
+      expect(synonyms.has('sale')).toBe(false)
+    })
+  })
+
+  describe('findSearchRedirect', () => {
+    it('should redirect only exact matches of active redirect rules', () => {
+      expect(findSearchRedirect(' SALE ', rules)).toBe('/promotions')
+      expect(findSearchRedirect('sale shoes', rules)).toBeNull()
+      expect(findSearchRedirect('clearance', rules)).toBeNull()
+      expect(findSearchRedirect('mobile', rules)).toBeNull()
+    })
+  })
+
+  describe('isValidRedirectUrl', () => {
+    it('should accept storefront paths and http(s) URLs', () => {
+      expect(isValidRedirectUrl('/promotions')).toBe(true)
+      expect(isValidRedirectUrl('https://example.com/sale')).toBe(true)
+      expect(isValidRedirectUrl('//evil.com')).toBe(false)
+      expect(isValidRedirectUrl('javascript:alert(1)')).toBe(false)
+      expect(isValidRedirectUrl('')).toBe(false)
+    })
+  })
+
+  describe('expandSearchTerms', () => {
+    it('should prefer the longest phrase with synonyms', () => {
+      const synonyms = buildSynonymMap(rules)
+
+      expect(expandSearchTerms(['mobile', 'cover', 'red'], synonyms)).toEqual([
+        [
+          ['mobile', 'cover'],
+          ['phone', 'case'],
+        ],
+        [['red']],
+      ])
+      expect(expandSearchTerms(['mobile'], synonyms)).toEqual([
+        [['mobile'], ['smartphone'], ['cell', 'phone']],
+      ])
+    })
+  })
+
+  describe('buildPrefixTsQuery with synonyms', () => {
+    it('should OR a term with its synonyms', () => {
+      const synonyms = buildSynonymMap(rules)
+
+      expect(buildPrefixTsQuery('mobile', synonyms)).toBe(
+        '(mobile:* | smartphone:* | (cell:* & phone:*))',
+      )
+      expect(buildPrefixTsQuery('Mobile Cover', synonyms)).toBe(
+        '((mobile:* & cover:*) | (phone:* & case:*))',
+      )
+      expect(buildPrefixTsQuery('red saree', synonyms)).toBe('red:* & saree:*')
+    })
+
+    it('should use synonyms in the text search condition', () => {
+      const values = []
+      buildTextSearch('mobile', values, { synonyms: buildSynonymMap(rules) })
+
+      expect(values[1]).toBe('(mobile:* | smartphone:* | (cell:* & phone:*))')
+    })
+  })
+
+  describe('summarizeClickThrough', () => {
+    it('should add up daily rows into an overall rate', () => {
+      expect(
+        summarizeClickThrough([
+          { searches: 10, clicked_searches: 3 },
+          { searches: '5', clicked_searches: '2' },
+        ]),
+      ).toEqual({ searches: 15, clicked_searches: 5, ctr: 0.3333 })
+      expect(summarizeClickThrough([])).toEqual({ searches: 0, clicked_searches: 0, ctr: 0 })
+    })
+  })
+})
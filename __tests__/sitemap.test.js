@@ -0,0 +1,198 @@
+/**
+ * Sitemap Tests
+ * Tests for sitemap / sitemap index rendering, splitting and robots.txt
+ * Run with: npm test -- sitemap.test.js
+ */
+
+import {
+  buildRobotsTxt,
+  categoryPath,
+  clearSitemapCache,
+  formatLastmod,
+  paginateSections,
+  productPath,
+  renderSitemapIndex,
+  renderUrlset,
+} from '../utils/sitemap.js'
+import { getSitemap } from '../controllers/sitemapController.js'
+
+// getSitemap loads products, categories and pages through the pool; each test decides the rows
+jest.mock('../database/db.js', () => ({
+  __esModule: true,
+  default: { query: (sql, params) => mockDatabaseQuery(sql, params) },
+}))
+
+let mockDatabaseQuery
+
+// Runs a handler and resolves with what it sent or passed to next()
+const runHandler = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value
+      },
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      send(body) {
+        resolve({ status: this.statusCode, body })
+      },
+    }
+    handler(req, res, (error) => resolve({ error }))
+  })
+
+describe('Sitemap', () => {
+  describe('paths', () => {
+    it('should prefer product and category slugs', () => {
+      expect(productPath({ id: 'p1', slug: 'cotton-bedsheet' })).toBe('/product/cotton-bedsheet')
+      expect(productPath({ id: 'p1', slug: null })).toBe('/product/p1')
+      expect(categoryPath({ id: 'c1', slug: 'bed-and-bath' })).toBe('/category/bed-and-bath')
+      expect(categoryPath({ id: 'c1', slug: null })).toBe('/category/c1')
+    })
+  })
+
+  describe('rendering', () => {
+    it('should escape locations and format lastmod', () => {
+      const xml = renderUrlset([
+        {
+          loc: 'https://shop.example/products?category=A&subcategory=b',
+          lastmod: '2024-05-01T10:00:00Z',
+        },
+        { loc: 'https://shop.example/pages/about', lastmod: null },
+      ])
+      expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">')
+      expect(xml).toContain('<loc>https://shop.example/products?category=A&amp;subcategory=b</loc>')
+      expect(xml).toContain('<lastmod>2024-05-01T10:00:00.000Z</lastmod>')
+      expect(xml.match(/<lastmod>/g)).toHaveLength(1)
+    })
+
+    it('should render a sitemap index', () => {
+      const xml = renderSitemapIndex([
+        { loc: 'https://api.example/sitemaps/products-1.xml', lastmod: new Date('2024-01-02') },
+      ])
+      expect(xml).toContain('<sitemapindex')
+      expect(xml).toContain('<loc>https://api.example/sitemaps/products-1.xml</loc>')
+    })
+
+    it('should ignore invalid dates', () => {
+      expect(formatLastmod('not a date')).toBeNull()
+      expect(formatLastmod(null)).toBeNull()
+    })
+  })
+
+  describe('paginateSections', () => {
+    it('should split sections into numbered files with the latest lastmod', () => {
+      const products = [
+        { loc: 'a', lastmod: '2024-01-01' },
+        { loc: 'b', lastmod: '2024-03-01' },
+        { loc: 'c', lastmod: '2024-02-01' },
+      ]
+      const files = paginateSections({ products, categories: [], pages: [{ loc: 'd' }] }, 2)
+
+      expect(files.map((file) => [file.section, file.page, file.entries.length])).toEqual([
+        ['products', 1, 2],
+        ['products', 2, 1],
+        ['pages', 1, 1],
+      ])
+      expect(files[0].lastmod.toISOString()).toBe('2024-03-01T00:00:00.000Z')
+      expect(files[2].lastmod).toBeNull()
+    })
+  })
+
+  describe('buildRobotsTxt', () => {
+    const sitemapUrl = 'https://api.example/sitemap.xml'
+
+    it('should use a default and append the sitemap line', () => {
+      expect(buildRobotsTxt({ robotsTxt: null, sitemapUrl })).toBe(
+        'User-agent: *\nDisallow: /api/\n\nSitemap: https://api.example/sitemap.xml\n',
+      )
+    })
+
+    it('should keep admin text and an existing sitemap line', () => {
+      const robotsTxt = 'User-agent: *\r\nDisallow: /cart\r\nsitemap: https://cdn.example/s.xml'
+      expect(buildRobotsTxt({ robotsTxt, sitemapUrl })).toBe(
+        'User-agent: *\nDisallow: /cart\nsitemap: https://cdn.example/s.xml\n',
+      )
+    })
+
+    it('should leave out the sitemap line when sitemaps are disabled', () => {
+      expect(
+        buildRobotsTxt({ robotsTxt: 'User-agent: *', sitemapEnabled: false, sitemapUrl }),
+      ).toBe('User-agent: *\n')
+    })
+  })
+
+  describe('getSitemap', () => {
+    const req = { protocol: 'https', get: () => 'shop.example' }
+    const frontendUrl = process.env.FRONTEND_URL
+
+    beforeEach(() => {
+      clearSitemapCache()
+      delete process.env.FRONTEND_URL
+      mockDatabaseQuery = async (sql) => {
+        if (sql.includes('FROM seo_settings')) {
+          throw new Error('relation "seo_settings" does not exist')
+        }
+        if (sql.includes('FROM products') && sql.includes('ORDER BY created_at')) {
+          return { rows: [{ id: 'p1', slug: 'lamp', lastmod: null }] }
+        }
+        if (sql.includes('FROM pages')) return { rows: [{ slug: 'about', lastmod: null }] }
+        return { rows: [] }
+      }
+    })
+
+    afterAll(() => {
+      if (frontendUrl === undefined) delete process.env.FRONTEND_URL
+      else process.env.FRONTEND_URL = frontendUrl
+    })
+
+    it('should serve one urlset for a small catalog even without SEO settings', async () => {
+      const { status, body } = await runHandler(getSitemap, req)
+      expect(status).toBe(200)
+      expect(body).toContain('<urlset')
+      expect(body).not.toContain('<sitemapindex')
+      expect(body).toContain('<loc>https://shop.example/product/lamp</loc>')
+      expect(body).toContain('<loc>https://shop.example/pages/about</loc>')
+    })
+
+    it('should list the category tree by slug, leaving out inactive branches', async () => {
+      const categories = [
+        { id: 'c1', parent_id: null, slug: 'home', is_active: true, updated_at: '2024-01-01' },
+        { id: 'c2', parent_id: 'c1', slug: 'bedding', is_active: true, updated_at: '2024-01-01' },
+        { id: 'c3', parent_id: 'c2', slug: 'king-size', is_active: true, updated_at: null },
+        { id: 'c4', parent_id: null, slug: 'archive', is_active: false, updated_at: null },
+        { id: 'c5', parent_id: 'c4', slug: 'old-stock', is_active: true, updated_at: null },
+      ]
+      const products = mockDatabaseQuery
+      mockDatabaseQuery = async (sql, params) => {
+        if (sql.includes('FROM categories c')) return { rows: categories }
+        if (sql.includes('GROUP BY category_id')) {
+          return { rows: [{ category_id: 'c3', lastmod: '2024-06-01T00:00:00Z' }] }
+        }
+        return products(sql, params)
+      }
+
+      const { body } = await runHandler(getSitemap, req)
+      const locs = [...body.matchAll(/<loc>https:\/\/shop\.example\/category\/([^<]+)<\/loc>/g)]
+      expect(locs.map((match) => match[1])).toEqual(['home', 'bedding', 'king-size'])
+      // A product two levels down dates every category above it
+      expect(body).toContain(
+        '<loc>https://shop.example/category/home</loc>\n    <lastmod>2024-06-01T00:00:00.000Z</lastmod>',
+      )
+    })
+
+    it('should build locations from FRONTEND_URL when it is set', async () => {
+      process.env.FRONTEND_URL = 'https://store.example/'
+      const { body } = await runHandler(getSitemap, req)
+      expect(body).toContain('<loc>https://store.example/product/lamp</loc>')
+    })
+
+    it('should fail when FRONTEND_URL is not an absolute URL', async () => {
+      process.env.FRONTEND_URL = 'store.example'
+      const { error } = await runHandler(getSitemap, req)
+      expect(error.message).toMatch(/absolute storefront URL/)
+    })
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Stock Alerts Tests
+ * Tests for low stock threshold checks and back-in-stock email content
+ * Run with: npm test -- stock-alerts.test.js
+ */
+
+import { isLowStock, formatVariantLabel } from '../utils/stockAlerts.js'
+import { generateBackInStockEmailTemplate } from '../utils/generateBackInStockEmailTemplate.js'
+
+describe('Stock Alerts', () => {
+  describe('isLowStock', () => {
+    it('should flag stock at or below the threshold', () => {
+      expect(isLowStock(10, 10)).toBe(true)
+      expect(isLowStock(3, 10)).toBe(true)
+      expect(isLowStock(11, 10)).toBe(false)
+    })
+
+    it('should treat a zero threshold as sold out only', () => {
+      expect(isLowStock(0, 0)).toBe(true)
+      expect(isLowStock(1, 0)).toBe(false)
+    })
+
+    it('should fall back to zero for missing or invalid thresholds', () => {
+      expect(isLowStock(0, null)).toBe(true)
+      expect(isLowStock(2, undefined)).toBe(false)
+      expect(isLowStock(2, -5)).toBe(false)
+    })
+
+    it('should accept numeric strings from the database driver', () => {
+      expect(isLowStock('4', '5')).toBe(true)
+    })
+  })
+
+  describe('formatVariantLabel', () => {
+    it('should join option names and values', () => {
+      expect(formatVariantLabel({ Size: 'M', Color: 'Red' })).toBe('Size: M, Color: Red')
+    })
+
+    it('should parse JSON strings and ignore empty options', () => {
+      expect(formatVariantLabel('{"Size":"L"}')).toBe('Size: L')
+      expect(formatVariantLabel(null)).toBe('')
+    })
+  })
+
+  describe('generateBackInStockEmailTemplate', () => {
+    it('should include the product, variant and link', () => {
+      const html = generateBackInStockEmailTemplate({
+        productName: 'Cotton Tee',
+        variantLabel: 'Size: M',
+        productUrl: 'https://shop.example/product/123',
+      })
+      expect(html).toContain('Cotton Tee (Size: M)')
+      expect(html).toContain('href="https://shop.example/product/123"')
+    })
+
+    it('should omit the variant when there is none', () => {
+      const html = generateBackInStockEmailTemplate({
+        productName: 'Cotton Tee',
+        variantLabel: '',
+        productUrl: '/product/123',
+      })
+      expect(html).toContain('Cotton Tee</strong>')
+    })
+  })
+})
@@ -0,0 +1,325 @@
+/**
+ * Stock Ledger Tests
+ * Tests for stock movements, admin adjustments and ledger vs. stock reconciliation
+ * Run with: npm test -- stock-ledger.test.js
+ */
+
+import { adjustStock, recordMovement, recordStockDelta } from '../utils/stockManager.js'
+import { createStockMovementsTable, getStockReconciliation } from '../models/stockMovementsTable.js'
+import { createStockAdjustment } from '../controllers/inventoryController.js'
+import { deleteProductVariant } from '../controllers/productController.js'
+
+// Model functions query the pool directly; each test decides what it answers
+jest.mock('../database/db.js', () => ({
+  __esModule: true,
+  default: {
+    query: (sql, params) => mockDatabaseQuery(sql, params),
+    connect: async () => ({
+      query: (sql, params) => mockDatabaseQuery(sql, params),
+      release: () => {},
+    }),
+  },
+}))
+
+let mockDatabaseQuery
+let db
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim()
+
+// A client over one product held at two warehouses (main is the default location)
+const fakeClient = () => ({
+  queries: [],
+  async query(rawSql, params = []) {
+    const sql = normalize(rawSql)
+    this.queries.push(sql)
+    const result = (rows) => ({ rows, rowCount: rows.length })
+
+    if (sql.includes('FROM product_bundle_items')) return result([])
+    if (sql.startsWith('UPDATE products SET stock = stock + $1')) {
+      if (db.stock + params[0] < 0) return result([])
+      db.stock += params[0]
+      return result([{ id: params[1], stock: db.stock }])
+    }
+    if (sql.startsWith('SELECT il.id, il.warehouse_id, il.quantity')) {
+      return result(db.levels.filter((level) => level.quantity > 0).map((level) => ({ ...level })))
+    }
+    if (sql.startsWith('SELECT il.warehouse_id')) return result(db.levels.slice(0, 1))
+    if (sql.startsWith('UPDATE inventory_levels SET quantity = quantity - $1')) {
+      db.levels.find((level) => level.id === params[1]).quantity -= params[0]
+      return result([])
+    }
+    if (sql.startsWith('UPDATE inventory_levels SET quantity = quantity + $1')) {
+      const level = db.levels.find((row) => row.warehouse_id === params[1])
+      if (!level || (sql.includes('>= 0') && level.quantity + params[0] < 0)) return result([])
+      level.quantity += params[0]
+      return result([{ quantity: level.quantity }])
+    }
+    if (sql.startsWith('INSERT INTO stock_movements')) {
+      const movement = {
+        product_id: params[0],
+        variant_id: params[1],
+        warehouse_id: params[2],
+        quantity_change: params[3],
+        balance_after: params[4],
+        reason: params[5],
+        reference_type: params[6],
+        reference_id: params[7],
+        note: params[8],
+        created_by: params[9],
+      }
+      db.movements.push(movement)
+      return result([movement])
+    }
+    throw new Error(`Unexpected query: ${sql}`)
+  },
+})
+
+beforeEach(() => {
+  db = {
+    stock: 10,
+    levels: [
+      { id: 'l1', warehouse_id: 'main', quantity: 6 },
+      { id: 'l2', warehouse_id: 'east', quantity: 4 },
+    ],
+    movements: [],
+  }
+  mockDatabaseQuery = async () => ({ rows: [] })
+})
+
+describe('Stock Ledger', () => {
+  describe('recordMovement', () => {
+    it('should append a ledger row with its reference', async () => {
+      const client = fakeClient()
+      const row = await recordMovement(
+        {
+          productId: 'p1',
+          change: -2,
+          balanceAfter: 8,
+          reason: 'sale',
+          referenceType: 'order',
+          referenceId: 42,
+        },
+        client,
+      )
+      expect(row).toMatchObject({
+        product_id: 'p1',
+        variant_id: null,
+        warehouse_id: null,
+        quantity_change: -2,
+        balance_after: 8,
+        reason: 'sale',
+        reference_id: '42',
+      })
+    })
+
+    it('should skip changes of zero', async () => {
+      const client = fakeClient()
+      expect(await recordMovement({ productId: 'p1', change: 0, reason: 'sale' }, client)).toBe(
+        null,
+      )
+      expect(client.queries).toEqual([])
+    })
+
+    it('should record the difference between two totals', async () => {
+      const client = fakeClient()
+      await recordStockDelta({ productId: 'p1', previous: '7', current: 12 }, client)
+      expect(db.movements[0]).toMatchObject({
+        quantity_change: 5,
+        balance_after: 12,
+        reason: 'manual_correction',
+      })
+    })
+  })
+
+  describe('adjustStock', () => {
+    it('should put restocked units into the given warehouse', async () => {
+      const stock = await adjustStock(
+        { productId: 'p1', warehouseId: 'east', change: 5, reason: 'restock', createdBy: 'admin' },
+        fakeClient(),
+      )
+      expect(stock).toBe(15)
+      expect(db.levels[1].quantity).toBe(9)
+      expect(db.movements).toEqual([
+        expect.objectContaining({
+          warehouse_id: 'east',
+          quantity_change: 5,
+          balance_after: 15,
+          reason: 'restock',
+          created_by: 'admin',
+        }),
+      ])
+    })
+
+    it('should take damaged units from locations in priority order', async () => {
+      const stock = await adjustStock(
+        { productId: 'p1', change: -8, reason: 'damage' },
+        fakeClient(),
+      )
+      expect(stock).toBe(2)
+      expect(db.movements.map((row) => [row.warehouse_id, row.quantity_change])).toEqual([
+        ['main', -6],
+        ['east', -2],
+      ])
+    })
+
+    it('should take units out of one warehouse only when it holds them', async () => {
+      await expect(
+        adjustStock(
+          { productId: 'p1', warehouseId: 'east', change: -5, reason: 'damage' },
+          fakeClient(),
+        ),
+      ).rejects.toMatchObject({ statusCode: 400 })
+      expect(db.stock).toBe(10)
+      expect(db.movements).toEqual([])
+
+      expect(
+        await adjustStock(
+          { productId: 'p1', warehouseId: 'east', change: -4, reason: 'damage' },
+          fakeClient(),
+        ),
+      ).toBe(6)
+      expect(db.movements[0]).toMatchObject({ warehouse_id: 'east', quantity_change: -4 })
+    })
+
+    it('should refuse to take stock below zero', async () => {
+      await expect(
+        adjustStock({ productId: 'p1', change: -11, reason: 'damage' }, fakeClient()),
+      ).rejects.toMatchObject({ statusCode: 400 })
+      expect(db.movements).toEqual([])
+    })
+  })
+
+  describe('createStockAdjustment', () => {
+    const post = async (body) => {
+      const next = jest.fn()
+      await createStockAdjustment({ params: { productId: 'p1' }, body }, {}, next)
+      return next.mock.calls[0]?.[0]
+    }
+
+    it('should reject a missing or zero quantity_change', async () => {
+      expect((await post({ quantity_change: 0, reason: 'restock' })).statusCode).toBe(400)
+      expect((await post({ quantity_change: 'abc', reason: 'restock' })).statusCode).toBe(400)
+    })
+
+    it('should only accept adjustment reasons', async () => {
+      const error = await post({ quantity_change: -1, reason: 'sale' })
+      expect(error.statusCode).toBe(400)
+      expect(error.message).toMatch(/reason must be one of/)
+    })
+
+    it('should reject damage that adds stock and restocks that remove it', async () => {
+      expect((await post({ quantity_change: 3, reason: 'damage' })).message).toMatch(
+        /cannot be positive/,
+      )
+      expect((await post({ quantity_change: -3, reason: 'restock' })).message).toMatch(
+        /cannot be negative/,
+      )
+    })
+  })
+
+  describe('deleteProductVariant', () => {
+    it('should book the units left on a deleted variant out of the ledger first', async () => {
+      const queries = []
+      mockDatabaseQuery = async (rawSql, params) => {
+        const sql = normalize(rawSql)
+        queries.push({ sql, params })
+        if (sql.startsWith('SELECT id, stock FROM product_variants')) {
+          return { rows: [{ id: 'v1', stock: 4 }] }
+        }
+        if (sql.startsWith('DELETE FROM product_variants')) {
+          return { rows: [{ id: 'v1', product_id: 'p1', stock: 4 }] }
+        }
+        return { rows: [] }
+      }
+
+      await new Promise((resolve, reject) =>
+        deleteProductVariant(
+          { params: { productId: 'p1', variantId: 'v1' }, user: { id: 'admin' } },
+          { status: () => ({ json: resolve }) },
+          reject,
+        ),
+      )
+
+      const steps = queries.map(({ sql }) => sql.split(' ').slice(0, 3).join(' '))
+      expect(steps.indexOf('INSERT INTO stock_movements')).toBeLessThan(
+        steps.indexOf('DELETE FROM product_variants'),
+      )
+      const movement = queries.find(({ sql }) => sql.startsWith('INSERT INTO stock_movements'))
+      expect(movement.params.slice(0, 6)).toEqual(['p1', 'v1', null, -4, 0, 'manual_correction'])
+      expect(steps).toContain('COMMIT')
+    })
+  })
+
+  describe('getStockReconciliation', () => {
+    const rows = [
+      { product_id: 'p1', variant_id: null, name: 'Lamp', current_stock: 10, ledger_stock: 10 },
+      { product_id: 'p2', variant_id: 'v1', name: 'Shirt', current_stock: 7, ledger_stock: 9 },
+    ]
+
+    it('should report the difference when the ledger disagrees with stock', async () => {
+      let query
+      mockDatabaseQuery = async (sql) => {
+        query = normalize(sql)
+        return { rows: rows.slice(1) }
+      }
+
+      const result = await getStockReconciliation()
+      expect(result).toEqual([
+        expect.objectContaining({ variant_id: 'v1', difference: -2, in_sync: false }),
+      ])
+      expect(query).toContain('WHERE r.current_stock <> r.ledger_stock')
+    })
+
+    it('should reconcile variants and variable products, not bundles or downloads', async () => {
+      let query
+      mockDatabaseQuery = async (sql) => {
+        query = normalize(sql)
+        return { rows }
+      }
+
+      const result = await getStockReconciliation({ includeMatching: true })
+      expect(result.map((row) => row.in_sync)).toEqual([true, false])
+      expect(query).not.toContain('WHERE r.current_stock <> r.ledger_stock')
+      expect(query).toContain('FROM product_variants v')
+      expect(query).toContain("WHERE p.product_type = 'variable'")
+      expect(query).toContain("NOT IN ('variable', 'bundle', 'downloadable')")
+    })
+  })
+
+  describe('append-only ledger', () => {
+    it('should block updates and deletes with a trigger', async () => {
+      const queries = []
+      mockDatabaseQuery = async (sql) => {
+        queries.push(normalize(sql))
+        return { rows: [] }
+      }
+
+      await createStockMovementsTable()
+
+      const fn = queries.find((sql) => sql.includes('FUNCTION prevent_stock_movement_changes'))
+      expect(fn).toContain("RAISE EXCEPTION 'stock_movements is append-only'")
+      expect(queries).toContainEqual(
+        expect.stringContaining(
+          'CREATE TRIGGER trg_stock_movements_append_only BEFORE UPDATE OR DELETE ON stock_movements FOR EACH ROW',
+        ),
+      )
+      expect(
+        queries.find((sql) => sql.includes('CREATE TABLE IF NOT EXISTS stock_movements')),
+      ).toContain('CHECK (quantity_change <> 0)')
+    })
+
+    it('should seed opening balances so the ledger starts equal to stock', async () => {
+      const queries = []
+      mockDatabaseQuery = async (sql) => {
+        queries.push(normalize(sql))
+        return { rows: [] }
+      }
+
+      await createStockMovementsTable()
+
+      const seeds = queries.filter((sql) => sql.includes("'initial', 'Opening balance'"))
+      expect(seeds).toHaveLength(2)
+      expect(seeds[1]).toContain('FROM product_variants v')
+    })
+  })
+})
@@ -0,0 +1,415 @@
+/**
+ * Warehouse Tests
+ * Tests for per-location allocation, stock reservations and releasing held stock
+ * Run with: npm test -- warehouses.test.js
+ */
+
+import {
+  commitReservations,
+  decrementStock,
+  holdStockForPayment,
+  releaseExpiredReservations,
+  releaseReservations,
+  reserveStock,
+  restoreStock,
+} from '../utils/stockManager.js'
+
+// The queries stockManager runs, against a small in-memory copy of the tables
+jest.mock('../database/db.js', () => ({
+  __esModule: true,
+  default: {
+    query: (sql, params) => mockQuery(sql, params),
+    connect: async () => ({ query: (sql, params) => mockQuery(sql, params), release: () => {} }),
+  },
+}))
+
+let db
+
+const resetDb = () => {
+  db = {
+    products: { p1: { id: 'p1', stock: 12 } },
+    warehouses: {
+      main: { id: 'main', is_default: true, is_active: true, priority: 5 },
+      north: { id: 'north', is_default: false, is_active: true, priority: 1 },
+      south: { id: 'south', is_default: false, is_active: true, priority: 2 },
+    },
+    levels: [
+      { id: 'l1', warehouse_id: 'south', product_id: 'p1', variant_id: null, quantity: 5 },
+      { id: 'l2', warehouse_id: 'main', product_id: 'p1', variant_id: null, quantity: 2 },
+      { id: 'l3', warehouse_id: 'north', product_id: 'p1', variant_id: null, quantity: 5 },
+    ],
+    movements: [],
+    reservations: [],
+    orders: {
+      o1: { id: 'o1', order_status: 'pending' },
+      o2: { id: 'o2', order_status: 'pending' },
+    },
+  }
+}
+
+const byLocation = (level) => {
+  const warehouse = db.warehouses[level.warehouse_id]
+  return warehouse.is_default ? -1 : warehouse.priority
+}
+const levelsOf = (productId, variantId) =>
+  db.levels
+    .filter((level) => level.product_id === productId && level.variant_id === variantId)
+    .sort((a, b) => byLocation(a) - byLocation(b))
+
+function mockQuery(rawSql, params = []) {
+  const sql = rawSql.replace(/\s+/g, ' ').trim()
+  const result = (rows) => ({ rows, rowCount: rows.length })
+
+  if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return result([])
+  if (sql.includes('FROM product_bundle_items')) return result([])
+
+  if (sql.startsWith('UPDATE products SET stock = stock + $1')) {
+    const product = db.products[params[1]]
+    if (!product || product.stock + params[0] < 0) return result([])
+    product.stock += params[0]
+    return result([{ id: product.id, stock: product.stock }])
+  }
+  // Variants are only looked up once deleted, so the update never finds a row
+  if (sql.startsWith('UPDATE product_variants')) return result([])
+  if (sql.startsWith('SELECT product_type FROM products')) {
+    const product = db.products[params[0]]
+    return result(product ? [{ product_type: product.product_type || 'simple' }] : [])
+  }
+  if (sql.startsWith('SELECT il.id, il.warehouse_id, il.quantity')) {
+    return result(
+      levelsOf(params[0], params[1])
+        .filter((level) => db.warehouses[level.warehouse_id].is_active && level.quantity > 0)
+        .map((level) => ({ ...level })),
+    )
+  }
+  if (sql.startsWith('SELECT il.warehouse_id')) {
+    return result(levelsOf(params[0], params[1]).slice(0, 1))
+  }
+  if (sql.startsWith('UPDATE inventory_levels SET quantity = quantity - $1')) {
+    db.levels.find((level) => level.id === params[1]).quantity -= params[0]
+    return result([])
+  }
+  if (sql.startsWith('UPDATE inventory_levels SET quantity = quantity + $1')) {
+    const level = db.levels.find(
+      (row) =>
+        row.warehouse_id === params[1] &&
+        row.product_id === params[2] &&
+        row.variant_id === params[3],
+    )
+    if (!level || (sql.includes('>= 0') && level.quantity + params[0] < 0)) return result([])
+    level.quantity += params[0]
+    return result([{ quantity: level.quantity }])
+  }
+  if (sql.startsWith('INSERT INTO stock_movements')) {
+    const [productId, variantId, warehouseId, change, balanceAfter, reason, referenceType] = params
+    const movement = {
+      product_id: productId,
+      variant_id: variantId,
+      warehouse_id: warehouseId,
+      quantity_change: change,
+      balance_after: balanceAfter,
+      reason,
+      reference_type: referenceType,
+      reference_id: params[7],
+    }
+    db.movements.push(movement)
+    return result([movement])
+  }
+  if (sql.startsWith('INSERT INTO stock_reservations')) {
+    const [orderId, userId, productId, variantId, warehouseId, quantity, minutes] = params
+    const reservation = {
+      id: `r${db.reservations.length + 1}`,
+      order_id: orderId,
+      user_id: userId,
+      product_id: productId,
+      variant_id: variantId,
+      warehouse_id: warehouseId,
+      quantity,
+      status: 'active',
+      expires_at: Date.now() + Number(minutes) * 60 * 1000,
+    }
+    db.reservations.push(reservation)
+    return result([reservation])
+  }
+  if (sql.startsWith("UPDATE stock_reservations SET status = 'committed'")) {
+    const rows = db.reservations.filter((r) => r.order_id === params[0] && r.status === 'active')
+    rows.forEach((r) => (r.status = 'committed'))
+    return result(rows)
+  }
+  if (sql.startsWith('SELECT * FROM stock_reservations')) {
+    return result(
+      db.reservations.filter((r) => r.order_id === params[0] && params[1].includes(r.status)),
+    )
+  }
+  if (sql.startsWith('UPDATE stock_reservations SET status = $1')) {
+    const rows = db.reservations.filter((r) => params[1].includes(r.id))
+    rows.forEach((r) => (r.status = params[0]))
+    return result(rows)
+  }
+  if (sql.startsWith('SELECT DISTINCT order_id FROM stock_reservations')) {
+    const orderIds = db.reservations
+      .filter((r) => r.status === 'active' && r.expires_at < Date.now())
+      .map((r) => r.order_id)
+    // Lets a test commit holds between the scan and the per-order transaction
+    db.afterExpiryScan?.()
+    return result([...new Set(orderIds)].map((orderId) => ({ order_id: orderId })))
+  }
+  if (sql.startsWith('SELECT id, user_id, order_status FROM orders')) {
+    return result(db.orders[params[0]] ? [{ user_id: null, ...db.orders[params[0]] }] : [])
+  }
+  if (sql.startsWith('SELECT product_id, variant_id, SUM(quantity)')) {
+    const lines = new Map()
+    for (const r of db.reservations) {
+      if (r.order_id !== params[0] || r.status !== 'expired') continue
+      const key = `${r.product_id}:${r.variant_id}`
+      const line = lines.get(key) || {
+        product_id: r.product_id,
+        variant_id: r.variant_id,
+        quantity: 0,
+      }
+      line.quantity += r.quantity
+      lines.set(key, line)
+    }
+    return result([...lines.values()])
+  }
+  if (sql.startsWith('UPDATE orders SET order_status = $1')) {
+    db.orders[params[1]].order_status = params[0]
+    return result([])
+  }
+  if (sql.startsWith('UPDATE orders')) {
+    const order = db.orders[params[0]]
+    if (order && ['pending', 'payment_pending', 'Processing'].includes(order.order_status)) {
+      order.order_status =
+        order.order_status === order.order_status.toLowerCase() ? 'cancelled' : 'Cancelled'
+    }
+    return result([])
+  }
+
+  throw new Error(`Unexpected query: ${sql}`)
+}
+
+const quantityAt = (warehouseId) =>
+  db.levels.find((level) => level.warehouse_id === warehouseId).quantity
+const ledgerSum = () => db.movements.reduce((sum, row) => sum + row.quantity_change, 0)
+
+beforeEach(resetDb)
+
+describe('Warehouses', () => {
+  describe('allocation', () => {
+    it('should take stock from the default location first, then by priority', async () => {
+      const { stock, allocations } = await decrementStock({ productId: 'p1', quantity: 9 })
+      expect(stock).toBe(3)
+      expect(allocations).toEqual([
+        { warehouseId: 'main', quantity: 2 },
+        { warehouseId: 'north', quantity: 5 },
+        { warehouseId: 'south', quantity: 2 },
+      ])
+      expect(db.movements.map((row) => [row.warehouse_id, row.quantity_change])).toEqual([
+        ['main', -2],
+        ['north', -5],
+        ['south', -2],
+      ])
+    })
+
+    it('should skip inactive warehouses', async () => {
+      db.warehouses.north.is_active = false
+      const { allocations } = await decrementStock({ productId: 'p1', quantity: 4 })
+      expect(allocations).toEqual([
+        { warehouseId: 'main', quantity: 2 },
+        { warehouseId: 'south', quantity: 2 },
+      ])
+      expect(quantityAt('north')).toBe(5)
+    })
+
+    it('should book units the locations cannot cover without a warehouse', async () => {
+      db.products.p1.stock = 15
+      const { allocations } = await decrementStock({ productId: 'p1', quantity: 14 })
+      expect(allocations).toEqual([
+        { warehouseId: 'main', quantity: 2 },
+        { warehouseId: 'north', quantity: 5 },
+        { warehouseId: 'south', quantity: 5 },
+        { warehouseId: null, quantity: 2 },
+      ])
+      expect(ledgerSum()).toBe(-14)
+    })
+
+    it('should book products without location rows without a warehouse', async () => {
+      db.products.p2 = { id: 'p2', stock: 3 }
+      const { allocations } = await decrementStock({ productId: 'p2', quantity: 2 })
+      expect(allocations).toEqual([{ warehouseId: null, quantity: 2 }])
+      expect(db.movements).toHaveLength(1)
+    })
+
+    it('should refuse to oversell and leaves locations untouched', async () => {
+      await expect(decrementStock({ productId: 'p1', quantity: 13 })).rejects.toMatchObject({
+        statusCode: 400,
+      })
+      expect(db.products.p1.stock).toBe(12)
+      expect(quantityAt('main')).toBe(2)
+      expect(db.movements).toEqual([])
+    })
+  })
+
+  describe('reservations', () => {
+    it('should hold one reservation per location the units came from', async () => {
+      const reservations = await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 8 })
+      expect(reservations.map((r) => [r.warehouse_id, r.quantity])).toEqual([
+        ['main', 2],
+        ['north', 5],
+        ['south', 1],
+      ])
+      expect(db.movements.every((row) => row.reference_id === 'o1')).toBe(true)
+    })
+
+    it('should reserve the full quantity when locations hold less than the total', async () => {
+      db.products.p1.stock = 15
+      const reservations = await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 14 })
+      expect(reservations.reduce((sum, r) => sum + r.quantity, 0)).toBe(14)
+      expect(reservations.at(-1)).toMatchObject({ warehouse_id: null, quantity: 2 })
+
+      await releaseReservations('o1')
+      expect(db.products.p1.stock).toBe(15)
+      expect(ledgerSum()).toBe(0)
+    })
+
+    it('should return released stock to the warehouse it came from', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 8 })
+      expect(await releaseReservations('o1')).toBe(3)
+
+      expect(db.products.p1.stock).toBe(12)
+      expect(quantityAt('main')).toBe(2)
+      expect(quantityAt('north')).toBe(5)
+      expect(quantityAt('south')).toBe(5)
+      expect(db.reservations.every((r) => r.status === 'released')).toBe(true)
+      expect(ledgerSum()).toBe(0)
+    })
+
+    it('should keep committed holds unless the release includes them', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 3 })
+      expect(await commitReservations('o1')).toBe(2)
+
+      expect(await releaseReservations('o1')).toBe(0)
+      expect(db.products.p1.stock).toBe(9)
+
+      expect(await releaseReservations('o1', { includeCommitted: true })).toBe(2)
+      expect(db.products.p1.stock).toBe(12)
+    })
+  })
+
+  describe('restoreStock', () => {
+    it('should give units of a deleted variant back to a simple product', async () => {
+      await restoreStock({ productId: 'p1', variantId: 'v-gone', quantity: 2 })
+      expect(db.products.p1.stock).toBe(14)
+      expect(db.movements).toEqual([
+        expect.objectContaining({ variant_id: null, quantity_change: 2 }),
+      ])
+    })
+
+    it('should not move stock for a deleted variant of a variable product', async () => {
+      db.products.p1.product_type = 'variable'
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(await restoreStock({ productId: 'p1', variantId: 'v-gone', quantity: 2 })).toBeNull()
+      expect(db.products.p1.stock).toBe(12)
+      expect(db.movements).toEqual([])
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining('2 units of deleted variant v-gone'),
+      )
+      warn.mockRestore()
+    })
+  })
+
+  describe('releaseExpiredReservations', () => {
+    it('should release expired holds and cancels their unpaid orders', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 4 })
+      await reserveStock({ orderId: 'o2', productId: 'p1', quantity: 2 })
+      db.reservations
+        .filter((r) => r.order_id === 'o1')
+        .forEach((r) => (r.expires_at = Date.now() - 1000))
+
+      await releaseExpiredReservations()
+
+      expect(db.orders.o1.order_status).toBe('cancelled')
+      expect(db.orders.o2.order_status).toBe('pending')
+      expect(
+        db.reservations.filter((r) => r.order_id === 'o1').every((r) => r.status === 'expired'),
+      ).toBe(true)
+      expect(
+        db.reservations.filter((r) => r.order_id === 'o2').every((r) => r.status === 'active'),
+      ).toBe(true)
+      expect(db.products.p1.stock).toBe(10)
+      // o1 took main 2 + north 2 and gave them back; o2 still holds 2 at north
+      expect(quantityAt('main')).toBe(2)
+      expect(quantityAt('north')).toBe(3)
+    })
+
+    it('should keep an order that was paid after the expired holds were found', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 4 })
+      db.reservations.forEach((r) => (r.expires_at = Date.now() - 1000))
+      db.afterExpiryScan = () => commitReservations('o1')
+
+      await releaseExpiredReservations()
+
+      expect(db.orders.o1.order_status).toBe('pending')
+      expect(db.reservations.every((r) => r.status === 'committed')).toBe(true)
+      expect(db.products.p1.stock).toBe(8)
+    })
+
+    it('should leave committed holds alone', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 4 })
+      await commitReservations('o1')
+      db.reservations.forEach((r) => (r.expires_at = Date.now() - 1000))
+
+      await releaseExpiredReservations()
+
+      expect(db.orders.o1.order_status).toBe('pending')
+      expect(db.products.p1.stock).toBe(8)
+    })
+  })
+
+  describe('holdStockForPayment', () => {
+    const expire = async (orderId) => {
+      db.reservations
+        .filter((r) => r.order_id === orderId)
+        .forEach((r) => (r.expires_at = Date.now() - 1000))
+      await releaseExpiredReservations()
+    }
+
+    it('should leave an open order and its holds as they are', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 4 })
+      expect(await holdStockForPayment('o1')).toMatchObject({ order_status: 'pending' })
+      expect(db.products.p1.stock).toBe(8)
+    })
+
+    it('should re-reserve the stock of an order whose holds expired', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 4 })
+      await expire('o1')
+      expect(db.orders.o1.order_status).toBe('cancelled')
+
+      await holdStockForPayment('o1')
+
+      expect(db.orders.o1.order_status).toBe('pending')
+      expect(db.products.p1.stock).toBe(8)
+      expect(db.reservations.filter((r) => r.status === 'active')).toHaveLength(2)
+      expect(await commitReservations('o1')).toBe(2)
+    })
+
+    it('should refuse the payment when the expired stock was sold meanwhile', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 4 })
+      await expire('o1')
+      await decrementStock({ productId: 'p1', quantity: 10 })
+
+      await expect(holdStockForPayment('o1')).rejects.toMatchObject({ statusCode: 409 })
+      expect(db.orders.o1.order_status).toBe('cancelled')
+    })
+
+    it('should refuse the payment for an order cancelled by the customer', async () => {
+      await reserveStock({ orderId: 'o1', productId: 'p1', quantity: 4 })
+      await releaseReservations('o1')
+      db.orders.o1.order_status = 'cancelled'
+
+      await expect(holdStockForPayment('o1')).rejects.toMatchObject({ statusCode: 409 })
+      expect(db.products.p1.stock).toBe(12)
+    })
+  })
+})
@@ -0,0 +1,145 @@
+/**
+ * Wishlist Tests
+ * Tests for named list validation, pricing wishlist items and per-list price drop reports
+ * Run with: npm test -- wishlists.test.js
+ */
+
+import {
+  SPECIAL_WISHLIST_NAMES,
+  WISHLIST_NAME_MAX_LENGTH,
+  priceWishlistItems,
+  summarizeListPriceDrops,
+  validateWishlistName,
+} from '../utils/wishlists.js'
+
+const row = (overrides) => ({
+  id: 'item-1',
+  list_id: 'list-1',
+  product_id: 'p1',
+  variant_id: null,
+  quantity: 1,
+  name: 'Panjabi',
+  price: '2000.00',
+  sale_price: null,
+  brand: 'Aarong',
+  category: 'Clothing',
+  images: [{ url: 'panjabi.jpg' }],
+  stock: 5,
+  price_at_add: '2000.00',
+  created_at: new Date('2026-03-01T10:00:00Z'),
+  ...overrides,
+})
+
+describe('validateWishlistName', () => {
+  it('trims and collapses whitespace', () => {
+    expect(validateWishlistName('  Eid   gifts ')).toEqual({ name: 'Eid gifts' })
+  })
+
+  it('requires a name', () => {
+    expect(validateWishlistName('   ').error).toBe('List name is required')
+    expect(validateWishlistName(undefined).error).toBe('List name is required')
+  })
+
+  it('limits the length', () => {
+    expect(validateWishlistName('x'.repeat(WISHLIST_NAME_MAX_LENGTH + 1)).error).toMatch(/at most/)
+  })
+
+  it('rejects the names of the default and saved-for-later lists', () => {
+    expect(validateWishlistName(SPECIAL_WISHLIST_NAMES.default.toUpperCase()).error).toMatch(
+      /reserved/,
+    )
+    expect(validateWishlistName('saved for later').error).toMatch(/reserved/)
+  })
+})
+
+describe('priceWishlistItems', () => {
+  it('reports no drop while the price is unchanged', () => {
+    const [item] = priceWishlistItems([row()])
+    expect(item.current_price).toBe(2000)
+    expect(item.price_drop).toBe(0)
+    expect(item.on_sale).toBe(false)
+  })
+
+  it('reports how much cheaper an item got since it was added', () => {
+    const [item] = priceWishlistItems([row({ sale_price: '1500.00' })])
+    expect(item.current_price).toBe(1500)
+    expect(item.price_drop).toBe(500)
+    expect(item.price_drop_percent).toBe(25)
+    expect(item.on_sale).toBe(true)
+  })
+
+  it('reports no drop when the price went up or the added price is unknown', () => {
+    const [higher, unknown] = priceWishlistItems([
+      row({ price_at_add: '1800.00' }),
+      row({ id: 'item-2', price_at_add: null, sale_price: '1500.00' }),
+    ])
+    expect(higher.price_drop).toBe(0)
+    expect(unknown.price_at_add).toBeNull()
+    expect(unknown.price_drop).toBe(0)
+  })
+
+  it('prices variants from the variant columns', () => {
+    const [item] = priceWishlistItems([
+      row({
+        variant_id: 'v1',
+        variant_price: '2400.00',
+        variant_sale_price: '2100.00',
+        variant_stock: 0,
+        price_at_add: '2400.00',
+      }),
+    ])
+    expect(item.current_price).toBe(2100)
+    expect(item.price_drop).toBe(300)
+    expect(item.stock).toBe(0)
+  })
+
+  it('applies running price rules', () => {
+    const rules = [
+      {
+        id: 'r1',
+        name: 'Eid sale',
+        target_type: 'category',
+        target_values: ['Clothing'],
+        discount_type: 'percentage',
+        value: 10,
+        priority: 0,
+      },
+    ]
+    const [item] = priceWishlistItems([row()], rules)
+    expect(item.current_price).toBe(1800)
+    expect(item.price_drop).toBe(200)
+  })
+})
+
+describe('summarizeListPriceDrops', () => {
+  it('lists price drops, biggest percentage first', () => {
+    const items = priceWishlistItems([
+      row({ id: 'a', sale_price: '1900.00' }),
+      row({
+        id: 'b',
+        product_id: 'p2',
+        price: '1000.00',
+        sale_price: '700.00',
+        price_at_add: '1000.00',
+      }),
+      row({ id: 'c', product_id: 'p3', stock: 0 }),
+    ])
+    const summary = summarizeListPriceDrops(items)
+    expect(summary.total_items).toBe(3)
+    expect(summary.total_value).toBe(4600)
+    expect(summary.items_on_sale).toBe(2)
+    expect(summary.out_of_stock_items).toBe(1)
+    expect(summary.price_drop_count).toBe(2)
+    expect(summary.total_price_drop).toBe(400)
+    expect(summary.price_drops.map((drop) => drop.item_id)).toEqual(['b', 'a'])
+  })
+
+  it('handles an empty list', () => {
+    expect(summarizeListPriceDrops([])).toMatchObject({
+      total_items: 0,
+      total_value: 0,
+      price_drop_count: 0,
+      price_drops: [],
+    })
+  })
+})
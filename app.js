@@ -34,6 +34,11 @@ import paymentGatewayRouter from './router/paymentGatewayRoutes.js'
 import contentRouter from './router/contentRoutes.js'
 import searchRouter from './routes/searchRoutes.js'
 import feedRouter from './routes/feedRoutes.js'
+import compareRouter from './routes/compareRoutes.js'
+import productFeedRouter from './routes/productFeedRoutes.js'
+import sitemapRouter from './routes/sitemapRoutes.js'
+import downloadRouter from './routes/downloadRoutes.js'
+import categoryRouter from './routes/categoryRoutes.js'
 import notificationRouter from './routes/notificationRoutes.js'
 import analyticsRouter from './router/analyticsRoutes.js'
 import checkoutRouter from './routes/checkoutRoutes.js'
@@ -42,6 +47,7 @@ import wishlistRouter from './routes/wishlistRoutes.js'
 import cartRouter from './routes/cartRoutes.js'
 import reviewRouter from './routes/reviewRoutes.js'
 import advancedReviewRouter from './routes/advancedReviewRoutes.js'
+import productQuestionRouter from './routes/productQuestionRoutes.js'
 import chatRouter from './routes/chatRoutes.js'
 import database from './database/db.js'
 
@@ -239,6 +245,12 @@ const csrfMiddleware = (req, res, next) => {
       return next()
     }
 
+    // Product questions are JWT-authenticated, like reviews
+    if (req.path.endsWith('/questions')) {
+      console.log(`[CSRF] ✅ Exempting product questions: ${req.path}`)
+      return next()
+    }
+
     // Product admin endpoints are JWT-authenticated with Bearer token
     // They can optionally include CSRF token but don't require it
     if (req.path.includes('/admin/') && req.headers.authorization?.startsWith('Bearer ')) {
@@ -346,17 +358,25 @@ app.use((req, res, next) => {
 
 app.use('/api/v1/content', csrfMiddleware, contentRouter) // ✅ CSRF required for content management
 app.use('/api/v1/search', searchRouter)
+app.use('/api/v1/categories', categoryRouter) // Public category tree with breadcrumbs
 app.use('/api/v1/feed', feedRouter)
+app.use('/api/v1/compare', compareRouter) // Product compare list (shopper or guest visitor)
+app.use('/api/v1/product-feeds', productFeedRouter) // Public Google / Facebook catalog feeds
+app.use(sitemapRouter) // Public /sitemap.xml and /robots.txt
+app.use('/api/v1/downloads', downloadRouter) // Signed, expiring links to purchased files
 app.use('/api/v1/notifications', notificationRouter)
 app.use('/api/v1/analytics', analyticsRouter)
 app.use('/api/v1/checkout', csrfMiddleware, checkoutRouter) // ✅ CSRF required for checkout
+// Carts work for guests too, so cart routes are mounted ahead of the signed-in customer router
+app.use('/api/v1/customer/cart', csrfMiddleware) // ✅ CSRF required for cart changes
+app.use(cartRouter)
 app.use('/api/v1/customer', csrfMiddleware, customerRouter) // ✅ CSRF required for customer operations
 
 // ✅ Phase 4: Advanced Features - Wishlist, Cart, Reviews
 app.use(wishlistRouter)
-app.use(cartRouter)
 app.use(reviewRouter)
 app.use(advancedReviewRouter)
+app.use(productQuestionRouter) // Product Q&A
 
 // ✅ Phase 5: Live Chat - Real-time messaging
 app.use('/api/v1/chat', csrfMiddleware, chatRouter)
@@ -2,6 +2,8 @@ import ErrorHandler from '../middlewares/errorMiddleware.js'
 import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import database from '../database/db.js'
 import { v2 as cloudinary } from 'cloudinary'
+import { getAbandonedCartStats } from '../models/abandonedCartsTable.js'
+import { summarizeRecovery } from '../utils/abandonedCarts.js'
 
 export const getAllUsers = catchAsyncErrors(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1
@@ -258,6 +260,12 @@ export const dashboardStats = catchAsyncErrors(async (req, res, next) => {
   `)
   const totalOrders = parseInt(totalOrdersQuery.rows[0].count) || 0
 
+  // Abandoned cart reminders sent in the last 30 days and the orders they won back
+  const abandonedCartRecovery = {
+    days: 30,
+    ...summarizeRecovery(await getAbandonedCartStats(30)),
+  }
+
   // FINAL RESPONSE
   res.status(200).json({
     success: true,
@@ -277,6 +285,7 @@ export const dashboardStats = catchAsyncErrors(async (req, res, next) => {
       lowStockProducts,
       revenueGrowth,
       newUsersThisMonth,
+      abandonedCartRecovery,
     },
     timestamp: new Date().toISOString(),
   })
@@ -10,6 +10,33 @@ import { sendEmail } from '../utils/sendEmail.js'
 import crypto from 'crypto'
 import { v2 as cloudinary } from 'cloudinary'
 import { deleteTempFile } from '../utils/fileCleanup.js'
+import { mergeVisitorViews } from '../models/productViewsTable.js'
+import { mergeVisitorCompareItems } from '../models/compareItemsTable.js'
+import { MAX_COMPARE_PRODUCTS } from '../utils/productComparison.js'
+import { readVisitorId } from '../utils/visitorId.js'
+import { mergeGuestCart } from '../models/cartItemsTable.js'
+import { clearCartToken, readCartToken } from '../utils/cartToken.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+
+/**
+ * Move the guest cart (cart_token cookie) into the account
+ * Returns { merged, dropped } for the response, or null when there was no guest cart
+ */
+const mergeGuestCartIntoAccount = async (req, res, userId) => {
+  const guestToken = readCartToken(req)
+  if (!guestToken) return null
+
+  try {
+    const cartMerge = await withTransaction((transaction) =>
+      mergeGuestCart(guestToken, userId, transaction),
+    )
+    clearCartToken(res)
+    return cartMerge
+  } catch (error) {
+    console.error('❌ Failed to merge guest cart:', error.message)
+    return null
+  }
+}
 
 export const register = catchAsyncErrors(async (req, res, next) => {
   let { name, email, mobile, password, role } = req.body
@@ -82,7 +109,8 @@ export const register = catchAsyncErrors(async (req, res, next) => {
     'INSERT INTO users (name, email, mobile, password, role) VALUES ($1, $2, $3, $4, $5) RETURNING *',
     [name, email || null, mobile || null, hashedPassword, userRole],
   )
-  sendToken(user.rows[0], 201, 'User registered successfully', res)
+  const cartMerge = await mergeGuestCartIntoAccount(req, res, user.rows[0].id)
+  sendToken(user.rows[0], 201, 'User registered successfully', res, cartMerge ? { cartMerge } : {})
 })
 
 export const login = catchAsyncErrors(async (req, res, next) => {
@@ -129,7 +157,20 @@ export const login = catchAsyncErrors(async (req, res, next) => {
   if (!isPasswordMatch) {
     return next(new ErrorHandler('Invalid email/mobile or password.', 401))
   }
-  sendToken(user.rows[0], 200, 'Logged In.', res)
+
+  // Carry the guest's browsing history and compare list over to the account
+  const visitorId = readVisitorId(req)
+  if (visitorId) {
+    try {
+      await mergeVisitorViews(visitorId, user.rows[0].id)
+      await mergeVisitorCompareItems(visitorId, user.rows[0].id, MAX_COMPARE_PRODUCTS)
+    } catch (error) {
+      console.error('❌ Failed to merge guest browsing history and compare list:', error.message)
+    }
+  }
+
+  const cartMerge = await mergeGuestCartIntoAccount(req, res, user.rows[0].id)
+  sendToken(user.rows[0], 200, 'Logged In.', res, cartMerge ? { cartMerge } : {})
 })
 
 export const getUser = catchAsyncErrors(async (req, res, next) => {
@@ -357,14 +398,15 @@ export const updateProfile = catchAsyncErrors(async (req, res, next) => {
   })
 })
 export const updateNotificationPreferences = catchAsyncErrors(async (req, res, next) => {
-  const { emailNotifications, smsNotifications, pushNotifications } = req.body
+  const { emailNotifications, smsNotifications, pushNotifications, priceDropAlerts } = req.body
   const userId = req.user.id
 
   // Validate at least one preference is provided
   if (
     emailNotifications === undefined &&
     smsNotifications === undefined &&
-    pushNotifications === undefined
+    pushNotifications === undefined &&
+    priceDropAlerts === undefined
   ) {
     return next(new ErrorHandler('Please provide at least one notification preference.', 400))
   }
@@ -389,12 +431,18 @@ export const updateNotificationPreferences = catchAsyncErrors(async (req, res, n
     values.push(pushNotifications)
   }
 
+  // Wishlist price drop alerts (in-app and, with email notifications on, by email)
+  if (priceDropAlerts !== undefined) {
+    updates.push(`price_drop_alerts = $${paramCount++}`)
+    values.push(priceDropAlerts)
+  }
+
   // Add userId and updated_at
   updates.push(`updated_at = CURRENT_TIMESTAMP`)
   values.push(userId)
 
   const result = await database.query(
-    `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING id, name, email, email_notifications, sms_notifications, push_notifications`,
+    `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING id, name, email, email_notifications, sms_notifications, push_notifications, price_drop_alerts`,
     values,
   )
 
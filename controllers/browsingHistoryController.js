@@ -0,0 +1,75 @@
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import database from '../database/db.js'
+import {
+  clearRecentlyViewed,
+  getRecentlyViewed,
+  recordProductView,
+} from '../models/productViewsTable.js'
+import { ensureVisitorId, readVisitorId } from '../utils/visitorId.js'
+
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))
+
+/**
+ * Record a product view
+ * POST /api/v1/feed/views
+ * Body: { productId }
+ * Signed-in shoppers are tracked by account, guests by the visitor_id cookie (issued here)
+ */
+export const trackProductView = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.body
+
+  if (!isUuid(productId)) {
+    return next(new ErrorHandler('A valid productId is required', 400))
+  }
+
+  const product = await database.query('SELECT id FROM products WHERE id = $1', [productId])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+
+  const userId = req.user?.id
+  const visitorId = userId ? null : ensureVisitorId(req, res)
+  await recordProductView({ userId, visitorId, productId })
+
+  res.status(200).json({
+    success: true,
+    message: 'Product view recorded',
+  })
+})
+
+/**
+ * Get recently viewed products, most recent first
+ * GET /api/v1/feed/recently-viewed?limit=12
+ */
+export const fetchRecentlyViewed = catchAsyncErrors(async (req, res, next) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 50)
+  const userId = req.user?.id
+  const visitorId = readVisitorId(req)
+
+  const products = userId || visitorId ? await getRecentlyViewed({ userId, visitorId }, limit) : []
+
+  res.status(200).json({
+    success: true,
+    message: 'Recently viewed products fetched',
+    data: products,
+  })
+})
+
+/**
+ * Clear the browsing history
+ * DELETE /api/v1/feed/recently-viewed
+ */
+export const clearBrowsingHistory = catchAsyncErrors(async (req, res, next) => {
+  const userId = req.user?.id
+  const visitorId = readVisitorId(req)
+
+  const removed = userId || visitorId ? await clearRecentlyViewed({ userId, visitorId }) : 0
+
+  res.status(200).json({
+    success: true,
+    message: 'Browsing history cleared',
+    data: { removed },
+  })
+})
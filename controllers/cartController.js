@@ -1,38 +1,89 @@
 import ErrorHandler from '../middlewares/errorMiddleware.js'
 import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import database from '../database/db.js'
+import { getVariantById } from '../models/productVariantsTable.js'
+import { getEffectiveUnitPrice, loadActivePriceRules } from '../utils/pricing.js'
+import {
+  deleteCartItems,
+  findCartItem,
+  findCartLine,
+  getCartRows,
+  insertCartLine,
+  restoreCartLines,
+} from '../models/cartItemsTable.js'
+import { getAbandonedCart, markCartRestored } from '../models/abandonedCartsTable.js'
+import { getSpecialWishlist, saveItemForLater } from '../models/wishlistsTable.js'
+import { loadListableProduct } from '../utils/wishlists.js'
+import { verifyRestoreToken } from '../utils/abandonedCarts.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+import { lineQuantityLimit } from '../utils/cartMerge.js'
+import { getCartSummary } from '../utils/cartPricing.js'
+import { ensureCartToken, readCartToken } from '../utils/cartToken.js'
+
+// The cart owner: the signed-in shopper, else the guest cart cookie (if any)
+const readCartOwner = (req) => {
+  const userId = req.user?.id || null
+  const guestToken = userId ? null : readCartToken(req)
+  return userId || guestToken ? { userId, guestToken } : null
+}
+
+const describeOwner = (owner) => (owner.userId ? `user ${owner.userId}` : 'guest cart')
 
 /**
- * Get user's cart
+ * Get the cart of the shopper or guest
  * GET /api/v1/customer/cart
  */
 export const getCart = catchAsyncErrors(async (req, res, next) => {
-  const userId = req.user.id
-
-  const result = await database.query(
-    `SELECT c.id as cart_item_id, c.quantity, p.id as product_id, p.name, p.price, p.images, p.category, p.stock
-     FROM cart_items c
-     JOIN products p ON c.product_id = p.id
-     WHERE c.user_id = $1
-     ORDER BY c.created_at DESC`,
-    [userId],
-  )
+  const owner = readCartOwner(req)
+  const rows = owner ? await getCartRows(owner) : []
+
+  // Calculate totals at current effective prices (sale price or a running price rule)
+  const priceRules = await loadActivePriceRules()
+  const items = rows.map((row) => {
+    const product = { id: row.product_id, ...row }
+    if (!row.variant_id) {
+      return {
+        id: row.cart_item_id,
+        product_id: row.product_id,
+        variant_id: null,
+        quantity: row.quantity,
+        name: row.name,
+        price: getEffectiveUnitPrice(product, null, priceRules),
+        regular_price: parseFloat(row.price),
+        image: row.images && row.images.length > 0 ? row.images[0] : null,
+        category: row.category,
+        stock: row.stock,
+      }
+    }
 
-  // Calculate totals
-  const items = result.rows.map((row) => ({
-    id: row.cart_item_id,
-    product_id: row.product_id,
-    quantity: row.quantity,
-    name: row.name,
-    price: parseFloat(row.price),
-    image: row.images && row.images.length > 0 ? row.images[0] : null,
-    category: row.category,
-    stock: row.stock,
-  }))
+    const variant = { price: row.variant_price, sale_price: row.variant_sale_price }
+    const variantImages = row.variant_images || []
+    return {
+      id: row.cart_item_id,
+      product_id: row.product_id,
+      variant_id: row.variant_id,
+      variant_options: row.variant_options,
+      sku: row.variant_sku,
+      quantity: row.quantity,
+      name: row.name,
+      price: getEffectiveUnitPrice(product, variant, priceRules),
+      regular_price: parseFloat(row.variant_price ?? row.price),
+      image:
+        variantImages.length > 0
+          ? variantImages[0]
+          : row.images && row.images.length > 0
+            ? row.images[0]
+            : null,
+      category: row.category,
+      stock: row.variant_stock,
+    }
+  })
 
   const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0)
 
-  console.log(`✅ [CART] Retrieved ${items.length} items for user ${userId}`)
+  if (owner) {
+    console.log(`✅ [CART] Retrieved ${items.length} items for ${describeOwner(owner)}`)
+  }
 
   res.status(200).json({
     success: true,
@@ -46,14 +97,34 @@ export const getCart = catchAsyncErrors(async (req, res, next) => {
   })
 })
 
+/**
+ * Server-side price summary of the cart
+ * GET /api/v1/customer/cart/summary
+ * Query params: promoCode, district (picks the shipping zone)
+ * Line prices, discounts, promotion, shipping, tax and total in BDT; checkout must agree with it
+ */
+export const fetchCartSummary = catchAsyncErrors(async (req, res, next) => {
+  const summary = await getCartSummary(readCartOwner(req), {
+    promoCode: req.query.promoCode ? String(req.query.promoCode) : null,
+    district: req.query.district ? String(req.query.district) : '',
+  })
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart summary calculated',
+    data: summary,
+    timestamp: new Date(),
+  })
+})
+
 /**
  * Add product to cart
  * POST /api/v1/customer/cart
- * Body: { product_id, quantity }
+ * Body: { product_id, variant_id?, quantity }
+ * Guests get a signed cart_token cookie holding their cart
  */
 export const addToCart = catchAsyncErrors(async (req, res, next) => {
-  const userId = req.user.id
-  const { product_id, quantity = 1 } = req.body
+  const { product_id, variant_id = null, quantity = 1 } = req.body
 
   // Validate input
   if (!product_id) {
@@ -67,7 +138,8 @@ export const addToCart = catchAsyncErrors(async (req, res, next) => {
 
   // Check if product exists
   const productExists = await database.query(
-    `SELECT id, stock, price, name FROM products WHERE id = $1`,
+    `SELECT id, stock, price, sale_price, category, brand, name, product_type, sold_individually
+     FROM products WHERE id = $1`,
     [product_id],
   )
 
@@ -77,8 +149,23 @@ export const addToCart = catchAsyncErrors(async (req, res, next) => {
 
   const product = productExists.rows[0]
 
-  // Check stock
-  if (product.stock < quantity) {
+  if (product.product_type === 'variable' && !variant_id) {
+    return next(new ErrorHandler('Please select a variant', 400))
+  }
+
+  // Variant lines use the variant's own stock and price
+  let variant = null
+  if (variant_id) {
+    variant = await getVariantById(variant_id)
+    if (!variant || variant.product_id !== product_id || !variant.is_active) {
+      return next(new ErrorHandler('Variant not found', 404))
+    }
+    product.stock = variant.stock
+  }
+
+  // Check stock (downloadable products are never out of stock)
+  const tracksStock = product.product_type !== 'downloadable'
+  if (tracksStock && product.stock < quantity) {
     return next(
       new ErrorHandler(
         `Not enough stock. Available: ${product.stock}, Requested: ${quantity}`,
@@ -87,17 +174,21 @@ export const addToCart = catchAsyncErrors(async (req, res, next) => {
     )
   }
 
+  const userId = req.user?.id || null
+  const owner = { userId, guestToken: userId ? null : ensureCartToken(req, res) }
+
   // Check if already in cart
-  const alreadyInCart = await database.query(
-    `SELECT id, quantity FROM cart_items WHERE user_id = $1 AND product_id = $2`,
-    [userId, product_id],
-  )
+  const alreadyInCart = await findCartLine(owner, product_id, variant_id)
+  const newQuantity = (alreadyInCart?.quantity || 0) + quantity
 
-  let result
-  if (alreadyInCart.rows.length > 0) {
+  if (product.sold_individually && newQuantity > 1) {
+    return next(new ErrorHandler('This product can only be bought one at a time', 400))
+  }
+
+  let itemId
+  if (alreadyInCart) {
     // Update quantity
-    const newQuantity = alreadyInCart.rows[0].quantity + quantity
-    if (newQuantity > product.stock) {
+    if (tracksStock && newQuantity > product.stock) {
       return next(
         new ErrorHandler(
           `Not enough stock. Available: ${product.stock}, Total: ${newQuantity}`,
@@ -106,34 +197,29 @@ export const addToCart = catchAsyncErrors(async (req, res, next) => {
       )
     }
 
-    result = await database.query(
+    await database.query(
       `UPDATE cart_items SET quantity = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE user_id = $2 AND product_id = $3
-       RETURNING id`,
-      [newQuantity, userId, product_id],
+       WHERE id = $2`,
+      [newQuantity, alreadyInCart.id],
     )
+    itemId = alreadyInCart.id
   } else {
     // Add new item to cart
-    result = await database.query(
-      `INSERT INTO cart_items (user_id, product_id, quantity, created_at, updated_at)
-       VALUES ($1, $2, $3, NOW(), NOW())
-       RETURNING id`,
-      [userId, product_id, quantity],
-    )
+    itemId = await insertCartLine(owner, { productId: product_id, variantId: variant_id, quantity })
   }
 
-  console.log(`✅ [CART] Product ${product_id} added to cart for user ${userId}`)
+  console.log(`✅ [CART] Product ${product_id} added to cart for ${describeOwner(owner)}`)
 
   res.status(201).json({
     success: true,
     message: 'Product added to cart successfully',
     data: {
-      id: result.rows[0].id,
+      id: itemId,
       product_id,
-      quantity:
-        alreadyInCart.rows.length > 0 ? alreadyInCart.rows[0].quantity + quantity : quantity,
+      variant_id,
+      quantity: newQuantity,
       name: product.name,
-      price: parseFloat(product.price),
+      price: getEffectiveUnitPrice(product, variant, await loadActivePriceRules()),
     },
     timestamp: new Date(),
   })
@@ -145,7 +231,7 @@ export const addToCart = catchAsyncErrors(async (req, res, next) => {
  * Body: { quantity }
  */
 export const updateCartItem = catchAsyncErrors(async (req, res, next) => {
-  const userId = req.user.id
+  const owner = readCartOwner(req)
   const { item_id } = req.params
   const { quantity } = req.body
 
@@ -154,22 +240,30 @@ export const updateCartItem = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler('Quantity must be a positive integer', 400))
   }
 
-  // Check if cart item exists and belongs to user
-  const cartItem = await database.query(
-    `SELECT product_id FROM cart_items WHERE id = $1 AND user_id = $2`,
-    [item_id, userId],
-  )
+  // Check if cart item exists and belongs to the cart
+  const cartItem = owner ? await findCartItem(owner, item_id) : null
 
-  if (cartItem.rows.length === 0) {
+  if (!cartItem) {
     return next(new ErrorHandler('Cart item not found', 404))
   }
 
-  const { product_id } = cartItem.rows[0]
+  const { product_id, variant_id } = cartItem
 
-  // Check product stock
-  const product = await database.query(`SELECT stock FROM products WHERE id = $1`, [product_id])
+  // Check product (or variant) stock
+  const product = await database.query(
+    `SELECT CASE WHEN $2::uuid IS NULL THEN p.stock ELSE v.stock END AS stock,
+            p.product_type, p.sold_individually
+     FROM products p
+     LEFT JOIN product_variants v ON v.id = $2::uuid
+     WHERE p.id = $1`,
+    [product_id, variant_id],
+  )
+
+  if (product.rows[0].sold_individually && quantity > 1) {
+    return next(new ErrorHandler('This product can only be bought one at a time', 400))
+  }
 
-  if (product.rows[0].stock < quantity) {
+  if (lineQuantityLimit(product.rows[0]) < quantity) {
     return next(
       new ErrorHandler(
         `Not enough stock. Available: ${product.rows[0].stock}, Requested: ${quantity}`,
@@ -185,7 +279,7 @@ export const updateCartItem = catchAsyncErrors(async (req, res, next) => {
     [quantity, item_id],
   )
 
-  console.log(`✅ [CART] Cart item ${item_id} updated for user ${userId}`)
+  console.log(`✅ [CART] Cart item ${item_id} updated for ${describeOwner(owner)}`)
 
   res.status(200).json({
     success: true,
@@ -200,22 +294,17 @@ export const updateCartItem = catchAsyncErrors(async (req, res, next) => {
  * DELETE /api/v1/customer/cart/:item_id
  */
 export const removeFromCart = catchAsyncErrors(async (req, res, next) => {
-  const userId = req.user.id
+  const owner = readCartOwner(req)
   const { item_id } = req.params
 
-  // Check if cart item exists and belongs to user
-  const result = await database.query(
-    `DELETE FROM cart_items
-     WHERE id = $1 AND user_id = $2
-     RETURNING id`,
-    [item_id, userId],
-  )
+  // Only removes the item when it belongs to the cart
+  const removed = owner ? await deleteCartItems(owner, item_id) : 0
 
-  if (result.rows.length === 0) {
+  if (removed === 0) {
     return next(new ErrorHandler('Cart item not found', 404))
   }
 
-  console.log(`✅ [CART] Item removed from cart for user ${userId}`)
+  console.log(`✅ [CART] Item removed from ${describeOwner(owner)}`)
 
   res.status(200).json({
     success: true,
@@ -229,11 +318,12 @@ export const removeFromCart = catchAsyncErrors(async (req, res, next) => {
  * DELETE /api/v1/customer/cart
  */
 export const clearCart = catchAsyncErrors(async (req, res, next) => {
-  const userId = req.user.id
+  const owner = readCartOwner(req)
 
-  await database.query(`DELETE FROM cart_items WHERE user_id = $1`, [userId])
-
-  console.log(`✅ [CART] Cart cleared for user ${userId}`)
+  if (owner) {
+    await deleteCartItems(owner)
+    console.log(`✅ [CART] Cart cleared for ${describeOwner(owner)}`)
+  }
 
   res.status(200).json({
     success: true,
@@ -241,3 +331,80 @@ export const clearCart = catchAsyncErrors(async (req, res, next) => {
     timestamp: new Date(),
   })
 })
+
+/**
+ * Move a cart line to the shopper's "Saved for later" list
+ * POST /api/v1/customer/cart/:item_id/save-for-later
+ * The line keeps its variant and quantity and can be moved back with move-to-cart
+ */
+export const saveCartItemForLater = catchAsyncErrors(async (req, res, next) => {
+  const owner = { userId: req.user.id, guestToken: null }
+  const { item_id } = req.params
+
+  const cartItem = await findCartItem(owner, item_id)
+  if (!cartItem) {
+    return next(new ErrorHandler('Cart item not found', 404))
+  }
+  const product = await loadListableProduct(cartItem.product_id, cartItem.variant_id)
+
+  const saved = await withTransaction(async (transaction) => {
+    const list = await getSpecialWishlist(owner.userId, 'saved_for_later', transaction)
+    const item = await saveItemForLater(
+      {
+        userId: owner.userId,
+        listId: list.id,
+        productId: cartItem.product_id,
+        variantId: cartItem.variant_id,
+        quantity: cartItem.quantity,
+        priceAtAdd: product?.unit_price ?? null,
+      },
+      transaction,
+    )
+    await deleteCartItems(owner, cartItem.id, transaction)
+    return item
+  })
+
+  console.log(`✅ [CART] Cart item ${item_id} saved for later for ${describeOwner(owner)}`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Item saved for later',
+    data: saved,
+    timestamp: new Date(),
+  })
+})
+
+/**
+ * Restore an abandoned cart from a reminder email link, then send the shopper to the cart page
+ * GET /api/v1/customer/cart/restore/:token
+ * Lines go back into the account cart when the shopper is signed in as the cart's owner,
+ * otherwise into a guest cart (merged into the account on login). The cart page gets
+ * ?restored=<lines>&promo=<code>, or ?restore=expired for an invalid or expired link.
+ */
+export const restoreAbandonedCart = catchAsyncErrors(async (req, res, next) => {
+  const cartPage = `${process.env.FRONTEND_URL || ''}/cart`
+  const verified = verifyRestoreToken(req.params.token)
+  const abandoned = verified ? await getAbandonedCart(verified.abandonedCartId) : null
+  if (!abandoned) {
+    return res.redirect(`${cartPage}?restore=expired`)
+  }
+
+  const owner =
+    req.user?.id === abandoned.user_id
+      ? { userId: abandoned.user_id, guestToken: null }
+      : { userId: null, guestToken: ensureCartToken(req, res) }
+
+  const { restored, dropped } = await withTransaction(async (transaction) => {
+    const result = await restoreCartLines(owner, abandoned.items || [], transaction)
+    await markCartRestored(abandoned.id, transaction)
+    return result
+  })
+
+  console.log(
+    `✅ [CART] Abandoned cart ${abandoned.id} restored for ${describeOwner(owner)} (${restored} lines, ${dropped.length} unavailable)`,
+  )
+
+  const params = new URLSearchParams({ restored: String(restored) })
+  if (abandoned.promo_code) params.set('promo', abandoned.promo_code)
+  res.redirect(`${cartPage}?${params}`)
+})
@@ -0,0 +1,274 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  findCategory,
+  getAllCategories,
+  getCategoryById,
+  getCategoryUsage,
+  getUniqueCategorySlug,
+} from '../models/categoriesTable.js'
+import {
+  buildCategoryTree,
+  getBreadcrumbs,
+  getVisibleCategories,
+  wouldCreateCycle,
+} from '../utils/categoryTree.js'
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'icon',
+  'image_url',
+  'meta_title',
+  'meta_description',
+  'position',
+  'is_active',
+]
+
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))
+
+// Storefront clients refresh their menus on this event
+const broadcastCategoriesChanged = async (req, action, category) => {
+  const io = req.app.get('io')
+  if (!io) return
+  const categories = getVisibleCategories(await getAllCategories())
+  io.emit('categories:changed', {
+    action,
+    category,
+    tree: buildCategoryTree(categories),
+    timestamp: new Date().toISOString(),
+  })
+}
+
+/**
+ * Validate the editable fields of a category body
+ * Returns { values } (only the fields present) or { error }
+ */
+const readCategoryBody = (body, { requireName }) => {
+  const values = {}
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field]
+  }
+
+  if (values.name !== undefined) values.name = String(values.name).trim()
+  if ((requireName || values.name !== undefined) && !values.name) {
+    return { error: 'Category name is required' }
+  }
+  if (values.name && values.name.length > 100) {
+    return { error: 'Category name cannot exceed 100 characters' }
+  }
+  if (values.position !== undefined) {
+    values.position = parseInt(values.position, 10)
+    if (Number.isNaN(values.position)) return { error: 'position must be a number' }
+  }
+  if (values.is_active !== undefined) {
+    values.is_active = values.is_active === true || values.is_active === 'true'
+  }
+  return { values }
+}
+
+/**
+ * Get the storefront category tree with breadcrumbs on every node
+ * GET /api/v1/categories
+ */
+export const fetchCategoryTree = catchAsyncErrors(async (req, res, next) => {
+  const categories = getVisibleCategories(await getAllCategories())
+
+  res.status(200).json({
+    success: true,
+    message: 'Categories retrieved successfully',
+    data: buildCategoryTree(categories),
+  })
+})
+
+/**
+ * Get one category by id or slug with its breadcrumbs and subtree
+ * GET /api/v1/categories/:idOrSlug
+ */
+export const fetchCategory = catchAsyncErrors(async (req, res, next) => {
+  const category = await findCategory(req.params.idOrSlug)
+  const categories = getVisibleCategories(await getAllCategories())
+
+  if (!category || !categories.some((c) => c.id === category.id)) {
+    return next(new ErrorHandler('Category not found.', 404))
+  }
+
+  const subtree = buildCategoryTree(
+    categories.map((c) => (c.id === category.id ? { ...c, parent_id: null } : c)),
+  ).find((node) => node.id === category.id)
+
+  res.status(200).json({
+    success: true,
+    message: 'Category retrieved successfully',
+    data: {
+      ...category,
+      breadcrumbs: getBreadcrumbs(categories, category.id),
+      children: subtree ? subtree.children : [],
+    },
+  })
+})
+
+/**
+ * Get every category (including hidden ones) as a tree and a flat list
+ * GET /api/v1/admin/categories
+ */
+export const fetchAdminCategories = catchAsyncErrors(async (req, res, next) => {
+  const categories = await getAllCategories()
+
+  res.status(200).json({
+    success: true,
+    message: 'Categories retrieved successfully',
+    data: {
+      tree: buildCategoryTree(categories),
+      categories: categories.map((category) => ({
+        ...category,
+        breadcrumbs: getBreadcrumbs(categories, category.id),
+      })),
+    },
+  })
+})
+
+/**
+ * Create a category (optionally under a parent)
+ * POST /api/v1/admin/categories
+ * Body: { name, parent_id?, slug?, description?, icon?, image_url?, meta_title?, meta_description?, position?, is_active? }
+ */
+export const createCategory = catchAsyncErrors(async (req, res, next) => {
+  const { values, error } = readCategoryBody(req.body, { requireName: true })
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  const parentId = req.body.parent_id || null
+  if (parentId && (!isUuid(parentId) || !(await getCategoryById(parentId)))) {
+    return next(new ErrorHandler('Parent category not found.', 404))
+  }
+
+  const slug = await getUniqueCategorySlug(req.body.slug || values.name)
+  const columns = ['parent_id', 'slug', ...Object.keys(values)]
+  const params = [parentId, slug, ...Object.values(values)]
+
+  const { rows } = await database.query(
+    `INSERT INTO categories (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    params,
+  )
+
+  console.log(`✅ [CATEGORIES] Created ${rows[0].name} (${rows[0].id})`)
+  await broadcastCategoriesChanged(req, 'created', rows[0])
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: rows[0],
+  })
+})
+
+/**
+ * Update or move a category
+ * PUT /api/v1/admin/categories/:categoryId
+ * Renaming also renames products.category of the products in it
+ */
+export const updateCategory = catchAsyncErrors(async (req, res, next) => {
+  const { categoryId } = req.params
+  if (!isUuid(categoryId)) {
+    return next(new ErrorHandler('Category not found.', 404))
+  }
+
+  const existing = await getCategoryById(categoryId)
+  if (!existing) {
+    return next(new ErrorHandler('Category not found.', 404))
+  }
+
+  const { values, error } = readCategoryBody(req.body, { requireName: false })
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  if (req.body.parent_id !== undefined) {
+    const parentId = req.body.parent_id || null
+    if (parentId) {
+      if (!isUuid(parentId) || !(await getCategoryById(parentId))) {
+        return next(new ErrorHandler('Parent category not found.', 404))
+      }
+      if (wouldCreateCycle(await getAllCategories(), categoryId, parentId)) {
+        return next(new ErrorHandler('A category cannot be moved under itself.', 400))
+      }
+    }
+    values.parent_id = parentId
+  }
+  if (req.body.slug !== undefined) {
+    values.slug = await getUniqueCategorySlug(
+      req.body.slug || values.name || existing.name,
+      categoryId,
+    )
+  }
+
+  if (Object.keys(values).length === 0) {
+    return next(new ErrorHandler('No fields to update', 400))
+  }
+
+  const assignments = Object.keys(values).map((column, i) => `${column} = $${i + 1}`)
+  const { rows } = await database.query(
+    `UPDATE categories SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $${assignments.length + 1}
+     RETURNING *`,
+    [...Object.values(values), categoryId],
+  )
+
+  if (values.name && values.name !== existing.name) {
+    await database.query(`UPDATE products SET category = $1 WHERE category_id = $2`, [
+      values.name,
+      categoryId,
+    ])
+  }
+
+  console.log(`✅ [CATEGORIES] Updated ${rows[0].name} (${categoryId})`)
+  await broadcastCategoriesChanged(req, 'updated', rows[0])
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully',
+    data: rows[0],
+  })
+})
+
+/**
+ * Delete an empty category (no subcategories, no products)
+ * DELETE /api/v1/admin/categories/:categoryId
+ */
+export const deleteCategory = catchAsyncErrors(async (req, res, next) => {
+  const { categoryId } = req.params
+  if (!isUuid(categoryId)) {
+    return next(new ErrorHandler('Category not found.', 404))
+  }
+
+  const existing = await getCategoryById(categoryId)
+  if (!existing) {
+    return next(new ErrorHandler('Category not found.', 404))
+  }
+
+  const usage = await getCategoryUsage(categoryId)
+  if (usage.children > 0 || usage.products > 0) {
+    return next(
+      new ErrorHandler(
+        `Category still has ${usage.children} subcategories and ${usage.products} products. Move them first.`,
+        400,
+      ),
+    )
+  }
+
+  await database.query('DELETE FROM categories WHERE id = $1', [categoryId])
+
+  console.log(`🗑️ [CATEGORIES] Deleted ${existing.name} (${categoryId})`)
+  await broadcastCategoriesChanged(req, 'deleted', existing)
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully',
+    data: existing,
+  })
+})
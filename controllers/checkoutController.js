@@ -2,6 +2,18 @@ import ErrorHandler from '../middlewares/errorMiddleware.js'
 import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import database from '../database/db.js'
 import crypto from 'crypto'
+import {
+  restoreStock,
+  reserveStock,
+  commitReservations,
+  releaseReservations,
+  getStockLines,
+  holdStockForPayment,
+} from '../utils/stockManager.js'
+import { getVariantById } from '../models/productVariantsTable.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+import { revokeOrderDownloadGrants } from '../models/productDownloadsTable.js'
+import { findTotalsMismatches, getCartSummary, sameCartLines } from '../utils/cartPricing.js'
 
 /**
  * 📦 CHECKOUT CONTROLLER
@@ -92,7 +104,7 @@ export const createOrderFromCheckout = catchAsyncErrors(async (req, res, next) =
 
       // Check product exists and has stock
       const productResult = await database.query(
-        'SELECT id, stock, price FROM products WHERE id = $1',
+        'SELECT id, stock, price, product_type FROM products WHERE id = $1',
         [item.id],
       )
 
@@ -101,7 +113,26 @@ export const createOrderFromCheckout = catchAsyncErrors(async (req, res, next) =
       }
 
       const product = productResult.rows[0]
-      if (product.stock < item.quantity) {
+
+      // Variant lines are checked against the variant's own stock
+      if (item.variant_id) {
+        const variant = await getVariantById(item.variant_id)
+        if (!variant || variant.product_id !== item.id || !variant.is_active) {
+          return next(new ErrorHandler(`Variant ${item.variant_id} not found`, 404))
+        }
+        if (variant.stock < item.quantity) {
+          return next(
+            new ErrorHandler(
+              `Insufficient stock for variant ${item.variant_id}. Available: ${variant.stock}, Requested: ${item.quantity}`,
+              400,
+            ),
+          )
+        }
+        continue
+      }
+
+      // Downloadable products have no stock to run out of
+      if (product.product_type !== 'downloadable' && product.stock < item.quantity) {
         return next(
           new ErrorHandler(
             `Insufficient stock for product ${item.id}. Available: ${product.stock}, Requested: ${item.quantity}`,
@@ -111,21 +142,37 @@ export const createOrderFromCheckout = catchAsyncErrors(async (req, res, next) =
       }
     }
 
-    // ✅ STEP 3: VALIDATE AMOUNTS
-    const minSubtotal = cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
-    if (Math.abs(subtotal - minSubtotal) > 0.01) {
-      if (process.env.NODE_ENV === 'development') {
-        console.error('❌ Subtotal mismatch', { expected: minSubtotal, received: subtotal })
-      }
-      return next(new ErrorHandler('Cart total mismatch', 400))
+    // ✅ STEP 3: VALIDATE AMOUNTS AGAINST THE SERVER-SIDE CART SUMMARY
+    // Prices, discounts, shipping and tax are computed from cart_items, never taken from the client
+    const summary = await getCartSummary(req.user?.id ? { userId: req.user.id } : null, {
+      promoCode: promoCode || null,
+      district: city,
+    })
+
+    if (promoCode && summary.promotion_error) {
+      return next(new ErrorHandler(summary.promotion_error, 400))
+    }
+
+    if (!sameCartLines(cartItems, summary.lines)) {
+      return next(new ErrorHandler('Your cart has changed. Please review it and try again.', 409))
     }
 
-    if (total !== subtotal + shippingCost + tax) {
+    const mismatches = findTotalsMismatches({ subtotal, shippingCost, tax, total }, summary)
+    if (mismatches.length > 0) {
       if (process.env.NODE_ENV === 'development') {
-        console.error('❌ Total calculation error')
+        console.error('❌ Cart total mismatch', mismatches)
       }
-      return next(new ErrorHandler('Total calculation error', 400))
+      return res.status(400).json({
+        success: false,
+        code: 'CART_TOTAL_MISMATCH',
+        message: 'Cart total mismatch',
+        mismatches,
+        summary,
+      })
     }
+    const unitPrices = new Map(
+      summary.lines.map((line) => [`${line.product_id}:${line.variant_id || ''}`, line.unit_price]),
+    )
 
     // ✅ STEP 4: FIND OR CREATE USER
     let userId = req.user?.id
@@ -157,56 +204,58 @@ export const createOrderFromCheckout = catchAsyncErrors(async (req, res, next) =
     const addressId = addressResult.rows[0].id
 
     // ✅ STEP 6: CREATE ORDER
+    // The order, its items and the stock holds commit together: a line that runs out of stock
+    // rolls back the lines held before it instead of leaving a partial pending order
     const orderId = crypto.randomBytes(16).toString('hex')
-    const orderResult = await database.query(
-      `INSERT INTO orders (id, user_id, address_id, total_amount, payment_method, order_status, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-       RETURNING *`,
-      [orderId, userId, addressId, total, paymentMethod, 'pending'],
-    )
-
-    const order = orderResult.rows[0]
-
-    // ✅ STEP 7: ADD ORDER ITEMS
-    for (const item of cartItems) {
-      await database.query(
-        `INSERT INTO order_items (order_id, product_id, quantity, price, created_at)
-         VALUES ($1, $2, $3, $4, NOW())`,
-        [orderId, item.id, item.quantity, item.price],
+    const order = await withTransaction(async (transaction) => {
+      const orderResult = await transaction.query(
+        `INSERT INTO orders (id, user_id, address_id, total_amount, payment_method, order_status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+         RETURNING *`,
+        [orderId, userId, addressId, summary.total, paymentMethod, 'pending'],
       )
 
-      // Reduce product stock
-      await database.query('UPDATE products SET stock = stock - $1 WHERE id = $2', [
-        item.quantity,
-        item.id,
-      ])
-    }
+      // ✅ STEP 7: ADD ORDER ITEMS
+      for (const item of cartItems) {
+        await transaction.query(
+          `INSERT INTO order_items (order_id, product_id, quantity, price, variant_id, created_at)
+           VALUES ($1, $2, $3, $4, $5, NOW())`,
+          [
+            orderId,
+            item.id,
+            item.quantity,
+            unitPrices.get(`${item.id}:${item.variant_id || ''}`),
+            item.variant_id || null,
+          ],
+        )
 
-    // ✅ STEP 8: APPLY PROMO CODE IF PROVIDED
-    let discount = 0
-    if (promoCode) {
-      const promoResult = await database.query(
-        `SELECT id, discount_percent, discount_amount FROM promotions
-         WHERE code = $1 AND is_active = true AND expires_at > NOW()`,
-        [promoCode],
-      )
+        // Hold product (or variant) stock until payment completes or the hold expires
+        // Bundles are held as their components; downloadable products hold nothing
+        const lines = await getStockLines(
+          [{ productId: item.id, variantId: item.variant_id || null, quantity: item.quantity }],
+          transaction,
+        )
+        for (const line of lines) {
+          await reserveStock({ orderId, userId, ...line }, transaction)
+        }
+      }
 
-      if (promoResult.rows.length > 0) {
-        const promo = promoResult.rows[0]
-        discount = promo.discount_percent
-          ? (subtotal * promo.discount_percent) / 100
-          : promo.discount_amount
+      // Cash on delivery never visits a gateway, so the hold is final straight away
+      if (String(paymentMethod).toLowerCase() === 'cod') {
+        await commitReservations(orderId, transaction)
+      }
 
-        // Update order with discount
-        await database.query('UPDATE orders SET discount = $1 WHERE id = $2', [discount, orderId])
+      return orderResult.rows[0]
+    })
 
-        // Log promo usage
-        await database.query(
-          `INSERT INTO promo_usage (user_id, promo_id, order_id, created_at)
-           VALUES ($1, $2, $3, NOW())`,
-          [userId, promoResult.rows[0].id, orderId],
-        )
-      }
+    // ✅ STEP 8: RECORD THE PROMO CODE (already priced into the summary)
+    const discount = summary.promotion_discount
+    if (summary.promotion) {
+      await database.query('UPDATE orders SET discount = $1 WHERE id = $2', [discount, orderId])
+      await database.query(
+        'UPDATE promotions SET used_count = used_count + 1, updated_at = NOW() WHERE id = $1',
+        [summary.promotion.id],
+      )
     }
 
     console.log('✅ Order created successfully:', orderId)
@@ -305,20 +354,27 @@ export const processPayment = catchAsyncErrors(async (req, res, next) => {
       console.log('✅ Digital wallet payment processed:', transactionId)
     }
 
-    // ✅ SAVE PAYMENT RECORD
-    const paymentResult = await database.query(
-      `INSERT INTO payments (order_id, amount, payment_method, payment_status, transaction_id, created_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())
-       RETURNING *`,
-      [orderId, amount, paymentMethod, paymentStatus, transactionId],
-    )
-
-    // ✅ UPDATE ORDER STATUS
     const newOrderStatus = paymentStatus === 'completed' ? 'confirmed' : 'payment_pending'
-    await database.query(
-      'UPDATE orders SET order_status = $1, paid_at = NOW(), updated_at = NOW() WHERE id = $2',
-      [newOrderStatus, orderId],
-    )
+    await withTransaction(async (transaction) => {
+      // ✅ CHECK STOCK IS STILL HELD (holds may have expired and cancelled the order)
+      await holdStockForPayment(orderId, transaction)
+
+      // ✅ SAVE PAYMENT RECORD
+      await transaction.query(
+        `INSERT INTO payments (order_id, amount, payment_method, payment_status, transaction_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [orderId, amount, paymentMethod, paymentStatus, transactionId],
+      )
+
+      // ✅ UPDATE ORDER STATUS
+      if (paymentStatus === 'completed') {
+        await commitReservations(orderId, transaction)
+      }
+      await transaction.query(
+        'UPDATE orders SET order_status = $1, paid_at = NOW(), updated_at = NOW() WHERE id = $2',
+        [newOrderStatus, orderId],
+      )
+    })
 
     console.log('✅ Payment processed successfully')
 
@@ -572,17 +628,25 @@ export const cancelOrder = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler(`Cannot cancel order with status: ${order.order_status}`, 400))
     }
 
-    // Restore product stock
-    const itemsResult = await database.query(
-      'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
-      [orderId],
-    )
+    // Restore product stock - orders placed with reservations give back exactly what was held
+    const released = await releaseReservations(orderId, { includeCommitted: true })
+
+    if (released === 0) {
+      const itemsResult = await database.query(
+        'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1',
+        [orderId],
+      )
 
-    for (const item of itemsResult.rows) {
-      await database.query('UPDATE products SET stock = stock + $1 WHERE id = $2', [
-        item.quantity,
-        item.product_id,
-      ])
+      const lines = await getStockLines(
+        itemsResult.rows.map((item) => ({
+          productId: item.product_id,
+          variantId: item.variant_id,
+          quantity: item.quantity,
+        })),
+      )
+      for (const line of lines) {
+        await restoreStock({ ...line, referenceType: 'order', referenceId: orderId })
+      }
     }
 
     // Cancel order
@@ -590,6 +654,7 @@ export const cancelOrder = catchAsyncErrors(async (req, res, next) => {
       'cancelled',
       orderId,
     ])
+    await revokeOrderDownloadGrants(orderId)
 
     console.log('✅ Order cancelled successfully')
 
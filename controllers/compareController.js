@@ -0,0 +1,178 @@
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import database from '../database/db.js'
+import {
+  addCompareItem,
+  getCompareProductIds,
+  removeCompareItems,
+} from '../models/compareItemsTable.js'
+import { getProductAttributeValues } from '../models/productAttributesTable.js'
+import { MAX_COMPARE_PRODUCTS, buildComparisonMatrix } from '../utils/productComparison.js'
+import { ensureVisitorId, readVisitorId } from '../utils/visitorId.js'
+
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))
+
+// The compare list owner: the signed-in shopper, else the guest visitor cookie (if any)
+const readOwner = (req) => {
+  const userId = req.user?.id || null
+  const visitorId = userId ? null : readVisitorId(req)
+  return userId || visitorId ? { userId, visitorId } : null
+}
+
+/**
+ * Products in the given order, with what the comparison needs
+ */
+const loadCompareProducts = async (productIds) => {
+  if (productIds.length === 0) return []
+  const { rows } = await database.query(
+    `SELECT id, name, slug, images, brand, category, price, sale_price, ratings, stock,
+            weight, weight_unit, length, width, height
+     FROM products WHERE id = ANY($1::uuid[])`,
+    [productIds],
+  )
+  const byId = new Map(rows.map((row) => [String(row.id), row]))
+  return productIds.map((id) => byId.get(String(id))).filter(Boolean)
+}
+
+/**
+ * Get the compare list
+ * GET /api/v1/compare
+ */
+export const fetchCompareList = catchAsyncErrors(async (req, res, next) => {
+  const owner = readOwner(req)
+  const productIds = owner ? await getCompareProductIds(owner) : []
+  const products = await loadCompareProducts(productIds)
+
+  res.status(200).json({
+    success: true,
+    message: 'Compare list fetched',
+    data: {
+      products: buildComparisonMatrix(products).products,
+      max: MAX_COMPARE_PRODUCTS,
+    },
+  })
+})
+
+/**
+ * Add a product to the compare list
+ * POST /api/v1/compare
+ * Body: { productId }
+ * Guests get a visitor_id cookie; the list holds at most COMPARE_MAX_PRODUCTS (default 4)
+ */
+export const addToCompareList = catchAsyncErrors(async (req, res, next) => {
+  const productId = String(req.body.productId || '').toLowerCase()
+
+  if (!isUuid(productId)) {
+    return next(new ErrorHandler('A valid productId is required', 400))
+  }
+
+  const product = await database.query('SELECT id FROM products WHERE id = $1', [productId])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+
+  const userId = req.user?.id || null
+  const owner = { userId, visitorId: userId ? null : ensureVisitorId(req, res) }
+  const productIds = await getCompareProductIds(owner)
+
+  if (!productIds.includes(productId)) {
+    if (productIds.length >= MAX_COMPARE_PRODUCTS) {
+      return next(
+        new ErrorHandler(
+          `You can compare up to ${MAX_COMPARE_PRODUCTS} products. Remove one to add another.`,
+          409,
+        ),
+      )
+    }
+    await addCompareItem({ ...owner, productId })
+    productIds.push(productId)
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Product added to compare list',
+    data: { productIds, max: MAX_COMPARE_PRODUCTS },
+  })
+})
+
+/**
+ * Remove a product from the compare list
+ * DELETE /api/v1/compare/:productId
+ */
+export const removeFromCompareList = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const owner = readOwner(req)
+
+  const removed = owner && isUuid(productId) ? await removeCompareItems({ ...owner, productId }) : 0
+  if (removed === 0) {
+    return next(new ErrorHandler('Product is not in the compare list', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Product removed from compare list',
+    data: { productIds: await getCompareProductIds(owner) },
+  })
+})
+
+/**
+ * Empty the compare list
+ * DELETE /api/v1/compare
+ */
+export const clearCompareList = catchAsyncErrors(async (req, res, next) => {
+  const owner = readOwner(req)
+  const removed = owner ? await removeCompareItems(owner) : 0
+
+  res.status(200).json({
+    success: true,
+    message: 'Compare list cleared',
+    data: { removed },
+  })
+})
+
+/**
+ * Side-by-side comparison of the compare list (or of ?productIds=a,b,c)
+ * GET /api/v1/compare/matrix
+ * Rows cover price, sale price, rating, review stats, dimensions, weight (kg) and every
+ * attribute of the compared products; rows whose values are not all equal have differs: true
+ */
+export const fetchComparisonMatrix = catchAsyncErrors(async (req, res, next) => {
+  let productIds
+  if (req.query.productIds) {
+    productIds = [
+      ...new Set(
+        String(req.query.productIds)
+          .split(',')
+          .map((id) => id.trim())
+          .filter(Boolean),
+      ),
+    ]
+    if (!productIds.every(isUuid)) {
+      return next(new ErrorHandler('productIds must be a comma separated list of ids', 400))
+    }
+    if (productIds.length > MAX_COMPARE_PRODUCTS) {
+      return next(new ErrorHandler(`You can compare up to ${MAX_COMPARE_PRODUCTS} products.`, 400))
+    }
+  } else {
+    const owner = readOwner(req)
+    productIds = owner ? await getCompareProductIds(owner) : []
+  }
+
+  const products = await loadCompareProducts(productIds)
+  const ids = products.map((product) => product.id)
+  const [attributeRows, reviewStats] = await Promise.all([
+    getProductAttributeValues(ids),
+    ids.length
+      ? database
+          .query('SELECT * FROM review_statistics WHERE product_id = ANY($1::uuid[])', [ids])
+          .then((result) => result.rows)
+      : [],
+  ])
+
+  res.status(200).json({
+    success: true,
+    message: 'Product comparison fetched',
+    data: buildComparisonMatrix(products, attributeRows, reviewStats),
+  })
+})
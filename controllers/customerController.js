@@ -1,11 +1,14 @@
 /**
  * Customer Controller
- * Handles customer-specific operations: orders, profile, dashboard
+ * Handles customer-specific operations: orders, profile, dashboard, downloads
  */
 
 import database from '../database/db.js'
 import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { getUserDownloadGrants } from '../models/productDownloadsTable.js'
+import { countWishlistItems } from '../models/wishlistsTable.js'
+import { withDownloadLink } from '../utils/downloads.js'
 
 /**
  * Get customer's order history
@@ -109,11 +112,9 @@ export const getCustomerDashboard = catchAsyncErrors(async (req, res, next) => {
     const recentResult = await database.query(recentOrdersQuery, [userId])
     console.log('   Recent orders found:', recentResult.rows.length)
 
-    // Get wishlist count
-    const wishlistQuery = 'SELECT COUNT(*) FROM wishlist_items WHERE user_id = $1'
+    // Get wishlist count (same as the wishlist badge: saved-for-later items don't count)
     console.log('   Executing wishlist query')
-    const wishlistResult = await database.query(wishlistQuery, [userId])
-    const wishlistCount = parseInt(wishlistResult.rows[0].count)
+    const wishlistCount = await countWishlistItems(userId)
     console.log('   Wishlist count:', wishlistCount)
 
     res.status(200).json({
@@ -305,3 +306,40 @@ export const getCustomerAddresses = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler('Failed to fetch addresses', 500))
   }
 })
+
+/**
+ * Get customer's purchased downloads ("My downloads")
+ * GET /api/v1/customer/downloads
+ * Each available file comes with a fresh signed link that expires after DOWNLOAD_LINK_TTL_MINUTES
+ */
+export const getCustomerDownloads = catchAsyncErrors(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query
+  const userId = req.user.id
+
+  const offset = (page - 1) * limit
+
+  try {
+    const { grants, total } = await getUserDownloadGrants(userId, { limit, offset })
+    const origin = (process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`).replace(
+      /\/$/,
+      '',
+    )
+
+    res.status(200).json({
+      success: true,
+      data: {
+        downloads: grants.map((grant) => withDownloadLink(grant, origin)),
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error('❌ Error fetching customer downloads:', error.message)
+    return next(new ErrorHandler('Failed to fetch downloads', 500))
+  }
+})
@@ -463,7 +463,10 @@ export const getOrderPeakTimes = catchAsyncErrors(async (req, res, next) => {
  */
 
 // Get inventory analytics
+// Movement columns come from the stock_movements ledger for the last ?days= (default 30)
 export const getInventoryAnalytics = catchAsyncErrors(async (req, res, next) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365)
+
   const query = `
     SELECT
       p.id,
@@ -484,14 +487,41 @@ export const getInventoryAnalytics = catchAsyncErrors(async (req, res, next) =>
         WHEN COUNT(DISTINCT oi.order_id) > 50 THEN 'Popular'
         WHEN COUNT(DISTINCT oi.order_id) > 10 THEN 'Moderate'
         ELSE 'Slow Moving'
-      END as movement_speed
+      END as movement_speed,
+      COALESCE(sm.units_sold, 0) as units_sold,
+      COALESCE(sm.units_cancelled, 0) as units_cancelled,
+      COALESCE(sm.units_returned, 0) as units_returned,
+      COALESCE(sm.units_restocked, 0) as units_restocked,
+      COALESCE(sm.units_damaged, 0) as units_damaged,
+      COALESCE(sm.manual_corrections, 0) as manual_corrections,
+      COALESCE(lb.ledger_stock, 0) as ledger_stock,
+      (p.stock = COALESCE(lb.ledger_stock, 0)) as ledger_in_sync
     FROM products p
     LEFT JOIN order_items oi ON p.id = oi.product_id
-    GROUP BY p.id, p.name, p.price, p.stock
+    LEFT JOIN (
+      SELECT
+        product_id,
+        -SUM(quantity_change) FILTER (WHERE reason = 'sale') as units_sold,
+        SUM(quantity_change) FILTER (WHERE reason = 'cancellation') as units_cancelled,
+        SUM(quantity_change) FILTER (WHERE reason = 'return') as units_returned,
+        SUM(quantity_change) FILTER (WHERE reason = 'restock') as units_restocked,
+        -SUM(quantity_change) FILTER (WHERE reason = 'damage') as units_damaged,
+        SUM(quantity_change) FILTER (WHERE reason = 'manual_correction') as manual_corrections
+      FROM stock_movements
+      WHERE created_at >= NOW() - ($1 || ' days')::INTERVAL
+      GROUP BY product_id
+    ) sm ON p.id = sm.product_id
+    LEFT JOIN (
+      SELECT product_id, SUM(quantity_change) as ledger_stock
+      FROM stock_movements
+      GROUP BY product_id
+    ) lb ON p.id = lb.product_id
+    GROUP BY p.id, p.name, p.price, p.stock, sm.units_sold, sm.units_cancelled, sm.units_returned,
+      sm.units_restocked, sm.units_damaged, sm.manual_corrections, lb.ledger_stock
     ORDER BY current_stock ASC
   `
 
-  const result = await db.query(query)
+  const result = await db.query(query, [String(days)])
 
   return res
     .status(200)
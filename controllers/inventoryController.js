@@ -0,0 +1,155 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  ADJUSTMENT_REASONS,
+  STOCK_MOVEMENT_REASONS,
+  getStockMovements,
+  getStockReconciliation,
+} from '../models/stockMovementsTable.js'
+import { adjustStock } from '../utils/stockManager.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+import { broadcastProductStockUpdate } from '../socket/socketSetup.js'
+import { runStockAlertChecks } from '../utils/stockAlerts.js'
+
+/**
+ * Post a stock adjustment
+ * POST /api/v1/admin/inventory/:productId/adjustments
+ * Body: { quantity_change, reason, variant_id?, warehouse_id?, note? }
+ */
+export const createStockAdjustment = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const { quantity_change, reason, variant_id = null, warehouse_id = null, note } = req.body
+
+  const change = parseInt(quantity_change, 10)
+  if (isNaN(change) || change === 0) {
+    return next(new ErrorHandler('quantity_change must be a non-zero integer', 400))
+  }
+
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    return next(new ErrorHandler(`reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`, 400))
+  }
+
+  // Damage always takes stock out, restock always puts it in
+  if ((reason === 'damage' && change > 0) || (reason === 'restock' && change < 0)) {
+    return next(
+      new ErrorHandler(
+        `A ${reason} adjustment cannot be ${change > 0 ? 'positive' : 'negative'}`,
+        400,
+      ),
+    )
+  }
+
+  const product = await database.query('SELECT id, product_type FROM products WHERE id = $1', [
+    productId,
+  ])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+
+  if (product.rows[0].product_type === 'variable' && !variant_id) {
+    return next(new ErrorHandler('variant_id is required for variable products', 400))
+  }
+  if (product.rows[0].product_type === 'bundle') {
+    return next(new ErrorHandler('Bundle stock is derived from its components', 400))
+  }
+  if (product.rows[0].product_type === 'downloadable') {
+    return next(new ErrorHandler('Downloadable products have no stock', 400))
+  }
+
+  if (variant_id) {
+    const variant = await database.query(
+      'SELECT id FROM product_variants WHERE id = $1 AND product_id = $2',
+      [variant_id, productId],
+    )
+    if (variant.rows.length === 0) {
+      return next(new ErrorHandler('Variant not found', 404))
+    }
+  }
+
+  const stock = await withTransaction((transaction) =>
+    adjustStock(
+      {
+        productId,
+        variantId: variant_id,
+        warehouseId: warehouse_id,
+        change,
+        reason,
+        note: note || null,
+        referenceType: 'admin',
+        createdBy: req.user.id,
+      },
+      transaction,
+    ),
+  )
+
+  const io = req.app.get('io')
+  if (io) {
+    broadcastProductStockUpdate(io, productId, stock)
+  }
+  runStockAlertChecks(io, [productId])
+
+  console.log(`✅ [INVENTORY] ${reason} ${change > 0 ? '+' : ''}${change} on product ${productId}`)
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock adjusted successfully',
+    data: {
+      productId,
+      variantId: variant_id,
+      stock,
+    },
+  })
+})
+
+/**
+ * Get the movement history of a product
+ * GET /api/v1/admin/inventory/:productId/movements?variant_id=&reason=&page=&limit=
+ */
+export const getProductStockMovements = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const { variant_id, reason } = req.query
+  const page = parseInt(req.query.page) || 1
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+
+  if (reason && !STOCK_MOVEMENT_REASONS.includes(reason)) {
+    return next(
+      new ErrorHandler(`reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`, 400),
+    )
+  }
+
+  const { movements, total } = await getStockMovements(productId, {
+    variantId: variant_id || null,
+    reason: reason || null,
+    limit,
+    offset: (page - 1) * limit,
+  })
+
+  res.status(200).json({
+    success: true,
+    message: 'Stock movements retrieved successfully',
+    data: movements,
+    total,
+    page,
+    limit,
+  })
+})
+
+/**
+ * Compare ledger totals with current stock
+ * GET /api/v1/admin/inventory/reconciliation?all=true
+ */
+export const getInventoryReconciliation = catchAsyncErrors(async (req, res, next) => {
+  const includeMatching = req.query.all === 'true'
+  const rows = await getStockReconciliation({ includeMatching })
+  const mismatched = rows.filter((row) => !row.in_sync)
+
+  res.status(200).json({
+    success: true,
+    message: mismatched.length
+      ? `${mismatched.length} stock records disagree with the ledger`
+      : 'Stock matches the ledger',
+    data: rows,
+    mismatchedCount: mismatched.length,
+  })
+})
@@ -4,6 +4,17 @@ import database from '../database/db.js'
 import { generatePaymentIntent } from '../utils/generatePaymentIntent.js'
 import { validateOrderData } from '../utils/inputValidator.js'
 import { logOrderCreation, logValidationFailure } from '../utils/auditLogger.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+import {
+  reserveStock,
+  commitReservations,
+  getStockLines,
+  releaseReservations,
+} from '../utils/stockManager.js'
+import { revokeOrderDownloadGrants } from '../models/productDownloadsTable.js'
+import { grantDownloadsForOrder } from '../utils/downloads.js'
+import { getVariantsByIds } from '../models/productVariantsTable.js'
+import { getEffectiveUnitPrice, loadActivePriceRules } from '../utils/pricing.js'
 
 export const placeNewOrder = catchAsyncErrors(async (req, res, next) => {
   try {
@@ -94,13 +105,18 @@ export const placeNewOrder = catchAsyncErrors(async (req, res, next) => {
       : JSON.parse(validatedData.orderedItems)
     const productIds = items.map((item) => item.product.id)
     const { rows: products } = await database.query(
-      `SELECT id, price, stock, name FROM products WHERE id = ANY($1::uuid[])`,
+      `SELECT id, price, sale_price, category, brand, stock, name, product_type FROM products WHERE id = ANY($1::uuid[])`,
       [productIds],
     )
 
+    // Variant lines reference product_variants and are priced/stocked per variant
+    const variantIds = items.map((item) => item.variant_id || item.variant?.id).filter(Boolean)
+    const variants = await getVariantsByIds(variantIds)
+
     let subtotal_price = 0
     const values = []
     const placeholders = []
+    const stockLines = []
 
     // 🔒 CRITICAL FIX #1: Validate each item quantity before processing
     for (const item of items) {
@@ -122,32 +138,74 @@ export const placeNewOrder = catchAsyncErrors(async (req, res, next) => {
         return next(new ErrorHandler('Maximum quantity per order is 100 items.', 400))
       }
 
-      // Validate stock availability
-      if (item.quantity > product.stock) {
+      const variantId = item.variant_id || item.variant?.id
+      if (product.product_type === 'variable' && !variantId) {
+        return next(new ErrorHandler(`Please select a variant for ${product.name}`, 400))
+      }
+
+      if (variantId) {
+        const variant = variants.find((v) => v.id === variantId && v.product_id === product.id)
+        if (!variant || !variant.is_active) {
+          return next(new ErrorHandler(`Selected variant of ${product.name} is unavailable`, 400))
+        }
+
+        if (item.quantity > variant.stock) {
+          return next(
+            new ErrorHandler(
+              `Only ${variant.stock} units available for ${product.name} (${Object.values(
+                variant.options,
+              ).join(' / ')})`,
+              400,
+            ),
+          )
+        }
+        continue
+      }
+
+      // Validate stock availability (downloads are never out of stock)
+      if (product.product_type !== 'downloadable' && item.quantity > product.stock) {
         return next(
           new ErrorHandler(`Only ${product.stock} units available for ${product.name}`, 400),
         )
       }
     }
 
-    // Calculate subtotal using database prices and validated quantities
+    // Calculate subtotal using database prices (including running sales) and validated quantities
+    const priceRules = await loadActivePriceRules()
     items.forEach((item, index) => {
       const product = products.find((p) => p.id === item.product.id)
-      const itemTotal = product.price * item.quantity
+      const variantId = item.variant_id || item.variant?.id || null
+      const variant = variantId ? variants.find((v) => v.id === variantId) : null
+      const unitPrice = getEffectiveUnitPrice(product, variant, priceRules)
+      const itemTotal = unitPrice * item.quantity
       subtotal_price += itemTotal
 
-      // Get image URL safely - handle missing images array
+      // Get image URL safely - prefer the variant image, handle missing images array
       const imageUrl =
-        item.product.images && item.product.images.length > 0 ? item.product.images[0].url : ''
-
-      values.push(null, product.id, item.quantity, product.price, imageUrl, product.name)
+        variant && variant.images.length > 0
+          ? variant.images[0].url
+          : item.product.images && item.product.images.length > 0
+            ? item.product.images[0].url
+            : ''
+
+      values.push(
+        null,
+        product.id,
+        item.quantity,
+        unitPrice,
+        imageUrl,
+        product.name,
+        variantId,
+        variant ? JSON.stringify(variant.options) : null,
+      )
+      stockLines.push({ productId: product.id, variantId, quantity: item.quantity })
 
-      const offset = index * 6
+      const offset = index * 8
 
       placeholders.push(
         `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${
           offset + 5
-        }, $${offset + 6})`,
+        }, $${offset + 6}, $${offset + 7}, $${offset + 8})`,
       )
     })
 
@@ -155,8 +213,10 @@ export const placeNewOrder = catchAsyncErrors(async (req, res, next) => {
     const district = city ? city.toLowerCase().trim() : ''
     let shipping_price = 0
 
-    // Apply Bangladesh shipping rates
-    if (district === 'chittagong' || district === 'চট্টগ্রাম') {
+    // Apply Bangladesh shipping rates; orders of only downloadable products ship nothing
+    if (products.every((product) => product.product_type === 'downloadable')) {
+      shipping_price = 0
+    } else if (district === 'chittagong' || district === 'চট্টগ্রাম') {
       shipping_price = 60 // ৳60 for Chittagong
     } else {
       shipping_price = 100 // ৳100 for other districts
@@ -168,24 +228,38 @@ export const placeNewOrder = catchAsyncErrors(async (req, res, next) => {
     // Calculate final total: subtotal + shipping + tax
     const total_price = Math.round(subtotal_price + shipping_price + tax_price)
 
-    const orderResult = await database.query(
-      `INSERT INTO orders (buyer_id, total_price, tax_price, shipping_price, idempotency_key) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [req.user.id, total_price, tax_price, shipping_price, idempotencyKey],
-    )
+    // Order, items and stock decrement succeed or fail together
+    const orderId = await withTransaction(async (transaction) => {
+      const orderResult = await transaction.query(
+        `INSERT INTO orders (buyer_id, total_price, tax_price, shipping_price, idempotency_key) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [req.user.id, total_price, tax_price, shipping_price, idempotencyKey],
+      )
 
-    const orderId = orderResult.rows[0].id
+      const newOrderId = orderResult.rows[0].id
 
-    for (let i = 0; i < values.length; i += 6) {
-      values[i] = orderId
-    }
+      for (let i = 0; i < values.length; i += 8) {
+        values[i] = newOrderId
+      }
 
-    await database.query(
-      `
-    INSERT INTO order_items (order_id, product_id, quantity, price, image, title)
+      await transaction.query(
+        `
+    INSERT INTO order_items (order_id, product_id, quantity, price, image, title, variant_id, variant_options)
     VALUES ${placeholders.join(', ')} RETURNING *
     `,
-      values,
-    )
+        values,
+      )
+
+      // Online payments hold stock until the gateway confirms; COD orders are final
+      // Bundles are held as their components; downloadable products hold nothing
+      for (const line of await getStockLines(stockLines, transaction)) {
+        await reserveStock({ ...line, orderId: newOrderId, userId: req.user.id }, transaction)
+      }
+      if (paymentMethod === 'COD') {
+        await commitReservations(newOrderId, transaction)
+      }
+
+      return newOrderId
+    })
 
     // Store shipping details in database
     try {
@@ -247,7 +321,9 @@ export const placeNewOrder = catchAsyncErrors(async (req, res, next) => {
     if (req.user?.id) {
       await logOrderCreation(req.user.id, 'unknown', 0, 'unknown', 'FAILURE')
     }
-    return next(new ErrorHandler(error.message || 'Failed to create order', 500))
+    return next(
+      new ErrorHandler(error.message || 'Failed to create order', error.statusCode || 500),
+    )
   }
 })
 
@@ -476,12 +552,20 @@ export const updateOrderStatus = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler('Invalid order ID.', 404))
   }
 
-  const updatedOrder = await database.query(
-    `
+  // Cancelling gives held / sold stock back (bundle orders return each component)
+  // and takes away access to purchased downloads
+  const updatedOrder = await withTransaction(async (transaction) => {
+    if (normalizedStatus === 'Cancelled' && results.rows[0].order_status !== 'Cancelled') {
+      await releaseReservations(orderId, { includeCommitted: true }, transaction)
+      await revokeOrderDownloadGrants(orderId, transaction)
+    }
+    return transaction.query(
+      `
     UPDATE orders SET order_status = $1 WHERE id = $2 RETURNING *
     `,
-    [normalizedStatus, orderId],
-  )
+      [normalizedStatus, orderId],
+    )
+  })
 
   res.status(200).json({
     success: true,
@@ -527,10 +611,13 @@ export const updatePaymentStatus = catchAsyncErrors(async (req, res, next) => {
   }
 
   // Also update the paid_at timestamp in orders table if payment is marked as Paid
+  // Downloads follow the payment: granted once paid (e.g. COD), revoked if it is reversed
   if (paymentStatus === 'Paid') {
     await database.query(`UPDATE orders SET paid_at = NOW() WHERE id = $1`, [orderId])
+    await grantDownloadsForOrder(orderId)
   } else {
     await database.query(`UPDATE orders SET paid_at = NULL WHERE id = $1`, [orderId])
+    await revokeOrderDownloadGrants(orderId)
   }
 
   res.status(200).json({
@@ -3,6 +3,44 @@ import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import database from '../database/db.js'
 import axios from 'axios'
 import crypto from 'crypto'
+import { commitReservations, holdStockForPayment } from '../utils/stockManager.js'
+import { grantDownloadsForOrder } from '../utils/downloads.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+
+/**
+ * Mark a gateway payment as paid and sell the stock held for its order
+ * When the order can no longer get its stock (holds expired and the units are gone, or it was
+ * cancelled) the payment is flagged 'Refund Pending' instead and false is returned
+ */
+const settleGatewayPayment = async ({ orderId, transactionId, paymentIntentId = null }) => {
+  const match = paymentIntentId ? 'payment_intent_id = $2' : 'order_id = $2'
+  const key = paymentIntentId || orderId
+
+  try {
+    await withTransaction(async (transaction) => {
+      await holdStockForPayment(orderId, transaction)
+      await transaction.query(
+        `UPDATE payments SET payment_status = 'Paid', transaction_id = $1, paid_at = NOW()
+         WHERE ${match}`,
+        [transactionId, key],
+      )
+      // Stock held during the redirect is now sold
+      await commitReservations(orderId, transaction)
+    })
+  } catch (error) {
+    if (error.statusCode !== 409) throw error
+    console.error(`❌ Payment for order ${orderId} needs a refund: ${error.message}`)
+    await database.query(
+      `UPDATE payments SET payment_status = 'Refund Pending', transaction_id = $1 WHERE ${match}`,
+      [transactionId, key],
+    )
+    return false
+  }
+
+  // Purchased files become downloadable
+  await grantDownloadsForOrder(orderId)
+  return true
+}
 
 // ============ bKash Integration ============
 export const initiateBkashPayment = catchAsyncErrors(async (req, res, next) => {
@@ -83,6 +121,27 @@ export const bkashPaymentCallback = catchAsyncErrors(async (req, res, next) => {
 
     const accessToken = tokenResponse.data.id_token
 
+    const intent = await database.query(
+      'SELECT order_id FROM payments WHERE payment_intent_id = $1',
+      [paymentID],
+    )
+    if (!intent.rows[0]) {
+      return res.redirect(`${process.env.FRONTEND_URL}/payment/failed?paymentID=${paymentID}`)
+    }
+    const orderId = intent.rows[0].order_id
+
+    // Don't capture money for an order whose stock is gone
+    try {
+      await withTransaction((transaction) => holdStockForPayment(orderId, transaction))
+    } catch (error) {
+      if (error.statusCode !== 409) throw error
+      await database.query(`UPDATE payments SET payment_status = $1 WHERE payment_intent_id = $2`, [
+        'Failed',
+        paymentID,
+      ])
+      return res.redirect(`${process.env.FRONTEND_URL}/payment/failed?paymentID=${paymentID}`)
+    }
+
     // Execute payment
     const executeResponse = await axios.post(
       `${process.env.BKASH_BASE_URL}/tokenized/checkout/execute`,
@@ -99,11 +158,14 @@ export const bkashPaymentCallback = catchAsyncErrors(async (req, res, next) => {
 
     if (executeResponse.data.statusCode === '0000') {
       // Payment successful
-      await database.query(
-        `UPDATE payments SET payment_status = $1, transaction_id = $2, paid_at = NOW()
-         WHERE payment_intent_id = $3`,
-        ['Paid', executeResponse.data.trxID, paymentID],
-      )
+      const settled = await settleGatewayPayment({
+        orderId,
+        transactionId: executeResponse.data.trxID,
+        paymentIntentId: paymentID,
+      })
+      if (!settled) {
+        return res.redirect(`${process.env.FRONTEND_URL}/payment/failed?paymentID=${paymentID}`)
+      }
 
       return res.redirect(`${process.env.FRONTEND_URL}/payment/success?paymentID=${paymentID}`)
     } else {
@@ -176,11 +238,13 @@ export const nagadPaymentCallback = catchAsyncErrors(async (req, res, next) => {
 
   try {
     if (status === 'Success') {
-      await database.query(
-        `UPDATE payments SET payment_status = $1, transaction_id = $2, paid_at = NOW()
-         WHERE order_id = $3`,
-        ['Paid', tranId, orderId],
-      )
+      const settled = await settleGatewayPayment({ orderId, transactionId: tranId })
+      if (!settled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order is no longer available; payment will be refunded',
+        })
+      }
 
       return res.json({
         success: true,
@@ -254,11 +318,16 @@ export const rocketPaymentCallback = catchAsyncErrors(async (req, res, next) =>
 
   try {
     if (status === 'Success') {
-      await database.query(
-        `UPDATE payments SET payment_status = $1, transaction_id = $2, paid_at = NOW()
-         WHERE order_id = $3`,
-        ['Paid', transactionId, order_id],
-      )
+      const settled = await settleGatewayPayment({
+        orderId: order_id,
+        transactionId: transactionId,
+      })
+      if (!settled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order is no longer available; payment will be refunded',
+        })
+      }
 
       return res.json({
         success: true,
@@ -1,13 +1,39 @@
 import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import ErrorHandler from '../middlewares/errorMiddleware.js'
 import database from '../database/db.js'
+import {
+  getBoughtTogetherProducts,
+  getPersonalizedRecommendations,
+  getSimilarProducts,
+} from '../models/productRecommendationsTable.js'
+import { INTERACTION_WEIGHTS, recomputeRecommendations } from '../utils/recommendations.js'
+import { getViewedCategories } from '../models/productViewsTable.js'
+import { readVisitorId } from '../utils/visitorId.js'
+import { getUserWishlists, getWishlistItemRows } from '../models/wishlistsTable.js'
+import { loadActivePriceRules } from '../utils/pricing.js'
+import { roundMoney } from '../utils/cartPricing.js'
+import { priceWishlistItems, summarizeListPriceDrops } from '../utils/wishlists.js'
+
+const RECOMMENDED_LIMIT = 8
+const RELATED_LIMIT = 12
+const BOUGHT_TOGETHER_LIMIT = 8
+
+// Precomputed recommendations first, topped up with fallback rows not already listed
+const topUp = (rows, fallback, limit) => {
+  const seen = new Set(rows.map((row) => row.id))
+  return [...rows, ...fallback.filter((row) => !seen.has(row.id))].slice(0, limit)
+}
 
 /**
  * Get personalized feed for user
  * Shows: recommended products, trending items, personalized deals
+ * Shoppers get products ranked by the offline recommendation engine (similar to what they
+ * bought, carted, wishlisted or viewed); the rest is filled by category and rating.
+ * Guests are recognised by the visitor_id cookie, so browsing history personalizes their feed too.
  */
 export const getPersonalizedFeed = catchAsyncErrors(async (req, res, next) => {
   const userId = req.user?.id
+  const visitorId = userId ? null : readVisitorId(req)
 
   // Get user's purchase history and preferences
   let preferences = {
@@ -40,6 +66,23 @@ export const getPersonalizedFeed = catchAsyncErrors(async (req, res, next) => {
     }
   }
 
+  // Recently browsed categories cover shoppers without (many) orders
+  if (userId || visitorId) {
+    const viewedCategories = await getViewedCategories({ userId, visitorId }, 5)
+    preferences.favoriteCategories = [
+      ...new Set([...preferences.favoriteCategories, ...viewedCategories]),
+    ]
+  }
+
+  // Precomputed personalized ranking
+  const personalized =
+    userId || visitorId
+      ? await getPersonalizedRecommendations(
+          { userId, visitorId },
+          { weights: INTERACTION_WEIGHTS, limit: RECOMMENDED_LIMIT },
+        )
+      : []
+
   // Get recommended products
   const recommendedQuery = `
     SELECT
@@ -66,13 +109,18 @@ export const getPersonalizedFeed = catchAsyncErrors(async (req, res, next) => {
         : ''
     }
     ORDER BY relevance_score DESC, p.ratings DESC
-    LIMIT 8
+    LIMIT ${RECOMMENDED_LIMIT}
   `
 
   const recommendedResult = await database.query(
     recommendedQuery,
     userId ? [preferences.favoriteCategories, userId] : [preferences.favoriteCategories],
   )
+  const recommended = topUp(
+    personalized.map((row) => ({ ...row, feed_type: 'recommended' })),
+    recommendedResult.rows,
+    RECOMMENDED_LIMIT,
+  )
 
   // Get trending this week
   const trendingQuery = `
@@ -115,7 +163,7 @@ export const getPersonalizedFeed = catchAsyncErrors(async (req, res, next) => {
   const dealsResult = await database.query(dealsQuery)
 
   // Combine and shuffle feed
-  const feed = [...recommendedResult.rows, ...trendingResult.rows, ...dealsResult.rows]
+  const feed = [...recommended, ...trendingResult.rows, ...dealsResult.rows]
 
   res.status(200).json({
     success: true,
@@ -123,7 +171,8 @@ export const getPersonalizedFeed = catchAsyncErrors(async (req, res, next) => {
     data: {
       feed: feed.slice(0, 20),
       sections: {
-        recommended: recommendedResult.rows.length,
+        recommended: recommended.length,
+        personalized: personalized.length,
         trending: trendingResult.rows.length,
         flashDeals: dealsResult.rows.length,
       },
@@ -134,6 +183,8 @@ export const getPersonalizedFeed = catchAsyncErrors(async (req, res, next) => {
 
 /**
  * Get smart product recommendations based on product viewing
+ * Related products and "frequently bought together" come from the offline recommendation
+ * engine; related products are topped up by category and price for products with little history
  */
 export const getProductRecommendations = catchAsyncErrors(async (req, res, next) => {
   const { productId } = req.params
@@ -148,7 +199,9 @@ export const getProductRecommendations = catchAsyncErrors(async (req, res, next)
 
   const product = productResult.rows[0]
 
-  // Find similar products
+  const similar = await getSimilarProducts(productId, RELATED_LIMIT)
+
+  // Find similar products by category and price
   const similarQuery = `
     SELECT
       p.id,
@@ -166,7 +219,7 @@ export const getProductRecommendations = catchAsyncErrors(async (req, res, next)
     WHERE p.id != $3
     AND p.stock > 0
     ORDER BY similarity_score DESC, p.ratings DESC
-    LIMIT 12
+    LIMIT ${RELATED_LIMIT}
   `
 
   const similarResult = await database.query(similarQuery, [
@@ -175,38 +228,14 @@ export const getProductRecommendations = catchAsyncErrors(async (req, res, next)
     productId,
   ])
 
-  // Get frequently bought together
-  const togetherQuery = `
-    SELECT DISTINCT
-      p.id,
-      p.name,
-      p.price,
-      p.category,
-      p.ratings,
-      p.images,
-      COUNT(*) as times_bought_together
-    FROM products p
-    JOIN order_items oi ON p.id = oi.product_id
-    JOIN orders o ON oi.order_id = o.id
-    WHERE o.id IN (
-      SELECT DISTINCT oi2.order_id
-      FROM order_items oi2
-      WHERE oi2.product_id = $1
-    )
-    AND p.id != $1
-    GROUP BY p.id, p.name, p.price, p.category, p.ratings, p.images
-    ORDER BY COUNT(*) DESC
-    LIMIT 8
-  `
-
-  const togetherResult = await database.query(togetherQuery, [productId])
+  const frequentlyBoughtTogether = await getBoughtTogetherProducts(productId, BOUGHT_TOGETHER_LIMIT)
 
   res.status(200).json({
     success: true,
     message: 'Product recommendations fetched',
     data: {
-      relatedProducts: similarResult.rows,
-      frequentlyBoughtTogether: togetherResult.rows,
+      relatedProducts: topUp(similar, similarResult.rows, RELATED_LIMIT),
+      frequentlyBoughtTogether,
       viewedProduct: {
         id: product.id,
         name: product.name,
@@ -217,6 +246,23 @@ export const getProductRecommendations = catchAsyncErrors(async (req, res, next)
   })
 })
 
+/**
+ * Rebuild the precomputed recommendations now instead of waiting for the job
+ * POST /api/v1/admin/recommendations/recompute
+ */
+export const triggerRecommendationRecompute = catchAsyncErrors(async (req, res, next) => {
+  const result = await recomputeRecommendations()
+  if (!result) {
+    return next(new ErrorHandler('Recommendation recompute failed', 500))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Recommendations recomputed',
+    data: result,
+  })
+})
+
 /**
  * Get user activity insights
  */
@@ -302,7 +348,8 @@ export const getUserInsights = catchAsyncErrors(async (req, res, next) => {
 })
 
 /**
- * Get wishlists with smart recommendations
+ * Get wishlist insights: value, sale items and, per list, price drops since each item was added
+ * GET /api/v1/feed/wishlist-insights
  */
 export const getWishlistInsights = catchAsyncErrors(async (req, res, next) => {
   const userId = req.user?.id
@@ -311,47 +358,42 @@ export const getWishlistInsights = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler('Unauthorized', 401))
   }
 
-  // Get wishlist items
-  const wishlistQuery = `
-    SELECT
-      w.id,
-      p.id as product_id,
-      p.name,
-      p.price,
-      p.category,
-      p.ratings,
-      p.images,
-      p.stock,
-      p.discount_percent,
-      w.created_at as added_to_wishlist,
-      (p.price * (1 - p.discount_percent/100)) as discounted_price
-    FROM wishlist w
-    JOIN products p ON w.product_id = p.id
-    WHERE w.buyer_id = $1
-    ORDER BY w.created_at DESC
-  `
-  const wishlistResult = await database.query(wishlistQuery, [userId])
+  const lists = await getUserWishlists(userId)
+  const items = lists.length
+    ? priceWishlistItems(
+        await getWishlistItemRows(lists.map((list) => list.id)),
+        await loadActivePriceRules(),
+      )
+    : []
 
-  // Get insights
-  const totalWishlistValue = wishlistResult.rows.reduce((sum, item) => sum + item.price, 0)
-  const totalDiscountSavings = wishlistResult.rows.reduce(
-    (sum, item) => sum + (item.price - item.discounted_price),
+  const totalWishlistValue = items.reduce((sum, item) => sum + item.current_price, 0)
+  const totalDiscountSavings = items.reduce(
+    (sum, item) => sum + (item.regular_price - item.current_price),
     0,
   )
+  const overall = summarizeListPriceDrops(items)
 
   res.status(200).json({
     success: true,
     message: 'Wishlist insights fetched',
     data: {
-      wishlistItems: wishlistResult.rows,
+      wishlistItems: items,
       insights: {
-        totalItems: wishlistResult.rows.length,
-        totalValue: totalWishlistValue,
-        potentialSavings: totalDiscountSavings,
-        avgItemPrice: totalWishlistValue / (wishlistResult.rows.length || 1),
-        itemsOnDiscount: wishlistResult.rows.filter((i) => i.discount_percent > 0).length,
-        outOfStockItems: wishlistResult.rows.filter((i) => i.stock === 0).length,
+        totalItems: items.length,
+        totalValue: roundMoney(totalWishlistValue),
+        potentialSavings: roundMoney(totalDiscountSavings),
+        avgItemPrice: roundMoney(totalWishlistValue / (items.length || 1)),
+        itemsOnDiscount: overall.items_on_sale,
+        outOfStockItems: overall.out_of_stock_items,
+        priceDropCount: overall.price_drop_count,
+        totalPriceDrop: overall.total_price_drop,
       },
+      lists: lists.map((list) => ({
+        id: list.id,
+        name: list.name,
+        kind: list.kind,
+        ...summarizeListPriceDrops(items.filter((item) => item.list_id === list.id)),
+      })),
     },
   })
 })
@@ -0,0 +1,254 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  PRICE_RULE_TARGETS,
+  PRICE_RULE_TYPES,
+  getPriceRuleById,
+  getPriceRules,
+} from '../models/priceRulesTable.js'
+import { announcePriceRuleChanges } from '../utils/pricing.js'
+import { broadcastPriceRuleChange } from '../socket/socketSetup.js'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Validate a rule body merged over the existing rule (if any)
+ * Returns { rule } or { error }
+ */
+const validatePriceRule = async (body, existing = {}) => {
+  const rule = {
+    name: body.name ?? existing.name,
+    description: body.description ?? existing.description ?? null,
+    target_type: body.target_type ?? existing.target_type,
+    target_values: body.target_values ?? existing.target_values,
+    discount_type: body.discount_type ?? existing.discount_type,
+    value: body.value ?? existing.value,
+    starts_at: body.starts_at ?? existing.starts_at,
+    ends_at: body.ends_at !== undefined ? body.ends_at : (existing.ends_at ?? null),
+    is_active: body.is_active ?? existing.is_active ?? true,
+  }
+
+  if (!rule.name || !String(rule.name).trim()) {
+    return { error: 'Rule name is required' }
+  }
+  if (!PRICE_RULE_TARGETS.includes(rule.target_type)) {
+    return { error: `target_type must be one of: ${PRICE_RULE_TARGETS.join(', ')}` }
+  }
+  if (!Array.isArray(rule.target_values) || rule.target_values.length === 0) {
+    return { error: 'target_values must be a non-empty array' }
+  }
+  if (!PRICE_RULE_TYPES.includes(rule.discount_type)) {
+    return { error: `discount_type must be one of: ${PRICE_RULE_TYPES.join(', ')}` }
+  }
+
+  const value = parseFloat(rule.value)
+  if (Number.isNaN(value) || value < 0) {
+    return { error: 'value must be a number of at least 0' }
+  }
+  if (rule.discount_type === 'percentage' && (value <= 0 || value > 100)) {
+    return { error: 'Percentage value must be between 0 and 100' }
+  }
+
+  const startsAt = new Date(rule.starts_at)
+  if (!rule.starts_at || Number.isNaN(startsAt.getTime())) {
+    return { error: 'starts_at must be a valid date' }
+  }
+  const endsAt = rule.ends_at ? new Date(rule.ends_at) : null
+  if (endsAt && (Number.isNaN(endsAt.getTime()) || endsAt <= startsAt)) {
+    return { error: 'ends_at must be a valid date after starts_at' }
+  }
+
+  const targetValues = [...new Set(rule.target_values.map((target) => String(target).trim()))]
+  if (targetValues.some((target) => !target)) {
+    return { error: 'target_values cannot contain empty entries' }
+  }
+
+  if (rule.target_type === 'product') {
+    if (targetValues.some((target) => !UUID_PATTERN.test(target))) {
+      return { error: 'Product targets must be product IDs' }
+    }
+    const { rows } = await database.query(`SELECT id FROM products WHERE id = ANY($1::uuid[])`, [
+      targetValues,
+    ])
+    if (rows.length !== targetValues.length) {
+      const found = new Set(rows.map((row) => row.id))
+      return {
+        error: `Products not found: ${targetValues.filter((id) => !found.has(id)).join(', ')}`,
+      }
+    }
+  }
+
+  return {
+    rule: {
+      ...rule,
+      name: String(rule.name).trim(),
+      target_values: targetValues,
+      value,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      is_active: !!rule.is_active,
+    },
+  }
+}
+
+/**
+ * List scheduled price rules
+ * GET /api/v1/admin/price-rules?status=scheduled|running|ended|inactive
+ */
+export const fetchPriceRules = catchAsyncErrors(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+  const { rules, total } = await getPriceRules({
+    status: req.query.status,
+    limit,
+    offset: (page - 1) * limit,
+  })
+
+  res.status(200).json({
+    success: true,
+    message: 'Price rules retrieved successfully',
+    data: rules,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  })
+})
+
+/**
+ * Get a price rule
+ * GET /api/v1/admin/price-rules/:ruleId
+ */
+export const fetchPriceRule = catchAsyncErrors(async (req, res, next) => {
+  const rule = await getPriceRuleById(req.params.ruleId)
+  if (!rule) {
+    return next(new ErrorHandler('Price rule not found', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Price rule retrieved successfully',
+    data: rule,
+  })
+})
+
+/**
+ * Schedule a price rule
+ * POST /api/v1/admin/price-rules
+ * Body: { name, target_type, target_values, discount_type, value, starts_at, ends_at?, is_active? }
+ */
+export const createPriceRule = catchAsyncErrors(async (req, res, next) => {
+  const { rule, error } = await validatePriceRule(req.body)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  const result = await database.query(
+    `INSERT INTO price_rules
+       (name, description, target_type, target_values, discount_type, value, starts_at, ends_at, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      rule.name,
+      rule.description,
+      rule.target_type,
+      JSON.stringify(rule.target_values),
+      rule.discount_type,
+      rule.value,
+      rule.starts_at,
+      rule.ends_at,
+      rule.is_active,
+      req.user.id,
+    ],
+  )
+
+  console.log(`✅ [PRICE_RULE] Scheduled "${rule.name}" from ${rule.starts_at.toISOString()}`)
+
+  // A rule that is already running is announced straight away
+  await announcePriceRuleChanges(req.app.get('io'))
+
+  res.status(201).json({
+    success: true,
+    message: 'Price rule created successfully',
+    data: result.rows[0],
+  })
+})
+
+/**
+ * Update a price rule
+ * PUT /api/v1/admin/price-rules/:ruleId
+ */
+export const updatePriceRule = catchAsyncErrors(async (req, res, next) => {
+  const { ruleId } = req.params
+  const existing = await getPriceRuleById(ruleId)
+  if (!existing) {
+    return next(new ErrorHandler('Price rule not found', 404))
+  }
+
+  const { rule, error } = await validatePriceRule(req.body, existing)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  await database.query(
+    `UPDATE price_rules
+     SET name = $1, description = $2, target_type = $3, target_values = $4, discount_type = $5,
+         value = $6, starts_at = $7, ends_at = $8, is_active = $9, updated_at = NOW()
+     WHERE id = $10`,
+    [
+      rule.name,
+      rule.description,
+      rule.target_type,
+      JSON.stringify(rule.target_values),
+      rule.discount_type,
+      rule.value,
+      rule.starts_at,
+      rule.ends_at,
+      rule.is_active,
+      ruleId,
+    ],
+  )
+
+  // Rescheduled or re-enabled rules get announced again when they (re)start
+  await database.query(
+    `UPDATE price_rules
+     SET started_announced_at = CASE
+           WHEN starts_at > NOW() OR ended_announced_at IS NOT NULL THEN NULL
+           ELSE started_announced_at
+         END,
+         ended_announced_at = NULL
+     WHERE id = $1 AND is_active = true AND (ends_at IS NULL OR ends_at > NOW())`,
+    [ruleId],
+  )
+
+  await announcePriceRuleChanges(req.app.get('io'))
+
+  res.status(200).json({
+    success: true,
+    message: 'Price rule updated successfully',
+    data: await getPriceRuleById(ruleId),
+  })
+})
+
+/**
+ * Delete a price rule (a running sale ends immediately)
+ * DELETE /api/v1/admin/price-rules/:ruleId
+ */
+export const deletePriceRule = catchAsyncErrors(async (req, res, next) => {
+  const { rows } = await database.query(`DELETE FROM price_rules WHERE id = $1 RETURNING *`, [
+    req.params.ruleId,
+  ])
+  if (rows.length === 0) {
+    return next(new ErrorHandler('Price rule not found', 404))
+  }
+
+  const [rule] = rows
+  const io = req.app.get('io')
+  if (io && rule.started_announced_at && !rule.ended_announced_at) {
+    broadcastPriceRuleChange(io, rule, 'ended')
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Price rule deleted successfully',
+  })
+})
@@ -0,0 +1,372 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  getAttributeById,
+  getAttributes,
+  getAttributeTextUsage,
+  getCategoryAttributes,
+  getProductAttributeValues,
+  replaceProductAttributeValues,
+  setCategoryAttributes,
+} from '../models/productAttributesTable.js'
+import { findCategory, getAllCategories, getCategoryById } from '../models/categoriesTable.js'
+import { getBreadcrumbs, getVisibleCategories, slugifyCategory } from '../utils/categoryTree.js'
+import {
+  ATTRIBUTE_TYPES,
+  OPTION_TYPES,
+  formatAttributeValues,
+  getAttributeOptions,
+  normalizeAttributeOptions,
+  normalizeAttributeValue,
+} from '../utils/productAttributes.js'
+import { broadcastProductUpdate } from '../socket/socketSetup.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))
+
+/**
+ * Validate an attribute body; `existing` is the stored attribute when updating
+ * Returns { values } (only the fields present) or { error }
+ */
+const readAttributeBody = (body, existing = null) => {
+  const values = {}
+
+  if (body.name !== undefined || !existing) {
+    values.name = String(body.name ?? '').trim()
+    if (!values.name) return { error: 'Attribute name is required' }
+    if (values.name.length > 100) return { error: 'Attribute name cannot exceed 100 characters' }
+  }
+  if (body.slug !== undefined || !existing) {
+    values.slug = slugifyCategory(body.slug || values.name).slice(0, 120)
+    if (!values.slug) return { error: 'Attribute slug is required' }
+  }
+  if (body.type !== undefined || !existing) {
+    values.type = body.type || 'text'
+    if (!ATTRIBUTE_TYPES.includes(values.type)) {
+      return { error: `type must be one of: ${ATTRIBUTE_TYPES.join(', ')}` }
+    }
+  }
+  if (body.unit !== undefined) {
+    values.unit = body.unit ? String(body.unit).trim().slice(0, 20) : null
+  }
+  if (body.is_filterable !== undefined) {
+    values.is_filterable = body.is_filterable === true || body.is_filterable === 'true'
+  }
+  if (body.position !== undefined) {
+    values.position = parseInt(body.position, 10)
+    if (Number.isNaN(values.position)) return { error: 'position must be a number' }
+  }
+
+  // Options follow the (possibly new) type
+  const type = values.type || existing.type
+  if (body.options !== undefined || values.type !== undefined) {
+    const { options, error } = normalizeAttributeOptions(
+      type,
+      body.options ?? (existing ? getAttributeOptions(existing) : []),
+    )
+    if (error) return { error }
+    values.options = JSON.stringify(options)
+  }
+
+  return { values }
+}
+
+const slugTaken = async (slug, excludeId = null) => {
+  const { rows } = await database.query(
+    `SELECT 1 FROM attributes WHERE slug = $1 AND id IS DISTINCT FROM $2::uuid`,
+    [slug, excludeId],
+  )
+  return rows.length > 0
+}
+
+/**
+ * Category ids from the category up to its root (nearest first), for attribute inheritance
+ */
+const getCategoryPathIds = async (categoryId) =>
+  getBreadcrumbs(await getAllCategories(), categoryId)
+    .map((crumb) => crumb.id)
+    .reverse()
+
+/**
+ * Get every attribute definition
+ * GET /api/v1/admin/attributes
+ */
+export const fetchAttributes = catchAsyncErrors(async (req, res, next) => {
+  const attributes = await getAttributes()
+
+  res.status(200).json({
+    success: true,
+    message: 'Attributes retrieved successfully',
+    data: attributes,
+  })
+})
+
+/**
+ * Create an attribute definition
+ * POST /api/v1/admin/attributes
+ * Body: { name, slug?, type?: text|number|boolean|select|multiselect, unit?, options?, is_filterable?, position? }
+ */
+export const createAttribute = catchAsyncErrors(async (req, res, next) => {
+  const { values, error } = readAttributeBody(req.body)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+  if (await slugTaken(values.slug)) {
+    return next(new ErrorHandler(`An attribute with the slug "${values.slug}" already exists`, 409))
+  }
+
+  const columns = Object.keys(values)
+  const { rows } = await database.query(
+    `INSERT INTO attributes (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    Object.values(values),
+  )
+
+  console.log(`✅ [ATTRIBUTES] Created ${rows[0].name} (${rows[0].type})`)
+
+  res.status(201).json({
+    success: true,
+    message: 'Attribute created successfully',
+    data: rows[0],
+  })
+})
+
+/**
+ * Update an attribute definition
+ * PUT /api/v1/admin/attributes/:attributeId
+ * The type of an attribute in use cannot change, and options products still use cannot be removed
+ */
+export const updateAttribute = catchAsyncErrors(async (req, res, next) => {
+  const { attributeId } = req.params
+  const existing = isUuid(attributeId) ? await getAttributeById(attributeId) : null
+  if (!existing) {
+    return next(new ErrorHandler('Attribute not found.', 404))
+  }
+
+  const { values, error } = readAttributeBody(req.body, existing)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+  if (Object.keys(values).length === 0) {
+    return next(new ErrorHandler('No fields to update', 400))
+  }
+  if (values.slug && (await slugTaken(values.slug, attributeId))) {
+    return next(new ErrorHandler(`An attribute with the slug "${values.slug}" already exists`, 409))
+  }
+
+  const usage = await getAttributeTextUsage(attributeId)
+  const { rows: used } = await database.query(
+    'SELECT 1 FROM product_attribute_values WHERE attribute_id = $1 LIMIT 1',
+    [attributeId],
+  )
+  if (values.type && values.type !== existing.type && used.length > 0) {
+    return next(
+      new ErrorHandler('The type of an attribute that products already use cannot change.', 400),
+    )
+  }
+  if (values.options && OPTION_TYPES.includes(values.type || existing.type)) {
+    const options = JSON.parse(values.options).map((option) => option.toLowerCase())
+    const removed = usage.filter((row) => !options.includes(row.value_text.toLowerCase()))
+    if (removed.length > 0) {
+      return next(
+        new ErrorHandler(
+          `Options still used by products: ${removed.map((row) => `${row.value_text} (${row.product_count})`).join(', ')}`,
+          400,
+        ),
+      )
+    }
+  }
+
+  const assignments = Object.keys(values).map((column, i) => `${column} = $${i + 1}`)
+  const { rows } = await database.query(
+    `UPDATE attributes SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $${assignments.length + 1}
+     RETURNING *`,
+    [...Object.values(values), attributeId],
+  )
+
+  console.log(`✅ [ATTRIBUTES] Updated ${rows[0].name} (${attributeId})`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Attribute updated successfully',
+    data: rows[0],
+  })
+})
+
+/**
+ * Delete an attribute together with its category assignments and product values
+ * DELETE /api/v1/admin/attributes/:attributeId
+ */
+export const deleteAttribute = catchAsyncErrors(async (req, res, next) => {
+  const { attributeId } = req.params
+  const existing = isUuid(attributeId) ? await getAttributeById(attributeId) : null
+  if (!existing) {
+    return next(new ErrorHandler('Attribute not found.', 404))
+  }
+
+  await database.query('DELETE FROM attributes WHERE id = $1', [attributeId])
+
+  console.log(`🗑️ [ATTRIBUTES] Deleted ${existing.name} (${attributeId})`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Attribute deleted successfully',
+    data: existing,
+  })
+})
+
+/**
+ * Get the attributes products in a category can have, including those inherited from
+ * parent categories (for product forms and filter sidebars)
+ * GET /api/v1/categories/:idOrSlug/attributes
+ */
+export const fetchCategoryAttributes = catchAsyncErrors(async (req, res, next) => {
+  const category = await findCategory(req.params.idOrSlug)
+  const categories = getVisibleCategories(await getAllCategories())
+  if (!category || !categories.some((c) => c.id === category.id)) {
+    return next(new ErrorHandler('Category not found.', 404))
+  }
+
+  const pathIds = getBreadcrumbs(categories, category.id)
+    .map((crumb) => crumb.id)
+    .reverse()
+  const attributes = await getCategoryAttributes(pathIds)
+
+  res.status(200).json({
+    success: true,
+    message: 'Category attributes retrieved successfully',
+    data: attributes.map((attribute) => ({
+      ...attribute,
+      options: getAttributeOptions(attribute),
+      inherited: attribute.category_id !== category.id,
+    })),
+  })
+})
+
+/**
+ * Set which attributes a category uses (replaces the current list)
+ * PUT /api/v1/admin/categories/:categoryId/attributes
+ * Body: { attributes: [{ attribute_id, is_required?, position? }] }
+ */
+export const updateCategoryAttributes = catchAsyncErrors(async (req, res, next) => {
+  const { categoryId } = req.params
+  const category = isUuid(categoryId) ? await getCategoryById(categoryId) : null
+  if (!category) {
+    return next(new ErrorHandler('Category not found.', 404))
+  }
+
+  if (!Array.isArray(req.body.attributes)) {
+    return next(new ErrorHandler('attributes must be an array', 400))
+  }
+  const assignments = req.body.attributes.map((item, index) => ({
+    attribute_id: item?.attribute_id,
+    is_required: item?.is_required === true || item?.is_required === 'true',
+    position: parseInt(item?.position ?? index, 10) || 0,
+  }))
+  const ids = assignments.map((assignment) => assignment.attribute_id)
+  if (ids.some((id) => !isUuid(id))) {
+    return next(new ErrorHandler('Every item needs a valid attribute_id', 400))
+  }
+  if (new Set(ids).size !== ids.length) {
+    return next(new ErrorHandler('Each attribute can only be listed once', 400))
+  }
+
+  const { rows: found } = await database.query(
+    'SELECT id FROM attributes WHERE id = ANY($1::uuid[])',
+    [ids],
+  )
+  if (found.length !== ids.length) {
+    return next(new ErrorHandler('One or more attributes were not found', 404))
+  }
+
+  await withTransaction((transaction) =>
+    setCategoryAttributes(categoryId, assignments, transaction),
+  )
+
+  console.log(`✅ [ATTRIBUTES] Category ${category.name} now uses ${ids.length} attributes`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Category attributes updated successfully',
+    data: await getCategoryAttributes([categoryId]),
+  })
+})
+
+/**
+ * Set a product's attribute values (replaces all of them)
+ * PUT /api/v1/product/admin/:productId/attributes
+ * Body: { attributes: { [slug or attribute id]: value } }
+ * Only attributes of the product's category (or its parents) are accepted
+ */
+export const updateProductAttributes = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  if (!isUuid(productId)) {
+    return next(new ErrorHandler('Invalid product ID format.', 404))
+  }
+
+  const product = await database.query('SELECT id, category_id FROM products WHERE id = $1', [
+    productId,
+  ])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found.', 404))
+  }
+
+  const input = req.body.attributes
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return next(new ErrorHandler('attributes must be an object of attribute values', 400))
+  }
+
+  const { category_id: categoryId } = product.rows[0]
+  if (!categoryId) {
+    return next(new ErrorHandler('Assign the product to a category before setting attributes', 400))
+  }
+  const allowed = await getCategoryAttributes(await getCategoryPathIds(categoryId))
+
+  const rows = []
+  for (const [key, raw] of Object.entries(input)) {
+    const attribute = allowed.find((candidate) => candidate.slug === key || candidate.id === key)
+    if (!attribute) {
+      return next(
+        new ErrorHandler(`Attribute "${key}" is not used by this product's category`, 400),
+      )
+    }
+    const normalized = normalizeAttributeValue(attribute, raw)
+    if (normalized.error) {
+      return next(new ErrorHandler(normalized.error, 400))
+    }
+    rows.push(...normalized.rows.map((row) => ({ ...row, attribute_id: attribute.id })))
+  }
+
+  const missing = allowed.filter(
+    (attribute) => attribute.is_required && !rows.some((row) => row.attribute_id === attribute.id),
+  )
+  if (missing.length > 0) {
+    return next(
+      new ErrorHandler(
+        `Required attributes missing: ${missing.map((a) => a.name).join(', ')}`,
+        400,
+      ),
+    )
+  }
+
+  await withTransaction((transaction) =>
+    replaceProductAttributeValues(productId, rows, transaction),
+  )
+  const attributes = formatAttributeValues(await getProductAttributeValues([productId]))
+
+  console.log(`✅ [ATTRIBUTES] Saved ${attributes.length} attributes for product ${productId}`)
+
+  if (req.io) {
+    broadcastProductUpdate(req.io, { id: productId, attributes }, 'updated')
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Product attributes saved successfully',
+    data: attributes,
+  })
+})
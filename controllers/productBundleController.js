@@ -0,0 +1,159 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  BUNDLE_DISCOUNT_TYPES,
+  getBundle,
+  replaceBundle,
+  syncBundle,
+} from '../models/productBundlesTable.js'
+import { broadcastProductUpdate } from '../socket/socketSetup.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+
+/**
+ * Get a bundle's components and discount
+ * GET /api/v1/product/:productId/bundle
+ */
+export const fetchProductBundle = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+
+  const product = await database.query(
+    'SELECT id, product_type, price, sale_price, stock FROM products WHERE id = $1',
+    [productId],
+  )
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found.', 404))
+  }
+  if (product.rows[0].product_type !== 'bundle') {
+    return next(new ErrorHandler('Product is not a bundle.', 400))
+  }
+
+  const bundle = await getBundle(productId)
+
+  res.status(200).json({
+    success: true,
+    message: 'Bundle retrieved successfully',
+    data: {
+      ...bundle,
+      price: parseFloat(product.rows[0].price),
+      sale_price: product.rows[0].sale_price ? parseFloat(product.rows[0].sale_price) : null,
+      available: parseInt(product.rows[0].stock, 10) || 0,
+    },
+  })
+})
+
+/**
+ * Set a bundle's components and optional discount (turns the product into a bundle)
+ * PUT /api/v1/product/admin/:productId/bundle
+ * Body: { items: [{ component_id, quantity }], discount_type?: percentage|fixed, discount_value? }
+ */
+export const saveProductBundle = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const { items, discount_type: discountType = null, discount_value: discountValue = 0 } = req.body
+
+  const product = await database.query(
+    'SELECT id, product_type, stock FROM products WHERE id = $1',
+    [productId],
+  )
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found.', 404))
+  }
+
+  const { product_type: productType, stock } = product.rows[0]
+  if (productType === 'variable') {
+    return next(new ErrorHandler('Variable products cannot be turned into bundles.', 400))
+  }
+  if (productType !== 'bundle' && parseInt(stock, 10) > 0) {
+    return next(
+      new ErrorHandler(
+        'Only products without stock of their own can be turned into bundles. Set stock to 0 first.',
+        400,
+      ),
+    )
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return next(new ErrorHandler('items must be a non-empty array', 400))
+  }
+  const lines = items.map((item) => ({
+    component_id: item?.component_id || item?.product_id,
+    quantity: parseInt(item?.quantity ?? 1, 10),
+  }))
+  if (lines.some((line) => !line.component_id || !(line.quantity > 0))) {
+    return next(new ErrorHandler('Every item needs a component_id and a positive quantity', 400))
+  }
+  if (new Set(lines.map((line) => line.component_id)).size !== lines.length) {
+    return next(new ErrorHandler('Each component can only be listed once', 400))
+  }
+  if (lines.some((line) => line.component_id === productId)) {
+    return next(new ErrorHandler('A bundle cannot contain itself', 400))
+  }
+
+  if (discountType !== null && !BUNDLE_DISCOUNT_TYPES.includes(discountType)) {
+    return next(
+      new ErrorHandler(`discount_type must be one of: ${BUNDLE_DISCOUNT_TYPES.join(', ')}`, 400),
+    )
+  }
+  const discount = parseFloat(discountValue) || 0
+  if (discount < 0 || (discountType === 'percentage' && discount > 100)) {
+    return next(new ErrorHandler('Invalid discount_value', 400))
+  }
+
+  const components = await database.query(
+    'SELECT id, name, product_type FROM products WHERE id = ANY($1::uuid[])',
+    [lines.map((line) => line.component_id)],
+  )
+  if (components.rows.length !== lines.length) {
+    return next(new ErrorHandler('One or more components were not found', 404))
+  }
+  const nonSimple = components.rows.filter((component) => component.product_type !== 'simple')
+  if (nonSimple.length > 0) {
+    return next(
+      new ErrorHandler(
+        `Bundle components must be simple products: ${nonSimple.map((c) => c.name).join(', ')}`,
+        400,
+      ),
+    )
+  }
+
+  // A product that is already part of another bundle cannot become one itself
+  const usedIn = await database.query(
+    'SELECT 1 FROM product_bundle_items WHERE component_id = $1 LIMIT 1',
+    [productId],
+  )
+  if (usedIn.rows.length > 0) {
+    return next(new ErrorHandler('This product is a component of another bundle', 400))
+  }
+
+  const synced = await withTransaction(async (transaction) => {
+    await transaction.query(
+      `UPDATE products SET product_type = 'bundle', updated_at = NOW() WHERE id = $1`,
+      [productId],
+    )
+    // Bundles are picked from their components' locations, never their own
+    await transaction.query('DELETE FROM inventory_levels WHERE product_id = $1', [productId])
+    await replaceBundle(
+      productId,
+      { items: lines, discount_type: discountType, discount_value: discount },
+      transaction,
+    )
+    return syncBundle(productId, transaction)
+  })
+
+  console.log(`✅ [BUNDLE] Saved bundle ${productId} with ${lines.length} components`)
+
+  if (req.io) {
+    broadcastProductUpdate(req.io, { id: productId, ...synced }, 'updated')
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Bundle saved successfully',
+    data: {
+      ...(await getBundle(productId)),
+      price: parseFloat(synced.price),
+      sale_price: synced.sale_price ? parseFloat(synced.sale_price) : null,
+      available: synced.stock,
+    },
+  })
+})
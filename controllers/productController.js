@@ -2,9 +2,43 @@ import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import ErrorHandler from '../middlewares/errorMiddleware.js'
 import { v2 as cloudinary } from 'cloudinary'
 import database from '../database/db.js'
-import { getAIRecommendation } from '../utils/getAIRecommendation.js'
-import { broadcastProductUpdate } from '../socket/socketSetup.js'
+import { extractKeywords, getAIRecommendation } from '../utils/getAIRecommendation.js'
+import { broadcastProductUpdate, broadcastProductStockUpdate } from '../socket/socketSetup.js'
+import { reconcileDefaultLocation, recordStockDelta } from '../utils/stockManager.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+import { runStockAlertChecks } from '../utils/stockAlerts.js'
+import { runPriceDropAlerts } from '../utils/priceDropAlerts.js'
+import { buildProductFilters } from '../utils/productFilters.js'
+import { readQueryAttributeFilters } from '../utils/productAttributes.js'
+import { loadActivePriceRules, withEffectivePrice } from '../utils/pricing.js'
 import { deleteTempFile, deleteTempFiles } from '../utils/fileCleanup.js'
+import {
+  parseJsonField,
+  mergeVariantUpdate,
+  getProductOptions,
+  getProductVariants,
+  replaceProductOptions,
+  syncProductVariants,
+  syncParentStock,
+  getVariantById,
+  upsertVariant,
+  deleteVariant,
+} from '../models/productVariantsTable.js'
+import { getBundle, syncBundle, syncBundlesForComponents } from '../models/productBundlesTable.js'
+import { getAllCategories, resolveProductCategory } from '../models/categoriesTable.js'
+import { getBreadcrumbs } from '../utils/categoryTree.js'
+import {
+  copyProductAttributeValues,
+  getProductAttributeValues,
+  loadAttributeFilters,
+} from '../models/productAttributesTable.js'
+import { formatAttributeValues } from '../utils/productAttributes.js'
+import { getNameSuggestions } from '../models/productSearchTable.js'
+import { getProductQuestions } from '../models/productQuestionsTable.js'
+import { groupAnswersByQuestion } from '../utils/productQuestions.js'
+
+// Top questions embedded in the product page response (the rest via /product/:id/questions)
+const PRODUCT_PAGE_QUESTIONS = 5
 
 // Helper function to normalize product object (convert string numbers to numbers and parse JSON fields)
 const normalizeProduct = (product) => {
@@ -113,6 +147,13 @@ export const createProduct = catchAsyncErrors(async (req, res, next) => {
     menu_order: menuOrder = 0,
   } = req.body
 
+  // Variable products send option definitions and variants (JSON strings when sent as FormData)
+  const options = parseJsonField(req.body.options, [])
+  const variants = parseJsonField(req.body.variants, [])
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    return next(new ErrorHandler('Options and variants must be arrays', 400))
+  }
+
   const created_by = req.user.id
 
   // Sanitize string inputs to prevent XSS
@@ -138,6 +179,15 @@ export const createProduct = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler('Please provide: name, description, price, stock', 400))
   }
 
+  // Products reference a category by id; its name is kept on products.category
+  const resolvedCategory = await resolveProductCategory({
+    category_id: req.body.category_id,
+    category,
+  })
+  if (resolvedCategory.error) {
+    return next(new ErrorHandler(resolvedCategory.error, 400))
+  }
+
   // Upload images to Cloudinary
   let uploadedImages = []
   const tempFilePaths = [] // Track temp files for cleanup
@@ -172,14 +222,14 @@ export const createProduct = catchAsyncErrors(async (req, res, next) => {
       weight, weight_unit, length, width, height, low_stock_threshold, stock_status,
       allow_backorders, sold_individually, brand, tags, shipping_class, free_shipping,
       meta_title, meta_description, focus_keyword, purchase_note, enable_reviews,
-      featured, visibility, image_alts, menu_order
+      featured, visibility, image_alts, menu_order, category_id
     ) VALUES (
       $1, $2, $3, $4, $5, $6, $7,
       $8, $9, $10, $11, $12, $13, $14,
       $15, $16, $17, $18, $19, $20, $21,
       $22, $23, $24, $25, $26, $27,
       $28, $29, $30, $31, $32,
-      $33, $34, $35, $36
+      $33, $34, $35, $36, $37
     )
     RETURNING *
   `
@@ -189,7 +239,7 @@ export const createProduct = catchAsyncErrors(async (req, res, next) => {
     name,
     description,
     price,
-    category || 'Uncategorized',
+    resolvedCategory.category,
     stock,
     JSON.stringify(uploadedImages),
     created_by,
@@ -200,7 +250,7 @@ export const createProduct = catchAsyncErrors(async (req, res, next) => {
     shortDescription || null,
     salePrice || null,
     costPrice || null,
-    productType || 'simple',
+    variants.length > 0 ? 'variable' : productType || 'simple',
     weight || null,
     weightUnit || 'kg',
     length || null,
@@ -223,11 +273,41 @@ export const createProduct = catchAsyncErrors(async (req, res, next) => {
     visibility || 'public',
     imageAlts ? JSON.stringify(imageAlts) : null,
     menuOrder || 0,
+    resolvedCategory.category_id,
   ]
 
   const product = await database.query(query, values)
   const createdProduct = normalizeProduct(product.rows[0])
 
+  if (variants.length > 0) {
+    createdProduct.options = await replaceProductOptions(createdProduct.id, options)
+    createdProduct.variants = await syncProductVariants(createdProduct.id, variants)
+    createdProduct.stock = createdProduct.variants
+      .filter((variant) => variant.is_active)
+      .reduce((sum, variant) => sum + variant.stock, 0)
+    for (const variant of createdProduct.variants) {
+      await reconcileDefaultLocation(createdProduct.id, variant.id)
+      await recordStockDelta({
+        productId: createdProduct.id,
+        variantId: variant.id,
+        previous: 0,
+        current: variant.stock,
+        reason: 'initial',
+        createdBy: created_by,
+      })
+    }
+  } else if (createdProduct.product_type !== 'downloadable') {
+    // New stock lands in the default warehouse
+    await reconcileDefaultLocation(createdProduct.id)
+    await recordStockDelta({
+      productId: createdProduct.id,
+      previous: 0,
+      current: createdProduct.stock,
+      reason: 'initial',
+      createdBy: created_by,
+    })
+  }
+
   // 🔴 Broadcast product creation to all connected clients in real-time
   if (req.io) {
     console.log('📢 [Socket.IO] Broadcasting PRODUCT CREATED to frontend')
@@ -247,7 +327,15 @@ export const createProduct = catchAsyncErrors(async (req, res, next) => {
 
 export const fetchAllProducts = catchAsyncErrors(async (req, res, next) => {
   try {
-    const { availability, price, category, ratings, search } = req.query
+    const {
+      availability,
+      price,
+      category,
+      category_id: categoryId,
+      ratings,
+      search,
+      brand,
+    } = req.query
     const page = parseInt(req.query.page) || 1
     const limit = parseInt(req.query.limit) || 10
     const offset = (page - 1) * limit
@@ -265,64 +353,32 @@ export const fetchAllProducts = catchAsyncErrors(async (req, res, next) => {
       page,
       limit,
       offset,
-      filters: { availability, price, category, ratings, search },
+      filters: { availability, price, category, categoryId, ratings, search },
     })
 
-    const conditions = []
-    let values = []
-    let index = 1
-
-    let paginationPlaceholders = {}
-
-    // Filter products by availability
-    if (availability === 'in-stock') {
-      conditions.push(`stock > 5`)
-    } else if (availability === 'limited') {
-      conditions.push(`stock > 0 AND stock <= 5`)
-    } else if (availability === 'out-of-stock') {
-      conditions.push(`stock = 0`)
-    }
-
-    // Filter products by price
-    if (price) {
-      const [minPrice, maxPrice] = price.split('-')
-      if (minPrice && maxPrice) {
-        // Validate prices
-        const min = parseFloat(minPrice)
-        const max = parseFloat(maxPrice)
-        if (isNaN(min) || isNaN(max) || min < 0 || max < min) {
-          return next(new ErrorHandler('Invalid price range format. Expected: min-max', 400))
-        }
-        conditions.push(`price BETWEEN $${index} AND $${index + 1}`)
-        values.push(min, max)
-        index += 2
-      }
-    }
-
-    // Filter products by category
-    if (category) {
-      conditions.push(`category ILIKE $${index}`)
-      values.push(`%${category}%`)
-      index++
+    // Attribute filters come as ?attr.<slug>=value
+    const attributeFilters = await loadAttributeFilters(readQueryAttributeFilters(req.query))
+    if (attributeFilters.error) {
+      return next(new ErrorHandler(attributeFilters.error, 400))
     }
 
-    // Filter products by rating
-    if (ratings) {
-      const rating = parseFloat(ratings)
-      if (isNaN(rating) || rating < 0 || rating > 5) {
-        return next(new ErrorHandler('Rating must be between 0 and 5', 400))
-      }
-      conditions.push(`ratings >= $${index}`)
-      values.push(rating)
-      index++
+    const filters = buildProductFilters({
+      availability,
+      price,
+      category,
+      categoryId,
+      ratings,
+      search,
+      brand,
+      attributes: attributeFilters.filters,
+    })
+    if (filters.error) {
+      return next(new ErrorHandler(filters.error, 400))
     }
+    const { conditions, values } = filters
+    let index = values.length + 1
 
-    // Add search query
-    if (search) {
-      conditions.push(`(p.name ILIKE $${index} OR p.description ILIKE $${index})`)
-      values.push(`%${search}%`)
-      index++
-    }
+    let paginationPlaceholders = {}
 
     const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
 
@@ -402,10 +458,12 @@ export const fetchAllProducts = catchAsyncErrors(async (req, res, next) => {
       topRated: topRatedResult.rows.length,
     })
 
-    // Normalize all products
-    const normalizedProducts = result.rows.map(normalizeProduct)
-    const normalizedNewProducts = newProductsResult.rows.map(normalizeProduct)
-    const normalizedTopRated = topRatedResult.rows.map(normalizeProduct)
+    // Normalize all products and price them with any running sale
+    const priceRules = await loadActivePriceRules()
+    const priceProduct = (row) => withEffectivePrice(normalizeProduct(row), priceRules)
+    const normalizedProducts = result.rows.map(priceProduct)
+    const normalizedNewProducts = newProductsResult.rows.map(priceProduct)
+    const normalizedTopRated = topRatedResult.rows.map(priceProduct)
 
     res.status(200).json({
       success: true,
@@ -492,7 +550,6 @@ export const updateProduct = catchAsyncErrors(async (req, res, next) => {
     name: 'name',
     description: 'description',
     price: 'price',
-    category: 'category',
     stock: 'stock',
     // Optional fields (snake_case from form submission)
     slug: 'slug',
@@ -526,6 +583,17 @@ export const updateProduct = catchAsyncErrors(async (req, res, next) => {
     menu_order: 'menu_order',
   }
 
+  // A category change (by id or by name) sets both category_id and the category name
+  if (req.body.category_id !== undefined || req.body.category !== undefined) {
+    const resolvedCategory = await resolveProductCategory(req.body)
+    if (resolvedCategory.error) {
+      return next(new ErrorHandler(resolvedCategory.error, 400))
+    }
+    updateFields.push(`category = $${paramIndex}`, `category_id = $${paramIndex + 1}`)
+    updateValues.push(resolvedCategory.category, resolvedCategory.category_id)
+    paramIndex += 2
+  }
+
   // Dynamically add fields to update
   for (const [bodyKey, dbColumn] of Object.entries(updateableFields)) {
     if (bodyKey in req.body && req.body[bodyKey] !== undefined) {
@@ -586,18 +654,113 @@ export const updateProduct = catchAsyncErrors(async (req, res, next) => {
     paramIndex++
   }
 
+  // Variants are synced separately; sending them turns the product into a variable product
+  const options = parseJsonField(req.body.options, undefined)
+  const variants = parseJsonField(req.body.variants, undefined)
+  if (
+    (options !== undefined && !Array.isArray(options)) ||
+    (variants !== undefined && !Array.isArray(variants))
+  ) {
+    return next(new ErrorHandler('Options and variants must be arrays', 400))
+  }
+  if (variants && variants.length > 0 && !('product_type' in req.body)) {
+    updateFields.push(`product_type = $${paramIndex}`)
+    updateValues.push('variable')
+    paramIndex++
+  }
+
   // Check if there are any fields to update
-  if (updateFields.length === 0) {
+  if (updateFields.length === 0 && options === undefined && variants === undefined) {
     return next(new ErrorHandler('No fields to update provided.', 400))
   }
 
   // Build final query
+  updateFields.push('updated_at = NOW()')
   const updateQuery = `UPDATE products SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING *`
   updateValues.push(productId)
 
   const result = await database.query(updateQuery, updateValues)
   const updatedProduct = normalizeProduct(result.rows[0])
 
+  if (options !== undefined) {
+    updatedProduct.options = await replaceProductOptions(productId, options)
+  }
+  if (variants !== undefined) {
+    const previousVariants = await getProductVariants(productId)
+    // Variants left out of the list are deleted; book their remaining units out of the ledger
+    const keepIds = new Set(variants.filter((v) => v && v.id).map((v) => String(v.id)))
+    for (const removed of previousVariants.filter((v) => !keepIds.has(String(v.id)))) {
+      await recordStockDelta({
+        productId,
+        variantId: removed.id,
+        previous: removed.stock,
+        current: 0,
+        referenceType: 'admin',
+        note: 'Variant deleted',
+        createdBy: req.user.id,
+      })
+    }
+    updatedProduct.variants = await syncProductVariants(productId, variants)
+    if (updatedProduct.product_type === 'variable') {
+      updatedProduct.stock = updatedProduct.variants
+        .filter((variant) => variant.is_active)
+        .reduce((sum, variant) => sum + variant.stock, 0)
+    }
+    for (const variant of updatedProduct.variants) {
+      const previous = previousVariants.find((v) => v.id === variant.id)
+      await reconcileDefaultLocation(productId, variant.id)
+      await recordStockDelta({
+        productId,
+        variantId: variant.id,
+        previous: previous ? previous.stock : 0,
+        current: variant.stock,
+        reason: previous ? 'manual_correction' : 'initial',
+        referenceType: 'admin',
+        createdBy: req.user.id,
+      })
+    }
+  }
+
+  // A manual stock edit is applied to the default warehouse
+  if (
+    'stock' in req.body &&
+    !['variable', 'bundle', 'downloadable'].includes(updatedProduct.product_type)
+  ) {
+    await reconcileDefaultLocation(productId)
+    await recordStockDelta({
+      productId,
+      previous: product.rows[0].stock,
+      current: updatedProduct.stock,
+      reason: 'manual_correction',
+      referenceType: 'admin',
+      createdBy: req.user.id,
+    })
+  }
+
+  // Bundle price and stock always come from the components
+  if (updatedProduct.product_type === 'bundle') {
+    const synced = await syncBundle(productId)
+    if (synced) {
+      updatedProduct.price = parseFloat(synced.price)
+      updatedProduct.sale_price = synced.sale_price ? parseFloat(synced.sale_price) : null
+      updatedProduct.stock = synced.stock
+    }
+  } else if ('price' in req.body || 'stock' in req.body) {
+    await syncBundlesForComponents([productId])
+  }
+
+  // Stock or threshold may have changed; don't hold the response for alerts
+  runStockAlertChecks(req.io, [productId])
+  // Tell shoppers who wishlisted the product when it got cheaper
+  if (
+    'price' in req.body ||
+    'sale_price' in req.body ||
+    'variants' in req.body ||
+    updatedProduct.product_type === 'bundle'
+  ) {
+    runPriceDropAlerts([productId])
+  }
+
   // 🔴 Broadcast product update to all connected clients in real-time
   if (req.io) {
     console.log('📢 [Socket.IO] Broadcasting PRODUCT UPDATED to frontend')
@@ -631,6 +794,16 @@ export const deleteProduct = catchAsyncErrors(async (req, res, next) => {
 
   const images = product.rows[0].images
 
+  const usedInBundles = await database.query(
+    'SELECT COUNT(*)::INT AS count FROM product_bundle_items WHERE component_id = $1',
+    [productId],
+  )
+  if (usedInBundles.rows[0].count > 0) {
+    return next(
+      new ErrorHandler('This product is part of a bundle. Remove it from the bundle first.', 400),
+    )
+  }
+
   const deleteResult = await database.query('DELETE FROM products WHERE id = $1 RETURNING *', [
     productId,
   ])
@@ -714,6 +887,29 @@ export const fetchSingleProduct = catchAsyncErrors(async (req, res, next) => {
     // Normalize the product (parse JSON, convert types)
     product = normalizeProduct(product)
 
+    // Attach option definitions and purchasable variants for variable products
+    if (product.product_type === 'variable') {
+      product.options = await getProductOptions(product.id)
+      product.variants = await getProductVariants(product.id, { activeOnly: true })
+    } else {
+      product.options = []
+      product.variants = []
+    }
+    if (product.product_type === 'bundle') {
+      product.bundle = await getBundle(product.id)
+    }
+    product.category_breadcrumbs = product.category_id
+      ? getBreadcrumbs(await getAllCategories(), product.category_id)
+      : []
+    product.attributes = formatAttributeValues(await getProductAttributeValues([product.id]))
+    const { questions, answers, total } = await getProductQuestions(product.id, {
+      limit: PRODUCT_PAGE_QUESTIONS,
+    })
+    product.questions = groupAnswersByQuestion(questions, answers)
+    product.question_count = total
+
+    product = withEffectivePrice(product, await loadActivePriceRules())
+
     console.log(`✅ [FETCH_SINGLE_PRODUCT] Product found:`, {
       id: product.id,
       name: product.name,
@@ -938,101 +1134,22 @@ export const deleteReview = catchAsyncErrors(async (req, res, next) => {
   }
 })
 
+// AI product search: SQL keyword prefilter, then the configured LLM provider picks the matches
 export const fetchAIFilteredProducts = catchAsyncErrors(async (req, res, next) => {
   const { userPrompt } = req.body
   if (!userPrompt) {
     return next(new ErrorHandler('Provide a valid prompt.', 400))
   }
 
-  const filterKeywords = (query) => {
-    const stopWords = new Set([
-      'the',
-      'they',
-      'them',
-      'then',
-      'I',
-      'we',
-      'you',
-      'he',
-      'she',
-      'it',
-      'is',
-      'a',
-      'an',
-      'of',
-      'and',
-      'or',
-      'to',
-      'for',
-      'from',
-      'on',
-      'who',
-      'whom',
-      'why',
-      'when',
-      'which',
-      'with',
-      'this',
-      'that',
-      'in',
-      'at',
-      'by',
-      'be',
-      'not',
-      'was',
-      'were',
-      'has',
-      'have',
-      'had',
-      'do',
-      'does',
-      'did',
-      'so',
-      'some',
-      'any',
-      'how',
-      'can',
-      'could',
-      'should',
-      'would',
-      'there',
-      'here',
-      'just',
-      'than',
-      'because',
-      'but',
-      'its',
-      "it's",
-      'if',
-      '.',
-      ',',
-      '!',
-      '?',
-      '>',
-      '<',
-      ';',
-      '`',
-      '1',
-      '2',
-      '3',
-      '4',
-      '5',
-      '6',
-      '7',
-      '8',
-      '9',
-      '10',
-    ])
-
-    return query
-      .toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter((word) => !stopWords.has(word))
-      .map((word) => `%${word}%`)
+  const keywords = extractKeywords(userPrompt)
+  if (keywords.length === 0) {
+    return res.status(200).json({
+      success: true,
+      message: 'No products found matching your prompt.',
+      products: [],
+    })
   }
 
-  const keywords = filterKeywords(userPrompt)
   // STEP 1: Basic SQL Filtering
   const result = await database.query(
     `
@@ -1042,7 +1159,7 @@ export const fetchAIFilteredProducts = catchAsyncErrors(async (req, res, next) =
         OR category ILIKE ANY($1)
         LIMIT 200;
         `,
-    [keywords],
+    [keywords.map((keyword) => `%${keyword}%`)],
   )
 
   const filteredProducts = result.rows
@@ -1055,56 +1172,15 @@ export const fetchAIFilteredProducts = catchAsyncErrors(async (req, res, next) =
     })
   }
 
-  // STEP 2: AI FILTERING
-  const { success, products } = await getAIRecommendation(req, res, userPrompt, filteredProducts)
+  // STEP 2: AI FILTERING (falls back to keyword ranking when the provider fails)
+  const { products, source, provider } = await getAIRecommendation(userPrompt, filteredProducts)
 
   res.status(200).json({
-    success: success,
-    message: 'AI filtered products.',
-    products,
-  })
-})
-
-// Bulk product import
-export const bulkImportProducts = catchAsyncErrors(async (req, res, next) => {
-  const { products: productsToImport } = req.body
-  const created_by = req.user.id
-
-  if (!Array.isArray(productsToImport) || productsToImport.length === 0) {
-    return next(new ErrorHandler('Please provide an array of products to import.', 400))
-  }
-
-  const importedProducts = []
-
-  for (const product of productsToImport) {
-    const { name, category, price, stock, status, description } = product
-
-    if (!name || !price || !stock) {
-      continue // Skip invalid products
-    }
-
-    const result = await database.query(
-      `INSERT INTO products (name, category, price, stock, description, status, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-      [
-        name,
-        category || 'Uncategorized',
-        price,
-        stock,
-        description || '',
-        status || 'active',
-        created_by,
-      ],
-    )
-
-    importedProducts.push(result.rows[0])
-  }
-
-  res.status(201).json({
     success: true,
-    message: `${importedProducts.length} products imported successfully.`,
-    importedCount: importedProducts.length,
-    products: importedProducts,
+    message: source === 'ai' ? 'AI filtered products.' : 'Products matched by keywords.',
+    products,
+    source,
+    provider,
   })
 })
 
@@ -1121,19 +1197,30 @@ export const duplicateProduct = catchAsyncErrors(async (req, res, next) => {
 
   const originalProduct = product.rows[0]
   const newProduct = await database.query(
-    `INSERT INTO products (name, description, price, category, stock, images, created_by)
-     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    `INSERT INTO products (name, description, price, category, category_id, stock, images, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
     [
       `${originalProduct.name} (Copy)`,
       originalProduct.description,
       originalProduct.price,
       originalProduct.category,
+      originalProduct.category_id,
       originalProduct.stock,
       originalProduct.images,
       created_by,
     ],
   )
 
+  await copyProductAttributeValues(productId, newProduct.rows[0].id)
+  await reconcileDefaultLocation(newProduct.rows[0].id)
+  await recordStockDelta({
+    productId: newProduct.rows[0].id,
+    previous: 0,
+    current: newProduct.rows[0].stock,
+    reason: 'initial',
+    createdBy: created_by,
+  })
+
   res.status(201).json({
     success: true,
     message: 'Product duplicated successfully.',
@@ -1141,6 +1228,118 @@ export const duplicateProduct = catchAsyncErrors(async (req, res, next) => {
   })
 })
 
+// Get product options and variants
+export const fetchProductVariants = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+
+  const product = await database.query('SELECT id FROM products WHERE id = $1', [productId])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found.', 404))
+  }
+
+  const options = await getProductOptions(productId)
+  const variants = await getProductVariants(productId)
+
+  res.status(200).json({
+    success: true,
+    options,
+    variants,
+  })
+})
+
+// Create or update a single variant
+export const saveProductVariant = catchAsyncErrors(async (req, res, next) => {
+  const { productId, variantId } = req.params
+
+  const product = await database.query('SELECT id, product_type FROM products WHERE id = $1', [
+    productId,
+  ])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found.', 404))
+  }
+
+  let existing = null
+  if (variantId) {
+    existing = await getVariantById(variantId)
+    if (!existing || existing.product_id !== productId) {
+      return next(new ErrorHandler('Variant not found.', 404))
+    }
+  }
+
+  const data = { ...mergeVariantUpdate(existing, req.body), id: variantId }
+
+  if (data.stock !== undefined && (isNaN(parseInt(data.stock, 10)) || data.stock < 0)) {
+    return next(new ErrorHandler('Variant stock must be a non-negative integer.', 400))
+  }
+
+  const variant = await upsertVariant(productId, data)
+  if (!variant) {
+    return next(new ErrorHandler('Variant not found.', 404))
+  }
+
+  if (product.rows[0].product_type !== 'variable') {
+    await database.query(`UPDATE products SET product_type = 'variable' WHERE id = $1`, [productId])
+  }
+  await reconcileDefaultLocation(productId, variant.id)
+  await recordStockDelta({
+    productId,
+    variantId: variant.id,
+    previous: existing ? existing.stock : 0,
+    current: variant.stock,
+    reason: existing ? 'manual_correction' : 'initial',
+    referenceType: 'admin',
+    createdBy: req.user.id,
+  })
+  const stock = await syncParentStock(productId)
+
+  if (req.io) {
+    broadcastProductStockUpdate(req.io, productId, stock)
+  }
+  runStockAlertChecks(req.io, [productId])
+  runPriceDropAlerts([productId])
+
+  res.status(variantId ? 200 : 201).json({
+    success: true,
+    message: variantId ? 'Variant updated successfully.' : 'Variant created successfully.',
+    variant,
+  })
+})
+
+// Delete a single variant
+export const deleteProductVariant = catchAsyncErrors(async (req, res, next) => {
+  const { productId, variantId } = req.params
+
+  const existing = await database.query(
+    'SELECT id, stock FROM product_variants WHERE id = $1 AND product_id = $2',
+    [variantId, productId],
+  )
+  if (existing.rows.length === 0) {
+    return next(new ErrorHandler('Variant not found.', 404))
+  }
+
+  // Units still on the variant leave with it; the ledger records them going
+  await withTransaction(async (transaction) => {
+    await recordStockDelta(
+      {
+        productId,
+        variantId,
+        previous: existing.rows[0].stock,
+        current: 0,
+        referenceType: 'admin',
+        note: 'Variant deleted',
+        createdBy: req.user.id,
+      },
+      transaction,
+    )
+    await deleteVariant(variantId, transaction)
+  })
+
+  res.status(200).json({
+    success: true,
+    message: 'Variant deleted successfully.',
+  })
+})
+
 // Get product reviews
 export const getProductReviews = catchAsyncErrors(async (req, res, next) => {
   const { productId } = req.params
@@ -1280,17 +1479,7 @@ export const searchSuggestions = catchAsyncErrors(async (req, res, next) => {
     })
   }
 
-  const result = await database.query(
-    `
-    SELECT DISTINCT name
-    FROM products
-    WHERE name ILIKE $1 OR category ILIKE $1
-    LIMIT 10
-    `,
-    [`%${query}%`],
-  )
-
-  const suggestions = result.rows.map((row) => row.name)
+  const suggestions = await getNameSuggestions(query, 10)
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,210 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  claimDownload,
+  getDownloadGrant,
+  getProductFiles,
+} from '../models/productDownloadsTable.js'
+import {
+  getGrantBlockReason,
+  removeDownloadFile,
+  resolveStoragePath,
+  storeDownloadFile,
+  verifyDownloadToken,
+} from '../utils/downloads.js'
+import { deleteTempFile } from '../utils/fileCleanup.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+
+const BLOCKED_MESSAGES = {
+  revoked: 'Access to this download has been revoked.',
+  expired: 'This download has expired.',
+  limit_reached: 'Download limit reached for this file.',
+}
+
+const parseOptionalPositiveInt = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const parsed = parseInt(value, 10)
+  return parsed > 0 ? parsed : NaN
+}
+
+// storage_key is internal; never send it to clients
+const toPublicFile = ({ storage_key: _storageKey, ...file }) => file
+
+/**
+ * List a downloadable product's files
+ * GET /api/v1/product/admin/:productId/files
+ */
+export const fetchProductFiles = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+
+  const product = await database.query('SELECT id FROM products WHERE id = $1', [productId])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found.', 404))
+  }
+
+  const files = await getProductFiles(productId)
+
+  res.status(200).json({
+    success: true,
+    message: 'Product files retrieved successfully',
+    data: files.map(toPublicFile),
+  })
+})
+
+/**
+ * Upload a private file (turns the product into a downloadable product)
+ * POST /api/v1/product/admin/:productId/files
+ * multipart: file, name?, download_limit?, access_days?
+ * download_limit / access_days override DEFAULT_DOWNLOAD_LIMIT / DEFAULT_DOWNLOAD_ACCESS_DAYS
+ */
+export const uploadProductFile = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const file = req.files?.file
+
+  if (!file || Array.isArray(file)) {
+    if (file) await Promise.all(file.map((f) => deleteTempFile(f.tempFilePath)))
+    return next(new ErrorHandler('Upload exactly one file in the "file" field', 400))
+  }
+
+  const downloadLimit = parseOptionalPositiveInt(req.body.download_limit)
+  const accessDays = parseOptionalPositiveInt(req.body.access_days)
+  if (Number.isNaN(downloadLimit) || Number.isNaN(accessDays)) {
+    await deleteTempFile(file.tempFilePath)
+    return next(new ErrorHandler('download_limit and access_days must be positive integers', 400))
+  }
+
+  const product = await database.query('SELECT id, product_type FROM products WHERE id = $1', [
+    productId,
+  ])
+  if (product.rows.length === 0) {
+    await deleteTempFile(file.tempFilePath)
+    return next(new ErrorHandler('Product not found.', 404))
+  }
+  if (['variable', 'bundle'].includes(product.rows[0].product_type)) {
+    await deleteTempFile(file.tempFilePath)
+    return next(
+      new ErrorHandler(
+        `${product.rows[0].product_type === 'variable' ? 'Variable products' : 'Bundles'} cannot be downloadable.`,
+        400,
+      ),
+    )
+  }
+
+  const usedIn = await database.query(
+    'SELECT 1 FROM product_bundle_items WHERE component_id = $1 LIMIT 1',
+    [productId],
+  )
+  if (usedIn.rows.length > 0) {
+    await deleteTempFile(file.tempFilePath)
+    return next(new ErrorHandler('This product is a component of a bundle', 400))
+  }
+
+  const storageKey = await storeDownloadFile(file)
+
+  let saved
+  try {
+    saved = await withTransaction(async (transaction) => {
+      await transaction.query(
+        `UPDATE products SET product_type = 'downloadable', updated_at = NOW() WHERE id = $1`,
+        [productId],
+      )
+      // Downloads are not picked from a warehouse
+      await transaction.query('DELETE FROM inventory_levels WHERE product_id = $1', [productId])
+
+      const { rows } = await transaction.query(
+        `INSERT INTO product_files
+           (product_id, name, file_name, storage_key, mime_type, size_bytes, download_limit, access_days, position)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                 (SELECT COALESCE(MAX(position) + 1, 0) FROM product_files WHERE product_id = $1))
+         RETURNING *`,
+        [
+          productId,
+          (req.body.name || file.name).slice(0, 255),
+          file.name.slice(0, 255),
+          storageKey,
+          file.mimetype || null,
+          file.size || 0,
+          downloadLimit,
+          accessDays,
+        ],
+      )
+      return rows[0]
+    })
+  } catch (error) {
+    await removeDownloadFile(storageKey)
+    throw error
+  }
+
+  console.log(`✅ [DOWNLOADS] Stored file ${saved.id} for product ${productId}`)
+
+  res.status(201).json({
+    success: true,
+    message: 'File uploaded successfully',
+    data: toPublicFile(saved),
+  })
+})
+
+/**
+ * Remove a file; buyers lose access to it
+ * DELETE /api/v1/product/admin/:productId/files/:fileId
+ */
+export const deleteProductFile = catchAsyncErrors(async (req, res, next) => {
+  const { productId, fileId } = req.params
+
+  const { rows } = await database.query(
+    'DELETE FROM product_files WHERE id = $1 AND product_id = $2 RETURNING *',
+    [fileId, productId],
+  )
+  if (rows.length === 0) {
+    return next(new ErrorHandler('File not found.', 404))
+  }
+
+  await removeDownloadFile(rows[0].storage_key)
+
+  res.status(200).json({
+    success: true,
+    message: 'File deleted successfully',
+    data: toPublicFile(rows[0]),
+  })
+})
+
+/**
+ * Download a purchased file through a signed, expiring link
+ * GET /api/v1/downloads/:token
+ * Links come from GET /api/v1/customer/downloads; each use counts toward the grant's limit
+ */
+export const downloadFile = catchAsyncErrors(async (req, res, next) => {
+  const verified = verifyDownloadToken(req.params.token)
+  if (!verified) {
+    return next(new ErrorHandler('This download link is invalid or has expired.', 403))
+  }
+
+  const grant = await getDownloadGrant(verified.grantId)
+  if (!grant) {
+    return next(new ErrorHandler('Download not found.', 404))
+  }
+
+  const blockedReason = getGrantBlockReason(grant)
+  if (blockedReason) {
+    return next(new ErrorHandler(BLOCKED_MESSAGES[blockedReason], 403))
+  }
+
+  // Lost a race with another request for the last allowed download
+  const claimed = await claimDownload(grant.id)
+  if (!claimed) {
+    return next(new ErrorHandler(BLOCKED_MESSAGES.limit_reached, 403))
+  }
+
+  console.log(
+    `📥 [DOWNLOADS] Grant ${grant.id} downloaded (${claimed.download_count}/${claimed.download_limit})`,
+  )
+
+  res.set('Cache-Control', 'private, no-store')
+  res.download(resolveStoragePath(grant.storage_key), grant.file_name, (error) => {
+    if (error && !res.headersSent) {
+      console.error(`❌ [DOWNLOADS] Failed to send grant ${grant.id}:`, error.message)
+      next(new ErrorHandler('File is unavailable.', 404))
+    }
+  })
+})
@@ -0,0 +1,70 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import { buildProductFilters } from '../utils/productFilters.js'
+import { readQueryAttributeFilters } from '../utils/productAttributes.js'
+import { loadAttributeFilters } from '../models/productAttributesTable.js'
+import { EXPORT_FORMATS, streamProductExport } from '../utils/productExport.js'
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+
+/**
+ * Export the catalog in the importer's column layout
+ * GET /api/v1/product/export?format=csv|json|xlsx&availability=&price=&category=&category_id=&ratings=&search=&brand=&attr.<slug>=
+ */
+export const exportProducts = catchAsyncErrors(async (req, res, next) => {
+  const format = String(req.query.format || 'csv').toLowerCase()
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(new ErrorHandler(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400))
+  }
+
+  const {
+    availability,
+    price,
+    category,
+    category_id: categoryId,
+    ratings,
+    search,
+    brand,
+  } = req.query
+  // Attribute filters come as ?attr.<slug>=value
+  const attributeFilters = await loadAttributeFilters(readQueryAttributeFilters(req.query))
+  if (attributeFilters.error) {
+    return next(new ErrorHandler(attributeFilters.error, 400))
+  }
+
+  const filters = buildProductFilters({
+    availability,
+    price,
+    category,
+    categoryId,
+    ratings,
+    search,
+    brand,
+    attributes: attributeFilters.filters,
+  })
+  if (filters.error) {
+    return next(new ErrorHandler(filters.error, 400))
+  }
+
+  const fileName = `products-${new Date().toISOString().slice(0, 10)}.${format}`
+  res.setHeader('Content-Type', CONTENT_TYPES[format])
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+  res.status(200)
+
+  try {
+    const count = await streamProductExport(res, format, filters)
+    console.log(`✅ [EXPORT] Exported ${count} products as ${format.toUpperCase()}`)
+  } catch (error) {
+    console.error('❌ [EXPORT] Product export failed:', error.message)
+    // Part of the file may already be sent, so the JSON error response is no longer an option
+    if (res.headersSent) {
+      res.destroy(error)
+      return
+    }
+    throw error
+  }
+})
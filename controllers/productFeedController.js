@@ -0,0 +1,93 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import {
+  FEED_CHANNELS,
+  listCategoryMappings,
+  saveCategoryMappings,
+} from '../models/feedCategoryMappingsTable.js'
+import {
+  FEED_CACHE_MINUTES,
+  FEED_FORMATS,
+  clearFeedCache,
+  generateProductFeed,
+} from '../utils/productFeed.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+
+const CONTENT_TYPES = {
+  xml: 'application/xml; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+}
+
+/**
+ * Public product feed for an ad channel
+ * GET /api/v1/product-feeds/:channel/:format   (channel: google|facebook, format: xml|csv)
+ */
+export const getProductFeed = catchAsyncErrors(async (req, res, next) => {
+  const { channel, format } = req.params
+
+  if (!FEED_CHANNELS.includes(channel)) {
+    return next(new ErrorHandler(`channel must be one of: ${FEED_CHANNELS.join(', ')}`, 400))
+  }
+  if (!FEED_FORMATS.includes(format)) {
+    return next(new ErrorHandler(`format must be one of: ${FEED_FORMATS.join(', ')}`, 400))
+  }
+
+  const feed = await generateProductFeed(channel, format)
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format])
+  res.setHeader('Cache-Control', `public, max-age=${FEED_CACHE_MINUTES * 60}`)
+  res.setHeader('Last-Modified', feed.generatedAt.toUTCString())
+  res.setHeader('ETag', feed.etag)
+  res.setHeader('X-Feed-Item-Count', String(feed.itemCount))
+  // res.send answers 304 when the client's If-None-Match still matches
+  res.status(200).send(feed.body)
+})
+
+/**
+ * Store categories and their mapping for a channel
+ * GET /api/v1/admin/feeds/:channel/categories
+ */
+export const getFeedCategoryMappings = catchAsyncErrors(async (req, res, next) => {
+  const { channel } = req.params
+  if (!FEED_CHANNELS.includes(channel)) {
+    return next(new ErrorHandler(`channel must be one of: ${FEED_CHANNELS.join(', ')}`, 400))
+  }
+
+  const mappings = await listCategoryMappings(channel)
+
+  res.status(200).json({
+    success: true,
+    message: 'Feed category mappings retrieved successfully',
+    data: mappings,
+    unmappedCount: mappings.filter((mapping) => !mapping.channel_category).length,
+  })
+})
+
+/**
+ * Set channel categories for store categories
+ * PUT /api/v1/admin/feeds/:channel/categories
+ * Body: { mappings: [{ store_category, channel_category }] } (empty channel_category removes it)
+ */
+export const updateFeedCategoryMappings = catchAsyncErrors(async (req, res, next) => {
+  const { channel } = req.params
+  const { mappings } = req.body
+
+  if (!FEED_CHANNELS.includes(channel)) {
+    return next(new ErrorHandler(`channel must be one of: ${FEED_CHANNELS.join(', ')}`, 400))
+  }
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    return next(new ErrorHandler('mappings must be a non-empty array', 400))
+  }
+  if (mappings.some((mapping) => !mapping?.store_category)) {
+    return next(new ErrorHandler('Every mapping needs a store_category', 400))
+  }
+
+  await withTransaction((transaction) => saveCategoryMappings(channel, mappings, transaction))
+  clearFeedCache(channel)
+
+  res.status(200).json({
+    success: true,
+    message: 'Feed category mappings saved successfully',
+    data: await listCategoryMappings(channel),
+  })
+})
@@ -0,0 +1,184 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import { deleteTempFile } from '../utils/fileCleanup.js'
+import {
+  IMPORT_COLUMNS,
+  IMPORT_MAX_ROWS,
+  IMPORT_SYNC_ROW_LIMIT,
+  detectImportFileType,
+  importProductRecords,
+  objectsToRecords,
+  readImportFile,
+} from '../utils/productImport.js'
+import {
+  IMPORT_JOB_HEARTBEAT_SECONDS,
+  createImportJob,
+  finishImportJob,
+  getImportJob,
+  getImportJobs,
+  touchImportJob,
+  updateImportJobProgress,
+} from '../models/importJobsTable.js'
+
+/**
+ * Process a queued import in the background
+ * The heartbeat keeps the stale-job cleanup from failing it while it runs
+ */
+const runImportJob = async (job, records, { dryRun, createdBy }) => {
+  const heartbeat = setInterval(() => {
+    touchImportJob(job.id).catch(() => {})
+  }, IMPORT_JOB_HEARTBEAT_SECONDS * 1000)
+
+  try {
+    const result = await importProductRecords(records, {
+      dryRun,
+      createdBy,
+      jobId: job.id,
+      onProgress: (processed, summary) => updateImportJobProgress(job.id, processed, summary),
+    })
+    await finishImportJob(job.id, result)
+    console.log(
+      `✅ [IMPORT] Job ${job.id} finished: ${result.summary.created} created, ${result.summary.updated} updated, ${result.summary.failed} failed`,
+    )
+  } catch (error) {
+    console.error(`❌ [IMPORT] Job ${job.id} failed:`, error.message)
+    await finishImportJob(job.id, { errorMessage: error.message }).catch(() => {})
+  } finally {
+    clearInterval(heartbeat)
+  }
+}
+
+/**
+ * Import products from a CSV / XLSX upload (field "file") or a JSON array (body.products)
+ * POST /api/v1/product/import?dry_run=true
+ * Rows are upserted by SKU. Files over IMPORT_SYNC_ROW_LIMIT rows run as a job (202)
+ */
+export const importProducts = catchAsyncErrors(async (req, res, next) => {
+  const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === 'true'
+  const createdBy = req.user.id
+  const file = req.files?.file
+
+  let records
+  let unknownColumns = []
+  let fileName = null
+  let fileType = 'json'
+
+  if (file) {
+    fileType = detectImportFileType(file)
+    fileName = file.name
+    if (!fileType) {
+      await deleteTempFile(file.tempFilePath)
+      return next(new ErrorHandler('Only .csv and .xlsx files can be imported', 400))
+    }
+
+    try {
+      const parsed = await readImportFile(file.tempFilePath, fileType)
+      records = parsed.records
+      unknownColumns = parsed.unknownColumns
+    } catch (error) {
+      return next(
+        new ErrorHandler(`Could not read ${fileType.toUpperCase()} file: ${error.message}`, 400),
+      )
+    } finally {
+      await deleteTempFile(file.tempFilePath)
+    }
+  } else if (Array.isArray(req.body?.products)) {
+    records = objectsToRecords(req.body.products)
+  } else {
+    return next(
+      new ErrorHandler('Upload a CSV or XLSX file as "file" or send a products array', 400),
+    )
+  }
+
+  if (records.length === 0) {
+    return next(new ErrorHandler('The import contains no product rows', 400))
+  }
+  if (records.length > IMPORT_MAX_ROWS) {
+    return next(new ErrorHandler(`Imports are limited to ${IMPORT_MAX_ROWS} rows per file`, 400))
+  }
+
+  if (records.length > IMPORT_SYNC_ROW_LIMIT) {
+    const job = await createImportJob({
+      fileName,
+      fileType,
+      dryRun,
+      totalRows: records.length,
+      createdBy,
+    })
+
+    setImmediate(() => runImportJob(job, records, { dryRun, createdBy }))
+
+    return res.status(202).json({
+      success: true,
+      message: `Import of ${records.length} rows queued. Follow progress at /api/v1/product/import/jobs/${job.id}`,
+      job,
+      unknownColumns,
+    })
+  }
+
+  const { summary, report } = await importProductRecords(records, { dryRun, createdBy })
+
+  console.log(
+    `✅ [IMPORT] ${dryRun ? 'Dry run' : 'Import'}: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`,
+  )
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun
+      ? `Dry run: ${summary.created} would be created, ${summary.updated} updated, ${summary.failed} have errors`
+      : `${summary.created} products created, ${summary.updated} updated, ${summary.failed} failed`,
+    dryRun,
+    summary,
+    report,
+    unknownColumns,
+  })
+})
+
+/**
+ * List recent import jobs
+ * GET /api/v1/product/import/jobs
+ */
+export const fetchImportJobs = catchAsyncErrors(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+  const jobs = await getImportJobs({ limit, offset: (page - 1) * limit })
+
+  res.status(200).json({
+    success: true,
+    message: 'Import jobs retrieved successfully',
+    data: jobs,
+    page,
+    limit,
+  })
+})
+
+/**
+ * Progress and report of one import job
+ * GET /api/v1/product/import/jobs/:jobId
+ */
+export const fetchImportJob = catchAsyncErrors(async (req, res, next) => {
+  const job = await getImportJob(req.params.jobId)
+  if (!job) {
+    return next(new ErrorHandler('Import job not found', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Import job retrieved successfully',
+    data: {
+      ...job,
+      progress: job.total_rows ? Math.round((job.processed_rows / job.total_rows) * 100) : 0,
+    },
+  })
+})
+
+/**
+ * Empty CSV with every importable column
+ * GET /api/v1/product/import/template
+ */
+export const downloadImportTemplate = catchAsyncErrors(async (req, res, next) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+  res.setHeader('Content-Disposition', 'attachment; filename="product-import-template.csv"')
+  res.status(200).send(`${Object.keys(IMPORT_COLUMNS).join(',')}\n`)
+})
@@ -0,0 +1,341 @@
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import database from '../database/db.js'
+import {
+  getProductQuestions,
+  getQaModerationQueue,
+  getQuestionWithAsker,
+  hasPurchasedProduct,
+  markAskerNotified,
+  moderateQaItem,
+  toggleQaUpvote,
+} from '../models/productQuestionsTable.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+import { sendEmail } from '../utils/sendEmail.js'
+import { generateQuestionAnsweredEmailTemplate } from '../utils/generateQuestionAnsweredEmailTemplate.js'
+import {
+  ANSWER_MAX_LENGTH,
+  ANSWER_MIN_LENGTH,
+  QA_MODERATION_STATUSES,
+  QUESTION_MAX_LENGTH,
+  QUESTION_MIN_LENGTH,
+  canAnswerQuestion,
+  groupAnswersByQuestion,
+  initialAnswerStatus,
+  validateQaText,
+} from '../utils/productQuestions.js'
+
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))
+
+const readPagination = (query, defaultLimit = 10) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 50)
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  return { limit, page, offset: (page - 1) * limit }
+}
+
+/**
+ * Email the asker about an approved answer, once per answer
+ * Never throws: a failed email must not fail the request that approved the answer
+ */
+const notifyAskerOfAnswer = async (answer) => {
+  try {
+    const question = await getQuestionWithAsker(answer.question_id)
+    if (!question?.asker_email || question.user_id === answer.user_id) return
+    if (!(await markAskerNotified(answer.id))) return
+
+    await sendEmail({
+      email: question.asker_email,
+      subject: `Your question about ${question.product_name} was answered`,
+      message: generateQuestionAnsweredEmailTemplate({
+        askerName: question.asker_name,
+        productName: question.product_name,
+        question: question.question,
+        answer: answer.answer,
+        productUrl: `${process.env.FRONTEND_URL || ''}/product/${question.product_id}`,
+      }),
+    })
+  } catch (error) {
+    console.error(`❌ [PRODUCT Q&A] Answer email for answer ${answer.id} failed:`, error.message)
+  }
+}
+
+/**
+ * Get approved questions (with approved answers) for a product
+ * GET /api/v1/product/:product_id/questions
+ * Query params: page, limit, sort (top | recent)
+ */
+export const fetchProductQuestions = catchAsyncErrors(async (req, res, next) => {
+  const { product_id } = req.params
+  const { limit, page, offset } = readPagination(req.query)
+  const sort = req.query.sort === 'recent' ? 'recent' : 'top'
+
+  if (!isUuid(product_id)) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+  const product = await database.query('SELECT id FROM products WHERE id = $1', [product_id])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+
+  const { questions, answers, total } = await getProductQuestions(product_id, {
+    limit,
+    offset,
+    sort,
+  })
+
+  res.status(200).json({
+    success: true,
+    message: 'Product questions fetched',
+    data: {
+      questions: groupAnswersByQuestion(questions, answers, Infinity),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    },
+  })
+})
+
+/**
+ * Ask a question about a product
+ * POST /api/v1/product/:product_id/questions
+ * Body: { question }
+ * Questions are published after moderation
+ */
+export const askProductQuestion = catchAsyncErrors(async (req, res, next) => {
+  const { product_id } = req.params
+  const { text, error } = validateQaText(req.body.question, {
+    label: 'Question',
+    min: QUESTION_MIN_LENGTH,
+    max: QUESTION_MAX_LENGTH,
+  })
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  if (!isUuid(product_id)) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+  const product = await database.query('SELECT id FROM products WHERE id = $1', [product_id])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+
+  const { rows } = await database.query(
+    `INSERT INTO product_questions (product_id, user_id, question)
+     VALUES ($1, $2, $3)
+     RETURNING id, product_id, question, upvotes, moderation_status, created_at`,
+    [product_id, req.user.id, text],
+  )
+
+  res.status(201).json({
+    success: true,
+    message: 'Question submitted. It will appear once it has been approved.',
+    data: { question: rows[0] },
+  })
+})
+
+/**
+ * Answer a product question
+ * POST /api/v1/questions/:question_id/answers
+ * Body: { answer }
+ * Admins and shoppers who bought the product can answer. Admin answers are published right
+ * away (and the asker is emailed); buyer answers are published after moderation.
+ */
+export const answerProductQuestion = catchAsyncErrors(async (req, res, next) => {
+  const { question_id } = req.params
+  const { text, error } = validateQaText(req.body.answer, {
+    label: 'Answer',
+    min: ANSWER_MIN_LENGTH,
+    max: ANSWER_MAX_LENGTH,
+  })
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  if (!isUuid(question_id)) {
+    return next(new ErrorHandler('Question not found', 404))
+  }
+  const questionResult = await database.query(
+    'SELECT id, product_id, moderation_status FROM product_questions WHERE id = $1',
+    [question_id],
+  )
+  const question = questionResult.rows[0]
+  if (!question || question.moderation_status !== 'approved') {
+    return next(new ErrorHandler('Question not found', 404))
+  }
+
+  const isAdmin = req.user.role === 'Admin'
+  const verifiedPurchase = await hasPurchasedProduct(req.user.id, question.product_id)
+  if (!canAnswerQuestion({ isAdmin, verifiedPurchase })) {
+    return next(new ErrorHandler('Only customers who bought this product can answer', 403))
+  }
+
+  const status = initialAnswerStatus({ isAdmin })
+  const { rows } = await database.query(
+    `INSERT INTO product_answers
+       (question_id, user_id, answer, is_admin_answer, verified_purchase, moderation_status,
+        moderated_by, moderated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      question_id,
+      req.user.id,
+      text,
+      isAdmin,
+      verifiedPurchase,
+      status,
+      isAdmin ? req.user.id : null,
+      isAdmin ? new Date() : null,
+    ],
+  )
+  const answer = rows[0]
+
+  if (status === 'approved') {
+    await notifyAskerOfAnswer(answer)
+  }
+
+  res.status(201).json({
+    success: true,
+    message:
+      status === 'approved'
+        ? 'Answer published'
+        : 'Answer submitted. It will appear once it has been approved.',
+    data: { answer },
+  })
+})
+
+/**
+ * Upvote a question (a second call removes the upvote)
+ * POST /api/v1/questions/:question_id/upvote
+ */
+export const upvoteProductQuestion = catchAsyncErrors(async (req, res, next) => {
+  const { question_id } = req.params
+  const result = isUuid(question_id)
+    ? await withTransaction((transaction) =>
+        toggleQaUpvote('question', question_id, req.user.id, transaction),
+      )
+    : null
+  if (!result) {
+    return next(new ErrorHandler('Question not found', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.upvoted ? 'Question upvoted' : 'Upvote removed',
+    data: result,
+  })
+})
+
+/**
+ * Upvote an answer (a second call removes the upvote)
+ * POST /api/v1/answers/:answer_id/upvote
+ */
+export const upvoteProductAnswer = catchAsyncErrors(async (req, res, next) => {
+  const { answer_id } = req.params
+  const result = isUuid(answer_id)
+    ? await withTransaction((transaction) =>
+        toggleQaUpvote('answer', answer_id, req.user.id, transaction),
+      )
+    : null
+  if (!result) {
+    return next(new ErrorHandler('Answer not found', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.upvoted ? 'Answer upvoted' : 'Upvote removed',
+    data: result,
+  })
+})
+
+/**
+ * Questions or answers by moderation status (oldest first)
+ * GET /api/v1/admin/questions
+ * Query params: type (questions | answers), status (default pending), page, limit
+ */
+export const fetchQaModerationQueue = catchAsyncErrors(async (req, res, next) => {
+  const target = req.query.type === 'answers' ? 'answer' : 'question'
+  const status = req.query.status || 'pending'
+  const { limit, page, offset } = readPagination(req.query, 20)
+
+  if (!QA_MODERATION_STATUSES.includes(status)) {
+    return next(
+      new ErrorHandler(`status must be one of: ${QA_MODERATION_STATUSES.join(', ')}`, 400),
+    )
+  }
+
+  const items = await getQaModerationQueue(target, { status, limit, offset })
+
+  res.status(200).json({
+    success: true,
+    message: 'Moderation queue fetched',
+    data: { type: `${target}s`, status, page, limit, items },
+  })
+})
+
+const readModerationBody = (body) => {
+  const status = body.status
+  if (!QA_MODERATION_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${QA_MODERATION_STATUSES.join(', ')}` }
+  }
+  const reason = body.reason ? String(body.reason).trim().slice(0, 500) : null
+  if (status === 'rejected' && !reason) {
+    return { error: 'A reason is required when rejecting' }
+  }
+  return { status, reason }
+}
+
+/**
+ * Approve or reject a question
+ * PUT /api/v1/admin/questions/:questionId/moderate
+ * Body: { status, reason }
+ */
+export const moderateProductQuestion = catchAsyncErrors(async (req, res, next) => {
+  const { status, reason, error } = readModerationBody(req.body)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  const { questionId } = req.params
+  const question = isUuid(questionId)
+    ? await moderateQaItem('question', questionId, { status, reason, moderatorId: req.user.id })
+    : null
+  if (!question) {
+    return next(new ErrorHandler('Question not found', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Question ${status}`,
+    data: { question },
+  })
+})
+
+/**
+ * Approve or reject an answer; approving emails the asker (once)
+ * PUT /api/v1/admin/answers/:answerId/moderate
+ * Body: { status, reason }
+ */
+export const moderateProductAnswer = catchAsyncErrors(async (req, res, next) => {
+  const { status, reason, error } = readModerationBody(req.body)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  const { answerId } = req.params
+  const answer = isUuid(answerId)
+    ? await moderateQaItem('answer', answerId, { status, reason, moderatorId: req.user.id })
+    : null
+  if (!answer) {
+    return next(new ErrorHandler('Answer not found', 404))
+  }
+
+  if (status === 'approved') {
+    await notifyAskerOfAnswer(answer)
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Answer ${status}`,
+    data: { answer },
+  })
+})
@@ -0,0 +1,271 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  getSearchClickThrough,
+  getTopSearchQueries,
+  getZeroResultQueries,
+  recordSearchClick,
+} from '../models/searchAnalyticsTable.js'
+import {
+  SEARCH_RULE_TYPES,
+  isValidRedirectUrl,
+  normalizeSearchQuery,
+  summarizeClickThrough,
+} from '../utils/searchSynonyms.js'
+
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))
+
+// Report window (?days=) and size (?limit=) with sane bounds
+const readReportRange = (query) => ({
+  days: Math.min(Math.max(parseInt(query.days, 10) || 30, 1), 365),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500),
+})
+
+/**
+ * Validate a search rule body; `existing` is the stored rule when updating
+ * Returns { values } or { error }
+ */
+const readSearchRuleBody = (body, existing = null) => {
+  const values = {}
+
+  if (body.term !== undefined || !existing) {
+    values.term = normalizeSearchQuery(body.term)
+    if (!values.term) return { error: 'term is required' }
+  }
+  if (body.type !== undefined || !existing) {
+    values.type = body.type || 'synonym'
+    if (!SEARCH_RULE_TYPES.includes(values.type)) {
+      return { error: `type must be one of: ${SEARCH_RULE_TYPES.join(', ')}` }
+    }
+  }
+  if (body.is_active !== undefined) {
+    values.is_active = body.is_active === true || body.is_active === 'true'
+  }
+
+  const type = values.type || existing.type
+  const term = values.term || existing.term
+  if (type === 'synonym' && (body.synonyms !== undefined || values.type !== undefined)) {
+    const raw = body.synonyms ?? existing?.synonyms ?? []
+    const synonyms = [
+      ...new Set(
+        (Array.isArray(raw) ? raw : String(raw).split(','))
+          .map(normalizeSearchQuery)
+          .filter((synonym) => synonym && synonym !== term),
+      ),
+    ]
+    if (synonyms.length === 0) return { error: 'A synonym rule needs at least one synonym' }
+    values.synonyms = JSON.stringify(synonyms)
+    values.redirect_url = null
+  }
+  if (type === 'redirect' && (body.redirect_url !== undefined || values.type !== undefined)) {
+    const url = String(body.redirect_url ?? existing?.redirect_url ?? '').trim()
+    if (!isValidRedirectUrl(url)) {
+      return { error: 'redirect_url must be a path starting with / or an http(s) URL' }
+    }
+    values.redirect_url = url.slice(0, 500)
+    values.synonyms = '[]'
+  }
+
+  return { values }
+}
+
+/**
+ * Record the product a shopper opened from search results
+ * POST /api/v1/search/click
+ * Body: { searchId, productId, position? }
+ */
+export const recordSearchResultClick = catchAsyncErrors(async (req, res, next) => {
+  const { searchId, productId, position } = req.body
+
+  if (!isUuid(searchId) || !isUuid(productId)) {
+    return next(new ErrorHandler('searchId and productId are required', 400))
+  }
+  const rank = position === undefined ? null : parseInt(position, 10)
+  if (rank !== null && !(rank >= 1)) {
+    return next(new ErrorHandler('position must be a positive number', 400))
+  }
+
+  const recorded = await recordSearchClick({ searchId, productId, position: rank })
+  if (!recorded) {
+    return next(new ErrorHandler('Search not found.', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Search click recorded',
+  })
+})
+
+/**
+ * Most searched queries with average results and click-through rate
+ * GET /api/v1/admin/search/top-queries?days=30&limit=50
+ */
+export const fetchTopSearchQueries = catchAsyncErrors(async (req, res, next) => {
+  const range = readReportRange(req.query)
+  const queries = await getTopSearchQueries(range)
+
+  res.status(200).json({
+    success: true,
+    message: 'Top search queries retrieved successfully',
+    data: { ...range, queries },
+  })
+})
+
+/**
+ * Queries that returned no products (candidates for synonyms, redirects or new products)
+ * GET /api/v1/admin/search/zero-results?days=30&limit=50
+ */
+export const fetchZeroResultQueries = catchAsyncErrors(async (req, res, next) => {
+  const range = readReportRange(req.query)
+  const queries = await getZeroResultQueries(range)
+
+  res.status(200).json({
+    success: true,
+    message: 'Zero-result search queries retrieved successfully',
+    data: { ...range, queries },
+  })
+})
+
+/**
+ * Click-through report: overall and daily CTR, and the most clicked products
+ * GET /api/v1/admin/search/ctr?days=30
+ */
+export const fetchSearchClickThrough = catchAsyncErrors(async (req, res, next) => {
+  const { days } = readReportRange(req.query)
+  const { daily, products } = await getSearchClickThrough({ days })
+
+  res.status(200).json({
+    success: true,
+    message: 'Search click-through report retrieved successfully',
+    data: {
+      days,
+      summary: summarizeClickThrough(daily),
+      daily: daily.map((day) => ({
+        ...day,
+        ctr:
+          day.searches > 0 ? Math.round((day.clicked_searches / day.searches) * 10000) / 10000 : 0,
+      })),
+      products,
+    },
+  })
+})
+
+/**
+ * Get every synonym and redirect rule
+ * GET /api/v1/admin/search/rules
+ */
+export const fetchSearchRules = catchAsyncErrors(async (req, res, next) => {
+  const { rows } = await database.query(`SELECT * FROM search_rules ORDER BY type ASC, term ASC`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Search rules retrieved successfully',
+    data: rows,
+  })
+})
+
+/**
+ * Create a synonym or redirect rule
+ * POST /api/v1/admin/search/rules
+ * Body: { term, type: synonym|redirect, synonyms?: [..], redirect_url?, is_active? }
+ */
+export const createSearchRule = catchAsyncErrors(async (req, res, next) => {
+  const { values, error } = readSearchRuleBody(req.body)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  const existing = await database.query('SELECT id FROM search_rules WHERE term = $1', [
+    values.term,
+  ])
+  if (existing.rows.length > 0) {
+    return next(new ErrorHandler(`A rule for "${values.term}" already exists`, 409))
+  }
+
+  const columns = [...Object.keys(values), 'created_by']
+  const { rows } = await database.query(
+    `INSERT INTO search_rules (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    [...Object.values(values), req.user.id],
+  )
+
+  console.log(`✅ [SEARCH_RULES] Created ${rows[0].type} rule for "${rows[0].term}"`)
+
+  res.status(201).json({
+    success: true,
+    message: 'Search rule created successfully',
+    data: rows[0],
+  })
+})
+
+/**
+ * Update a synonym or redirect rule
+ * PUT /api/v1/admin/search/rules/:ruleId
+ */
+export const updateSearchRule = catchAsyncErrors(async (req, res, next) => {
+  const { ruleId } = req.params
+  const found = isUuid(ruleId)
+    ? await database.query('SELECT * FROM search_rules WHERE id = $1', [ruleId])
+    : { rows: [] }
+  if (found.rows.length === 0) {
+    return next(new ErrorHandler('Search rule not found.', 404))
+  }
+
+  const { values, error } = readSearchRuleBody(req.body, found.rows[0])
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+  if (Object.keys(values).length === 0) {
+    return next(new ErrorHandler('No fields to update', 400))
+  }
+  if (values.term) {
+    const clash = await database.query('SELECT id FROM search_rules WHERE term = $1 AND id <> $2', [
+      values.term,
+      ruleId,
+    ])
+    if (clash.rows.length > 0) {
+      return next(new ErrorHandler(`A rule for "${values.term}" already exists`, 409))
+    }
+  }
+
+  const assignments = Object.keys(values).map((column, i) => `${column} = $${i + 1}`)
+  const { rows } = await database.query(
+    `UPDATE search_rules SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $${assignments.length + 1}
+     RETURNING *`,
+    [...Object.values(values), ruleId],
+  )
+
+  console.log(`✅ [SEARCH_RULES] Updated ${rows[0].type} rule for "${rows[0].term}"`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Search rule updated successfully',
+    data: rows[0],
+  })
+})
+
+/**
+ * Delete a synonym or redirect rule
+ * DELETE /api/v1/admin/search/rules/:ruleId
+ */
+export const deleteSearchRule = catchAsyncErrors(async (req, res, next) => {
+  const { ruleId } = req.params
+  const { rows } = isUuid(ruleId)
+    ? await database.query('DELETE FROM search_rules WHERE id = $1 RETURNING *', [ruleId])
+    : { rows: [] }
+  if (rows.length === 0) {
+    return next(new ErrorHandler('Search rule not found.', 404))
+  }
+
+  console.log(`🗑️ [SEARCH_RULES] Deleted ${rows[0].type} rule for "${rows[0].term}"`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Search rule deleted successfully',
+    data: rows[0],
+  })
+})
@@ -1,60 +1,96 @@
 import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
 import ErrorHandler from '../middlewares/errorMiddleware.js'
 import database from '../database/db.js'
+import { getAttributes } from '../models/productAttributesTable.js'
+import { resolveAttributeFilters } from '../utils/productAttributes.js'
+import { buildSearchFilters, loadSearchFacets } from '../utils/searchFacets.js'
+import { getNameSuggestions } from '../models/productSearchTable.js'
+import { FUZZY_THRESHOLD, buildTextSearch } from '../utils/productSearch.js'
+import { getActiveSearchRules, logSearchQuery } from '../models/searchAnalyticsTable.js'
+import {
+  buildSynonymMap,
+  findSearchRedirect,
+  normalizeSearchQuery,
+} from '../utils/searchSynonyms.js'
 
 /**
- * Intelligent AI Search with suggestions, filtering, and recommendations
+ * Log a storefront search for the analytics reports; a failed insert never fails the search
+ * Returns the search id (or null) for POST /api/v1/search/click
+ */
+const logSearch = async (entry) => {
+  try {
+    return await logSearchQuery({ ...entry, normalizedQuery: normalizeSearchQuery(entry.query) })
+  } catch (error) {
+    console.error('❌ [SEARCH] Failed to log search query:', error.message)
+    return null
+  }
+}
+
+/**
+ * Intelligent AI Search with suggestions, filtering, facets and recommendations
  * Combines text search, category filtering, and recommendation engine
+ * POST /api/v1/search
+ * Body: { query, category?, categoryId?, limit?, page?,
+ *   filters?: { minPrice, maxPrice, minRating, inStockOnly, brands, attributes: { [slug]: value } } }
+ * Results matching a query are sorted by relevance and carry highlighted_name and snippet
+ * (matched words wrapped in <mark>). query may be left out when browsing a category.
+ * Attribute values are option lists (["8", "16"] or "8,16") or, for number attributes,
+ * ranges ({ min, max } or "13-15").
+ * Admin synonym rules widen the query; a query matching a redirect rule returns
+ * data.redirect instead of products. Searches are logged and data.searchId is returned
+ * for reporting the clicked result (POST /api/v1/search/click). sessionId is optional.
  */
 export const aiSearch = catchAsyncErrors(async (req, res, next) => {
-  const { query, category, filters = {}, limit = 20, page = 1 } = req.body
+  const { query, category, categoryId, filters = {}, limit = 20, page = 1, sessionId } = req.body
+  const text = typeof query === 'string' ? query.trim() : ''
 
-  if (!query || query.trim().length < 2) {
+  // Drilling down inside a category works without search text
+  if ((text || !(category || categoryId)) && text.length < 2) {
     return next(new ErrorHandler('Search query must be at least 2 characters', 400))
   }
 
   const offset = (page - 1) * limit
+  const searchLog = { query: text, userId: req.user?.id, sessionId, filters }
 
-  // Build dynamic WHERE clause
-  let whereConditions = ['(p.name ILIKE $1 OR p.description ILIKE $1 OR p.category ILIKE $1)']
-  let queryParams = [`%${query}%`]
-  let paramIndex = 2
-
-  // Add category filter
-  if (category) {
-    whereConditions.push(`p.category = $${paramIndex}`)
-    queryParams.push(category)
-    paramIndex++
+  const rules = await getActiveSearchRules()
+  const redirect = text ? findSearchRedirect(text, rules) : null
+  if (redirect) {
+    const searchId = await logSearch({ ...searchLog, resultCount: 0, redirectedTo: redirect })
+    return res.status(200).json({
+      success: true,
+      message: 'Search redirected',
+      data: { redirect, searchId, products: [] },
+    })
   }
 
-  // Add price filter
-  if (filters.minPrice !== undefined) {
-    whereConditions.push(`p.price >= $${paramIndex}`)
-    queryParams.push(filters.minPrice)
-    paramIndex++
-  }
-  if (filters.maxPrice !== undefined) {
-    whereConditions.push(`p.price <= $${paramIndex}`)
-    queryParams.push(filters.maxPrice)
-    paramIndex++
+  const attributes = await getAttributes({ filterableOnly: true })
+  const attributeFilters = resolveAttributeFilters(filters.attributes, attributes)
+  if (attributeFilters.error) {
+    return next(new ErrorHandler(attributeFilters.error, 400))
   }
 
-  // Add rating filter
-  if (filters.minRating !== undefined) {
-    whereConditions.push(`p.ratings >= $${paramIndex}`)
-    queryParams.push(filters.minRating)
-    paramIndex++
+  const spec = {
+    query: text,
+    category,
+    categoryId,
+    brands: filters.brands,
+    minPrice: filters.minPrice,
+    maxPrice: filters.maxPrice,
+    minRating: filters.minRating,
+    inStockOnly: filters.inStockOnly,
+    attributes: attributeFilters.filters,
+    synonyms: buildSynonymMap(rules),
   }
-
-  // Add stock filter
-  if (filters.inStockOnly) {
-    whereConditions.push('p.stock > 0')
+  const searchFilters = buildSearchFilters(spec)
+  if (searchFilters.error) {
+    return next(new ErrorHandler(searchFilters.error, 400))
   }
-
-  const whereClause = whereConditions.join(' AND ')
+  const { conditions, values: queryParams, rank, headline } = searchFilters
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+  const paramIndex = queryParams.length + 1
 
   // Get total count
-  const countQuery = `SELECT COUNT(*) as total FROM products p WHERE ${whereClause}`
+  const countQuery = `SELECT COUNT(*) as total FROM products p ${whereClause}`
   const countResult = await database.query(countQuery, queryParams)
   const total = parseInt(countResult.rows[0].total)
 
@@ -66,10 +102,12 @@ export const aiSearch = catchAsyncErrors(async (req, res, next) => {
       p.description,
       p.price,
       p.category,
+      p.brand,
       p.ratings,
       p.stock,
       p.images,
       p.created_at,
+      ${rank ? `${rank} AS relevance, ${headline},` : ''}
       (
         SELECT COUNT(*) FROM order_items oi
         WHERE oi.product_id = p.id
@@ -79,47 +117,56 @@ export const aiSearch = catchAsyncErrors(async (req, res, next) => {
         WHERE pr.product_id = p.id
       ) as avg_review_rating
     FROM products p
-    WHERE ${whereClause}
+    ${whereClause}
     ORDER BY
+      ${rank ? 'relevance DESC,' : ''}
       p.ratings DESC,
       popularity_score DESC,
       p.created_at DESC
     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
   `
 
-  queryParams.push(limit, offset)
-  const productsResult = await database.query(searchQuery, queryParams)
+  const productsResult = await database.query(searchQuery, [...queryParams, limit, offset])
 
-  // Get search suggestions
-  const suggestionsQuery = `
-    SELECT DISTINCT name
-    FROM products
-    WHERE name ILIKE $1
-    LIMIT 5
-  `
-  const suggestionsResult = await database.query(suggestionsQuery, [`%${query}%`])
+  let suggestions = []
+  let relatedCategories = []
+  if (text) {
+    // Get search suggestions
+    suggestions = await getNameSuggestions(text, 5)
 
-  // Get related categories
-  const categoriesQuery = `
-    SELECT DISTINCT category, COUNT(*) as count
-    FROM products
-    WHERE name ILIKE $1
-    GROUP BY category
-    ORDER BY count DESC
-    LIMIT 5
-  `
-  const categoriesResult = await database.query(categoriesQuery, [`%${query}%`])
+    // Get related categories
+    const categoryParams = []
+    const { condition } = buildTextSearch(text, categoryParams, { synonyms: spec.synonyms })
+    const categoriesQuery = `
+      SELECT p.category, COUNT(*) as count
+      FROM products p
+      WHERE ${condition}
+      GROUP BY p.category
+      ORDER BY count DESC
+      LIMIT 5
+    `
+    const categoriesResult = await database.query(categoriesQuery, categoryParams)
+    relatedCategories = categoriesResult.rows.map((r) => ({
+      name: r.category,
+      count: parseInt(r.count),
+    }))
+  }
+
+  // Facet counts for drilling down (brand, price buckets, rating, attributes)
+  const facets = await loadSearchFacets(spec, attributes)
+
+  // Category browsing without text is not a search
+  const searchId = text ? await logSearch({ ...searchLog, resultCount: total }) : null
 
   res.status(200).json({
     success: true,
     message: 'Search results fetched successfully',
     data: {
+      searchId,
       products: productsResult.rows,
-      suggestions: suggestionsResult.rows.map((r) => r.name),
-      relatedCategories: categoriesResult.rows.map((r) => ({
-        name: r.category,
-        count: parseInt(r.count),
-      })),
+      suggestions,
+      relatedCategories,
+      facets,
       filters: filters,
       pagination: {
         page: parseInt(page),
@@ -135,6 +182,7 @@ export const aiSearch = catchAsyncErrors(async (req, res, next) => {
 /**
  * Get smart search suggestions based on user input
  * Returns: text suggestions, trending searches, categories, recent searches
+ * GET /api/v1/search/suggestions?query=
  */
 export const getSearchSuggestions = catchAsyncErrors(async (req, res, next) => {
   const { query } = req.query
@@ -151,41 +199,39 @@ export const getSearchSuggestions = catchAsyncErrors(async (req, res, next) => {
     })
   }
 
-  // Text suggestions from product names
-  const textQuery = `
-    SELECT DISTINCT name
-    FROM products
-    WHERE name ILIKE $1
-    ORDER BY name ASC
-    LIMIT 8
-  `
-  const textResult = await database.query(textQuery, [`%${query}%`])
+  // Text suggestions from product names (typo and transliteration tolerant)
+  const textSuggestions = await getNameSuggestions(query, 8)
 
   // Get categories matching the query
   const categoryQuery = `
-    SELECT DISTINCT category
+    SELECT category
     FROM products
-    WHERE category ILIKE $1
-    ORDER BY category ASC
+    WHERE category ILIKE $1 OR word_similarity($2, category) >= ${FUZZY_THRESHOLD}
+    GROUP BY category
+    ORDER BY MAX(word_similarity($2, category)) DESC, category ASC
     LIMIT 5
   `
-  const categoryResult = await database.query(categoryQuery, [`%${query}%`])
+  const categoryResult = await database.query(categoryQuery, [`%${query}%`, query.trim()])
 
-  // Get trending searches (products sorted by popularity)
+  // Get trending searches (matching products sorted by popularity)
+  const trendingParams = []
+  const { condition } = buildTextSearch(query, trendingParams)
   const trendingQuery = `
-    SELECT DISTINCT name
-    FROM products
-    WHERE name ILIKE $1
-    ORDER BY (SELECT COUNT(*) FROM order_items oi WHERE oi.product_id = products.id) DESC
+    SELECT p.name
+    FROM products p
+    LEFT JOIN order_items oi ON oi.product_id = p.id
+    WHERE ${condition}
+    GROUP BY p.name
+    ORDER BY COUNT(oi.id) DESC
     LIMIT 5
   `
-  const trendingResult = await database.query(trendingQuery, [`%${query}%`])
+  const trendingResult = await database.query(trendingQuery, trendingParams)
 
   res.status(200).json({
     success: true,
     message: 'Search suggestions fetched',
     data: {
-      textSuggestions: textResult.rows.map((r) => r.name),
+      textSuggestions,
       categories: categoryResult.rows.map((r) => r.category),
       trendingSearches: trendingResult.rows.map((r) => r.name),
       highlightedCategories: categoryResult.rows.map((r) => ({
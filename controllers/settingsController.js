@@ -1,5 +1,6 @@
 import db from '../database/db.js'
 import { getSetting, setSetting } from '../models/settingsTable.js'
+import { importLegacyCategories } from '../models/categoriesTable.js'
 import { v2 as cloudinary } from 'cloudinary'
 import { deleteTempFile } from '../utils/fileCleanup.js'
 
@@ -351,6 +352,14 @@ export const updateCategories = async (req, res) => {
 
     await setSetting('categories', validatedCategories)
 
+    // Keep the category tree (what products reference) in step with the legacy editor
+    try {
+      const imported = await importLegacyCategories(validatedCategories)
+      console.log('✅ Copied categories into the category tree:', imported)
+    } catch (error) {
+      console.error('❌ Failed to copy categories into the category tree:', error.message)
+    }
+
     // 🔌 Emit real-time update via Socket.io
     const io = req.app.get('io')
     if (io) {
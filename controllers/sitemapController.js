@@ -0,0 +1,114 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import {
+  SITEMAP_CACHE_MINUTES,
+  SITEMAP_MAX_URLS,
+  SITEMAP_SECTIONS,
+  buildRobotsTxt,
+  getSitemapFiles,
+  renderSitemapIndex,
+  renderUrlset,
+} from '../utils/sitemap.js'
+
+const XML_CONTENT_TYPE = 'application/xml; charset=utf-8'
+const SECTION_FILE_PATTERN = new RegExp(`^(${SITEMAP_SECTIONS.join('|')})-(\\d+)\\.xml$`)
+
+// Missing or unreadable SEO settings fall back to the defaults (sitemap on, default robots.txt)
+const getSeoSettingsRow = async () => {
+  try {
+    const { rows } = await database.query(
+      `SELECT robots_txt, sitemap_enabled FROM seo_settings ORDER BY id ASC LIMIT 1`,
+    )
+    return rows[0] || {}
+  } catch (error) {
+    console.error('❌ [SITEMAP] Could not read SEO settings, using defaults:', error.message)
+    return {}
+  }
+}
+
+const getRequestOrigin = (req) => `${req.protocol}://${req.get('host')}`
+
+// Sitemap files are served by this API, so child sitemap URLs point back here
+const getServerOrigin = (req) =>
+  (process.env.BACKEND_URL || getRequestOrigin(req)).replace(/\/$/, '')
+
+// Page URLs point at the storefront; without FRONTEND_URL it is assumed to share the API's host
+const getStorefrontUrl = (req) => process.env.FRONTEND_URL || getRequestOrigin(req)
+
+const sendXml = (res, body, generatedAt) => {
+  res.setHeader('Content-Type', XML_CONTENT_TYPE)
+  res.setHeader('Cache-Control', `public, max-age=${SITEMAP_CACHE_MINUTES * 60}`)
+  res.setHeader('Last-Modified', generatedAt.toUTCString())
+  res.status(200).send(body)
+}
+
+/**
+ * XML sitemap (Public)
+ * GET /sitemap.xml
+ * A single <urlset> up to SITEMAP_MAX_URLS URLs, otherwise a <sitemapindex>
+ * pointing at /sitemaps/:section-:page.xml
+ */
+export const getSitemap = catchAsyncErrors(async (req, res, next) => {
+  const seo = await getSeoSettingsRow()
+  if (seo.sitemap_enabled === false) {
+    return next(new ErrorHandler('Sitemap is disabled', 404))
+  }
+
+  const { files, generatedAt, urlCount } = await getSitemapFiles(getStorefrontUrl(req))
+
+  if (urlCount <= SITEMAP_MAX_URLS) {
+    return sendXml(res, renderUrlset(files.flatMap((file) => file.entries)), generatedAt)
+  }
+
+  const origin = getServerOrigin(req)
+  const body = renderSitemapIndex(
+    files.map((file) => ({
+      loc: `${origin}/sitemaps/${file.section}-${file.page}.xml`,
+      lastmod: file.lastmod,
+    })),
+  )
+  sendXml(res, body, generatedAt)
+})
+
+/**
+ * One file of a split sitemap (Public)
+ * GET /sitemaps/:file   (e.g. /sitemaps/products-2.xml)
+ */
+export const getSitemapSection = catchAsyncErrors(async (req, res, next) => {
+  const match = SECTION_FILE_PATTERN.exec(req.params.file)
+  if (!match) {
+    return next(new ErrorHandler('Sitemap not found', 404))
+  }
+
+  const seo = await getSeoSettingsRow()
+  if (seo.sitemap_enabled === false) {
+    return next(new ErrorHandler('Sitemap is disabled', 404))
+  }
+
+  const [, section, page] = match
+  const { files, generatedAt } = await getSitemapFiles(getStorefrontUrl(req))
+  const file = files.find((entry) => entry.section === section && entry.page === Number(page))
+  if (!file) {
+    return next(new ErrorHandler('Sitemap not found', 404))
+  }
+
+  sendXml(res, renderUrlset(file.entries), generatedAt)
+})
+
+/**
+ * robots.txt from SEO settings (Public)
+ * GET /robots.txt
+ */
+export const getRobotsTxt = catchAsyncErrors(async (req, res, next) => {
+  const seo = await getSeoSettingsRow()
+
+  const body = buildRobotsTxt({
+    robotsTxt: seo.robots_txt,
+    sitemapEnabled: seo.sitemap_enabled !== false,
+    sitemapUrl: `${getServerOrigin(req)}/sitemap.xml`,
+  })
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+  res.status(200).send(body)
+})
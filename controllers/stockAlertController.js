@@ -0,0 +1,148 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import { getLowStockAlerts, getBackInStockDemand } from '../models/stockAlertsTable.js'
+import { runStockAlertChecks, isLowStock } from '../utils/stockAlerts.js'
+
+/**
+ * Ask to be emailed when a product (or variant) is back in stock
+ * POST /api/v1/product/:productId/back-in-stock
+ * Body: { variant_id? }
+ */
+export const subscribeBackInStock = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const { variant_id = null } = req.body || {}
+
+  if (!req.user.email) {
+    return next(new ErrorHandler('Add an email address to your account to get stock alerts', 400))
+  }
+
+  const product = await database.query(
+    'SELECT id, name, stock, product_type FROM products WHERE id = $1',
+    [productId],
+  )
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+
+  let stock = product.rows[0].stock
+  if (product.rows[0].product_type === 'variable') {
+    if (!variant_id) {
+      return next(new ErrorHandler('variant_id is required for variable products', 400))
+    }
+    const variant = await database.query(
+      'SELECT stock FROM product_variants WHERE id = $1 AND product_id = $2 AND is_active = true',
+      [variant_id, productId],
+    )
+    if (variant.rows.length === 0) {
+      return next(new ErrorHandler('Variant not found', 404))
+    }
+    stock = variant.rows[0].stock
+  }
+
+  if (stock > 0) {
+    return next(new ErrorHandler('This item is already in stock', 400))
+  }
+
+  const result = await database.query(
+    `INSERT INTO back_in_stock_subscriptions (product_id, variant_id, user_id, email)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [productId, variant_id, req.user.id, req.user.email],
+  )
+
+  res.status(result.rows.length ? 201 : 200).json({
+    success: true,
+    message: result.rows.length
+      ? "We'll email you when this item is back in stock"
+      : 'You are already subscribed to this item',
+    data: result.rows[0] || null,
+  })
+})
+
+/**
+ * Cancel a back-in-stock request
+ * DELETE /api/v1/product/:productId/back-in-stock?variant_id=
+ */
+export const unsubscribeBackInStock = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const variantId = req.query.variant_id || null
+
+  const result = await database.query(
+    `UPDATE back_in_stock_subscriptions
+     SET status = 'cancelled'
+     WHERE user_id = $1 AND product_id = $2
+       AND variant_id IS NOT DISTINCT FROM $3::uuid
+       AND status = 'pending'
+     RETURNING id`,
+    [req.user.id, productId, variantId],
+  )
+
+  if (result.rows.length === 0) {
+    return next(new ErrorHandler('No back-in-stock request found for this item', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Back-in-stock request cancelled',
+  })
+})
+
+/**
+ * List low stock alerts
+ * GET /api/v1/admin/inventory/low-stock?status=open|resolved
+ */
+export const fetchLowStockAlerts = catchAsyncErrors(async (req, res, next) => {
+  const { status = 'open' } = req.query
+  const page = parseInt(req.query.page) || 1
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+
+  if (!['open', 'resolved'].includes(status)) {
+    return next(new ErrorHandler('status must be open or resolved', 400))
+  }
+
+  const alerts = await getLowStockAlerts({ status, limit, offset: (page - 1) * limit })
+
+  res.status(200).json({
+    success: true,
+    message: 'Low stock alerts retrieved successfully',
+    data: alerts.map((alert) => ({
+      ...alert,
+      still_low: isLowStock(alert.current_stock, alert.threshold),
+    })),
+    page,
+    limit,
+  })
+})
+
+/**
+ * Pending back-in-stock requests grouped by item
+ * GET /api/v1/admin/inventory/back-in-stock
+ */
+export const fetchBackInStockDemand = catchAsyncErrors(async (req, res, next) => {
+  const demand = await getBackInStockDemand()
+
+  res.status(200).json({
+    success: true,
+    message: 'Back-in-stock requests retrieved successfully',
+    data: demand,
+  })
+})
+
+/**
+ * Run the low stock / back-in-stock checks now instead of waiting for the timer
+ * POST /api/v1/admin/inventory/alerts/run
+ */
+export const triggerStockAlertChecks = catchAsyncErrors(async (req, res, next) => {
+  const result = await runStockAlertChecks(req.app.get('io'))
+  if (!result) {
+    return next(new ErrorHandler('Stock alert checks failed', 500))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Stock alert checks completed',
+    data: result,
+  })
+})
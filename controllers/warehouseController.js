@@ -0,0 +1,316 @@
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
+import database from '../database/db.js'
+import { getInventoryLevels } from '../models/warehousesTable.js'
+import { setLocationStock, releaseReservations } from '../utils/stockManager.js'
+import { broadcastProductStockUpdate } from '../socket/socketSetup.js'
+import { runStockAlertChecks } from '../utils/stockAlerts.js'
+
+/**
+ * Get all warehouses with their total units on hand
+ * GET /api/v1/admin/warehouses
+ */
+export const getWarehouses = catchAsyncErrors(async (req, res, next) => {
+  const result = await database.query(
+    `SELECT w.*,
+            COALESCE(SUM(il.quantity), 0)::INT AS total_units,
+            COUNT(il.id)::INT AS sku_count
+     FROM warehouses w
+     LEFT JOIN inventory_levels il ON il.warehouse_id = w.id
+     GROUP BY w.id
+     ORDER BY w.is_default DESC, w.priority ASC, w.name ASC`,
+  )
+
+  res.status(200).json({
+    success: true,
+    message: 'Warehouses retrieved successfully',
+    data: result.rows,
+  })
+})
+
+/**
+ * Create a warehouse
+ * POST /api/v1/admin/warehouses
+ * Body: { name, code, address?, city?, phone?, priority?, is_default? }
+ */
+export const createWarehouse = catchAsyncErrors(async (req, res, next) => {
+  const { name, code, address, city, phone, priority = 0, is_default = false } = req.body
+
+  if (!name || !code) {
+    return next(new ErrorHandler('Warehouse name and code are required', 400))
+  }
+
+  const existing = await database.query('SELECT id FROM warehouses WHERE code = $1', [
+    code.toUpperCase(),
+  ])
+  if (existing.rows.length > 0) {
+    return next(new ErrorHandler('A warehouse with this code already exists', 400))
+  }
+
+  // Only one default location at a time
+  if (is_default) {
+    await database.query('UPDATE warehouses SET is_default = false WHERE is_default = true')
+  }
+
+  const result = await database.query(
+    `INSERT INTO warehouses (name, code, address, city, phone, priority, is_default)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      name,
+      code.toUpperCase(),
+      address || null,
+      city || null,
+      phone || null,
+      parseInt(priority, 10) || 0,
+      !!is_default,
+    ],
+  )
+
+  console.log(`✅ [WAREHOUSE] Created warehouse ${result.rows[0].code}`)
+
+  res.status(201).json({
+    success: true,
+    message: 'Warehouse created successfully',
+    data: result.rows[0],
+  })
+})
+
+/**
+ * Update a warehouse
+ * PUT /api/v1/admin/warehouses/:warehouseId
+ */
+export const updateWarehouse = catchAsyncErrors(async (req, res, next) => {
+  const { warehouseId } = req.params
+  const { name, address, city, phone, priority, is_default, is_active } = req.body
+
+  const existing = await database.query('SELECT * FROM warehouses WHERE id = $1', [warehouseId])
+  if (existing.rows.length === 0) {
+    return next(new ErrorHandler('Warehouse not found', 404))
+  }
+
+  if (is_default === true) {
+    await database.query('UPDATE warehouses SET is_default = false WHERE id <> $1', [warehouseId])
+  }
+
+  const result = await database.query(
+    `UPDATE warehouses
+     SET name = COALESCE($1, name),
+         address = COALESCE($2, address),
+         city = COALESCE($3, city),
+         phone = COALESCE($4, phone),
+         priority = COALESCE($5, priority),
+         is_default = COALESCE($6, is_default),
+         is_active = COALESCE($7, is_active),
+         updated_at = NOW()
+     WHERE id = $8
+     RETURNING *`,
+    [
+      name ?? null,
+      address ?? null,
+      city ?? null,
+      phone ?? null,
+      priority !== undefined ? parseInt(priority, 10) : null,
+      is_default ?? null,
+      is_active ?? null,
+      warehouseId,
+    ],
+  )
+
+  res.status(200).json({
+    success: true,
+    message: 'Warehouse updated successfully',
+    data: result.rows[0],
+  })
+})
+
+/**
+ * Delete an empty warehouse
+ * DELETE /api/v1/admin/warehouses/:warehouseId
+ */
+export const deleteWarehouse = catchAsyncErrors(async (req, res, next) => {
+  const { warehouseId } = req.params
+
+  const existing = await database.query('SELECT * FROM warehouses WHERE id = $1', [warehouseId])
+  if (existing.rows.length === 0) {
+    return next(new ErrorHandler('Warehouse not found', 404))
+  }
+
+  if (existing.rows[0].is_default) {
+    return next(new ErrorHandler('The default warehouse cannot be deleted', 400))
+  }
+
+  const stock = await database.query(
+    'SELECT COALESCE(SUM(quantity), 0)::INT AS units FROM inventory_levels WHERE warehouse_id = $1',
+    [warehouseId],
+  )
+  if (stock.rows[0].units > 0) {
+    return next(
+      new ErrorHandler('Move or clear the stock held at this warehouse before deleting it', 400),
+    )
+  }
+
+  await database.query('DELETE FROM warehouses WHERE id = $1', [warehouseId])
+
+  res.status(200).json({
+    success: true,
+    message: 'Warehouse deleted successfully',
+  })
+})
+
+/**
+ * Get per-location stock for a product
+ * GET /api/v1/admin/inventory/:productId
+ */
+export const getProductInventory = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+
+  const product = await database.query('SELECT id, name, stock FROM products WHERE id = $1', [
+    productId,
+  ])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+
+  const levels = await getInventoryLevels(productId)
+  const reserved = await database.query(
+    `SELECT variant_id, warehouse_id, COALESCE(SUM(quantity), 0)::INT AS quantity
+     FROM stock_reservations
+     WHERE product_id = $1 AND status = 'active'
+     GROUP BY variant_id, warehouse_id`,
+    [productId],
+  )
+
+  res.status(200).json({
+    success: true,
+    message: 'Inventory retrieved successfully',
+    data: {
+      product: product.rows[0],
+      levels,
+      reserved: reserved.rows,
+    },
+  })
+})
+
+/**
+ * Set the quantity of a product (or variant) at a warehouse
+ * PUT /api/v1/admin/inventory/:productId
+ * Body: { warehouse_id, variant_id?, quantity }
+ */
+export const setProductInventory = catchAsyncErrors(async (req, res, next) => {
+  const { productId } = req.params
+  const { warehouse_id, variant_id = null, quantity } = req.body
+
+  if (!warehouse_id) {
+    return next(new ErrorHandler('Warehouse ID is required', 400))
+  }
+
+  const qty = parseInt(quantity, 10)
+  if (isNaN(qty) || qty < 0) {
+    return next(new ErrorHandler('Quantity must be a non-negative integer', 400))
+  }
+
+  const warehouse = await database.query('SELECT id FROM warehouses WHERE id = $1', [warehouse_id])
+  if (warehouse.rows.length === 0) {
+    return next(new ErrorHandler('Warehouse not found', 404))
+  }
+
+  const product = await database.query('SELECT id, product_type FROM products WHERE id = $1', [
+    productId,
+  ])
+  if (product.rows.length === 0) {
+    return next(new ErrorHandler('Product not found', 404))
+  }
+  if (product.rows[0].product_type === 'bundle') {
+    return next(new ErrorHandler('Bundle stock is derived from its components', 400))
+  }
+  if (product.rows[0].product_type === 'downloadable') {
+    return next(new ErrorHandler('Downloadable products have no stock', 400))
+  }
+
+  if (variant_id) {
+    const variant = await database.query(
+      'SELECT id FROM product_variants WHERE id = $1 AND product_id = $2',
+      [variant_id, productId],
+    )
+    if (variant.rows.length === 0) {
+      return next(new ErrorHandler('Variant not found', 404))
+    }
+  }
+
+  const stock = await setLocationStock({
+    warehouseId: warehouse_id,
+    productId,
+    variantId: variant_id,
+    quantity: qty,
+    referenceType: 'admin',
+    createdBy: req.user.id,
+  })
+
+  const io = req.app.get('io')
+  if (io) {
+    broadcastProductStockUpdate(io, productId, stock)
+  }
+  runStockAlertChecks(io, [productId])
+
+  console.log(`✅ [INVENTORY] Product ${productId} set to ${qty} at warehouse ${warehouse_id}`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Inventory updated successfully',
+    data: {
+      productId,
+      stock,
+      levels: await getInventoryLevels(productId),
+    },
+  })
+})
+
+/**
+ * List stock reservations
+ * GET /api/v1/admin/reservations?status=active
+ */
+export const getReservations = catchAsyncErrors(async (req, res, next) => {
+  const { status = 'active' } = req.query
+  const page = parseInt(req.query.page) || 1
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+  const offset = (page - 1) * limit
+
+  const result = await database.query(
+    `SELECT sr.*, p.name AS product_name, w.code AS warehouse_code
+     FROM stock_reservations sr
+     JOIN products p ON sr.product_id = p.id
+     LEFT JOIN warehouses w ON sr.warehouse_id = w.id
+     WHERE sr.status = $1
+     ORDER BY sr.expires_at ASC
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset],
+  )
+
+  res.status(200).json({
+    success: true,
+    message: 'Reservations retrieved successfully',
+    data: result.rows,
+    page,
+    limit,
+  })
+})
+
+/**
+ * Release an order's active reservations by hand
+ * POST /api/v1/admin/reservations/:orderId/release
+ */
+export const releaseOrderReservations = catchAsyncErrors(async (req, res, next) => {
+  const { orderId } = req.params
+
+  const released = await releaseReservations(orderId)
+  if (released === 0) {
+    return next(new ErrorHandler('No active reservations for this order', 404))
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Reservations released successfully',
+    data: { orderId, released },
+  })
+})
@@ -1,108 +1,163 @@
 import ErrorHandler from '../middlewares/errorMiddleware.js'
 import { catchAsyncErrors } from '../middlewares/catchAsyncError.js'
-import database from '../database/db.js'
+import {
+  addWishlistItem,
+  countUserWishlists,
+  countWishlistItems,
+  createWishlist,
+  deleteWishlist,
+  deleteWishlistItem,
+  getOwnWishlist,
+  getOwnWishlistItem,
+  getSharedWishlist,
+  getSpecialWishlist,
+  getUserWishlists,
+  getWishlistItemRows,
+  removeWishlistProduct,
+  updateWishlist,
+} from '../models/wishlistsTable.js'
+import { addCartLines } from '../models/cartItemsTable.js'
+import { loadActivePriceRules } from '../utils/pricing.js'
+import { withTransaction } from '../utils/transactionHelper.js'
+import {
+  MAX_WISHLISTS_PER_USER,
+  loadListableProduct,
+  priceWishlistItems,
+  summarizeListPriceDrops,
+  validateWishlistName,
+} from '../utils/wishlists.js'
+
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))
+
+const shareUrl = (list) =>
+  list.is_public ? `${process.env.FRONTEND_URL || ''}/wishlists/shared/${list.share_token}` : null
+
+const describeList = (list) => ({
+  id: list.id,
+  name: list.name,
+  kind: list.kind,
+  is_public: list.is_public,
+  share_url: shareUrl(list),
+  item_count: list.item_count,
+  created_at: list.created_at,
+  updated_at: list.updated_at,
+})
+
+/**
+ * The list a request targets: list_id (must belong to the shopper), else the default list
+ * Returns null for an unknown list_id
+ */
+const readTargetList = async (listId, userId) => {
+  if (!listId) return getSpecialWishlist(userId, 'default')
+  return isUuid(listId) ? getOwnWishlist(listId, userId) : null
+}
+
+const readIsPublic = (value) => {
+  if (value === undefined) return undefined
+  return value === true || value === 'true'
+}
 
 /**
- * Get user's wishlist
+ * Get the items of the default wishlist (or of list_id)
  * GET /api/v1/customer/wishlist
+ * Query params: list_id
  */
 export const getWishlist = catchAsyncErrors(async (req, res, next) => {
   const userId = req.user.id
 
-  const result = await database.query(
-    `SELECT w.id, w.product_id, p.name, p.price, p.images, p.category, p.ratings, p.stock, w.created_at
-     FROM wishlist_items w
-     JOIN products p ON w.product_id = p.id
-     WHERE w.user_id = $1
-     ORDER BY w.created_at DESC`,
-    [userId],
-  )
+  const list = await readTargetList(req.query.list_id, userId)
+  if (!list) {
+    return next(new ErrorHandler('Wishlist not found', 404))
+  }
 
-  const items = result.rows.map((row) => ({
-    ...row,
-    image: row.images && row.images.length > 0 ? row.images[0] : null,
-    images: undefined, // Remove the images array
-  }))
+  const items = priceWishlistItems(
+    await getWishlistItemRows([list.id]),
+    await loadActivePriceRules(),
+  )
 
-  console.log(`✅ [WISHLIST] Retrieved ${items.length} items for user ${userId}`)
+  console.log(`✅ [WISHLIST] Retrieved ${items.length} items of list ${list.id} for user ${userId}`)
 
   res.status(200).json({
     success: true,
     message: 'Wishlist retrieved successfully',
     data: items,
     count: items.length,
+    list: describeList(list),
     timestamp: new Date(),
   })
 })
 
 /**
- * Add product to wishlist
+ * Add product to a wishlist (the default list unless list_id is given)
  * POST /api/v1/customer/wishlist
- * Body: { product_id }
+ * Body: { product_id, variant_id?, list_id? }
+ * The current price is stored with the item to report price drops later
  */
 export const addToWishlist = catchAsyncErrors(async (req, res, next) => {
   const userId = req.user.id
-  const { product_id } = req.body
+  const product_id = req.body.product_id || req.params.productId
+  const { variant_id = null, list_id = null } = req.body
 
   if (!product_id) {
     return next(new ErrorHandler('Product ID is required', 400))
   }
 
-  // Check if product exists
-  const productExists = await database.query(`SELECT id FROM products WHERE id = $1`, [product_id])
+  // Check if product (and variant) exists
+  const product =
+    isUuid(product_id) && (!variant_id || isUuid(variant_id))
+      ? await loadListableProduct(product_id, variant_id)
+      : null
 
-  if (productExists.rows.length === 0) {
-    return next(new ErrorHandler('Product not found', 404))
+  if (!product) {
+    return next(new ErrorHandler(variant_id ? 'Variant not found' : 'Product not found', 404))
   }
 
-  // Check if already in wishlist
-  const alreadyWishlisted = await database.query(
-    `SELECT id FROM wishlist_items WHERE user_id = $1 AND product_id = $2`,
-    [userId, product_id],
-  )
-
-  if (alreadyWishlisted.rows.length > 0) {
-    return next(new ErrorHandler('Product already in wishlist', 409))
+  const list = await readTargetList(list_id, userId)
+  if (!list) {
+    return next(new ErrorHandler('Wishlist not found', 404))
   }
 
-  // Add to wishlist
-  const result = await database.query(
-    `INSERT INTO wishlist_items (user_id, product_id, created_at, updated_at)
-     VALUES ($1, $2, NOW(), NOW())
-     RETURNING id, user_id, product_id, created_at`,
-    [userId, product_id],
-  )
+  const item = await addWishlistItem({
+    userId,
+    listId: list.id,
+    productId: product_id,
+    variantId: variant_id,
+    priceAtAdd: product.unit_price,
+  })
 
-  console.log(`✅ [WISHLIST] Product ${product_id} added for user ${userId}`)
+  if (!item) {
+    return next(new ErrorHandler(`Product already in ${list.name}`, 409))
+  }
+
+  console.log(`✅ [WISHLIST] Product ${product_id} added to list ${list.id} for user ${userId}`)
 
   res.status(201).json({
     success: true,
-    message: 'Product added to wishlist successfully',
-    data: result.rows[0],
+    message: `Product added to ${list.name}`,
+    data: { ...item, user_id: userId, list_name: list.name },
     timestamp: new Date(),
   })
 })
 
 /**
- * Remove product from wishlist
+ * Remove product from a wishlist (the default list unless list_id is given)
  * DELETE /api/v1/customer/wishlist/:product_id
+ * Query params: list_id
  */
 export const removeFromWishlist = catchAsyncErrors(async (req, res, next) => {
   const userId = req.user.id
-  const { product_id } = req.params
+  const product_id = req.params.product_id || req.params.productId
 
-  const result = await database.query(
-    `DELETE FROM wishlist_items
-     WHERE user_id = $1 AND product_id = $2
-     RETURNING id`,
-    [userId, product_id],
-  )
+  const list = await readTargetList(req.query.list_id, userId)
+  const removed =
+    list && isUuid(product_id) ? await removeWishlistProduct(userId, list.id, product_id) : 0
 
-  if (result.rows.length === 0) {
+  if (removed === 0) {
     return next(new ErrorHandler('Item not in wishlist', 404))
   }
 
-  console.log(`✅ [WISHLIST] Product ${product_id} removed for user ${userId}`)
+  console.log(`✅ [WISHLIST] Product ${product_id} removed from list ${list.id} for user ${userId}`)
 
   res.status(200).json({
     success: true,
@@ -112,18 +167,13 @@ export const removeFromWishlist = catchAsyncErrors(async (req, res, next) => {
 })
 
 /**
- * Get wishlist count
+ * Get wishlist count (items on all lists except saved for later)
  * GET /api/v1/customer/wishlist/count
  */
 export const getWishlistCount = catchAsyncErrors(async (req, res, next) => {
   const userId = req.user.id
 
-  const result = await database.query(
-    `SELECT COUNT(*) as count FROM wishlist_items WHERE user_id = $1`,
-    [userId],
-  )
-
-  const count = parseInt(result.rows[0].count)
+  const count = await countWishlistItems(userId)
 
   console.log(`✅ [WISHLIST] Count: ${count} items for user ${userId}`)
 
@@ -134,3 +184,239 @@ export const getWishlistCount = catchAsyncErrors(async (req, res, next) => {
     timestamp: new Date(),
   })
 })
+
+/**
+ * Get the shopper's wishlists with item counts
+ * GET /api/v1/customer/wishlists
+ */
+export const fetchWishlists = catchAsyncErrors(async (req, res, next) => {
+  // Make sure the default list exists so it is always listed first
+  await getSpecialWishlist(req.user.id, 'default')
+  const lists = await getUserWishlists(req.user.id)
+
+  res.status(200).json({
+    success: true,
+    message: 'Wishlists retrieved successfully',
+    data: lists.map(describeList),
+    timestamp: new Date(),
+  })
+})
+
+/**
+ * Create a named wishlist
+ * POST /api/v1/customer/wishlists
+ * Body: { name, is_public? }
+ */
+export const createNamedWishlist = catchAsyncErrors(async (req, res, next) => {
+  const userId = req.user.id
+  const { name, error } = validateWishlistName(req.body.name)
+  if (error) {
+    return next(new ErrorHandler(error, 400))
+  }
+
+  if ((await countUserWishlists(userId)) >= MAX_WISHLISTS_PER_USER) {
+    return next(new ErrorHandler(`You can have at most ${MAX_WISHLISTS_PER_USER} lists`, 400))
+  }
+
+  const list = await createWishlist(userId, {
+    name,
+    isPublic: readIsPublic(req.body.is_public) ?? false,
+  })
+  if (!list) {
+    return next(new ErrorHandler(`You already have a list named "${name}"`, 409))
+  }
+
+  console.log(`✅ [WISHLIST] List "${name}" created for user ${userId}`)
+
+  res.status(201).json({
+    success: true,
+    message: 'Wishlist created successfully',
+    data: describeList({ ...list, item_count: 0 }),
+    timestamp: new Date(),
+  })
+})
+
+/**
+ * Get one of the shopper's wishlists with its items and price drops since they were added
+ * GET /api/v1/customer/wishlists/:list_id
+ */
+export const fetchWishlist = catchAsyncErrors(async (req, res, next) => {
+  const { list_id } = req.params
+  const list = isUuid(list_id) ? await getOwnWishlist(list_id, req.user.id) : null
+  if (!list) {
+    return next(new ErrorHandler('Wishlist not found', 404))
+  }
+
+  const items = priceWishlistItems(
+    await getWishlistItemRows([list.id]),
+    await loadActivePriceRules(),
+  )
+
+  res.status(200).json({
+    success: true,
+    message: 'Wishlist retrieved successfully',
+    data: {
+      list: describeList({ ...list, item_count: items.length }),
+      items,
+      insights: summarizeListPriceDrops(items),
+    },
+    timestamp: new Date(),
+  })
+})
+
+/**
+ * Rename a wishlist or make it public / private
+ * PUT /api/v1/customer/wishlists/:list_id
+ * Body: { name?, is_public? }
+ * The default and saved-for-later lists can't be renamed
+ */
+export const updateNamedWishlist = catchAsyncErrors(async (req, res, next) => {
+  const userId = req.user.id
+  const { list_id } = req.params
+  const list = isUuid(list_id) ? await getOwnWishlist(list_id, userId) : null
+  if (!list) {
+    return next(new ErrorHandler('Wishlist not found', 404))
+  }
+
+  let name
+  if (req.body.name !== undefined) {
+    if (list.kind !== 'custom') {
+      return next(new ErrorHandler(`${list.name} can't be renamed`, 400))
+    }
+    const validated = validateWishlistName(req.body.name)
+    if (validated.error) {
+      return next(new ErrorHandler(validated.error, 400))
+    }
+    name = validated.name
+  }
+
+  let updated
+  try {
+    updated = await updateWishlist(list.id, userId, {
+      name,
+      isPublic: readIsPublic(req.body.is_public),
+    })
+  } catch (error) {
+    if (error.code === '23505') {
+      return next(new ErrorHandler(`You already have a list named "${name}"`, 409))
+    }
+    throw error
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Wishlist updated successfully',
+    data: describeList(updated),
+    timestamp: new Date(),
+  })
+})
+
+/**
+ * Delete a named wishlist and its items
+ * DELETE /api/v1/customer/wishlists/:list_id
+ */
+export const deleteNamedWishlist = catchAsyncErrors(async (req, res, next) => {
+  const userId = req.user.id
+  const { list_id } = req.params
+  const list = isUuid(list_id) ? await getOwnWishlist(list_id, userId) : null
+  if (!list) {
+    return next(new ErrorHandler('Wishlist not found', 404))
+  }
+  if (list.kind !== 'custom') {
+    return next(new ErrorHandler(`${list.name} can't be deleted`, 400))
+  }
+
+  await deleteWishlist(list.id, userId)
+
+  console.log(`✅ [WISHLIST] List ${list.id} deleted for user ${userId}`)
+
+  res.status(200).json({
+    success: true,
+    message: 'Wishlist deleted successfully',
+    timestamp: new Date(),
+  })
+})
+
+/**
+ * Move a wishlist item into the cart
+ * POST /api/v1/customer/wishlists/items/:item_id/move-to-cart
+ * The item's quantity is added to the cart (capped by stock) and the item leaves its list
+ */
+export const moveWishlistItemToCart = catchAsyncErrors(async (req, res, next) => {
+  const userId = req.user.id
+  const { item_id } = req.params
+  const item = isUuid(item_id) ? await getOwnWishlistItem(item_id, userId) : null
+  if (!item) {
+    return next(new ErrorHandler('Wishlist item not found', 404))
+  }
+  if (item.product_type === 'variable' && !item.variant_id) {
+    return next(new ErrorHandler('Please select a variant', 400))
+  }
+
+  const { added, dropped } = await withTransaction(async (transaction) => {
+    const result = await addCartLines(
+      { userId },
+      [{ product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity }],
+      transaction,
+    )
+    if (result.added > 0) {
+      await deleteWishlistItem(item.id, transaction)
+    }
+    return result
+  })
+
+  if (added === 0) {
+    const reason = dropped[0]?.reason
+    return next(
+      new ErrorHandler(
+        reason === 'unavailable'
+          ? 'This product is no longer available'
+          : reason === 'sold_individually'
+            ? 'This product can only be bought one at a time'
+            : 'Not enough stock to add this product to your cart',
+        400,
+      ),
+    )
+  }
+
+  console.log(`✅ [WISHLIST] Item ${item.id} moved to cart for user ${userId}`)
+
+  res.status(200).json({
+    success: true,
+    message: dropped.length
+      ? 'Moved to cart (quantity limited by stock)'
+      : 'Moved to cart successfully',
+    data: { product_id: item.product_id, variant_id: item.variant_id, dropped },
+    timestamp: new Date(),
+  })
+})
+
+/**
+ * Get a public wishlist by its share link
+ * GET /api/v1/wishlists/shared/:share_token
+ */
+export const fetchSharedWishlist = catchAsyncErrors(async (req, res, next) => {
+  const list = await getSharedWishlist(String(req.params.share_token))
+  if (!list) {
+    return next(new ErrorHandler('Wishlist not found', 404))
+  }
+
+  const items = priceWishlistItems(
+    await getWishlistItemRows([list.id]),
+    await loadActivePriceRules(),
+  ).map(({ price_at_add, price_drop, price_drop_percent, list_id, ...item }) => item)
+
+  res.status(200).json({
+    success: true,
+    message: 'Wishlist retrieved successfully',
+    data: {
+      list: {
+        name: list.name,
+        owner_name: String(list.owner_name || '').split(' ')[0],
+        created_at: list.created_at,
+      },
+      items,
+    },
+    timestamp: new Date(),
+  })
+})
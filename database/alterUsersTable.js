@@ -17,13 +17,13 @@ const initializeUserNotificationColumns = async () => {
     const checkColumnsQuery = `
       SELECT COUNT(*) as count FROM information_schema.columns
       WHERE table_name = 'users'
-      AND column_name IN ('email_notifications', 'sms_notifications', 'push_notifications')
+      AND column_name IN ('email_notifications', 'sms_notifications', 'push_notifications', 'price_drop_alerts')
     `
 
     const result = await database.query(checkColumnsQuery)
     const existingColumns = parseInt(result.rows[0].count, 10)
 
-    if (existingColumns < 3) {
+    if (existingColumns < 4) {
       console.log('🔧 Initializing notification preference columns in users table...')
 
       // Add the missing columns
@@ -31,7 +31,8 @@ const initializeUserNotificationColumns = async () => {
         ALTER TABLE users
         ADD COLUMN IF NOT EXISTS email_notifications BOOLEAN DEFAULT true,
         ADD COLUMN IF NOT EXISTS sms_notifications BOOLEAN DEFAULT true,
-        ADD COLUMN IF NOT EXISTS push_notifications BOOLEAN DEFAULT true;
+        ADD COLUMN IF NOT EXISTS push_notifications BOOLEAN DEFAULT true,
+        ADD COLUMN IF NOT EXISTS price_drop_alerts BOOLEAN DEFAULT true;
       `
 
       await database.query(alterQuery)
@@ -116,13 +117,31 @@ const initializeAddressesTable = async () => {
 }
 
 /**
- * Create wishlist_items table for wishlist management
+ * Create wishlists and wishlist_items tables for wishlist management
+ * A shopper has a default list, a "Saved for later" list (kind saved_for_later, filled from the
+ * cart) and any number of named lists. Public lists can be viewed by anyone with the share link.
  */
 const initializeWishlistTable = async () => {
   try {
     console.log('🔧 Initializing wishlist_items table...')
 
     const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS wishlists (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        kind VARCHAR(20) NOT NULL DEFAULT 'custom' CHECK (kind IN ('default', 'saved_for_later', 'custom')),
+        is_public BOOLEAN DEFAULT false,
+        share_token VARCHAR(64) UNIQUE NOT NULL DEFAULT replace(gen_random_uuid()::text, '-', ''),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_wishlists_user_id ON wishlists(user_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlists_user_kind
+        ON wishlists(user_id, kind) WHERE kind <> 'custom';
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlists_user_name ON wishlists(user_id, LOWER(name));
+
       CREATE TABLE IF NOT EXISTS wishlist_items (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -133,6 +152,31 @@ const initializeWishlistTable = async () => {
 
       CREATE INDEX IF NOT EXISTS idx_wishlist_user_id ON wishlist_items(user_id);
       CREATE INDEX IF NOT EXISTS idx_wishlist_product_id ON wishlist_items(product_id);
+
+      -- Named lists: an item belongs to one list and may pin a variant and quantity
+      -- (saved-for-later cart lines); price_at_add is the unit price when it was added
+      ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS list_id UUID REFERENCES wishlists(id) ON DELETE CASCADE;
+      ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS variant_id UUID;
+      ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS price_at_add DECIMAL(10,2);
+      ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      -- Price drop alerts compare against the last price the shopper was told about
+      ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS last_notified_price DECIMAL(10,2);
+      ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS price_alerted_at TIMESTAMP;
+      ALTER TABLE wishlist_items DROP CONSTRAINT IF EXISTS wishlist_items_user_id_product_id_key;
+
+      -- Items saved before named lists go to their owner's default list
+      INSERT INTO wishlists (user_id, name, kind)
+      SELECT DISTINCT user_id, 'My Wishlist', 'default' FROM wishlist_items WHERE list_id IS NULL
+      ON CONFLICT DO NOTHING;
+      UPDATE wishlist_items w SET list_id = l.id
+      FROM wishlists l
+      WHERE w.list_id IS NULL AND l.user_id = w.user_id AND l.kind = 'default';
+      ALTER TABLE wishlist_items ALTER COLUMN list_id SET NOT NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_wishlist_list_id ON wishlist_items(list_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_list_product_variant
+        ON wishlist_items(list_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
     `
 
     await database.query(createTableQuery)
@@ -155,14 +199,29 @@ const initializeCartTable = async () => {
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
         product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID,
         quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, product_id)
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id UUID;
+      ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_user_id_product_id_key;
+
       CREATE INDEX IF NOT EXISTS idx_cart_user_id ON cart_items(user_id);
       CREATE INDEX IF NOT EXISTS idx_cart_product_id ON cart_items(product_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_user_product_variant
+        ON cart_items(user_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+      -- Guest carts: no user yet, keyed by the signed cart_token cookie
+      ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS guest_token UUID;
+      ALTER TABLE cart_items ALTER COLUMN user_id DROP NOT NULL;
+      ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_owner_check;
+      ALTER TABLE cart_items ADD CONSTRAINT cart_items_owner_check
+        CHECK (user_id IS NOT NULL OR guest_token IS NOT NULL);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_guest_product_variant
+        ON cart_items(guest_token, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+        WHERE user_id IS NULL;
     `
 
     await database.query(createTableQuery)
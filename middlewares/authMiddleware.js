@@ -136,3 +136,41 @@ export const authorizedRoles = (...roles) => {
     next()
   }
 }
+
+// Access token from the cookies or the Authorization header (same order as isAuthenticated)
+const readAuthToken = (req) => {
+  const token =
+    req.cookies?.token ||
+    req.cookies?.accessToken ||
+    (req.headers.authorization?.startsWith('Bearer ')
+      ? req.headers.authorization.substring(7)
+      : null)
+  return token && token !== 'undefined' ? token : null
+}
+
+/**
+ * Attach req.user when a valid token is present, otherwise continue as a guest
+ * For public routes that personalize for signed-in shoppers (feed, browsing history)
+ */
+export const optionalAuthentication = catchAsyncErrors(async (req, res, next) => {
+  const token = readAuthToken(req)
+  const secretKey = process.env.JWT_SECRET_KEY_ACCESS || process.env.JWT_SECRET_KEY
+  if (!token || !secretKey) return next()
+
+  try {
+    const decoded = jwt.verify(token, secretKey)
+    const user = await database.query('SELECT * FROM users WHERE id = $1 LIMIT 1', [decoded.id])
+    if (user.rows[0]) req.user = user.rows[0]
+  } catch (error) {
+    // Expired or invalid tokens are treated as a guest visit
+  }
+  next()
+})
+
+/**
+ * Let requests without a token through as guests, but authenticate any token that is sent
+ * An expired token still gets a 401 so the client refreshes it instead of silently
+ * switching to a guest cart
+ */
+export const allowGuests = (req, res, next) =>
+  readAuthToken(req) ? isAuthenticated(req, res, next) : next()
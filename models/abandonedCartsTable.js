@@ -0,0 +1,185 @@
+import database from '../database/db.js'
+
+/**
+ * Create the abandoned cart table
+ * One row per reminder sequence: a shopper's cart that went idle at cart_updated_at.
+ * status: active (reminders still to send), closed (sequence over, an order still counts as a
+ * recovery), recovered (ordered within the recovery window), expired (window passed)
+ * items is the snapshot of cart lines the restore link puts back.
+ */
+export async function createAbandonedCartsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS abandoned_carts (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        cart_updated_at TIMESTAMP NOT NULL,
+        items JSONB NOT NULL DEFAULT '[]',
+        cart_total DECIMAL(10,2) DEFAULT 0,
+        reminders_sent INTEGER DEFAULT 0,
+        first_reminder_at TIMESTAMP,
+        last_reminder_at TIMESTAMP,
+        promo_code VARCHAR(50),
+        status VARCHAR(20) DEFAULT 'active',
+        restored_at TIMESTAMP,
+        recovered_order_id UUID,
+        recovered_amount DECIMAL(10,2),
+        recovered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, cart_updated_at)
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_abandoned_carts_status ON abandoned_carts(status)`,
+      `CREATE INDEX IF NOT EXISTS idx_abandoned_carts_first_reminder ON abandoned_carts(first_reminder_at)`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Abandoned carts table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Abandoned Carts Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Signed-in shoppers' carts idle for at least minIdleHours (and at most maxIdleHours) that
+ * still have reminders to go, with the sequence so far (if any)
+ * Shoppers who ordered since, turned email notifications off or have no email are skipped.
+ */
+export const findIdleCarts = async ({ minIdleHours, maxIdleHours, stepCount, limit }) => {
+  const { rows } = await database.query(
+    `SELECT c.user_id, c.last_activity, u.name, u.email,
+            ac.id AS abandoned_cart_id, COALESCE(ac.reminders_sent, 0) AS reminders_sent,
+            ac.promo_code
+     FROM (
+       SELECT user_id, MAX(updated_at) AS last_activity
+       FROM cart_items WHERE user_id IS NOT NULL
+       GROUP BY user_id
+     ) c
+     JOIN users u ON u.id = c.user_id
+     LEFT JOIN abandoned_carts ac ON ac.user_id = c.user_id AND ac.cart_updated_at = c.last_activity
+     WHERE u.email IS NOT NULL
+       AND COALESCE(u.email_notifications, true) = true
+       AND c.last_activity <= NOW() - ($1 * INTERVAL '1 hour')
+       AND c.last_activity > NOW() - ($2 * INTERVAL '1 hour')
+       AND (ac.id IS NULL OR ac.status = 'active')
+       AND COALESCE(ac.reminders_sent, 0) < $3
+       AND NOT EXISTS (
+         SELECT 1 FROM orders o WHERE o.buyer_id = c.user_id AND o.created_at >= c.last_activity
+       )
+     ORDER BY c.last_activity ASC
+     LIMIT $4`,
+    [minIdleHours, maxIdleHours, stepCount, limit],
+  )
+  return rows
+}
+
+/**
+ * Start a reminder sequence for an idle cart (or return the one already started)
+ */
+export const createAbandonedCart = async ({ userId, cartUpdatedAt, items, cartTotal }) => {
+  const { rows } = await database.query(
+    `INSERT INTO abandoned_carts (user_id, cart_updated_at, items, cart_total)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, cart_updated_at)
+     DO UPDATE SET items = EXCLUDED.items, cart_total = EXCLUDED.cart_total, updated_at = NOW()
+     RETURNING *`,
+    [userId, cartUpdatedAt, JSON.stringify(items), cartTotal],
+  )
+  return rows[0]
+}
+
+export const getAbandonedCart = async (id, client = database) => {
+  const { rows } = await client.query('SELECT * FROM abandoned_carts WHERE id = $1', [id])
+  return rows[0] || null
+}
+
+/**
+ * Claim reminder number `step` (1-based) for a sequence before it is emailed, so a reminder is
+ * never sent twice; the sequence closes after its last step
+ * Returns false when the reminder was already claimed
+ */
+export const claimReminder = async (id, { step, promoCode, finished }) => {
+  const result = await database.query(
+    `UPDATE abandoned_carts
+     SET reminders_sent = $2, promo_code = COALESCE(promo_code, $3),
+         first_reminder_at = COALESCE(first_reminder_at, NOW()), last_reminder_at = NOW(),
+         status = CASE WHEN $4 THEN 'closed' ELSE status END, updated_at = NOW()
+     WHERE id = $1 AND status = 'active' AND reminders_sent < $2`,
+    [id, step, promoCode, finished],
+  )
+  return result.rowCount > 0
+}
+
+/**
+ * Attribute the first order placed within windowDays of the first reminder to the sequence
+ * Returns the number of carts marked recovered
+ */
+export const markRecoveredCarts = async (windowDays) => {
+  const result = await database.query(
+    `UPDATE abandoned_carts ac
+     SET status = 'recovered', recovered_order_id = o.id, recovered_amount = o.total_price,
+         recovered_at = o.created_at, updated_at = NOW()
+     FROM orders o
+     WHERE ac.status IN ('active', 'closed') AND ac.first_reminder_at IS NOT NULL
+       AND o.id = (
+         SELECT o2.id FROM orders o2
+         WHERE o2.buyer_id = ac.user_id AND o2.order_status <> 'Cancelled'
+           AND o2.created_at >= ac.first_reminder_at
+           AND o2.created_at <= ac.first_reminder_at + ($1 * INTERVAL '1 day')
+         ORDER BY o2.created_at ASC
+         LIMIT 1
+       )`,
+    [windowDays],
+  )
+  return result.rowCount
+}
+
+/**
+ * Stop sequences whose cart changed or was emptied, and expire sequences older than the
+ * recovery window
+ */
+export const closeStaleAbandonedCarts = async (windowDays) => {
+  await database.query(
+    `UPDATE abandoned_carts ac SET status = 'closed', updated_at = NOW()
+     WHERE ac.status = 'active'
+       AND ac.cart_updated_at IS DISTINCT FROM (
+         SELECT MAX(updated_at) FROM cart_items WHERE user_id = ac.user_id
+       )`,
+  )
+  await database.query(
+    `UPDATE abandoned_carts SET status = 'expired', updated_at = NOW()
+     WHERE status IN ('active', 'closed')
+       AND COALESCE(first_reminder_at, created_at) < NOW() - ($1 * INTERVAL '1 day')`,
+    [windowDays],
+  )
+}
+
+export const markCartRestored = async (id, client = database) => {
+  await client.query(
+    `UPDATE abandoned_carts SET restored_at = COALESCE(restored_at, NOW()), updated_at = NOW()
+     WHERE id = $1`,
+    [id],
+  )
+}
+
+/**
+ * Reminder sequences that emailed shoppers in the last `days` days and how they ended
+ */
+export const getAbandonedCartStats = async (days, client = database) => {
+  const { rows } = await client.query(
+    `SELECT COUNT(*)::INT AS emailed,
+            COUNT(*) FILTER (WHERE status = 'recovered')::INT AS recovered,
+            COUNT(*) FILTER (WHERE restored_at IS NOT NULL)::INT AS restored,
+            COALESCE(SUM(recovered_amount) FILTER (WHERE status = 'recovered'), 0) AS recovered_revenue
+     FROM abandoned_carts
+     WHERE first_reminder_at >= NOW() - ($1 * INTERVAL '1 day')`,
+    [days],
+  )
+  return rows[0]
+}
@@ -0,0 +1,206 @@
+import database from '../database/db.js'
+import { planCartMerge, planCartRestore } from '../utils/cartMerge.js'
+
+/**
+ * Cart lines belong to a signed-in shopper (user_id) or to a guest cart (guest_token, the id
+ * inside the signed cart_token cookie). The table itself is created in
+ * database/alterUsersTable.js.
+ */
+
+/**
+ * WHERE clause selecting one cart's rows: { userId } or { guestToken }
+ * Pushes the id onto values
+ */
+const ownerCondition = ({ userId, guestToken }, values, alias = '') => {
+  values.push(userId || guestToken)
+  return userId
+    ? `${alias}user_id = $${values.length}`
+    : `${alias}user_id IS NULL AND ${alias}guest_token = $${values.length}`
+}
+
+/**
+ * Cart lines with product and variant details, newest first
+ */
+export const getCartRows = async (owner, client = database) => {
+  const values = []
+  const { rows } = await client.query(
+    `SELECT c.id as cart_item_id, c.quantity, c.variant_id, p.id as product_id, p.name, p.price, p.sale_price, p.brand, p.images, p.category, p.stock,
+            p.product_type, p.free_shipping,
+            v.options AS variant_options, v.price AS variant_price, v.sale_price AS variant_sale_price,
+            v.stock AS variant_stock, v.images AS variant_images, v.sku AS variant_sku
+     FROM cart_items c
+     JOIN products p ON c.product_id = p.id
+     LEFT JOIN product_variants v ON c.variant_id = v.id
+     WHERE ${ownerCondition(owner, values, 'c.')}
+     ORDER BY c.created_at DESC`,
+    values,
+  )
+  return rows
+}
+
+/**
+ * The cart line holding a product / variant, or null
+ */
+export const findCartLine = async (owner, productId, variantId, client = database) => {
+  const values = [productId, variantId]
+  const { rows } = await client.query(
+    `SELECT id, quantity FROM cart_items
+     WHERE ${ownerCondition(owner, values)}
+       AND product_id = $1 AND variant_id IS NOT DISTINCT FROM $2::uuid`,
+    values,
+  )
+  return rows[0] || null
+}
+
+/**
+ * A cart line by id, only when it belongs to the cart, or null
+ */
+export const findCartItem = async (owner, itemId, client = database) => {
+  const values = [itemId]
+  const { rows } = await client.query(
+    `SELECT id, product_id, variant_id, quantity FROM cart_items
+     WHERE id = $1 AND ${ownerCondition(owner, values)}`,
+    values,
+  )
+  return rows[0] || null
+}
+
+/**
+ * Add a new cart line; returns its id
+ */
+export const insertCartLine = async (
+  { userId, guestToken },
+  { productId, variantId, quantity },
+  client = database,
+) => {
+  const { rows } = await client.query(
+    `INSERT INTO cart_items (user_id, guest_token, product_id, variant_id, quantity, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+     RETURNING id`,
+    [userId || null, userId ? null : guestToken, productId, variantId, quantity],
+  )
+  return rows[0].id
+}
+
+/**
+ * Remove one cart line (or the whole cart when itemId is omitted); returns the rows removed
+ */
+export const deleteCartItems = async (owner, itemId = null, client = database) => {
+  const values = []
+  let condition = ownerCondition(owner, values)
+  if (itemId) {
+    values.push(itemId)
+    condition += ` AND id = $${values.length}`
+  }
+  const result = await client.query(`DELETE FROM cart_items WHERE ${condition}`, values)
+  return result.rowCount
+}
+
+/**
+ * Cart lines with what the merge needs to cap quantities, locked for the merge
+ */
+const getMergeLines = async (owner, client) => {
+  const values = []
+  const { rows } = await client.query(
+    `SELECT c.id, c.product_id, c.variant_id, c.quantity, p.name, p.product_type,
+            p.sold_individually,
+            CASE WHEN c.variant_id IS NULL THEN p.stock ELSE v.stock END AS stock,
+            (c.variant_id IS NULL OR COALESCE(v.is_active, false)) AS available
+     FROM cart_items c
+     JOIN products p ON c.product_id = p.id
+     LEFT JOIN product_variants v ON c.variant_id = v.id
+     WHERE ${ownerCondition(owner, values, 'c.')}
+     ORDER BY c.created_at ASC
+     FOR UPDATE OF c`,
+    values,
+  )
+  return rows
+}
+
+/**
+ * Write a planCartMerge / planCartRestore plan into a cart
+ */
+const applyCartPlan = async (owner, { updates, inserts }, client) => {
+  for (const update of updates) {
+    await client.query(
+      `UPDATE cart_items SET quantity = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [update.quantity, update.id],
+    )
+  }
+  for (const insert of inserts) {
+    await insertCartLine(
+      owner,
+      { productId: insert.product_id, variantId: insert.variant_id, quantity: insert.quantity },
+      client,
+    )
+  }
+}
+
+/**
+ * Move a guest cart into an account (on login / register)
+ * Quantities of the same product / variant are combined, capped by stock and
+ * sold_individually; the guest cart is emptied either way.
+ * client must be a transaction client
+ * Returns { merged, dropped } (see planCartMerge)
+ */
+export const mergeGuestCart = async (guestToken, userId, client) => {
+  const guestLines = await getMergeLines({ guestToken }, client)
+  if (guestLines.length === 0) return { merged: 0, dropped: [] }
+
+  const accountLines = await getMergeLines({ userId }, client)
+  const { updates, inserts, dropped } = planCartMerge(guestLines, accountLines)
+  await applyCartPlan({ userId }, { updates, inserts }, client)
+  await deleteCartItems({ guestToken }, null, client)
+
+  return { merged: updates.length + inserts.length, dropped }
+}
+
+/**
+ * Saved lines ({ product_id, variant_id, quantity }) with what a merge needs to cap quantities
+ */
+const getSavedLines = async (items, client) => {
+  const { rows } = await client.query(
+    `SELECT s.product_id, s.variant_id, s.quantity, p.name, p.product_type, p.sold_individually,
+            CASE WHEN s.variant_id IS NULL THEN p.stock ELSE v.stock END AS stock,
+            (s.variant_id IS NULL OR COALESCE(v.is_active, false)) AS available
+     FROM jsonb_to_recordset($1::jsonb) AS s(product_id UUID, variant_id UUID, quantity INT)
+     JOIN products p ON p.id = s.product_id
+     LEFT JOIN product_variants v ON v.id = s.variant_id AND v.product_id = p.id`,
+    [JSON.stringify(items)],
+  )
+  return rows
+}
+
+/**
+ * Add saved lines (e.g. wishlist items moved to the cart) to a cart
+ * items: [{ product_id, variant_id, quantity }]; quantities are added to what the cart holds,
+ * capped like a merge. client must be a transaction client
+ * Returns { added, dropped } (see planCartMerge)
+ */
+export const addCartLines = async (owner, items, client) => {
+  const savedLines = await getSavedLines(items, client)
+  if (savedLines.length === 0) return { added: 0, dropped: [] }
+
+  const cartLines = await getMergeLines(owner, client)
+  const { updates, inserts, dropped } = planCartMerge(savedLines, cartLines)
+  await applyCartPlan(owner, { updates, inserts }, client)
+
+  return { added: updates.length + inserts.length, dropped }
+}
+
+/**
+ * Put the lines of an abandoned cart snapshot back into a cart
+ * items: [{ product_id, variant_id, quantity }]; only missing quantities are added, capped
+ * like a merge. client must be a transaction client
+ * Returns { restored, dropped } (see planCartMerge)
+ */
+export const restoreCartLines = async (owner, items, client) => {
+  const savedLines = await getSavedLines(items, client)
+  if (savedLines.length === 0) return { restored: 0, dropped: [] }
+
+  const cartLines = await getMergeLines(owner, client)
+  const { updates, inserts, dropped } = planCartRestore(savedLines, cartLines)
+  await applyCartPlan(owner, { updates, inserts }, client)
+
+  return { restored: updates.length + inserts.length, dropped }
+}
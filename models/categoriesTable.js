@@ -0,0 +1,281 @@
+import database from '../database/db.js'
+import { slugifyCategory } from '../utils/categoryTree.js'
+
+/**
+ * Create categories table
+ * Categories nest without limit through parent_id. Products reference them by
+ * products.category_id; products.category keeps the category name for display,
+ * price rules, feeds and text filters, and is updated when a category is renamed.
+ * legacy_key links rows imported from the old 'categories' setting / subcategories table.
+ */
+export async function createCategoriesTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        parent_id UUID REFERENCES categories(id) ON DELETE RESTRICT,
+        name VARCHAR(100) NOT NULL,
+        slug VARCHAR(255) NOT NULL UNIQUE,
+        description TEXT,
+        icon VARCHAR(100),
+        image_url VARCHAR(500),
+        meta_title VARCHAR(255),
+        meta_description TEXT,
+        position INT DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        legacy_key VARCHAR(255) UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (parent_id IS NULL OR parent_id <> id)
+      );
+    `)
+
+    await database.query(
+      `ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES categories(id) ON DELETE SET NULL`,
+    )
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id, position)`,
+      `CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id)`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Categories table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Categories Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Every category (flat), with the number of products assigned directly to it
+ */
+export const getAllCategories = async ({ activeOnly = false } = {}, client = database) => {
+  const { rows } = await client.query(
+    `SELECT c.*, COALESCE(pc.product_count, 0)::INT AS product_count
+     FROM categories c
+     LEFT JOIN (
+       SELECT category_id, COUNT(*) AS product_count FROM products
+       WHERE category_id IS NOT NULL GROUP BY category_id
+     ) pc ON pc.category_id = c.id
+     ${activeOnly ? 'WHERE c.is_active = true' : ''}
+     ORDER BY c.position ASC, c.name ASC`,
+  )
+  return rows
+}
+
+export const getCategoryById = async (categoryId, client = database) => {
+  const { rows } = await client.query(`SELECT * FROM categories WHERE id = $1`, [categoryId])
+  return rows[0] || null
+}
+
+/**
+ * Find by id or slug (public URLs use either)
+ */
+export const findCategory = async (idOrSlug, client = database) => {
+  const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(idOrSlug)
+  const { rows } = await client.query(
+    `SELECT * FROM categories WHERE ${isUuid ? 'id = $1' : 'slug = $1'}`,
+    [idOrSlug],
+  )
+  return rows[0] || null
+}
+
+/**
+ * A slug not used by another category ("shirts", "shirts-2", ...)
+ */
+export const getUniqueCategorySlug = async (value, excludeId = null, client = database) => {
+  const base = slugifyCategory(value) || 'category'
+  const { rows } = await client.query(
+    `SELECT slug FROM categories
+     WHERE (slug = $1 OR slug LIKE $1 || '-%') AND id IS DISTINCT FROM $2::uuid`,
+    [base, excludeId],
+  )
+  const taken = new Set(rows.map((row) => row.slug))
+  if (!taken.has(base)) return base
+
+  let suffix = 2
+  while (taken.has(`${base}-${suffix}`)) suffix++
+  return `${base}-${suffix}`
+}
+
+/**
+ * Resolve the category of a product being created or updated
+ * category_id wins; otherwise a category name is matched case-insensitively
+ * (shallowest match first). Unknown names are kept as free text without an id.
+ * Returns { category_id, category } or { error }
+ */
+export const resolveProductCategory = async (
+  { category_id: categoryId, category },
+  client = database,
+) => {
+  if (categoryId) {
+    const found = await getCategoryById(categoryId, client).catch(() => null)
+    if (!found) return { error: 'Category not found' }
+    return { category_id: found.id, category: found.name }
+  }
+
+  const name = typeof category === 'string' ? category.trim() : ''
+  if (!name) return { category_id: null, category: 'Uncategorized' }
+
+  const { rows } = await client.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id, name, 0 AS depth, position FROM categories WHERE parent_id IS NULL
+       UNION ALL
+       SELECT c.id, c.name, t.depth + 1, c.position FROM categories c JOIN tree t ON c.parent_id = t.id
+     )
+     SELECT id, name FROM tree WHERE LOWER(name) = LOWER($1)
+     ORDER BY depth ASC, position ASC
+     LIMIT 1`,
+    [name],
+  )
+  return rows[0]
+    ? { category_id: rows[0].id, category: rows[0].name }
+    : { category_id: null, category: name }
+}
+
+/**
+ * Product count (own products) and child count, to decide whether a category can be deleted
+ */
+export const getCategoryUsage = async (categoryId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT
+       (SELECT COUNT(*) FROM categories WHERE parent_id = $1)::INT AS children,
+       (SELECT COUNT(*) FROM products WHERE category_id = $1)::INT AS products`,
+    [categoryId],
+  )
+  return rows[0]
+}
+
+/**
+ * Insert or update a category by legacy key, keeping ids stable across re-runs
+ */
+const upsertLegacyCategory = async (
+  { legacyKey, parentId, name, slug, description, icon, imageUrl, position, isActive },
+  client,
+) => {
+  const existing = await client.query(`SELECT id FROM categories WHERE legacy_key = $1`, [
+    legacyKey,
+  ])
+  const uniqueSlug = await getUniqueCategorySlug(slug || name, existing.rows[0]?.id || null, client)
+
+  const { rows } = await client.query(
+    `INSERT INTO categories
+       (legacy_key, parent_id, name, slug, description, icon, image_url, position, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (legacy_key)
+     DO UPDATE SET parent_id = EXCLUDED.parent_id, name = EXCLUDED.name, slug = EXCLUDED.slug,
+                   description = EXCLUDED.description, icon = EXCLUDED.icon,
+                   image_url = EXCLUDED.image_url, position = EXCLUDED.position,
+                   is_active = EXCLUDED.is_active, updated_at = NOW()
+     RETURNING *`,
+    [
+      legacyKey,
+      parentId,
+      name.slice(0, 100),
+      uniqueSlug,
+      description || null,
+      icon || null,
+      imageUrl || null,
+      parseInt(position, 10) || 0,
+      isActive !== false,
+    ],
+  )
+  return rows[0]
+}
+
+/**
+ * Copy the old flat categories (settings JSON array with nested subcategories, plus the
+ * subcategories table) into the categories table. Safe to run repeatedly; categories
+ * removed from the old data are left in place.
+ * Returns { categories, subcategories } counts
+ */
+export const importLegacyCategories = async (legacyCategories, client = database) => {
+  const counts = { categories: 0, subcategories: 0 }
+  const { rows: tableSubcategories } = await client
+    .query(`SELECT * FROM subcategories ORDER BY position ASC, created_at ASC`)
+    .catch(() => ({ rows: [] }))
+
+  for (const [index, legacy] of (legacyCategories || []).entries()) {
+    if (!legacy?.name) continue
+
+    const parent = await upsertLegacyCategory(
+      {
+        legacyKey: `setting:${legacy.id ?? legacy.slug ?? legacy.name}`,
+        parentId: null,
+        name: legacy.name,
+        slug: legacy.slug,
+        description: legacy.description,
+        imageUrl: legacy.image,
+        position: legacy.order ?? index,
+        isActive: legacy.isVisible,
+      },
+      client,
+    )
+    counts.categories++
+
+    // Subcategories were kept both inline in the setting and in their own table
+    const inline = (Array.isArray(legacy.subcategories) ? legacy.subcategories : []).map(
+      (sub, subIndex) => ({
+        legacyKey: `setting:${legacy.id ?? legacy.name}:${sub.id ?? sub.slug ?? sub.name}`,
+        ...sub,
+        position: sub.order ?? sub.position ?? subIndex,
+        isActive: sub.isVisible ?? sub.is_active,
+        imageUrl: sub.image ?? sub.image_url,
+      }),
+    )
+    const inlineSlugs = new Set(inline.map((sub) => slugifyCategory(sub.slug || sub.name)))
+    const stored = tableSubcategories
+      .filter((sub) => String(sub.category_id) === String(legacy.id))
+      .filter((sub) => !inlineSlugs.has(slugifyCategory(sub.slug || sub.name)))
+      .map((sub) => ({
+        legacyKey: `subcategory:${sub.id}`,
+        ...sub,
+        isActive: sub.is_active,
+        imageUrl: sub.image_url,
+      }))
+
+    for (const sub of [...inline, ...stored]) {
+      if (!sub.name) continue
+      await upsertLegacyCategory({ ...sub, parentId: parent.id }, client)
+      counts.subcategories++
+    }
+  }
+
+  return counts
+}
+
+/**
+ * Point products at categories by their category name (products already linked are skipped)
+ * Names without a category get a new root category, so every product ends up linked
+ * Returns the number of products linked
+ */
+export const linkProductsToCategories = async (client = database) => {
+  const { rows: names } = await client.query(
+    `SELECT DISTINCT TRIM(category) AS name FROM products
+     WHERE category_id IS NULL AND category IS NOT NULL AND TRIM(category) <> ''`,
+  )
+
+  let linked = 0
+  for (const { name } of names) {
+    let resolved = await resolveProductCategory({ category: name }, client)
+    if (!resolved.category_id) {
+      const slug = await getUniqueCategorySlug(name, null, client)
+      const { rows } = await client.query(
+        `INSERT INTO categories (name, slug, legacy_key) VALUES ($1, $2, $3) RETURNING id, name`,
+        [name.slice(0, 100), slug, `product:${name.toLowerCase()}`],
+      )
+      resolved = { category_id: rows[0].id, category: rows[0].name }
+    }
+
+    const result = await client.query(
+      `UPDATE products SET category_id = $1, category = $2
+       WHERE category_id IS NULL AND TRIM(category) = $3`,
+      [resolved.category_id, resolved.category, name],
+    )
+    linked += result.rowCount
+  }
+  return linked
+}
@@ -0,0 +1,118 @@
+import database from '../database/db.js'
+
+/**
+ * Create the compare list table
+ * One row per (shopper, product): signed-in shoppers by user_id, guests by the visitor_id
+ * cookie. Guest lists move to the account when the guest logs in.
+ */
+export async function createCompareItemsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS compare_items (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        visitor_id UUID,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (user_id IS NOT NULL OR visitor_id IS NOT NULL)
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_compare_items_user_product
+       ON compare_items(user_id, product_id) WHERE user_id IS NOT NULL`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_compare_items_visitor_product
+       ON compare_items(visitor_id, product_id) WHERE user_id IS NULL`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Compare items table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Compare Items Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * WHERE clause selecting one shopper's rows: { userId } or { visitorId }
+ * Pushes the id onto values
+ */
+const ownerCondition = ({ userId, visitorId }, values, alias = '') => {
+  values.push(userId || visitorId)
+  return userId
+    ? `${alias}user_id = $${values.length}`
+    : `${alias}user_id IS NULL AND ${alias}visitor_id = $${values.length}`
+}
+
+/**
+ * Product ids on a shopper's compare list, in the order they were added
+ */
+export const getCompareProductIds = async (owner, client = database) => {
+  const values = []
+  const { rows } = await client.query(
+    `SELECT product_id FROM compare_items
+     WHERE ${ownerCondition(owner, values)}
+     ORDER BY added_at ASC, id ASC`,
+    values,
+  )
+  return rows.map((row) => row.product_id)
+}
+
+/**
+ * Add a product to a shopper's compare list (no-op when it is already there)
+ */
+export const addCompareItem = async ({ userId, visitorId, productId }, client = database) => {
+  if (userId) {
+    await client.query(
+      `INSERT INTO compare_items (user_id, product_id) VALUES ($1, $2)
+       ON CONFLICT (user_id, product_id) WHERE user_id IS NOT NULL DO NOTHING`,
+      [userId, productId],
+    )
+  } else {
+    await client.query(
+      `INSERT INTO compare_items (visitor_id, product_id) VALUES ($1, $2)
+       ON CONFLICT (visitor_id, product_id) WHERE user_id IS NULL DO NOTHING`,
+      [visitorId, productId],
+    )
+  }
+}
+
+/**
+ * Remove one product (or every product when productId is omitted); returns the rows removed
+ */
+export const removeCompareItems = async ({ userId, visitorId, productId }, client = database) => {
+  const values = []
+  let condition = ownerCondition({ userId, visitorId }, values)
+  if (productId) {
+    values.push(productId)
+    condition += ` AND product_id = $${values.length}`
+  }
+  const result = await client.query(`DELETE FROM compare_items WHERE ${condition}`, values)
+  return result.rowCount
+}
+
+/**
+ * Move a guest's compare list into their account (on login), keeping at most `limit` products
+ */
+export const mergeVisitorCompareItems = async (visitorId, userId, limit, client = database) => {
+  await client.query(
+    `INSERT INTO compare_items (user_id, product_id, added_at)
+     SELECT $2, product_id, added_at FROM compare_items
+     WHERE visitor_id = $1 AND user_id IS NULL
+     ON CONFLICT (user_id, product_id) WHERE user_id IS NOT NULL DO NOTHING`,
+    [visitorId, userId],
+  )
+  await client.query('DELETE FROM compare_items WHERE visitor_id = $1 AND user_id IS NULL', [
+    visitorId,
+  ])
+  // Keep the most recently added products when the merged list is too long
+  await client.query(
+    `DELETE FROM compare_items
+     WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM compare_items WHERE user_id = $1 ORDER BY added_at DESC LIMIT $2
+     )`,
+    [userId, limit],
+  )
+}
@@ -102,7 +102,10 @@ export const createEmailTemplatesTable = async () => {
         ('order_shipped', 'Your Order Has Been Shipped!', 'Dear {{customer_name}},\n\nYour order {{order_id}} has been shipped.\n\nTracking Number: {{tracking_number}}\n\nTrack your package: {{tracking_url}}', '["customer_name", "order_id", "tracking_number", "tracking_url"]', true),
         ('password_reset', 'Reset Your Password', 'Dear {{customer_name}},\n\nClick the link below to reset your password:\n\n{{reset_link}}\n\nThis link expires in 24 hours.', '["customer_name", "reset_link"]', true),
         ('welcome_email', 'Welcome to Our Store!', 'Dear {{customer_name}},\n\nWelcome to our store! We are excited to have you.\n\nGet {{welcome_discount}}% off your first order using code: {{discount_code}}', '["customer_name", "welcome_discount", "discount_code"]', true),
-        ('promotional', 'Special Offer for You!', 'Dear {{customer_name}},\n\nWe have a special offer just for you!\n\n{{promotion_details}}\n\nShop Now: {{shop_link}}', '["customer_name", "promotion_details", "shop_link"]', true)
+        ('promotional', 'Special Offer for You!', 'Dear {{customer_name}},\n\nWe have a special offer just for you!\n\n{{promotion_details}}\n\nShop Now: {{shop_link}}', '["customer_name", "promotion_details", "shop_link"]', true),
+        ('abandoned_cart_reminder_1', 'You left something in your cart', 'Dear {{customer_name}},\n\nYou still have items waiting in your cart:\n\n{{cart_items}}\n\nCart total: {{cart_total}}\n\nPick up where you left off: {{restore_link}}', '["customer_name", "cart_items", "cart_total", "restore_link", "promo_code", "promo_message"]', true),
+        ('abandoned_cart_reminder_2', 'Your cart is still waiting', 'Dear {{customer_name}},\n\nWe saved your cart for you, but stock is limited:\n\n{{cart_items}}\n\nCart total: {{cart_total}}\n\n{{promo_message}}\n\nRestore your cart: {{restore_link}}', '["customer_name", "cart_items", "cart_total", "restore_link", "promo_code", "promo_message"]', true),
+        ('abandoned_cart_reminder_3', 'Last reminder: your cart is about to expire', 'Dear {{customer_name}},\n\nThis is the last reminder about the items in your cart:\n\n{{cart_items}}\n\nCart total: {{cart_total}}\n\n{{promo_message}}\n\nRestore your cart: {{restore_link}}', '["customer_name", "cart_items", "cart_total", "restore_link", "promo_code", "promo_message"]', true)
       ON CONFLICT DO NOTHING
     `)
     console.log('✓ Email templates table created successfully with default templates')
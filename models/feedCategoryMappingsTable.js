@@ -0,0 +1,84 @@
+import database from '../database/db.js'
+
+export const FEED_CHANNELS = ['google', 'facebook']
+
+/**
+ * Create the per-channel category mapping table
+ * Maps a store category to the channel's own taxonomy
+ * (google_product_category / fb_product_category)
+ */
+export async function createFeedCategoryMappingsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS feed_category_mappings (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        channel VARCHAR(20) NOT NULL CHECK (channel IN (${FEED_CHANNELS.map((c) => `'${c}'`).join(', ')})),
+        store_category VARCHAR(100) NOT NULL,
+        channel_category VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    // Store categories are matched case-insensitively
+    await database.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_feed_category_mappings_channel ON feed_category_mappings(channel, LOWER(store_category))`,
+    )
+
+    console.log('✅ Feed category mappings table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Feed Category Mappings Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Get a channel's mappings as { [lower-cased store category]: channel category }
+ */
+export const getCategoryMappings = async (channel) => {
+  const { rows } = await database.query(
+    `SELECT store_category, channel_category FROM feed_category_mappings WHERE channel = $1`,
+    [channel],
+  )
+  return rows.reduce((map, row) => {
+    map[row.store_category.toLowerCase()] = row.channel_category
+    return map
+  }, {})
+}
+
+/**
+ * Every store category with its mapping for a channel (null when unmapped)
+ */
+export const listCategoryMappings = async (channel) => {
+  const { rows } = await database.query(
+    `SELECT c.category AS store_category, m.channel_category, c.product_count
+     FROM (SELECT category, COUNT(*)::INT AS product_count FROM products GROUP BY category) c
+     LEFT JOIN feed_category_mappings m
+       ON m.channel = $1 AND LOWER(m.store_category) = LOWER(c.category)
+     ORDER BY c.category ASC`,
+    [channel],
+  )
+  return rows
+}
+
+/**
+ * Upsert mappings; an empty channel_category removes the mapping
+ */
+export const saveCategoryMappings = async (channel, mappings, client = database) => {
+  for (const { store_category: storeCategory, channel_category: channelCategory } of mappings) {
+    if (!channelCategory) {
+      await client.query(
+        `DELETE FROM feed_category_mappings WHERE channel = $1 AND LOWER(store_category) = LOWER($2)`,
+        [channel, storeCategory],
+      )
+      continue
+    }
+    await client.query(
+      `INSERT INTO feed_category_mappings (channel, store_category, channel_category)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (channel, (LOWER(store_category)))
+       DO UPDATE SET channel_category = EXCLUDED.channel_category, updated_at = NOW()`,
+      [channel, storeCategory, String(channelCategory).trim()],
+    )
+  }
+}
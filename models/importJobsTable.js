@@ -0,0 +1,148 @@
+import database from '../database/db.js'
+
+// Running jobs refresh heartbeat_at this often; one silent for IMPORT_JOB_STALE_MINUTES is dead
+export const IMPORT_JOB_HEARTBEAT_SECONDS = 60
+export const IMPORT_JOB_STALE_MINUTES = Math.max(
+  parseInt(process.env.IMPORT_JOB_STALE_MINUTES, 10) || 5,
+  2,
+)
+
+/**
+ * Create the product_import_jobs table
+ * Large imports run in the background; this row is how admins follow progress
+ * and read the row-by-row report afterwards
+ */
+export async function createImportJobsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_import_jobs (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        file_name VARCHAR(255),
+        file_type VARCHAR(10),
+        dry_run BOOLEAN DEFAULT false,
+        status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+        total_rows INT DEFAULT 0,
+        processed_rows INT DEFAULT 0,
+        created_count INT DEFAULT 0,
+        updated_count INT DEFAULT 0,
+        failed_count INT DEFAULT 0,
+        report JSONB DEFAULT '[]'::JSONB,
+        error_message TEXT,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(
+      `ALTER TABLE product_import_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`,
+    )
+
+    await database.query(
+      `CREATE INDEX IF NOT EXISTS idx_product_import_jobs_created ON product_import_jobs(created_at DESC);`,
+    )
+
+    console.log('✅ Product import jobs table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Import Jobs Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+export const createImportJob = async ({ fileName, fileType, dryRun, totalRows, createdBy }) => {
+  const { rows } = await database.query(
+    `INSERT INTO product_import_jobs (file_name, file_type, dry_run, total_rows, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [fileName, fileType, dryRun, totalRows, createdBy],
+  )
+  return rows[0]
+}
+
+export const updateImportJobProgress = async (jobId, processedRows, summary) => {
+  await database.query(
+    `UPDATE product_import_jobs
+     SET status = 'processing', processed_rows = $1, created_count = $2, updated_count = $3,
+         failed_count = $4, started_at = COALESCE(started_at, NOW()), heartbeat_at = NOW()
+     WHERE id = $5`,
+    [processedRows, summary.created, summary.updated, summary.failed, jobId],
+  )
+}
+
+/**
+ * Tell other processes the job is still running
+ */
+export const touchImportJob = async (jobId) => {
+  await database.query(
+    `UPDATE product_import_jobs SET heartbeat_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'processing')`,
+    [jobId],
+  )
+}
+
+export const finishImportJob = async (jobId, { summary, report, errorMessage = null }) => {
+  await database.query(
+    `UPDATE product_import_jobs
+     SET status = $1, created_count = $2, updated_count = $3, failed_count = $4,
+         report = $5, error_message = $6, finished_at = NOW()
+     WHERE id = $7`,
+    [
+      errorMessage ? 'failed' : 'completed',
+      summary?.created || 0,
+      summary?.updated || 0,
+      summary?.failed || 0,
+      JSON.stringify(report || []),
+      errorMessage,
+      jobId,
+    ],
+  )
+}
+
+/**
+ * Fail jobs whose server process died (restart, crash) before they finished
+ * Jobs run in process memory, so nothing will ever finish them. Only jobs that stopped
+ * refreshing heartbeat_at are touched, so imports other instances are running keep going.
+ * The cutoff is computed by the database, in the same clock the columns are written with.
+ */
+export const failInterruptedImportJobs = async () => {
+  try {
+    const result = await database.query(
+      `UPDATE product_import_jobs
+       SET status = 'failed', error_message = 'Server stopped before the import finished',
+           finished_at = NOW()
+       WHERE status IN ('queued', 'processing')
+         AND COALESCE(heartbeat_at, created_at) < NOW() - ($1 || ' minutes')::INTERVAL`,
+      [String(IMPORT_JOB_STALE_MINUTES)],
+    )
+    if (result.rowCount > 0) {
+      console.log(`🧹 Marked ${result.rowCount} interrupted product import jobs as failed`)
+    }
+    return result.rowCount
+  } catch (error) {
+    console.error('❌ Failed to clean up interrupted import jobs:', error.message)
+    return 0
+  }
+}
+
+export const getImportJob = async (jobId) => {
+  const { rows } = await database.query(`SELECT * FROM product_import_jobs WHERE id = $1`, [jobId])
+  return rows[0] || null
+}
+
+/**
+ * Recent jobs without their (possibly large) reports
+ */
+export const getImportJobs = async ({ limit = 20, offset = 0 } = {}) => {
+  const { rows } = await database.query(
+    `SELECT id, file_name, file_type, dry_run, status, total_rows, processed_rows,
+            created_count, updated_count, failed_count, error_message, created_by,
+            created_at, started_at, finished_at
+     FROM product_import_jobs
+     ORDER BY created_at DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset],
+  )
+  return rows
+}
@@ -0,0 +1,87 @@
+import database from '../database/db.js'
+
+// What a rule targets: product ids, category names or brand names
+export const PRICE_RULE_TARGETS = ['product', 'category', 'brand']
+
+// percentage: % off, fixed: amount off, fixed_price: sell at exactly this price
+export const PRICE_RULE_TYPES = ['percentage', 'fixed', 'fixed_price']
+
+/**
+ * Create the scheduled price rules table (flash sales / timed price changes)
+ * started_announced_at / ended_announced_at record when the socket
+ * broadcast for the start and end of the sale went out
+ */
+export async function createPriceRulesTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS price_rules (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        description TEXT,
+        target_type VARCHAR(20) NOT NULL CHECK (target_type IN (${PRICE_RULE_TARGETS.map((t) => `'${t}'`).join(', ')})),
+        target_values JSONB NOT NULL DEFAULT '[]'::jsonb,
+        discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN (${PRICE_RULE_TYPES.map((t) => `'${t}'`).join(', ')})),
+        value DECIMAL(10,2) NOT NULL CHECK (value >= 0),
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP,
+        is_active BOOLEAN DEFAULT true,
+        started_announced_at TIMESTAMP,
+        ended_announced_at TIMESTAMP,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (ends_at IS NULL OR ends_at > starts_at)
+      );
+    `)
+
+    await database.query(
+      `CREATE INDEX IF NOT EXISTS idx_price_rules_window ON price_rules(is_active, starts_at, ends_at)`,
+    )
+
+    console.log('✅ Price rules table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Price Rules Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Rules running at the given moment
+ */
+export const getActivePriceRules = async (at = new Date(), client = database) => {
+  const { rows } = await client.query(
+    `SELECT * FROM price_rules
+     WHERE is_active = true AND starts_at <= $1 AND (ends_at IS NULL OR ends_at > $1)
+     ORDER BY starts_at ASC`,
+    [at],
+  )
+  return rows
+}
+
+/**
+ * List rules for the admin, optionally by schedule state
+ * status: scheduled | running | ended | inactive
+ */
+export const getPriceRules = async ({ status, limit = 50, offset = 0 } = {}) => {
+  const conditions = {
+    scheduled: 'is_active = true AND starts_at > NOW()',
+    running: 'is_active = true AND starts_at <= NOW() AND (ends_at IS NULL OR ends_at > NOW())',
+    ended: 'ends_at IS NOT NULL AND ends_at <= NOW()',
+    inactive: 'is_active = false',
+  }
+  const where = conditions[status] ? `WHERE ${conditions[status]}` : ''
+
+  const [{ rows }, count] = await Promise.all([
+    database.query(
+      `SELECT * FROM price_rules ${where} ORDER BY starts_at DESC LIMIT $1 OFFSET $2`,
+      [limit, offset],
+    ),
+    database.query(`SELECT COUNT(*)::INT AS total FROM price_rules ${where}`),
+  ])
+  return { rules: rows, total: count.rows[0].total }
+}
+
+export const getPriceRuleById = async (ruleId) => {
+  const { rows } = await database.query(`SELECT * FROM price_rules WHERE id = $1`, [ruleId])
+  return rows[0] || null
+}
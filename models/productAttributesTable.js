@@ -0,0 +1,192 @@
+import database from '../database/db.js'
+import { resolveAttributeFilters } from '../utils/productAttributes.js'
+
+/**
+ * Create product attribute tables
+ * attributes: typed definitions shared across the catalog (material, screen size, RAM, ...)
+ * category_attributes: which attributes a category uses; subcategories inherit them
+ * product_attribute_values: a product's values, one row per value (multiselect has several),
+ * stored in the column matching the attribute type so facets can group and range on them
+ */
+export async function createProductAttributesTables() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS attributes (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        slug VARCHAR(120) NOT NULL UNIQUE,
+        type VARCHAR(20) NOT NULL DEFAULT 'text'
+          CHECK (type IN ('text', 'number', 'boolean', 'select', 'multiselect')),
+        unit VARCHAR(20),
+        options JSONB DEFAULT '[]'::jsonb,
+        is_filterable BOOLEAN DEFAULT true,
+        position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS category_attributes (
+        category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        attribute_id UUID NOT NULL REFERENCES attributes(id) ON DELETE CASCADE,
+        is_required BOOLEAN DEFAULT false,
+        position INT DEFAULT 0,
+        PRIMARY KEY (category_id, attribute_id)
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_attribute_values (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        attribute_id UUID NOT NULL REFERENCES attributes(id) ON DELETE CASCADE,
+        value_text VARCHAR(255),
+        value_number NUMERIC(14, 4),
+        value_boolean BOOLEAN,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_category_attributes_attribute ON category_attributes(attribute_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_product_attribute_values_product ON product_attribute_values(product_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_product_attribute_values_text ON product_attribute_values(attribute_id, LOWER(value_text))`,
+      `CREATE INDEX IF NOT EXISTS idx_product_attribute_values_number ON product_attribute_values(attribute_id, value_number)`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Product attributes tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Attributes Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Every attribute definition, with the number of products that have a value for it
+ */
+export const getAttributes = async ({ filterableOnly = false } = {}, client = database) => {
+  const { rows } = await client.query(
+    `SELECT a.*, COALESCE(u.product_count, 0)::INT AS product_count
+     FROM attributes a
+     LEFT JOIN (
+       SELECT attribute_id, COUNT(DISTINCT product_id) AS product_count
+       FROM product_attribute_values GROUP BY attribute_id
+     ) u ON u.attribute_id = a.id
+     ${filterableOnly ? 'WHERE a.is_filterable = true' : ''}
+     ORDER BY a.position ASC, a.name ASC`,
+  )
+  return rows
+}
+
+/**
+ * Resolve raw attribute filters ({ slug: value }) against the filterable attributes
+ * Returns { filters } or { error }; skips the lookup when there are no filters
+ */
+export const loadAttributeFilters = async (raw, client = database) => {
+  if (!raw || Object.keys(raw).length === 0) return { filters: [] }
+  return resolveAttributeFilters(raw, await getAttributes({ filterableOnly: true }, client))
+}
+
+export const getAttributeById = async (attributeId, client = database) => {
+  const { rows } = await client.query(`SELECT * FROM attributes WHERE id = $1`, [attributeId])
+  return rows[0] || null
+}
+
+/**
+ * Stored text values of an attribute with how many products use each
+ * (used to refuse removing select options that products still carry)
+ */
+export const getAttributeTextUsage = async (attributeId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT value_text, COUNT(DISTINCT product_id)::INT AS product_count
+     FROM product_attribute_values
+     WHERE attribute_id = $1 AND value_text IS NOT NULL
+     GROUP BY value_text`,
+    [attributeId],
+  )
+  return rows
+}
+
+/**
+ * Attributes assigned to any of the given categories (a category and its ancestors)
+ * When several of them assign the same attribute, the one listed first in categoryIds wins
+ */
+export const getCategoryAttributes = async (categoryIds, client = database) => {
+  if (!categoryIds.length) return []
+  const { rows } = await client.query(
+    `SELECT a.*, ca.category_id, ca.is_required, ca.position AS category_position
+     FROM category_attributes ca
+     JOIN attributes a ON a.id = ca.attribute_id
+     WHERE ca.category_id = ANY($1::uuid[])
+     ORDER BY array_position($1::uuid[], ca.category_id), ca.position ASC, a.name ASC`,
+    [categoryIds],
+  )
+
+  const seen = new Set()
+  return rows.filter((row) => !seen.has(row.id) && seen.add(row.id))
+}
+
+/**
+ * Replace the attributes a category uses
+ * assignments: [{ attribute_id, is_required, position }]
+ */
+export const setCategoryAttributes = async (categoryId, assignments, client) => {
+  await client.query(`DELETE FROM category_attributes WHERE category_id = $1`, [categoryId])
+  for (const assignment of assignments) {
+    await client.query(
+      `INSERT INTO category_attributes (category_id, attribute_id, is_required, position)
+       VALUES ($1, $2, $3, $4)`,
+      [categoryId, assignment.attribute_id, assignment.is_required, assignment.position],
+    )
+  }
+}
+
+/**
+ * Stored values of one or more products, joined with their attribute definitions
+ */
+export const getProductAttributeValues = async (productIds, client = database) => {
+  if (!productIds.length) return []
+  const { rows } = await client.query(
+    `SELECT pav.product_id, pav.attribute_id, pav.value_text, pav.value_number, pav.value_boolean,
+            a.name, a.slug, a.type, a.unit, a.position AS attribute_position
+     FROM product_attribute_values pav
+     JOIN attributes a ON a.id = pav.attribute_id
+     WHERE pav.product_id = ANY($1::uuid[])
+     ORDER BY a.position ASC, a.name ASC, pav.created_at ASC`,
+    [productIds],
+  )
+  return rows
+}
+
+/**
+ * Replace all attribute values of a product
+ * values: [{ attribute_id, value_text, value_number, value_boolean }]
+ */
+export const replaceProductAttributeValues = async (productId, values, client) => {
+  await client.query(`DELETE FROM product_attribute_values WHERE product_id = $1`, [productId])
+  for (const value of values) {
+    await client.query(
+      `INSERT INTO product_attribute_values
+         (product_id, attribute_id, value_text, value_number, value_boolean)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [productId, value.attribute_id, value.value_text, value.value_number, value.value_boolean],
+    )
+  }
+}
+
+/**
+ * Copy every attribute value of one product to another (product duplication)
+ */
+export const copyProductAttributeValues = async (fromProductId, toProductId, client = database) => {
+  await client.query(
+    `INSERT INTO product_attribute_values
+       (product_id, attribute_id, value_text, value_number, value_boolean)
+     SELECT $2, attribute_id, value_text, value_number, value_boolean
+     FROM product_attribute_values WHERE product_id = $1`,
+    [fromProductId, toProductId],
+  )
+}
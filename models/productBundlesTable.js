@@ -0,0 +1,204 @@
+import database from '../database/db.js'
+
+export const BUNDLE_DISCOUNT_TYPES = ['percentage', 'fixed']
+
+/**
+ * Create bundle tables
+ * A bundle is a product (product_type = 'bundle') made of other simple products.
+ * Its price, sale price and stock are derived from the components and kept on
+ * the bundle's products row so listings, carts and filters treat it like any product.
+ */
+export async function createProductBundlesTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_bundles (
+        bundle_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+        discount_type VARCHAR(20) CHECK (discount_type IN (${BUNDLE_DISCOUNT_TYPES.map((t) => `'${t}'`).join(', ')})),
+        discount_value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_bundle_items (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        bundle_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        component_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+        quantity INT NOT NULL CHECK (quantity > 0),
+        position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (bundle_id, component_id),
+        CHECK (bundle_id <> component_id)
+      );
+    `)
+
+    await database.query(
+      `CREATE INDEX IF NOT EXISTS idx_product_bundle_items_component ON product_bundle_items(component_id)`,
+    )
+
+    console.log('✅ Product bundles tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Bundles Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * How many complete bundles the component stock can make
+ * components: [{ stock, quantity }]
+ */
+export const calculateBundleStock = (components) => {
+  if (components.length === 0) return 0
+  return Math.max(
+    0,
+    Math.min(
+      ...components.map(
+        (component) => Math.floor((parseInt(component.stock, 10) || 0) / component.quantity) || 0,
+      ),
+    ),
+  )
+}
+
+/**
+ * Regular price is the sum of component prices; the bundle discount becomes the sale price
+ * components: [{ price, quantity }]
+ * Returns { price, sale_price } (sale_price is null without a discount)
+ */
+export const calculateBundlePrice = (components, { discount_type, discount_value } = {}) => {
+  const price =
+    Math.round(
+      components.reduce(
+        (sum, component) => sum + (parseFloat(component.price) || 0) * component.quantity,
+        0,
+      ) * 100,
+    ) / 100
+
+  const value = parseFloat(discount_value) || 0
+  if (!discount_type || value <= 0) {
+    return { price, sale_price: null }
+  }
+
+  const discounted =
+    discount_type === 'percentage' ? price * (1 - Math.min(value, 100) / 100) : price - value
+  return { price, sale_price: Math.round(Math.max(discounted, 0) * 100) / 100 }
+}
+
+/**
+ * A bundle's discount and components (with each component's current price and stock)
+ */
+export const getBundle = async (bundleId, client = database) => {
+  const [{ rows: headers }, { rows: items }] = await Promise.all([
+    client.query(`SELECT * FROM product_bundles WHERE bundle_id = $1`, [bundleId]),
+    client.query(
+      `SELECT bi.component_id, bi.quantity, bi.position,
+              p.name, p.sku, p.slug, p.price, p.stock, p.images, p.product_type
+       FROM product_bundle_items bi
+       JOIN products p ON bi.component_id = p.id
+       WHERE bi.bundle_id = $1
+       ORDER BY bi.position ASC, bi.created_at ASC`,
+      [bundleId],
+    ),
+  ])
+
+  return {
+    discount_type: headers[0]?.discount_type || null,
+    discount_value: headers[0] ? parseFloat(headers[0].discount_value) : 0,
+    items: items.map((item) => ({
+      ...item,
+      price: parseFloat(item.price),
+      stock: parseInt(item.stock, 10) || 0,
+    })),
+  }
+}
+
+/**
+ * Replace a bundle's components and discount
+ * items: [{ component_id, quantity }]
+ */
+export const replaceBundle = async (
+  bundleId,
+  { items, discount_type = null, discount_value = 0 },
+  client = database,
+) => {
+  await client.query(
+    `INSERT INTO product_bundles (bundle_id, discount_type, discount_value)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (bundle_id)
+     DO UPDATE SET discount_type = EXCLUDED.discount_type,
+                   discount_value = EXCLUDED.discount_value,
+                   updated_at = NOW()`,
+    [bundleId, discount_type, discount_value],
+  )
+
+  await client.query(`DELETE FROM product_bundle_items WHERE bundle_id = $1`, [bundleId])
+  for (const [position, item] of items.entries()) {
+    await client.query(
+      `INSERT INTO product_bundle_items (bundle_id, component_id, quantity, position)
+       VALUES ($1, $2, $3, $4)`,
+      [bundleId, item.component_id, item.quantity, position],
+    )
+  }
+}
+
+/**
+ * Re-derive a bundle's price, sale price and stock from its components
+ */
+export const syncBundle = async (bundleId, client = database) => {
+  const bundle = await getBundle(bundleId, client)
+  const { price, sale_price } = calculateBundlePrice(bundle.items, bundle)
+  const stock = calculateBundleStock(bundle.items)
+
+  const { rows } = await client.query(
+    `UPDATE products
+     SET price = $1, sale_price = $2, stock = $3, updated_at = NOW()
+     WHERE id = $4 AND product_type = 'bundle'
+     RETURNING id, price, sale_price, stock`,
+    [price, sale_price, stock, bundleId],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Re-derive every bundle that contains one of the given products
+ * Called wherever a component's stock or price changes
+ */
+export const syncBundlesForComponents = async (componentIds, client = database) => {
+  if (!componentIds || componentIds.length === 0) return []
+
+  const { rows } = await client.query(
+    `SELECT DISTINCT bi.bundle_id
+     FROM product_bundle_items bi
+     JOIN products b ON bi.bundle_id = b.id AND b.product_type = 'bundle'
+     WHERE bi.component_id = ANY($1::uuid[])`,
+    [componentIds],
+  )
+
+  const synced = []
+  for (const { bundle_id: bundleId } of rows) {
+    synced.push(await syncBundle(bundleId, client))
+  }
+  return synced.filter(Boolean)
+}
+
+/**
+ * Components of the given bundles as { [bundleId]: [{ component_id, quantity }] }
+ */
+export const getBundleComponents = async (bundleIds, client = database) => {
+  if (!bundleIds || bundleIds.length === 0) return {}
+
+  const { rows } = await client.query(
+    `SELECT bi.bundle_id, bi.component_id, bi.quantity
+     FROM product_bundle_items bi
+     JOIN products b ON bi.bundle_id = b.id AND b.product_type = 'bundle'
+     WHERE bi.bundle_id = ANY($1::uuid[])
+     ORDER BY bi.position ASC`,
+    [bundleIds],
+  )
+
+  return rows.reduce((map, row) => {
+    if (!map[row.bundle_id]) map[row.bundle_id] = []
+    map[row.bundle_id].push({ component_id: row.component_id, quantity: row.quantity })
+    return map
+  }, {})
+}
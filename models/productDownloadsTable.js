@@ -0,0 +1,166 @@
+import database from '../database/db.js'
+
+/**
+ * Create downloadable product tables
+ * A downloadable product (product_type = 'downloadable') has one or more private files.
+ * Paying for an order grants the buyer access to each file, limited by a download
+ * count and an expiry date; the files themselves are never publicly reachable.
+ */
+export async function createProductDownloadsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_files (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        storage_key VARCHAR(255) NOT NULL UNIQUE,
+        mime_type VARCHAR(150),
+        size_bytes BIGINT DEFAULT 0,
+        download_limit INT CHECK (download_limit IS NULL OR download_limit > 0),
+        access_days INT CHECK (access_days IS NULL OR access_days > 0),
+        position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS download_grants (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        file_id UUID NOT NULL REFERENCES product_files(id) ON DELETE CASCADE,
+        download_limit INT NOT NULL CHECK (download_limit > 0),
+        download_count INT NOT NULL DEFAULT 0 CHECK (download_count >= 0),
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        last_downloaded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (order_id, file_id)
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_product_files_product ON product_files(product_id, position)`,
+      `CREATE INDEX IF NOT EXISTS idx_download_grants_user ON download_grants(user_id, created_at DESC)`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Product downloads tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Downloads Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Files attached to a downloadable product
+ */
+export const getProductFiles = async (productId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT * FROM product_files WHERE product_id = $1 ORDER BY position ASC, created_at ASC`,
+    [productId],
+  )
+  return rows
+}
+
+/**
+ * Grant the buyer access to every file of the downloadable products in an order
+ * Safe to call more than once per order: existing grants keep their counts,
+ * grants revoked by a reversed payment are restored. Cancelled orders get nothing.
+ * Returns the created or restored grants
+ */
+export const createOrderDownloadGrants = async (
+  orderId,
+  { downloadLimit, accessDays },
+  client = database,
+) => {
+  const { rows } = await client.query(
+    `INSERT INTO download_grants (order_id, user_id, product_id, file_id, download_limit, expires_at)
+     SELECT DISTINCT ON (f.id)
+            o.id, o.buyer_id, f.product_id, f.id,
+            COALESCE(f.download_limit, $2),
+            NOW() + (COALESCE(f.access_days, $3) || ' days')::INTERVAL
+     FROM orders o
+     JOIN order_items oi ON oi.order_id = o.id
+     JOIN products p ON oi.product_id = p.id AND p.product_type = 'downloadable'
+     JOIN product_files f ON f.product_id = p.id
+     WHERE o.id = $1 AND LOWER(o.order_status) <> 'cancelled'
+     ON CONFLICT (order_id, file_id)
+     DO UPDATE SET revoked_at = NULL WHERE download_grants.revoked_at IS NOT NULL
+     RETURNING *`,
+    [orderId, downloadLimit, accessDays],
+  )
+  return rows
+}
+
+/**
+ * Revoke an order's grants (cancelled orders, reversed payments)
+ */
+export const revokeOrderDownloadGrants = async (orderId, client = database) => {
+  const result = await client.query(
+    `UPDATE download_grants SET revoked_at = NOW()
+     WHERE order_id = $1 AND revoked_at IS NULL`,
+    [orderId],
+  )
+  return result.rowCount
+}
+
+/**
+ * A grant with its file, for serving a download
+ */
+export const getDownloadGrant = async (grantId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT g.*, f.name AS file_label, f.file_name, f.storage_key, f.mime_type
+     FROM download_grants g
+     JOIN product_files f ON g.file_id = f.id
+     WHERE g.id = $1`,
+    [grantId],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Count one download, unless the grant is revoked, expired or used up
+ * Returns the updated grant or null (the check and increment are one statement,
+ * so parallel requests cannot download past the limit)
+ */
+export const claimDownload = async (grantId, client = database) => {
+  const { rows } = await client.query(
+    `UPDATE download_grants
+     SET download_count = download_count + 1, last_downloaded_at = NOW()
+     WHERE id = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+       AND download_count < download_limit
+     RETURNING *`,
+    [grantId],
+  )
+  return rows[0] || null
+}
+
+/**
+ * A customer's grants with product and file details, newest first
+ */
+export const getUserDownloadGrants = async (userId, { limit, offset }, client = database) => {
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    client.query(
+      `SELECT g.id, g.order_id, g.product_id, g.file_id, g.download_limit, g.download_count,
+              g.expires_at, g.revoked_at, g.last_downloaded_at, g.created_at,
+              f.name AS file_label, f.file_name, f.mime_type, f.size_bytes,
+              p.name AS product_name, p.slug AS product_slug, p.images AS product_images
+       FROM download_grants g
+       JOIN product_files f ON g.file_id = f.id
+       JOIN products p ON g.product_id = p.id
+       WHERE g.user_id = $1
+       ORDER BY g.created_at DESC, f.position ASC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset],
+    ),
+    client.query(`SELECT COUNT(*) FROM download_grants WHERE user_id = $1`, [userId]),
+  ])
+  return { grants: rows, total: parseInt(countRows[0].count, 10) }
+}
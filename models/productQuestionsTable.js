@@ -0,0 +1,250 @@
+import database from '../database/db.js'
+
+/**
+ * Create product Q&A tables
+ * product_questions: pre-purchase questions, moderated like reviews (moderation_status)
+ * product_answers: answers from admins or verified buyers; asker_notified_at records the
+ * "your question was answered" email
+ * product_qa_votes: one upvote per user per question or answer
+ */
+export async function createProductQuestionsTables() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_questions (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        question TEXT NOT NULL,
+        upvotes INTEGER DEFAULT 0,
+        moderation_status VARCHAR(20) DEFAULT 'pending',
+        moderation_reason TEXT,
+        moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        moderated_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_answers (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        question_id UUID NOT NULL REFERENCES product_questions(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        answer TEXT NOT NULL,
+        is_admin_answer BOOLEAN DEFAULT false,
+        verified_purchase BOOLEAN DEFAULT false,
+        upvotes INTEGER DEFAULT 0,
+        moderation_status VARCHAR(20) DEFAULT 'pending',
+        moderation_reason TEXT,
+        moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        moderated_at TIMESTAMP,
+        asker_notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_qa_votes (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        question_id UUID REFERENCES product_questions(id) ON DELETE CASCADE,
+        answer_id UUID REFERENCES product_answers(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((question_id IS NULL) <> (answer_id IS NULL)),
+        UNIQUE (user_id, question_id),
+        UNIQUE (user_id, answer_id)
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_product_questions_product ON product_questions(product_id, moderation_status)`,
+      `CREATE INDEX IF NOT EXISTS idx_product_questions_moderation ON product_questions(moderation_status, created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_product_answers_question ON product_answers(question_id, moderation_status)`,
+      `CREATE INDEX IF NOT EXISTS idx_product_answers_moderation ON product_answers(moderation_status, created_at)`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Product Q&A tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Q&A Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+const QUESTION_ORDER = {
+  top: 'q.upvotes DESC, answer_count DESC, q.created_at DESC',
+  recent: 'q.created_at DESC',
+}
+
+/**
+ * Approved questions of a product with their approved answers
+ * Returns { questions, answers, total }
+ */
+export const getProductQuestions = async (
+  productId,
+  { limit = 10, offset = 0, sort = 'top' } = {},
+  client = database,
+) => {
+  const { rows: questions } = await client.query(
+    `SELECT q.id, q.question, q.upvotes, q.created_at,
+            COALESCE(u.name, 'Anonymous') AS asker_name,
+            (SELECT COUNT(*) FROM product_answers a
+             WHERE a.question_id = q.id AND a.moderation_status = 'approved')::INT AS answer_count
+     FROM product_questions q
+     LEFT JOIN users u ON u.id = q.user_id
+     WHERE q.product_id = $1 AND q.moderation_status = 'approved'
+     ORDER BY ${QUESTION_ORDER[sort] || QUESTION_ORDER.top}
+     LIMIT $2 OFFSET $3`,
+    [productId, limit, offset],
+  )
+
+  const { rows: counts } = await client.query(
+    `SELECT COUNT(*)::INT AS total FROM product_questions
+     WHERE product_id = $1 AND moderation_status = 'approved'`,
+    [productId],
+  )
+
+  const answers = questions.length
+    ? (
+        await client.query(
+          `SELECT a.id, a.question_id, a.answer, a.is_admin_answer, a.verified_purchase,
+                  a.upvotes, a.created_at, COALESCE(u.name, 'Anonymous') AS answerer_name
+           FROM product_answers a
+           LEFT JOIN users u ON u.id = a.user_id
+           WHERE a.question_id = ANY($1::uuid[]) AND a.moderation_status = 'approved'`,
+          [questions.map((question) => question.id)],
+        )
+      ).rows
+    : []
+
+  return { questions, answers, total: counts[0].total }
+}
+
+/**
+ * A question with the asker's contact details and product name (for answer emails)
+ */
+export const getQuestionWithAsker = async (questionId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT q.*, u.name AS asker_name, u.email AS asker_email, p.name AS product_name
+     FROM product_questions q
+     JOIN users u ON u.id = q.user_id
+     JOIN products p ON p.id = q.product_id
+     WHERE q.id = $1`,
+    [questionId],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Whether a user bought a product (in an order that was not cancelled)
+ */
+export const hasPurchasedProduct = async (userId, productId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT 1 FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE oi.product_id = $1 AND o.buyer_id = $2 AND o.order_status <> 'Cancelled'
+     LIMIT 1`,
+    [productId, userId],
+  )
+  return rows.length > 0
+}
+
+/**
+ * Toggle a user's upvote on a question or answer; returns { upvoted, upvotes } or null
+ * when the target does not exist
+ * target: 'question' | 'answer'
+ */
+export const toggleQaUpvote = async (target, id, userId, client) => {
+  const table = target === 'question' ? 'product_questions' : 'product_answers'
+  const column = target === 'question' ? 'question_id' : 'answer_id'
+
+  const existing = await client.query(`SELECT id FROM ${table} WHERE id = $1 FOR UPDATE`, [id])
+  if (existing.rows.length === 0) return null
+
+  const removed = await client.query(
+    `DELETE FROM product_qa_votes WHERE user_id = $1 AND ${column} = $2`,
+    [userId, id],
+  )
+  const upvoted = removed.rowCount === 0
+  if (upvoted) {
+    await client.query(`INSERT INTO product_qa_votes (user_id, ${column}) VALUES ($1, $2)`, [
+      userId,
+      id,
+    ])
+  }
+
+  const { rows } = await client.query(
+    `UPDATE ${table}
+     SET upvotes = (SELECT COUNT(*) FROM product_qa_votes WHERE ${column} = $1)
+     WHERE id = $1
+     RETURNING upvotes`,
+    [id],
+  )
+  return { upvoted, upvotes: rows[0].upvotes }
+}
+
+/**
+ * Questions or answers waiting for (or past) moderation, oldest first
+ * target: 'question' | 'answer'
+ */
+export const getQaModerationQueue = async (
+  target,
+  { status, limit, offset },
+  client = database,
+) => {
+  const query =
+    target === 'question'
+      ? `SELECT q.*, u.name AS author_name, p.name AS product_name
+         FROM product_questions q
+         JOIN users u ON u.id = q.user_id
+         JOIN products p ON p.id = q.product_id
+         WHERE q.moderation_status = $1
+         ORDER BY q.created_at ASC
+         LIMIT $2 OFFSET $3`
+      : `SELECT a.*, u.name AS author_name, q.question, q.product_id, p.name AS product_name
+         FROM product_answers a
+         JOIN users u ON u.id = a.user_id
+         JOIN product_questions q ON q.id = a.question_id
+         JOIN products p ON p.id = q.product_id
+         WHERE a.moderation_status = $1
+         ORDER BY a.created_at ASC
+         LIMIT $2 OFFSET $3`
+  const { rows } = await client.query(query, [status, limit, offset])
+  return rows
+}
+
+/**
+ * Set the moderation status of a question or answer; returns the updated row or null
+ */
+export const moderateQaItem = async (
+  target,
+  id,
+  { status, reason, moderatorId },
+  client = database,
+) => {
+  const table = target === 'question' ? 'product_questions' : 'product_answers'
+  const { rows } = await client.query(
+    `UPDATE ${table}
+     SET moderation_status = $2, moderation_reason = $3, moderated_by = $4,
+         moderated_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, status, reason || null, moderatorId],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Mark the asker as notified about an answer; false when someone already did
+ */
+export const markAskerNotified = async (answerId, client = database) => {
+  const result = await client.query(
+    `UPDATE product_answers SET asker_notified_at = NOW()
+     WHERE id = $1 AND asker_notified_at IS NULL`,
+    [answerId],
+  )
+  return result.rowCount > 0
+}
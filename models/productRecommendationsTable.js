@@ -0,0 +1,139 @@
+import database from '../database/db.js'
+
+/**
+ * Create the precomputed recommendations table
+ * One row per (product, related product) pair, rebuilt by the recommendation job:
+ * similarity - item-to-item cosine similarity over purchases, carts, wishlists and views (0..1)
+ * bought_together - number of orders containing both products
+ */
+export async function createProductRecommendationsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_recommendations (
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        related_product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        similarity NUMERIC(6, 5) NOT NULL DEFAULT 0,
+        bought_together INT NOT NULL DEFAULT 0,
+        computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (product_id, related_product_id),
+        CHECK (product_id <> related_product_id)
+      );
+    `)
+
+    await database.query(
+      `CREATE INDEX IF NOT EXISTS idx_product_recommendations_similarity
+       ON product_recommendations(product_id, similarity DESC)`,
+    )
+
+    console.log('✅ Product recommendations table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Recommendations Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+const PRODUCT_COLUMNS = `p.id, p.name, p.price, p.category, p.ratings, p.images`
+
+/**
+ * Products most similar to a product (shoppers who bought or saved one also wanted the other)
+ */
+export const getSimilarProducts = async (productId, limit, client = database) => {
+  const { rows } = await client.query(
+    `SELECT ${PRODUCT_COLUMNS}, r.similarity::FLOAT AS similarity_score
+     FROM product_recommendations r
+     JOIN products p ON p.id = r.related_product_id
+     WHERE r.product_id = $1 AND r.similarity > 0 AND p.stock > 0
+     ORDER BY r.similarity DESC, p.ratings DESC
+     LIMIT $2`,
+    [productId, limit],
+  )
+  return rows
+}
+
+/**
+ * Products most often ordered together with a product
+ */
+export const getBoughtTogetherProducts = async (productId, limit, client = database) => {
+  const { rows } = await client.query(
+    `SELECT ${PRODUCT_COLUMNS}, r.bought_together AS times_bought_together
+     FROM product_recommendations r
+     JOIN products p ON p.id = r.related_product_id
+     WHERE r.product_id = $1 AND r.bought_together > 0
+     ORDER BY r.bought_together DESC, r.similarity DESC
+     LIMIT $2`,
+    [productId, limit],
+  )
+  return rows
+}
+
+/**
+ * Personalized ranking: products similar to what the shopper bought, carted, wishlisted or
+ * viewed, weighted by how strong each signal is. Products already bought are left out.
+ * owner: { userId, visitorId } (guests only have views)
+ * weights: { order, cart, wishlist, view } (see INTERACTION_WEIGHTS)
+ */
+export const getPersonalizedRecommendations = async (
+  { userId = null, visitorId = null },
+  { weights, limit },
+  client = database,
+) => {
+  const { rows } = await client.query(
+    `WITH signals AS (
+       SELECT product_id, MAX(weight) AS weight
+       FROM (
+         SELECT oi.product_id, $3::NUMERIC AS weight
+         FROM order_items oi JOIN orders o ON o.id = oi.order_id
+         WHERE o.buyer_id = $1::UUID AND o.order_status <> 'Cancelled'
+         UNION ALL
+         SELECT product_id, $4::NUMERIC FROM cart_items WHERE user_id = $1::UUID
+         UNION ALL
+         SELECT product_id, $5::NUMERIC FROM wishlist_items WHERE user_id = $1::UUID
+         UNION ALL
+         SELECT product_id, $6::NUMERIC FROM product_views
+         WHERE user_id = $1::UUID OR (user_id IS NULL AND visitor_id = $2::UUID)
+       ) s
+       GROUP BY product_id
+     ),
+     purchased AS (
+       SELECT DISTINCT oi.product_id
+       FROM order_items oi JOIN orders o ON o.id = oi.order_id
+       WHERE o.buyer_id = $1::UUID AND o.order_status <> 'Cancelled'
+     )
+     SELECT ${PRODUCT_COLUMNS},
+            ROUND(SUM(s.weight * r.similarity), 5)::FLOAT AS relevance_score
+     FROM signals s
+     JOIN product_recommendations r ON r.product_id = s.product_id
+     JOIN products p ON p.id = r.related_product_id
+     WHERE r.related_product_id NOT IN (SELECT product_id FROM purchased)
+       AND p.stock > 0
+     GROUP BY ${PRODUCT_COLUMNS}
+     ORDER BY relevance_score DESC, p.ratings DESC
+     LIMIT $7`,
+    [userId, visitorId, weights.order, weights.cart, weights.wishlist, weights.view, limit],
+  )
+  return rows
+}
+
+/**
+ * Swap in a freshly computed set of recommendation pairs
+ * pairs: [{ productId, relatedProductId, similarity, boughtTogether }]
+ */
+export const replaceProductRecommendations = async (pairs, client) => {
+  await client.query('DELETE FROM product_recommendations')
+
+  const BATCH_SIZE = 500
+  for (let start = 0; start < pairs.length; start += BATCH_SIZE) {
+    const batch = pairs.slice(start, start + BATCH_SIZE)
+    const values = []
+    const placeholders = batch.map((pair, i) => {
+      values.push(pair.productId, pair.relatedProductId, pair.similarity, pair.boughtTogether)
+      return `($${i * 4 + 1}, $${i * 4 + 2}, $${i * 4 + 3}, $${i * 4 + 4})`
+    })
+    await client.query(
+      `INSERT INTO product_recommendations
+         (product_id, related_product_id, similarity, bought_together)
+       VALUES ${placeholders.join(', ')}`,
+      values,
+    )
+  }
+}
@@ -0,0 +1,89 @@
+import database from '../database/db.js'
+import { buildSkeletonFunctionSql, buildTextSearch } from '../utils/productSearch.js'
+
+/**
+ * Create the product search index
+ * products.search_vector - weighted tsvector: name (A), tags and brand (B), category (C),
+ *   description without HTML (D)
+ * products.search_skeleton - consonant skeleton of name and brand for Bangla / romanized matching
+ * Both are kept up to date by a trigger. Rows missing a vector are backfilled here; after
+ * changing the skeleton rules in utils/productSearch.js run `UPDATE products SET name = name`.
+ */
+export async function createProductSearchIndex() {
+  try {
+    await database.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm`)
+
+    await database.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector TSVECTOR`)
+    await database.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS search_skeleton TEXT`)
+
+    await database.query(buildSkeletonFunctionSql())
+
+    await database.query(`
+      CREATE OR REPLACE FUNCTION products_search_refresh() RETURNS TRIGGER AS $fn$
+      BEGIN
+        NEW.search_vector :=
+          setweight(to_tsvector('simple', COALESCE(NEW.name, '')), 'A') ||
+          setweight(to_tsvector('simple',
+            COALESCE((
+              SELECT string_agg(tag, ' ')
+              FROM jsonb_array_elements_text(
+                CASE WHEN jsonb_typeof(NEW.tags) = 'array' THEN NEW.tags ELSE '[]'::jsonb END
+              ) AS tag
+            ), '') || ' ' || COALESCE(NEW.brand, '')), 'B') ||
+          setweight(to_tsvector('simple', COALESCE(NEW.category, '')), 'C') ||
+          setweight(to_tsvector('simple',
+            regexp_replace(COALESCE(NEW.description, ''), '<[^>]*>', ' ', 'g')), 'D');
+        NEW.search_skeleton := search_skeleton(COALESCE(NEW.name, '') || ' ' || COALESCE(NEW.brand, ''));
+        RETURN NEW;
+      END
+      $fn$ LANGUAGE plpgsql;
+    `)
+    await database.query(`DROP TRIGGER IF EXISTS trg_products_search_refresh ON products`)
+    await database.query(`
+      CREATE TRIGGER trg_products_search_refresh
+      BEFORE INSERT OR UPDATE OF name, tags, brand, category, description ON products
+      FOR EACH ROW EXECUTE FUNCTION products_search_refresh()
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector)`,
+      `CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (name gin_trgm_ops)`,
+      `CREATE INDEX IF NOT EXISTS idx_products_category_trgm ON products USING GIN (category gin_trgm_ops)`,
+      `CREATE INDEX IF NOT EXISTS idx_products_search_skeleton_trgm ON products USING GIN (search_skeleton gin_trgm_ops)`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    const backfill = await database.query(
+      `UPDATE products SET name = name WHERE search_vector IS NULL`,
+    )
+    if (backfill.rowCount > 0) {
+      console.log(`🔎 Indexed ${backfill.rowCount} products for search`)
+    }
+
+    console.log('✅ Product search index created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Search Index.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Product names matching a (partial, misspelt or transliterated) search text, best first
+ */
+export const getNameSuggestions = async (query, limit = 8, client = database) => {
+  const values = []
+  const { condition, rank } = buildTextSearch(query, values)
+  values.push(limit)
+
+  const { rows } = await client.query(
+    `SELECT p.name FROM products p
+     WHERE ${condition}
+     GROUP BY p.name
+     ORDER BY MAX(${rank}) DESC, p.name ASC
+     LIMIT $${values.length}`,
+    values,
+  )
+  return rows.map((row) => row.name)
+}
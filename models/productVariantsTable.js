@@ -0,0 +1,308 @@
+import database from '../database/db.js'
+
+/**
+ * Create product variant tables
+ * product_options holds the option definitions for a variable product (e.g. Size: S, M, L)
+ * product_variants holds one row per purchasable combination with its own SKU, price and stock
+ */
+export async function createProductVariantsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_options (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        "values" JSONB DEFAULT '[]'::JSONB,
+        position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE(product_id, name)
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL,
+        sku VARCHAR(100) UNIQUE,
+        barcode VARCHAR(255),
+        options JSONB DEFAULT '{}'::JSONB,
+        price DECIMAL(10,2) CHECK (price IS NULL OR price >= 0),
+        sale_price DECIMAL(10,2) CHECK (sale_price IS NULL OR sale_price >= 0),
+        stock INT NOT NULL DEFAULT 0 CHECK (stock >= 0),
+        images JSONB DEFAULT '[]'::JSONB,
+        is_active BOOLEAN DEFAULT true,
+        position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_product_options_product ON product_options(product_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants(sku);`,
+    ]
+
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    // Cart and order lines point at the variant that was chosen (NULL for simple products)
+    const alterQueries = [
+      `ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL`,
+      `ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_options JSONB`,
+      `ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id UUID`,
+      `DO $$
+       BEGIN
+         IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'cart_items_variant_id_fkey') THEN
+           ALTER TABLE cart_items ADD CONSTRAINT cart_items_variant_id_fkey
+             FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE;
+         END IF;
+       END $$`,
+      // A cart may hold several variants of the same product, so uniqueness includes the variant
+      `ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_user_id_product_id_key`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_user_product_variant ON cart_items(user_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))`,
+    ]
+
+    for (const query of alterQueries) {
+      try {
+        await database.query(query)
+      } catch (error) {
+        console.warn(`⚠️ Variant migration warning:`, error.message)
+      }
+    }
+
+    console.log('✅ Product variants tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Variants Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Parse a JSON field that may arrive as a string (multipart/form-data) or as an array/object
+ */
+export const parseJsonField = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch (e) {
+    return fallback
+  }
+}
+
+/**
+ * Normalize a variant row (DECIMAL columns come back from pg as strings)
+ */
+export const normalizeVariant = (variant) => {
+  if (!variant) return variant
+
+  return {
+    ...variant,
+    price: variant.price !== null && variant.price !== undefined ? parseFloat(variant.price) : null,
+    sale_price:
+      variant.sale_price !== null && variant.sale_price !== undefined
+        ? parseFloat(variant.sale_price)
+        : null,
+    stock: parseInt(variant.stock, 10) || 0,
+    options: parseJsonField(variant.options, {}),
+    images: parseJsonField(variant.images, []),
+  }
+}
+
+/**
+ * Variant data for a create (existing = null) or an update
+ * Updates are partial: fields missing from the request keep their stored values
+ */
+export const mergeVariantUpdate = (existing, body = {}) => ({
+  ...(existing || {}),
+  ...body,
+  options: parseJsonField(body.options, existing ? existing.options : {}),
+  images: parseJsonField(body.images, existing ? existing.images : []),
+})
+
+/**
+ * Unit price charged for a variant: its sale price, else its own price, else the parent price
+ */
+export const getVariantUnitPrice = (variant, product) => {
+  if (variant.sale_price !== null && variant.sale_price !== undefined) {
+    return parseFloat(variant.sale_price)
+  }
+  if (variant.price !== null && variant.price !== undefined) {
+    return parseFloat(variant.price)
+  }
+  return parseFloat(product.price)
+}
+
+/**
+ * Get option definitions for a product
+ */
+export const getProductOptions = async (productId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT * FROM product_options WHERE product_id = $1 ORDER BY position ASC, created_at ASC`,
+    [productId],
+  )
+  return rows
+}
+
+/**
+ * Get all variants for a product
+ */
+export const getProductVariants = async (
+  productId,
+  { activeOnly = false } = {},
+  client = database,
+) => {
+  const { rows } = await client.query(
+    `SELECT * FROM product_variants
+     WHERE product_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+     ORDER BY position ASC, created_at ASC`,
+    [productId],
+  )
+  return rows.map(normalizeVariant)
+}
+
+/**
+ * Get a single variant
+ */
+export const getVariantById = async (variantId, client = database) => {
+  const { rows } = await client.query(`SELECT * FROM product_variants WHERE id = $1`, [variantId])
+  return normalizeVariant(rows[0]) || null
+}
+
+/**
+ * Get variants by ID (used when pricing and validating cart/order lines)
+ */
+export const getVariantsByIds = async (variantIds, client = database) => {
+  if (!variantIds || variantIds.length === 0) return []
+  const { rows } = await client.query(`SELECT * FROM product_variants WHERE id = ANY($1::uuid[])`, [
+    variantIds,
+  ])
+  return rows.map(normalizeVariant)
+}
+
+/**
+ * Replace the option definitions of a product
+ */
+export const replaceProductOptions = async (productId, options, client = database) => {
+  await client.query(`DELETE FROM product_options WHERE product_id = $1`, [productId])
+
+  const saved = []
+  for (const [index, option] of options.entries()) {
+    if (!option || !option.name) continue
+    const { rows } = await client.query(
+      `INSERT INTO product_options (product_id, name, "values", position)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [
+        productId,
+        String(option.name).trim(),
+        JSON.stringify(Array.isArray(option.values) ? option.values : []),
+        option.position ?? index,
+      ],
+    )
+    saved.push(rows[0])
+  }
+  return saved
+}
+
+/**
+ * Insert or update a single variant
+ */
+export const upsertVariant = async (productId, data, client = database) => {
+  const values = [
+    data.sku || null,
+    data.barcode || null,
+    JSON.stringify(data.options || {}),
+    data.price !== undefined && data.price !== '' && data.price !== null
+      ? parseFloat(data.price)
+      : null,
+    data.sale_price !== undefined && data.sale_price !== '' && data.sale_price !== null
+      ? parseFloat(data.sale_price)
+      : null,
+    parseInt(data.stock, 10) || 0,
+    JSON.stringify(Array.isArray(data.images) ? data.images : []),
+    data.is_active !== false && data.is_active !== 'false',
+    parseInt(data.position, 10) || 0,
+  ]
+
+  if (data.id) {
+    const { rows } = await client.query(
+      `UPDATE product_variants
+       SET sku = $1, barcode = $2, options = $3, price = $4, sale_price = $5, stock = $6,
+           images = $7, is_active = $8, position = $9, updated_at = NOW()
+       WHERE id = $10 AND product_id = $11
+       RETURNING *`,
+      [...values, data.id, productId],
+    )
+    return normalizeVariant(rows[0]) || null
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO product_variants (sku, barcode, options, price, sale_price, stock, images, is_active, position, product_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [...values, productId],
+  )
+  return normalizeVariant(rows[0])
+}
+
+/**
+ * Sync the full variant list of a product: variants with an id are updated,
+ * variants without one are created and variants missing from the list are removed
+ */
+export const syncProductVariants = async (productId, variants, client = database) => {
+  const keepIds = variants.filter((v) => v && v.id).map((v) => v.id)
+
+  await client.query(
+    `DELETE FROM product_variants WHERE product_id = $1 AND NOT (id = ANY($2::uuid[]))`,
+    [productId, keepIds],
+  )
+
+  const saved = []
+  for (const [index, variant] of variants.entries()) {
+    if (!variant) continue
+    const row = await upsertVariant(
+      productId,
+      { ...variant, position: variant.position ?? index },
+      client,
+    )
+    if (row) saved.push(row)
+  }
+
+  await syncParentStock(productId, client)
+  return saved
+}
+
+/**
+ * Keep products.stock equal to the sum of active variant stock for variable products,
+ * so listing filters and stock badges keep working without knowing about variants
+ */
+export const syncParentStock = async (productId, client = database) => {
+  const { rows } = await client.query(
+    `UPDATE products
+     SET stock = COALESCE((SELECT SUM(stock) FROM product_variants WHERE product_id = $1 AND is_active = true), 0),
+         updated_at = NOW()
+     WHERE id = $1 AND product_type = 'variable'
+     RETURNING stock`,
+    [productId],
+  )
+  return rows[0]?.stock
+}
+
+/**
+ * Delete a variant
+ */
+export const deleteVariant = async (variantId, client = database) => {
+  const { rows } = await client.query(`DELETE FROM product_variants WHERE id = $1 RETURNING *`, [
+    variantId,
+  ])
+  if (rows[0]) {
+    await syncParentStock(rows[0].product_id, client)
+  }
+  return normalizeVariant(rows[0]) || null
+}
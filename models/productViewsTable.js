@@ -0,0 +1,164 @@
+import database from '../database/db.js'
+
+// Recently viewed products kept per shopper
+export const MAX_VIEWED_PRODUCTS = 50
+
+/**
+ * Create the browsing history table
+ * One row per (shopper, product): signed-in shoppers by user_id, guests by the visitor_id
+ * cookie. Guest rows move to the account when the guest logs in.
+ */
+export async function createProductViewsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS product_views (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        visitor_id UUID,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        view_count INT NOT NULL DEFAULT 1,
+        first_viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (user_id IS NOT NULL OR visitor_id IS NOT NULL)
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_product_views_user_product
+       ON product_views(user_id, product_id) WHERE user_id IS NOT NULL`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_product_views_visitor_product
+       ON product_views(visitor_id, product_id) WHERE user_id IS NULL`,
+      `CREATE INDEX IF NOT EXISTS idx_product_views_user_recent
+       ON product_views(user_id, last_viewed_at DESC)`,
+      `CREATE INDEX IF NOT EXISTS idx_product_views_visitor_recent
+       ON product_views(visitor_id, last_viewed_at DESC)`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Product views table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Product Views Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * WHERE clause selecting one shopper's rows: { userId } or { visitorId }
+ * Pushes the id onto values
+ */
+const ownerCondition = ({ userId, visitorId }, values, alias = '') => {
+  values.push(userId || visitorId)
+  return userId
+    ? `${alias}user_id = $${values.length}`
+    : `${alias}user_id IS NULL AND ${alias}visitor_id = $${values.length}`
+}
+
+/**
+ * Record a product view for a shopper and keep only their latest MAX_VIEWED_PRODUCTS products
+ */
+export const recordProductView = async ({ userId, visitorId, productId }, client = database) => {
+  if (userId) {
+    await client.query(
+      `INSERT INTO product_views (user_id, product_id) VALUES ($1, $2)
+       ON CONFLICT (user_id, product_id) WHERE user_id IS NOT NULL
+       DO UPDATE SET view_count = product_views.view_count + 1, last_viewed_at = NOW()`,
+      [userId, productId],
+    )
+  } else {
+    await client.query(
+      `INSERT INTO product_views (visitor_id, product_id) VALUES ($1, $2)
+       ON CONFLICT (visitor_id, product_id) WHERE user_id IS NULL
+       DO UPDATE SET view_count = product_views.view_count + 1, last_viewed_at = NOW()`,
+      [visitorId, productId],
+    )
+  }
+
+  const values = []
+  const owner = ownerCondition({ userId, visitorId }, values)
+  values.push(MAX_VIEWED_PRODUCTS)
+  await client.query(
+    `DELETE FROM product_views
+     WHERE ${owner} AND id NOT IN (
+       SELECT id FROM product_views WHERE ${owner}
+       ORDER BY last_viewed_at DESC LIMIT $${values.length}
+     )`,
+    values,
+  )
+}
+
+/**
+ * A shopper's recently viewed products, most recent first
+ */
+export const getRecentlyViewed = async (owner, limit, client = database) => {
+  const values = []
+  const condition = ownerCondition(owner, values, 'v.')
+  values.push(limit)
+  const { rows } = await client.query(
+    `SELECT p.id, p.name, p.price, p.sale_price, p.category, p.ratings, p.images, p.stock,
+            v.view_count, v.last_viewed_at
+     FROM product_views v
+     JOIN products p ON p.id = v.product_id
+     WHERE ${condition}
+     ORDER BY v.last_viewed_at DESC
+     LIMIT $${values.length}`,
+    values,
+  )
+  return rows
+}
+
+/**
+ * Forget a shopper's browsing history; returns the number of products removed
+ */
+export const clearRecentlyViewed = async (owner, client = database) => {
+  const values = []
+  const result = await client.query(
+    `DELETE FROM product_views WHERE ${ownerCondition(owner, values)}`,
+    values,
+  )
+  return result.rowCount
+}
+
+/**
+ * Categories a shopper browsed most recently (for feeds of shoppers without orders)
+ */
+export const getViewedCategories = async (owner, limit, client = database) => {
+  const values = []
+  const condition = ownerCondition(owner, values, 'v.')
+  values.push(limit)
+  const { rows } = await client.query(
+    `SELECT p.category
+     FROM product_views v
+     JOIN products p ON p.id = v.product_id
+     WHERE ${condition} AND p.category IS NOT NULL
+     GROUP BY p.category
+     ORDER BY MAX(v.last_viewed_at) DESC
+     LIMIT $${values.length}`,
+    values,
+  )
+  return rows.map((row) => row.category)
+}
+
+/**
+ * Move a guest's browsing history into their account (on login)
+ * Products viewed both ways keep the later view time and the summed count
+ */
+export const mergeVisitorViews = async (visitorId, userId, client = database) => {
+  const merged = await client.query(
+    `INSERT INTO product_views (user_id, product_id, view_count, first_viewed_at, last_viewed_at)
+     SELECT $2, product_id, view_count, first_viewed_at, last_viewed_at
+     FROM product_views
+     WHERE visitor_id = $1 AND user_id IS NULL
+     ON CONFLICT (user_id, product_id) WHERE user_id IS NOT NULL
+     DO UPDATE SET
+       view_count = product_views.view_count + EXCLUDED.view_count,
+       first_viewed_at = LEAST(product_views.first_viewed_at, EXCLUDED.first_viewed_at),
+       last_viewed_at = GREATEST(product_views.last_viewed_at, EXCLUDED.last_viewed_at)`,
+    [visitorId, userId],
+  )
+  await client.query('DELETE FROM product_views WHERE visitor_id = $1 AND user_id IS NULL', [
+    visitorId,
+  ])
+  return merged.rowCount
+}
@@ -0,0 +1,186 @@
+import database from '../database/db.js'
+
+/**
+ * Create search analytics tables
+ * search_queries: one row per storefront search with its result count; the first product
+ * clicked from the results (and the number of clicks) is filled in by POST /search/click
+ * search_rules: synonyms ("mobile" also finds "smartphone") and redirects ("sale" -> /promotions)
+ */
+export async function createSearchAnalyticsTables() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS search_queries (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        query VARCHAR(500) NOT NULL,
+        normalized_query VARCHAR(255) NOT NULL,
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        session_id VARCHAR(100),
+        filters JSONB DEFAULT '{}'::jsonb,
+        result_count INT NOT NULL DEFAULT 0,
+        redirected_to VARCHAR(500),
+        click_count INT NOT NULL DEFAULT 0,
+        clicked_product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+        clicked_position INT,
+        clicked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS search_rules (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        term VARCHAR(255) NOT NULL UNIQUE,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('synonym', 'redirect')),
+        synonyms JSONB DEFAULT '[]'::jsonb,
+        redirect_url VARCHAR(500),
+        is_active BOOLEAN DEFAULT true,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (type <> 'redirect' OR redirect_url IS NOT NULL)
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_search_queries_created ON search_queries(created_at DESC)`,
+      `CREATE INDEX IF NOT EXISTS idx_search_queries_normalized ON search_queries(normalized_query, created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_search_queries_zero ON search_queries(created_at) WHERE result_count = 0`,
+    ]
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    console.log('✅ Search analytics tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Search Analytics Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Active synonym and redirect rules (a small table, read on every search)
+ */
+export const getActiveSearchRules = async (client = database) => {
+  const { rows } = await client.query(
+    `SELECT id, term, type, synonyms, redirect_url, is_active
+     FROM search_rules WHERE is_active = true`,
+  )
+  return rows
+}
+
+/**
+ * Record a search; returns its id so the storefront can report the clicked product
+ */
+export const logSearchQuery = async (
+  { query, normalizedQuery, userId, sessionId, filters, resultCount, redirectedTo },
+  client = database,
+) => {
+  const { rows } = await client.query(
+    `INSERT INTO search_queries
+       (query, normalized_query, user_id, session_id, filters, result_count, redirected_to)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [
+      String(query).slice(0, 500),
+      normalizedQuery,
+      userId || null,
+      sessionId ? String(sessionId).slice(0, 100) : null,
+      JSON.stringify(filters || {}),
+      resultCount,
+      redirectedTo || null,
+    ],
+  )
+  return rows[0].id
+}
+
+/**
+ * Count a click on a search result; the first clicked product and its position are kept
+ * Clicks are only accepted for a day after the search. Returns false when there is no such search.
+ */
+export const recordSearchClick = async ({ searchId, productId, position }, client = database) => {
+  const result = await client.query(
+    `UPDATE search_queries
+     SET click_count = click_count + 1,
+         clicked_product_id = COALESCE(clicked_product_id, $2),
+         clicked_position = COALESCE(clicked_position, $3),
+         clicked_at = COALESCE(clicked_at, NOW())
+     WHERE id = $1 AND created_at >= NOW() - INTERVAL '1 day'`,
+    [searchId, productId, position],
+  )
+  return result.rowCount > 0
+}
+
+/**
+ * Most searched queries in the last `days` days with result and click-through numbers
+ */
+export const getTopSearchQueries = async ({ days, limit }, client = database) => {
+  const { rows } = await client.query(
+    `SELECT normalized_query AS query,
+            COUNT(*)::INT AS searches,
+            ROUND(AVG(result_count), 1)::FLOAT AS avg_results,
+            COUNT(*) FILTER (WHERE click_count > 0)::INT AS clicked_searches,
+            ROUND(COUNT(*) FILTER (WHERE click_count > 0)::NUMERIC / COUNT(*), 4)::FLOAT AS ctr,
+            MAX(created_at) AS last_searched_at
+     FROM search_queries
+     WHERE created_at >= NOW() - make_interval(days => $1)
+     GROUP BY normalized_query
+     ORDER BY searches DESC, normalized_query ASC
+     LIMIT $2`,
+    [days, limit],
+  )
+  return rows
+}
+
+/**
+ * Queries that found nothing in the last `days` days, with any rule already set up for them
+ */
+export const getZeroResultQueries = async ({ days, limit }, client = database) => {
+  const { rows } = await client.query(
+    `SELECT q.normalized_query AS query,
+            COUNT(*)::INT AS searches,
+            MAX(q.created_at) AS last_searched_at,
+            r.id AS rule_id,
+            r.type AS rule_type
+     FROM search_queries q
+     LEFT JOIN search_rules r ON r.term = q.normalized_query
+     WHERE q.created_at >= NOW() - make_interval(days => $1)
+       AND q.result_count = 0 AND q.redirected_to IS NULL
+     GROUP BY q.normalized_query, r.id, r.type
+     ORDER BY searches DESC, q.normalized_query ASC
+     LIMIT $2`,
+    [days, limit],
+  )
+  return rows
+}
+
+/**
+ * Daily click-through of searches in the last `days` days, and the most clicked products
+ */
+export const getSearchClickThrough = async ({ days }, client = database) => {
+  const { rows: daily } = await client.query(
+    `SELECT DATE(created_at) AS date,
+            COUNT(*)::INT AS searches,
+            COUNT(*) FILTER (WHERE click_count > 0)::INT AS clicked_searches,
+            COUNT(*) FILTER (WHERE result_count = 0)::INT AS zero_result_searches,
+            ROUND(AVG(clicked_position) FILTER (WHERE clicked_position IS NOT NULL), 1)::FLOAT
+              AS avg_click_position
+     FROM search_queries
+     WHERE created_at >= NOW() - make_interval(days => $1) AND redirected_to IS NULL
+     GROUP BY DATE(created_at)
+     ORDER BY date ASC`,
+    [days],
+  )
+
+  const { rows: products } = await client.query(
+    `SELECT q.clicked_product_id AS product_id, p.name, COUNT(*)::INT AS clicks
+     FROM search_queries q
+     JOIN products p ON p.id = q.clicked_product_id
+     WHERE q.created_at >= NOW() - make_interval(days => $1)
+     GROUP BY q.clicked_product_id, p.name
+     ORDER BY clicks DESC
+     LIMIT 10`,
+    [days],
+  )
+
+  return { daily, products }
+}
@@ -0,0 +1,99 @@
+import database from '../database/db.js'
+
+const NULL_VARIANT = `'00000000-0000-0000-0000-000000000000'::uuid`
+
+/**
+ * Create low stock alert and back-in-stock subscription tables
+ * An open low_stock_alerts row means admins were already told, so the checker
+ * only alerts again after stock recovers above the threshold and drops back
+ */
+export async function createStockAlertsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS low_stock_alerts (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+        stock INT NOT NULL,
+        threshold INT NOT NULL,
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS back_in_stock_subscriptions (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(100) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'notified', 'cancelled')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        notified_at TIMESTAMP
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_low_stock_alerts_open ON low_stock_alerts(product_id, COALESCE(variant_id, ${NULL_VARIANT})) WHERE status = 'open'`,
+      `CREATE INDEX IF NOT EXISTS idx_low_stock_alerts_status ON low_stock_alerts(status, created_at DESC);`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_back_in_stock_pending ON back_in_stock_subscriptions(user_id, product_id, COALESCE(variant_id, ${NULL_VARIANT})) WHERE status = 'pending'`,
+      `CREATE INDEX IF NOT EXISTS idx_back_in_stock_product ON back_in_stock_subscriptions(product_id, status);`,
+    ]
+
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    // Bundles are no longer checked (their components are), so close alerts opened for them
+    await database.query(`
+      UPDATE low_stock_alerts a SET status = 'resolved', resolved_at = NOW()
+      FROM products p
+      WHERE a.product_id = p.id AND a.status = 'open' AND p.product_type = 'bundle'
+    `)
+
+    console.log('✅ Stock alert tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Stock Alert Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Get low stock alerts with the product's current stock
+ */
+export const getLowStockAlerts = async ({ status = 'open', limit = 50, offset = 0 } = {}) => {
+  const { rows } = await database.query(
+    `SELECT a.*, p.name AS product_name, p.sku AS product_sku, v.sku AS variant_sku,
+            v.options AS variant_options,
+            COALESCE(v.stock, p.stock) AS current_stock
+     FROM low_stock_alerts a
+     JOIN products p ON a.product_id = p.id
+     LEFT JOIN product_variants v ON a.variant_id = v.id
+     WHERE a.status = $1
+     ORDER BY a.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset],
+  )
+  return rows
+}
+
+/**
+ * Get pending back-in-stock demand grouped by product / variant
+ */
+export const getBackInStockDemand = async () => {
+  const { rows } = await database.query(
+    `SELECT s.product_id, s.variant_id, p.name AS product_name, v.sku AS variant_sku,
+            COALESCE(v.stock, p.stock) AS current_stock,
+            COUNT(*)::INT AS subscribers,
+            MIN(s.created_at) AS oldest_request
+     FROM back_in_stock_subscriptions s
+     JOIN products p ON s.product_id = p.id
+     LEFT JOIN product_variants v ON s.variant_id = v.id
+     WHERE s.status = 'pending'
+     GROUP BY s.product_id, s.variant_id, p.name, v.sku, v.stock, p.stock
+     ORDER BY subscribers DESC`,
+  )
+  return rows
+}
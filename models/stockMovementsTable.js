@@ -0,0 +1,182 @@
+import database from '../database/db.js'
+
+/**
+ * Reason codes for stock movements
+ * initial / sale / cancellation are written by the system, the rest can be posted by admins
+ */
+export const STOCK_MOVEMENT_REASONS = [
+  'initial',
+  'sale',
+  'cancellation',
+  'return',
+  'restock',
+  'damage',
+  'manual_correction',
+]
+
+export const ADJUSTMENT_REASONS = ['return', 'restock', 'damage', 'manual_correction']
+
+/**
+ * Create the append-only stock_movements ledger
+ * product_id has no foreign key on purpose so history survives product deletion
+ */
+export async function createStockMovementsTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        product_id UUID NOT NULL,
+        variant_id UUID,
+        warehouse_id UUID,
+        quantity_change INT NOT NULL CHECK (quantity_change <> 0),
+        balance_after INT,
+        reason VARCHAR(30) NOT NULL CHECK (reason IN (${STOCK_MOVEMENT_REASONS.map((r) => `'${r}'`).join(', ')})),
+        reference_type VARCHAR(30),
+        reference_id VARCHAR(100),
+        note TEXT,
+        created_by UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, created_at DESC);`,
+      `CREATE INDEX IF NOT EXISTS idx_stock_movements_variant ON stock_movements(variant_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_stock_movements_reason ON stock_movements(reason, created_at);`,
+      `CREATE INDEX IF NOT EXISTS idx_stock_movements_reference ON stock_movements(reference_type, reference_id);`,
+    ]
+
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    // Ledger rows are never edited; corrections are new rows
+    await database.query(`
+      CREATE OR REPLACE FUNCTION prevent_stock_movement_changes() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'stock_movements is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `)
+    await database.query(
+      `DROP TRIGGER IF EXISTS trg_stock_movements_append_only ON stock_movements`,
+    )
+    await database.query(`
+      CREATE TRIGGER trg_stock_movements_append_only
+      BEFORE UPDATE OR DELETE ON stock_movements
+      FOR EACH ROW EXECUTE FUNCTION prevent_stock_movement_changes();
+    `)
+
+    await seedOpeningBalances()
+
+    console.log('✅ Stock movements table created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Stock Movements Table.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Write an 'initial' movement for stock that existed before the ledger did,
+ * so the ledger sum matches current stock from day one
+ */
+const seedOpeningBalances = async () => {
+  await database.query(`
+    INSERT INTO stock_movements (product_id, quantity_change, balance_after, reason, note)
+    SELECT p.id, p.stock, p.stock, 'initial', 'Opening balance'
+    FROM products p
+    WHERE p.stock > 0
+      AND p.product_type NOT IN ('variable', 'bundle', 'downloadable')
+      AND NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.product_id = p.id AND sm.variant_id IS NULL)
+  `)
+
+  await database.query(`
+    INSERT INTO stock_movements (product_id, variant_id, quantity_change, balance_after, reason, note)
+    SELECT v.product_id, v.id, v.stock, v.stock, 'initial', 'Opening balance'
+    FROM product_variants v
+    WHERE v.stock > 0
+      AND NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.variant_id = v.id)
+  `)
+}
+
+/**
+ * Get the movement history of a product (optionally one variant / reason)
+ */
+export const getStockMovements = async (
+  productId,
+  { variantId = null, reason = null, limit = 50, offset = 0 } = {},
+) => {
+  const conditions = ['sm.product_id = $1']
+  const values = [productId]
+
+  if (variantId) {
+    values.push(variantId)
+    conditions.push(`sm.variant_id = $${values.length}`)
+  }
+  if (reason) {
+    values.push(reason)
+    conditions.push(`sm.reason = $${values.length}`)
+  }
+
+  const whereClause = conditions.join(' AND ')
+  const count = await database.query(
+    `SELECT COUNT(*) FROM stock_movements sm WHERE ${whereClause}`,
+    values,
+  )
+
+  const { rows } = await database.query(
+    `SELECT sm.*, w.code AS warehouse_code, u.name AS created_by_name
+     FROM stock_movements sm
+     LEFT JOIN warehouses w ON sm.warehouse_id = w.id
+     LEFT JOIN users u ON sm.created_by = u.id
+     WHERE ${whereClause}
+     ORDER BY sm.created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset],
+  )
+
+  return { movements: rows, total: parseInt(count.rows[0].count, 10) }
+}
+
+/**
+ * Compare the ledger sum with current stock for every product and variant
+ * Variants are reconciled one by one; a variable product's total (the sum of its variants) is
+ * checked against the ledger rows of its current variants. Bundles and downloadable products hold no stock.
+ * Returns only the rows that disagree unless includeMatching is set
+ */
+export const getStockReconciliation = async ({ includeMatching = false } = {}) => {
+  const { rows } = await database.query(`
+    SELECT * FROM (
+      SELECT p.id AS product_id, NULL::uuid AS variant_id, p.name, p.sku, NULL::jsonb AS variant_options,
+             p.stock AS current_stock,
+             COALESCE((SELECT SUM(quantity_change) FROM stock_movements sm
+                       WHERE sm.product_id = p.id AND sm.variant_id IS NULL), 0)::INT AS ledger_stock
+      FROM products p
+      WHERE p.product_type NOT IN ('variable', 'bundle', 'downloadable')
+      UNION ALL
+      SELECT p.id AS product_id, NULL::uuid AS variant_id, p.name, p.sku, NULL::jsonb AS variant_options,
+             p.stock AS current_stock,
+             COALESCE((SELECT SUM(quantity_change) FROM stock_movements sm
+                       WHERE sm.product_id = p.id
+                         AND (sm.variant_id IS NULL OR sm.variant_id IN
+                              (SELECT id FROM product_variants WHERE product_id = p.id))), 0)::INT AS ledger_stock
+      FROM products p
+      WHERE p.product_type = 'variable'
+      UNION ALL
+      SELECT v.product_id, v.id AS variant_id, p.name, v.sku, v.options AS variant_options,
+             v.stock AS current_stock,
+             COALESCE((SELECT SUM(quantity_change) FROM stock_movements sm
+                       WHERE sm.product_id = v.product_id AND sm.variant_id = v.id), 0)::INT AS ledger_stock
+      FROM product_variants v
+      JOIN products p ON v.product_id = p.id
+    ) r
+    ${includeMatching ? '' : 'WHERE r.current_stock <> r.ledger_stock'}
+    ORDER BY r.name ASC, r.variant_id NULLS FIRST
+  `)
+
+  return rows.map((row) => ({
+    ...row,
+    difference: row.current_stock - row.ledger_stock,
+    in_sync: row.current_stock === row.ledger_stock,
+  }))
+}
@@ -141,7 +141,7 @@ export const deleteSubcategory = async (subcategoryId) => {
 }
 
 /**
- * Get categories with their subcategories
+ * Get top-level categories with their direct children (from the categories tree)
  */
 export const getCategoriesWithSubcategories = async () => {
   const { rows } = await database.query(`
@@ -171,8 +171,8 @@ export const getCategoriesWithSubcategories = async () => {
         END
       ) FILTER (WHERE s.id IS NOT NULL), '[]'::json) as subcategories
     FROM categories c
-    LEFT JOIN subcategories s ON c.id::text = s.category_id AND s.is_active = true
-    WHERE c.is_active = true
+    LEFT JOIN categories s ON s.parent_id = c.id AND s.is_active = true
+    WHERE c.is_active = true AND c.parent_id IS NULL
     GROUP BY c.id, c.name, c.slug, c.description, c.icon, c.image_url, c.position, c.is_active, c.created_at, c.updated_at
     ORDER BY c.position ASC, c.created_at DESC
   `)
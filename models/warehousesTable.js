@@ -0,0 +1,134 @@
+import database from '../database/db.js'
+
+const NULL_VARIANT = `'00000000-0000-0000-0000-000000000000'::uuid`
+
+/**
+ * Create warehouse, per-location inventory and stock reservation tables
+ * products.stock / product_variants.stock stay the sellable total and equal
+ * the sum of inventory_levels for any product that has location rows
+ */
+export async function createWarehousesTable() {
+  try {
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS warehouses (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        code VARCHAR(50) UNIQUE NOT NULL,
+        address TEXT,
+        city VARCHAR(100),
+        phone VARCHAR(30),
+        priority INT DEFAULT 0,
+        is_default BOOLEAN DEFAULT false,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS inventory_levels (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+        quantity INT NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+
+    await database.query(`
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+        order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        user_id UUID,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+        warehouse_id UUID REFERENCES warehouses(id) ON DELETE SET NULL,
+        quantity INT NOT NULL CHECK (quantity > 0),
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'committed', 'released', 'expired')),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        released_at TIMESTAMP
+      );
+    `)
+
+    const indexQueries = [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_levels_location ON inventory_levels(warehouse_id, product_id, COALESCE(variant_id, ${NULL_VARIANT}))`,
+      `CREATE INDEX IF NOT EXISTS idx_inventory_levels_product ON inventory_levels(product_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_stock_reservations_order ON stock_reservations(order_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_stock_reservations_active ON stock_reservations(status, expires_at);`,
+    ]
+
+    for (const indexQuery of indexQueries) {
+      await database.query(indexQuery)
+    }
+
+    // Every store needs at least one location; existing stock is assigned to it
+    await database.query(`
+      INSERT INTO warehouses (name, code, is_default, priority)
+      SELECT 'Main Warehouse', 'MAIN', true, 0
+      WHERE NOT EXISTS (SELECT 1 FROM warehouses)
+    `)
+
+    await seedDefaultInventoryLevels()
+
+    console.log('✅ Warehouses and inventory tables created successfully')
+  } catch (error) {
+    console.error('❌ Failed To Create Warehouses Tables.', error)
+    // Continue without exiting - database may be unavailable
+  }
+}
+
+/**
+ * Put the stock of products that have no location rows yet into the default warehouse
+ */
+const seedDefaultInventoryLevels = async () => {
+  const warehouse = await getDefaultWarehouse()
+  if (!warehouse) return
+
+  await database.query(
+    `INSERT INTO inventory_levels (warehouse_id, product_id, variant_id, quantity)
+     SELECT $1, p.id, NULL, p.stock
+     FROM products p
+     WHERE p.product_type NOT IN ('variable', 'bundle', 'downloadable')
+       AND NOT EXISTS (SELECT 1 FROM inventory_levels il WHERE il.product_id = p.id)`,
+    [warehouse.id],
+  )
+
+  await database.query(
+    `INSERT INTO inventory_levels (warehouse_id, product_id, variant_id, quantity)
+     SELECT $1, v.product_id, v.id, v.stock
+     FROM product_variants v
+     WHERE NOT EXISTS (SELECT 1 FROM inventory_levels il WHERE il.variant_id = v.id)`,
+    [warehouse.id],
+  )
+}
+
+/**
+ * Get the default warehouse (falls back to the highest priority active one)
+ */
+export const getDefaultWarehouse = async (client = database) => {
+  const { rows } = await client.query(
+    `SELECT * FROM warehouses
+     WHERE is_active = true
+     ORDER BY is_default DESC, priority ASC, created_at ASC
+     LIMIT 1`,
+  )
+  return rows[0] || null
+}
+
+/**
+ * Get per-location stock for a product or a single variant
+ */
+export const getInventoryLevels = async (productId, variantId = null, client = database) => {
+  const { rows } = await client.query(
+    `SELECT il.*, w.name AS warehouse_name, w.code AS warehouse_code, w.priority
+     FROM inventory_levels il
+     JOIN warehouses w ON il.warehouse_id = w.id
+     WHERE il.product_id = $1
+       AND ($2::uuid IS NULL OR il.variant_id = $2::uuid)
+     ORDER BY w.is_default DESC, w.priority ASC`,
+    [productId, variantId],
+  )
+  return rows
+}
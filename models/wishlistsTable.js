@@ -0,0 +1,264 @@
+import database from '../database/db.js'
+import { SPECIAL_WISHLIST_NAMES } from '../utils/wishlists.js'
+
+/**
+ * Wishlists and their items. The tables are created in database/alterUsersTable.js.
+ * Every wishlist_items row belongs to one list (list_id) and keeps user_id of the list owner.
+ */
+
+const ITEM_COLUMNS = `w.id, w.list_id, w.product_id, w.variant_id, w.quantity, w.price_at_add, w.created_at,
+  p.name, p.price, p.sale_price, p.brand, p.images, p.category, p.ratings, p.stock, p.product_type,
+  v.options AS variant_options, v.price AS variant_price, v.sale_price AS variant_sale_price,
+  v.stock AS variant_stock, v.images AS variant_images`
+
+/**
+ * The shopper's default or saved-for-later list, created on first use
+ */
+export const getSpecialWishlist = async (userId, kind, client = database) => {
+  await client.query(
+    `INSERT INTO wishlists (user_id, name, kind) VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING`,
+    [userId, SPECIAL_WISHLIST_NAMES[kind], kind],
+  )
+  const { rows } = await client.query('SELECT * FROM wishlists WHERE user_id = $1 AND kind = $2', [
+    userId,
+    kind,
+  ])
+  return rows[0]
+}
+
+/**
+ * The shopper's lists with item counts: default first, then saved for later, then by name
+ */
+export const getUserWishlists = async (userId) => {
+  const { rows } = await database.query(
+    `SELECT l.id, l.name, l.kind, l.is_public, l.share_token, l.created_at, l.updated_at,
+            COUNT(w.id)::INT AS item_count
+     FROM wishlists l
+     LEFT JOIN wishlist_items w ON w.list_id = l.id
+     WHERE l.user_id = $1
+     GROUP BY l.id
+     ORDER BY CASE l.kind WHEN 'default' THEN 0 WHEN 'saved_for_later' THEN 1 ELSE 2 END,
+              LOWER(l.name)`,
+    [userId],
+  )
+  return rows
+}
+
+/**
+ * A list by id, only when it belongs to the shopper, or null
+ */
+export const getOwnWishlist = async (listId, userId, client = database) => {
+  const { rows } = await client.query('SELECT * FROM wishlists WHERE id = $1 AND user_id = $2', [
+    listId,
+    userId,
+  ])
+  return rows[0] || null
+}
+
+/**
+ * A public list by its share token with the owner's name, or null
+ */
+export const getSharedWishlist = async (shareToken) => {
+  const { rows } = await database.query(
+    `SELECT l.id, l.name, l.kind, l.created_at, u.name AS owner_name
+     FROM wishlists l JOIN users u ON u.id = l.user_id
+     WHERE l.share_token = $1 AND l.is_public = true`,
+    [shareToken],
+  )
+  return rows[0] || null
+}
+
+export const countUserWishlists = async (userId) => {
+  const { rows } = await database.query(
+    'SELECT COUNT(*)::INT AS count FROM wishlists WHERE user_id = $1',
+    [userId],
+  )
+  return rows[0].count
+}
+
+/**
+ * Create a named list; returns null when the shopper already has a list with that name
+ */
+export const createWishlist = async (userId, { name, isPublic }) => {
+  const { rows } = await database.query(
+    `INSERT INTO wishlists (user_id, name, kind, is_public) VALUES ($1, $2, 'custom', $3)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [userId, name, isPublic],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Rename a list and / or change its visibility; fields left undefined are kept
+ */
+export const updateWishlist = async (listId, userId, { name, isPublic }) => {
+  const { rows } = await database.query(
+    `UPDATE wishlists
+     SET name = COALESCE($3, name), is_public = COALESCE($4, is_public), updated_at = NOW()
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [listId, userId, name ?? null, isPublic ?? null],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Delete a named list and its items (the default and saved-for-later lists stay)
+ */
+export const deleteWishlist = async (listId, userId) => {
+  const result = await database.query(
+    `DELETE FROM wishlists WHERE id = $1 AND user_id = $2 AND kind = 'custom'`,
+    [listId, userId],
+  )
+  return result.rowCount > 0
+}
+
+/**
+ * Item rows of some lists with product and variant details, newest first
+ */
+export const getWishlistItemRows = async (listIds) => {
+  const { rows } = await database.query(
+    `SELECT ${ITEM_COLUMNS}
+     FROM wishlist_items w
+     JOIN products p ON p.id = w.product_id
+     LEFT JOIN product_variants v ON v.id = w.variant_id
+     WHERE w.list_id = ANY($1::uuid[])
+     ORDER BY w.created_at DESC`,
+    [listIds],
+  )
+  return rows
+}
+
+/**
+ * One of the shopper's items with product details, or null
+ */
+export const getOwnWishlistItem = async (itemId, userId, client = database) => {
+  const { rows } = await client.query(
+    `SELECT ${ITEM_COLUMNS}, p.sold_individually
+     FROM wishlist_items w
+     JOIN products p ON p.id = w.product_id
+     LEFT JOIN product_variants v ON v.id = w.variant_id
+     WHERE w.id = $1 AND w.user_id = $2`,
+    [itemId, userId],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Add a product (or variant) to a list
+ * Returns the new item, or null when the list already holds it
+ */
+export const addWishlistItem = async (
+  { userId, listId, productId, variantId = null, quantity = 1, priceAtAdd },
+  client = database,
+) => {
+  const { rows } = await client.query(
+    `INSERT INTO wishlist_items (user_id, list_id, product_id, variant_id, quantity, price_at_add, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+     ON CONFLICT DO NOTHING
+     RETURNING id, list_id, product_id, variant_id, quantity, price_at_add, created_at`,
+    [userId, listId, productId, variantId, quantity, priceAtAdd],
+  )
+  return rows[0] || null
+}
+
+/**
+ * Put a cart line on the saved-for-later list (quantities add up when it is already there)
+ */
+export const saveItemForLater = async (
+  { userId, listId, productId, variantId, quantity, priceAtAdd },
+  client,
+) => {
+  const { rows } = await client.query(
+    `INSERT INTO wishlist_items (user_id, list_id, product_id, variant_id, quantity, price_at_add, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+     ON CONFLICT (list_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+     DO UPDATE SET quantity = wishlist_items.quantity + EXCLUDED.quantity, updated_at = NOW()
+     RETURNING id, list_id, product_id, variant_id, quantity, price_at_add, created_at`,
+    [userId, listId, productId, variantId, quantity, priceAtAdd],
+  )
+  return rows[0]
+}
+
+/**
+ * Remove a product from one of the shopper's lists; returns the rows removed
+ */
+export const removeWishlistProduct = async (userId, listId, productId) => {
+  const result = await database.query(
+    `DELETE FROM wishlist_items WHERE user_id = $1 AND list_id = $2 AND product_id = $3`,
+    [userId, listId, productId],
+  )
+  return result.rowCount
+}
+
+export const deleteWishlistItem = async (itemId, client = database) => {
+  await client.query('DELETE FROM wishlist_items WHERE id = $1', [itemId])
+}
+
+/**
+ * Items on the shopper's wishlists (saved-for-later items are not counted)
+ */
+export const countWishlistItems = async (userId) => {
+  const { rows } = await database.query(
+    `SELECT COUNT(*)::INT AS count
+     FROM wishlist_items w JOIN wishlists l ON l.id = w.list_id
+     WHERE w.user_id = $1 AND l.kind <> 'saved_for_later'`,
+    [userId],
+  )
+  return rows[0].count
+}
+
+/**
+ * Wishlist items watched for price drops (owner opted in, a price to compare against),
+ * optionally for a few products only
+ */
+export const getPriceWatchRows = async (productIds = null) => {
+  const { rows } = await database.query(
+    `SELECT ${ITEM_COLUMNS}, w.user_id, w.last_notified_price, l.name AS list_name,
+            u.name AS user_name, u.email, COALESCE(u.email_notifications, true) AS email_notifications
+     FROM wishlist_items w
+     JOIN wishlists l ON l.id = w.list_id
+     JOIN users u ON u.id = w.user_id
+     JOIN products p ON p.id = w.product_id
+     LEFT JOIN product_variants v ON v.id = w.variant_id
+     WHERE COALESCE(u.price_drop_alerts, true) = true
+       AND COALESCE(w.last_notified_price, w.price_at_add) IS NOT NULL
+       AND (w.variant_id IS NULL OR v.is_active = true)
+       ${productIds ? 'AND w.product_id = ANY($1::uuid[])' : ''}
+     ORDER BY w.user_id, w.created_at ASC`,
+    productIds ? [productIds] : [],
+  )
+  return rows
+}
+
+/**
+ * Record the prices shoppers are being told about
+ * Only items still priced above the new price are claimed, so two runs never alert twice;
+ * returns the ids claimed
+ */
+export const claimPriceAlerts = async (itemIds, prices) => {
+  const { rows } = await database.query(
+    `UPDATE wishlist_items w
+     SET last_notified_price = x.price, price_alerted_at = NOW()
+     FROM unnest($1::uuid[], $2::numeric[]) AS x(id, price)
+     WHERE w.id = x.id AND COALESCE(w.last_notified_price, w.price_at_add) > x.price
+     RETURNING w.id`,
+    [itemIds, prices],
+  )
+  return rows.map((row) => row.id)
+}
+
+/**
+ * Move the alert baseline up after a price rose again (e.g. a sale ended), so the next
+ * drop is measured from the new price
+ */
+export const raisePriceAlertBaselines = async (itemIds, prices) => {
+  await database.query(
+    `UPDATE wishlist_items w SET last_notified_price = x.price
+     FROM unnest($1::uuid[], $2::numeric[]) AS x(id, price)
+     WHERE w.id = x.id AND w.last_notified_price < x.price`,
+    [itemIds, prices],
+  )
+}
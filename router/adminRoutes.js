@@ -21,7 +21,6 @@ import {
   updateProduct,
   deleteProduct,
   fetchSingleProduct,
-  bulkImportProducts,
 } from '../controllers/productController.js'
 import {
   getShopInfo,
@@ -58,6 +57,26 @@ import {
   deletePromotion,
   getPromotionAnalytics,
 } from '../controllers/promotionController.js'
+import {
+  fetchPriceRules,
+  fetchPriceRule,
+  createPriceRule,
+  updatePriceRule,
+  deletePriceRule,
+} from '../controllers/priceRuleController.js'
+import {
+  fetchAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../controllers/categoryController.js'
+import {
+  fetchAttributes,
+  createAttribute,
+  updateAttribute,
+  deleteAttribute,
+  updateCategoryAttributes,
+} from '../controllers/productAttributeController.js'
 import {
   getSubcategoriesByCategory_Controller,
   createSubcategory_Controller,
@@ -66,6 +85,45 @@ import {
   reorderSubcategories_Controller,
   getCategoriesWithSubcategories_Controller,
 } from '../controllers/subcategoryController.js'
+import {
+  getWarehouses,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+  getProductInventory,
+  setProductInventory,
+  getReservations,
+  releaseOrderReservations,
+} from '../controllers/warehouseController.js'
+import {
+  createStockAdjustment,
+  getProductStockMovements,
+  getInventoryReconciliation,
+} from '../controllers/inventoryController.js'
+import {
+  fetchLowStockAlerts,
+  fetchBackInStockDemand,
+  triggerStockAlertChecks,
+} from '../controllers/stockAlertController.js'
+import {
+  getFeedCategoryMappings,
+  updateFeedCategoryMappings,
+} from '../controllers/productFeedController.js'
+import {
+  fetchTopSearchQueries,
+  fetchZeroResultQueries,
+  fetchSearchClickThrough,
+  fetchSearchRules,
+  createSearchRule,
+  updateSearchRule,
+  deleteSearchRule,
+} from '../controllers/searchAnalyticsController.js'
+import {
+  fetchQaModerationQueue,
+  moderateProductQuestion,
+  moderateProductAnswer,
+} from '../controllers/productQuestionController.js'
+import { triggerRecommendationRecompute } from '../controllers/premiumFeaturesController.js'
 import { authorizedRoles, isAuthenticated } from '../middlewares/authMiddleware.js'
 
 const router = express.Router()
@@ -154,7 +212,30 @@ router.post(
 router.get('/settings/menus', isAuthenticated, authorizedRoles('Admin'), getMenus)
 router.post('/settings/menus', isAuthenticated, authorizedRoles('Admin'), updateMenus)
 
-// Categories management (admin)
+// Category tree (nested categories referenced by products.category_id)
+router.get('/categories', isAuthenticated, authorizedRoles('Admin'), fetchAdminCategories)
+router.post('/categories', isAuthenticated, authorizedRoles('Admin'), createCategory)
+router.put('/categories/:categoryId', isAuthenticated, authorizedRoles('Admin'), updateCategory)
+router.delete('/categories/:categoryId', isAuthenticated, authorizedRoles('Admin'), deleteCategory)
+router.put(
+  '/categories/:categoryId/attributes',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  updateCategoryAttributes,
+)
+
+// Typed product attributes used for faceted filtering
+router.get('/attributes', isAuthenticated, authorizedRoles('Admin'), fetchAttributes)
+router.post('/attributes', isAuthenticated, authorizedRoles('Admin'), createAttribute)
+router.put('/attributes/:attributeId', isAuthenticated, authorizedRoles('Admin'), updateAttribute)
+router.delete(
+  '/attributes/:attributeId',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  deleteAttribute,
+)
+
+// Categories management (admin, legacy settings format - saved categories are copied into the tree)
 router.get('/settings/categories', isAuthenticated, authorizedRoles('Admin'), getCategories)
 router.post('/settings/categories', isAuthenticated, authorizedRoles('Admin'), updateCategories)
 
@@ -222,6 +303,43 @@ router.get(
   getCategorySalesAnalytics,
 )
 
+// Search analytics and synonym / redirect rules
+router.get('/search/top-queries', isAuthenticated, authorizedRoles('Admin'), fetchTopSearchQueries)
+router.get(
+  '/search/zero-results',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  fetchZeroResultQueries,
+)
+router.get('/search/ctr', isAuthenticated, authorizedRoles('Admin'), fetchSearchClickThrough)
+router.get('/search/rules', isAuthenticated, authorizedRoles('Admin'), fetchSearchRules)
+router.post('/search/rules', isAuthenticated, authorizedRoles('Admin'), createSearchRule)
+router.put('/search/rules/:ruleId', isAuthenticated, authorizedRoles('Admin'), updateSearchRule)
+router.delete('/search/rules/:ruleId', isAuthenticated, authorizedRoles('Admin'), deleteSearchRule)
+
+// Product Q&A moderation
+router.get('/questions', isAuthenticated, authorizedRoles('Admin'), fetchQaModerationQueue)
+router.put(
+  '/questions/:questionId/moderate',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  moderateProductQuestion,
+)
+router.put(
+  '/answers/:answerId/moderate',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  moderateProductAnswer,
+)
+
+// Offline recommendation engine
+router.post(
+  '/recommendations/recompute',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  triggerRecommendationRecompute,
+)
+
 // Activity feed endpoint
 router.get(
   '/dashboard/activity',
@@ -248,6 +366,78 @@ router.get(
   getPromotionAnalytics,
 )
 
+// Scheduled price rules (flash sales)
+router.get('/price-rules', isAuthenticated, authorizedRoles('Admin'), fetchPriceRules)
+router.get('/price-rules/:ruleId', isAuthenticated, authorizedRoles('Admin'), fetchPriceRule)
+router.post('/price-rules', isAuthenticated, authorizedRoles('Admin'), createPriceRule)
+router.put('/price-rules/:ruleId', isAuthenticated, authorizedRoles('Admin'), updatePriceRule)
+router.delete('/price-rules/:ruleId', isAuthenticated, authorizedRoles('Admin'), deletePriceRule)
+
+// Warehouses & per-location inventory
+router.get('/warehouses', isAuthenticated, authorizedRoles('Admin'), getWarehouses)
+router.post('/warehouses', isAuthenticated, authorizedRoles('Admin'), createWarehouse)
+router.put('/warehouses/:warehouseId', isAuthenticated, authorizedRoles('Admin'), updateWarehouse)
+router.delete(
+  '/warehouses/:warehouseId',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  deleteWarehouse,
+)
+router.get(
+  '/inventory/reconciliation',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  getInventoryReconciliation,
+)
+router.get('/inventory/low-stock', isAuthenticated, authorizedRoles('Admin'), fetchLowStockAlerts)
+router.get(
+  '/inventory/back-in-stock',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  fetchBackInStockDemand,
+)
+router.post(
+  '/inventory/alerts/run',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  triggerStockAlertChecks,
+)
+router.get('/inventory/:productId', isAuthenticated, authorizedRoles('Admin'), getProductInventory)
+router.put('/inventory/:productId', isAuthenticated, authorizedRoles('Admin'), setProductInventory)
+router.get(
+  '/inventory/:productId/movements',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  getProductStockMovements,
+)
+router.post(
+  '/inventory/:productId/adjustments',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  createStockAdjustment,
+)
+router.get('/reservations', isAuthenticated, authorizedRoles('Admin'), getReservations)
+router.post(
+  '/reservations/:orderId/release',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  releaseOrderReservations,
+)
+
+// Product feed category mapping (Google / Facebook)
+router.get(
+  '/feeds/:channel/categories',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  getFeedCategoryMappings,
+)
+router.put(
+  '/feeds/:channel/categories',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  updateFeedCategoryMappings,
+)
+
 // Diagnostic endpoint for debugging
 router.get(
   '/diagnostic/settings-test',
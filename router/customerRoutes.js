@@ -11,6 +11,7 @@ import {
   getCustomerProfile,
   updateCustomerProfile,
   getCustomerAddresses,
+  getCustomerDownloads,
 } from '../controllers/customerController.js'
 import { isAuthenticated } from '../middlewares/authMiddleware.js'
 import { validateRequest } from '../middlewares/validationMiddleware.js'
@@ -32,4 +33,7 @@ router.get('/orders/:orderId', getOrderDetails)
 // Addresses route
 router.get('/addresses', getCustomerAddresses)
 
+// Purchased downloadable files
+router.get('/downloads', getCustomerDownloads)
+
 export default router
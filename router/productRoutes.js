@@ -8,7 +8,6 @@ import {
   postProductReview,
   deleteReview,
   fetchAIFilteredProducts,
-  bulkImportProducts,
   duplicateProduct,
   getProductReviews,
   updateReviewStatus,
@@ -17,6 +16,9 @@ import {
   searchSuggestions,
   trendingProducts,
   markReviewHelpful,
+  fetchProductVariants,
+  saveProductVariant,
+  deleteProductVariant,
 } from '../controllers/productController.js'
 import {
   getWishlist,
@@ -24,6 +26,24 @@ import {
   removeFromWishlist,
   getWishlistCount,
 } from '../controllers/wishlistController.js'
+import {
+  importProducts,
+  fetchImportJobs,
+  fetchImportJob,
+  downloadImportTemplate,
+} from '../controllers/productImportController.js'
+import { exportProducts } from '../controllers/productExportController.js'
+import { fetchProductBundle, saveProductBundle } from '../controllers/productBundleController.js'
+import {
+  deleteProductFile,
+  fetchProductFiles,
+  uploadProductFile,
+} from '../controllers/productDownloadController.js'
+import { updateProductAttributes } from '../controllers/productAttributeController.js'
+import {
+  subscribeBackInStock,
+  unsubscribeBackInStock,
+} from '../controllers/stockAlertController.js'
 import { getShopInfo, getHeroSlides } from '../controllers/settingsController.js'
 import { authorizedRoles, isAuthenticated } from '../middlewares/authMiddleware.js'
 import { validateRequest } from '../middlewares/validationMiddleware.js'
@@ -55,7 +75,11 @@ router.delete('/admin/delete/:productId', isAuthenticated, authorizedRoles('Admi
 router.post('/ai-search', isAuthenticated, fetchAIFilteredProducts)
 
 // Enhanced product management endpoints
-router.post('/import', isAuthenticated, authorizedRoles('Admin'), bulkImportProducts)
+router.post('/import', isAuthenticated, authorizedRoles('Admin'), importProducts)
+router.get('/import/template', isAuthenticated, authorizedRoles('Admin'), downloadImportTemplate)
+router.get('/import/jobs', isAuthenticated, authorizedRoles('Admin'), fetchImportJobs)
+router.get('/import/jobs/:jobId', isAuthenticated, authorizedRoles('Admin'), fetchImportJob)
+router.get('/export', isAuthenticated, authorizedRoles('Admin'), exportProducts)
 router.post('/:productId/duplicate', isAuthenticated, authorizedRoles('Admin'), duplicateProduct)
 router.get(
   '/:productId/admin/reviews',
@@ -72,6 +96,53 @@ router.patch(
 router.delete('/review/:reviewId', isAuthenticated, authorizedRoles('Admin'), adminDeleteReview)
 router.get('/:productId/analytics', isAuthenticated, authorizedRoles('Admin'), getProductAnalytics)
 
+// Variant endpoints
+router.get('/:productId/variants', fetchProductVariants)
+router.post(
+  '/admin/:productId/variants',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  saveProductVariant,
+)
+router.put(
+  '/admin/:productId/variants/:variantId',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  saveProductVariant,
+)
+router.delete(
+  '/admin/:productId/variants/:variantId',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  deleteProductVariant,
+)
+
+// Bundle endpoints
+router.get('/:productId/bundle', fetchProductBundle)
+router.put('/admin/:productId/bundle', isAuthenticated, authorizedRoles('Admin'), saveProductBundle)
+
+// Downloadable product files (stored privately, served through /api/v1/downloads)
+router.get('/admin/:productId/files', isAuthenticated, authorizedRoles('Admin'), fetchProductFiles)
+router.post('/admin/:productId/files', isAuthenticated, authorizedRoles('Admin'), uploadProductFile)
+router.delete(
+  '/admin/:productId/files/:fileId',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  deleteProductFile,
+)
+
+// Attribute values (typed per category, used by search facets)
+router.put(
+  '/admin/:productId/attributes',
+  isAuthenticated,
+  authorizedRoles('Admin'),
+  updateProductAttributes,
+)
+
+// Back-in-stock notifications
+router.post('/:productId/back-in-stock', isAuthenticated, subscribeBackInStock)
+router.delete('/:productId/back-in-stock', isAuthenticated, unsubscribeBackInStock)
+
 // Search endpoints
 router.get('/search/suggestions', searchSuggestions)
 router.get('/search/trending', trendingProducts)
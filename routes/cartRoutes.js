@@ -1,37 +1,54 @@
 /**
  * Cart Routes
  * Handles all cart-related endpoints
+ * Signed-in shoppers use their account cart; guests use the cart in their signed cart_token cookie
  */
 
 import express from 'express'
-import { isAuthenticated } from '../middlewares/authMiddleware.js'
+import { allowGuests, isAuthenticated } from '../middlewares/authMiddleware.js'
 import {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
   clearCart,
+  fetchCartSummary,
+  restoreAbandonedCart,
+  saveCartItemForLater,
 } from '../controllers/cartController.js'
 
 const router = express.Router()
 
 /**
- * Protected Routes (Authentication Required)
+ * Shopper or Guest Routes (Authentication Optional)
  */
 
-// Get user's cart
-router.get('/api/v1/customer/cart', isAuthenticated, getCart)
+// Get the cart
+router.get('/api/v1/customer/cart', allowGuests, getCart)
+
+// Server-side totals (prices, discounts, promotion, shipping, tax)
+router.get('/api/v1/customer/cart/summary', allowGuests, fetchCartSummary)
+
+// Restore an abandoned cart from a reminder email link (redirects to the cart page)
+router.get('/api/v1/customer/cart/restore/:token', allowGuests, restoreAbandonedCart)
 
 // Add item to cart
-router.post('/api/v1/customer/cart', isAuthenticated, addToCart)
+router.post('/api/v1/customer/cart', allowGuests, addToCart)
 
 // Update cart item quantity
-router.put('/api/v1/customer/cart/:item_id', isAuthenticated, updateCartItem)
+router.put('/api/v1/customer/cart/:item_id', allowGuests, updateCartItem)
 
 // Remove item from cart
-router.delete('/api/v1/customer/cart/:item_id', isAuthenticated, removeFromCart)
+router.delete('/api/v1/customer/cart/:item_id', allowGuests, removeFromCart)
 
 // Clear entire cart
-router.delete('/api/v1/customer/cart', isAuthenticated, clearCart)
+router.delete('/api/v1/customer/cart', allowGuests, clearCart)
+
+/**
+ * Shopper Routes (Authentication Required)
+ */
+
+// Move a cart line to the "Saved for later" list
+router.post('/api/v1/customer/cart/:item_id/save-for-later', isAuthenticated, saveCartItemForLater)
 
 export default router
@@ -0,0 +1,25 @@
+import express from 'express'
+import { fetchCategory, fetchCategoryTree } from '../controllers/categoryController.js'
+import { fetchCategoryAttributes } from '../controllers/productAttributeController.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/v1/categories
+ * Storefront category tree; every node carries its breadcrumbs (Public)
+ */
+router.get('/', fetchCategoryTree)
+
+/**
+ * GET /api/v1/categories/:idOrSlug
+ * One category with breadcrumbs and its subtree (Public)
+ */
+router.get('/:idOrSlug', fetchCategory)
+
+/**
+ * GET /api/v1/categories/:idOrSlug/attributes
+ * Attributes of a category, including those inherited from its parents (Public)
+ */
+router.get('/:idOrSlug/attributes', fetchCategoryAttributes)
+
+export default router
@@ -0,0 +1,48 @@
+import express from 'express'
+import { optionalAuthentication } from '../middlewares/authMiddleware.js'
+import {
+  fetchCompareList,
+  addToCompareList,
+  removeFromCompareList,
+  clearCompareList,
+  fetchComparisonMatrix,
+} from '../controllers/compareController.js'
+
+const router = express.Router()
+
+// Compare lists belong to the signed-in shopper or to the guest visitor cookie
+router.use(optionalAuthentication)
+
+/**
+ * GET /api/v1/compare
+ * Get the products on the compare list
+ */
+router.get('/', fetchCompareList)
+
+/**
+ * POST /api/v1/compare
+ * Add a product to the compare list
+ * Body: { productId }
+ */
+router.post('/', addToCompareList)
+
+/**
+ * DELETE /api/v1/compare
+ * Empty the compare list
+ */
+router.delete('/', clearCompareList)
+
+/**
+ * GET /api/v1/compare/matrix
+ * Side-by-side comparison with differing rows flagged
+ * Query: { productIds? } (defaults to the compare list)
+ */
+router.get('/matrix', fetchComparisonMatrix)
+
+/**
+ * DELETE /api/v1/compare/:productId
+ * Remove a product from the compare list
+ */
+router.delete('/:productId', removeFromCompareList)
+
+export default router
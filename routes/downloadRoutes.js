@@ -0,0 +1,12 @@
+import express from 'express'
+import { downloadFile } from '../controllers/productDownloadController.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/v1/downloads/:token
+ * Purchased file download (Public - the signed, expiring token is the authorization)
+ */
+router.get('/:token', downloadFile)
+
+export default router
@@ -1,19 +1,24 @@
 import express from 'express'
-import { isAuthenticated } from '../middlewares/authMiddleware.js'
+import { isAuthenticated, optionalAuthentication } from '../middlewares/authMiddleware.js'
 import {
   getPersonalizedFeed,
   getProductRecommendations,
   getUserInsights,
   getWishlistInsights,
 } from '../controllers/premiumFeaturesController.js'
+import {
+  trackProductView,
+  fetchRecentlyViewed,
+  clearBrowsingHistory,
+} from '../controllers/browsingHistoryController.js'
 
 const router = express.Router()
 
 /**
  * GET /api/v1/feed
- * Get personalized feed for user
+ * Get personalized feed for user (signed-in shoppers or guests with browsing history)
  */
-router.get('/feed', getPersonalizedFeed)
+router.get('/feed', optionalAuthentication, getPersonalizedFeed)
 
 /**
  * GET /api/v1/feed/recommendations/:productId
@@ -33,4 +38,24 @@ router.get('/insights', isAuthenticated, getUserInsights)
  */
 router.get('/wishlist-insights', isAuthenticated, getWishlistInsights)
 
+/**
+ * POST /api/v1/feed/views
+ * Record a product view for the signed-in shopper or the guest visitor cookie
+ * Body: { productId }
+ */
+router.post('/views', optionalAuthentication, trackProductView)
+
+/**
+ * GET /api/v1/feed/recently-viewed
+ * Get recently viewed products
+ * Query: { limit? }
+ */
+router.get('/recently-viewed', optionalAuthentication, fetchRecentlyViewed)
+
+/**
+ * DELETE /api/v1/feed/recently-viewed
+ * Clear browsing history
+ */
+router.delete('/recently-viewed', optionalAuthentication, clearBrowsingHistory)
+
 export default router
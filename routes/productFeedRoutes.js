@@ -0,0 +1,13 @@
+import express from 'express'
+import { getProductFeed } from '../controllers/productFeedController.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/v1/product-feeds/:channel/:format
+ * Google Merchant Center / Facebook catalog feed (Public, cached)
+ * e.g. /api/v1/product-feeds/google/xml, /api/v1/product-feeds/facebook/csv
+ */
+router.get('/:channel/:format', getProductFeed)
+
+export default router
@@ -0,0 +1,39 @@
+/**
+ * Product Q&A Routes
+ * Customer questions about a product and answers from admins or verified buyers
+ */
+
+import express from 'express'
+import { isAuthenticated } from '../middlewares/authMiddleware.js'
+import {
+  fetchProductQuestions,
+  askProductQuestion,
+  answerProductQuestion,
+  upvoteProductQuestion,
+  upvoteProductAnswer,
+} from '../controllers/productQuestionController.js'
+
+const router = express.Router()
+
+/**
+ * Public Routes (No Authentication Required)
+ */
+
+// Get approved questions and answers for a product
+router.get('/api/v1/product/:product_id/questions', fetchProductQuestions)
+
+/**
+ * Protected Routes (Authentication Required)
+ */
+
+// Ask a question
+router.post('/api/v1/product/:product_id/questions', isAuthenticated, askProductQuestion)
+
+// Answer a question (admins and verified buyers)
+router.post('/api/v1/questions/:question_id/answers', isAuthenticated, answerProductQuestion)
+
+// Upvote a question or an answer (toggles)
+router.post('/api/v1/questions/:question_id/upvote', isAuthenticated, upvoteProductQuestion)
+router.post('/api/v1/answers/:answer_id/upvote', isAuthenticated, upvoteProductAnswer)
+
+export default router
@@ -5,16 +5,24 @@ import {
   getPersonalizedRecommendations,
   getTrendingProducts,
 } from '../controllers/searchController.js'
+import { recordSearchResultClick } from '../controllers/searchAnalyticsController.js'
 
 const router = express.Router()
 
 /**
  * POST /api/v1/search
- * Advanced AI search with filtering, suggestions, and recommendations
- * Body: { query, category?, filters?, limit?, page? }
+ * Advanced AI search with filtering, facet counts, suggestions, and recommendations
+ * Body: { query, category?, categoryId?, filters?, limit?, page?, sessionId? }
  */
 router.post('/', aiSearch)
 
+/**
+ * POST /api/v1/search/click
+ * Record which result was opened from a search (click-through analytics)
+ * Body: { searchId, productId, position? }
+ */
+router.post('/click', recordSearchResultClick)
+
 /**
  * GET /api/v1/search/suggestions
  * Get search suggestions (text, categories, trending)
@@ -0,0 +1,24 @@
+import express from 'express'
+import { getRobotsTxt, getSitemap, getSitemapSection } from '../controllers/sitemapController.js'
+
+const router = express.Router()
+
+/**
+ * GET /sitemap.xml
+ * Sitemap (or sitemap index for large catalogs) (Public, cached)
+ */
+router.get('/sitemap.xml', getSitemap)
+
+/**
+ * GET /sitemaps/:file
+ * One file of a split sitemap, e.g. /sitemaps/products-1.xml (Public, cached)
+ */
+router.get('/sitemaps/:file', getSitemapSection)
+
+/**
+ * GET /robots.txt
+ * robots.txt from SEO settings (Public)
+ */
+router.get('/robots.txt', getRobotsTxt)
+
+export default router
@@ -1,6 +1,7 @@
 /**
  * Wishlist Routes
  * Handles all wishlist-related endpoints
+ * /customer/wishlist works on the default list (or list_id); /customer/wishlists manages named lists
  */
 
 import express from 'express'
@@ -10,10 +11,24 @@ import {
   addToWishlist,
   removeFromWishlist,
   getWishlistCount,
+  fetchWishlists,
+  createNamedWishlist,
+  fetchWishlist,
+  updateNamedWishlist,
+  deleteNamedWishlist,
+  moveWishlistItemToCart,
+  fetchSharedWishlist,
 } from '../controllers/wishlistController.js'
 
 const router = express.Router()
 
+/**
+ * Public Routes
+ */
+
+// View a public wishlist by its share link
+router.get('/api/v1/wishlists/shared/:share_token', fetchSharedWishlist)
+
 /**
  * Protected Routes (Authentication Required)
  */
@@ -30,4 +45,26 @@ router.delete('/api/v1/customer/wishlist/:product_id', isAuthenticated, removeFr
 // Get wishlist count
 router.get('/api/v1/customer/wishlist/count', isAuthenticated, getWishlistCount)
 
+// Get the shopper's lists
+router.get('/api/v1/customer/wishlists', isAuthenticated, fetchWishlists)
+
+// Create a named list
+router.post('/api/v1/customer/wishlists', isAuthenticated, createNamedWishlist)
+
+// Move a list item into the cart
+router.post(
+  '/api/v1/customer/wishlists/items/:item_id/move-to-cart',
+  isAuthenticated,
+  moveWishlistItemToCart,
+)
+
+// Get a list with its items and price drops
+router.get('/api/v1/customer/wishlists/:list_id', isAuthenticated, fetchWishlist)
+
+// Rename a list or change its visibility
+router.put('/api/v1/customer/wishlists/:list_id', isAuthenticated, updateNamedWishlist)
+
+// Delete a named list
+router.delete('/api/v1/customer/wishlists/:list_id', isAuthenticated, deleteNamedWishlist)
+
 export default router
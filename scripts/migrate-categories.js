@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Migration Script: Move categories into the category tree
+ * 1. Creates the categories table and products.category_id
+ * 2. Copies the 'categories' setting (and the subcategories table) into the tree
+ * 3. Links every product to a category by its category name, creating
+ *    top-level categories for names that don't exist yet
+ * Safe to run more than once.
+ * Run with: node scripts/migrate-categories.js
+ */
+
+import database from '../database/db.js'
+import {
+  createCategoriesTable,
+  importLegacyCategories,
+  linkProductsToCategories,
+} from '../models/categoriesTable.js'
+import { getSetting } from '../models/settingsTable.js'
+
+async function migrateCategories() {
+  try {
+    console.log('🔄 Starting category migration...')
+
+    await createCategoriesTable()
+
+    const legacyCategories = await getSetting('categories')
+    const imported = await importLegacyCategories(
+      Array.isArray(legacyCategories) ? legacyCategories : [],
+    )
+    console.log(
+      `✅ Copied ${imported.categories} categories and ${imported.subcategories} subcategories`,
+    )
+
+    const linked = await linkProductsToCategories()
+    console.log(`✅ Linked ${linked} products to categories`)
+
+    const { rows } = await database.query(
+      `SELECT COUNT(*)::INT AS unlinked FROM products WHERE category_id IS NULL`,
+    )
+    console.log(`\n✅ Migration complete! Products without a category: ${rows[0].unlinked}`)
+
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Category migration failed:', error)
+    process.exit(1)
+  }
+}
+
+migrateCategories()
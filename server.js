@@ -4,6 +4,13 @@ import { v2 as cloudinary } from 'cloudinary'
 import initializeDatabase from './database/alterUsersTable.js'
 import { initializeSentry } from './utils/sentryIntegration.js'
 import { initializeIdempotencyCleanup } from './utils/idempotencyKey.js'
+import { initializeReservationCleanup } from './utils/stockManager.js'
+import { initializeStockAlertChecker } from './utils/stockAlerts.js'
+import { initializePriceRuleScheduler } from './utils/pricing.js'
+import { initializeRecommendationJob } from './utils/recommendations.js'
+import { initializeAbandonedCartJob } from './utils/abandonedCarts.js'
+import { initializePriceDropAlertJob } from './utils/priceDropAlerts.js'
+import { initializeImportJobCleanup } from './utils/productImport.js'
 import { createPerformanceIndexes } from './utils/performanceOptimizations.js'
 import { initializeSocket } from './socket/socketSetup.js'
 
@@ -47,6 +54,21 @@ await createPerformanceIndexes()
 // Initialize idempotency cleanup routine
 initializeIdempotencyCleanup()
 
+// Background imports don't survive a restart; fail the ones whose process stopped
+initializeImportJobCleanup()
+
+// Release stock held by checkouts that were never paid
+initializeReservationCleanup()
+
+// Rebuild related products and personalized rankings from orders, carts and wishlists
+initializeRecommendationJob()
+
+// Reminder emails with restore links for carts left idle
+initializeAbandonedCartJob()
+
+// Wishlist price-drop alerts for price changes outside product edits (e.g. scheduled sales)
+initializePriceDropAlertJob()
+
 // Create HTTP server for Socket.io support
 const httpServer = http.createServer(app)
 
@@ -56,6 +78,12 @@ const io = initializeSocket(httpServer)
 // Make io available globally for other modules
 app.set('io', io)
 
+// Low stock admin alerts and back-in-stock emails
+initializeStockAlertChecker(io)
+
+// Broadcast scheduled sales as they start and end
+initializePriceRuleScheduler(io)
+
 httpServer.listen(process.env.PORT, () => {
   console.log(`✅ Server is running on port ${process.env.PORT}`)
   console.log(`🚀 Performance optimizations enabled (compression, indexing, caching)`)
@@ -237,6 +237,28 @@ export const broadcastProductStockUpdate = (io, productId, newStock) => {
   })
 }
 
+/**
+ * PRICING EVENTS
+ * Emit when a scheduled sale (price rule) starts or ends
+ */
+export const broadcastPriceRuleChange = (io, rule, action) => {
+  console.log(`[Socket.IO] 📢 Broadcasting SALE ${action.toUpperCase()}: ${rule.name}`)
+  io.emit('sales:changed', {
+    timestamp: new Date().toISOString(),
+    action: action, // 'started', 'ended'
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      target_type: rule.target_type,
+      target_values: rule.target_values,
+      discount_type: rule.discount_type,
+      value: parseFloat(rule.value),
+      starts_at: rule.starts_at,
+      ends_at: rule.ends_at,
+    },
+  })
+}
+
 /**
  * ORDER EVENTS
  * Emit when orders are created/updated
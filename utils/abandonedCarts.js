@@ -0,0 +1,298 @@
+/**
+ * Abandoned Cart Recovery
+ * Signed-in shoppers whose cart sits idle get a sequence of reminder emails (by default 1h, 24h
+ * and 72h after the cart last changed). Each email is rendered from the admin-editable
+ * abandoned_cart_reminder_<n> email template, carries a signed link that restores the cart and
+ * can include a single-use promotion code. An order placed within the recovery window of the
+ * first reminder counts as a recovery on the admin dashboard.
+ */
+
+import crypto from 'crypto'
+import database from '../database/db.js'
+import {
+  claimReminder,
+  closeStaleAbandonedCarts,
+  createAbandonedCart,
+  findIdleCarts,
+  markRecoveredCarts,
+} from '../models/abandonedCartsTable.js'
+import { getCartSummary, roundMoney } from './cartPricing.js'
+import { sendEmail } from './sendEmail.js'
+import { generateAbandonedCartEmailTemplate } from './generateAbandonedCartEmailTemplate.js'
+
+/**
+ * Reminder delays in hours after the cart last changed, e.g. "1,24,72"
+ * Invalid entries are ignored; the result is sorted and de-duplicated
+ */
+export const parseReminderSteps = (value, fallback = [1, 24, 72]) => {
+  const steps = [
+    ...new Set(
+      String(value ?? '')
+        .split(',')
+        .map((step) => parseFloat(step))
+        .filter((step) => Number.isFinite(step) && step > 0),
+    ),
+  ].sort((a, b) => a - b)
+  return steps.length ? steps : fallback
+}
+
+export const REMINDER_STEPS_HOURS = parseReminderSteps(process.env.ABANDONED_CART_REMINDER_HOURS)
+export const CHECK_INTERVAL_MINUTES =
+  parseInt(process.env.ABANDONED_CART_INTERVAL_MINUTES, 10) || 15
+// How long restore links and reminder promo codes stay valid, and how long after the first
+// reminder an order still counts as recovered
+export const RECOVERY_WINDOW_DAYS = parseInt(process.env.ABANDONED_CART_RECOVERY_DAYS, 10) || 7
+// Percentage off offered from reminder ABANDONED_CART_PROMO_STEP on (0 turns promo codes off)
+export const PROMO_PERCENT = Math.min(
+  Math.max(parseFloat(process.env.ABANDONED_CART_PROMO_PERCENT) || 0, 0),
+  100,
+)
+export const PROMO_STEP =
+  parseInt(process.env.ABANDONED_CART_PROMO_STEP, 10) || REMINDER_STEPS_HOURS.length
+
+const BATCH_SIZE = 100
+
+/**
+ * Index of the reminder to send now, or null when none is due
+ * Only the latest due reminder is sent: a cart found late skips the reminders it missed.
+ */
+export const getDueReminderStep = (steps, remindersSent, lastActivity, now = new Date()) => {
+  const idleHours = (now.getTime() - new Date(lastActivity).getTime()) / (60 * 60 * 1000)
+  let due = -1
+  steps.forEach((hours, index) => {
+    if (idleHours >= hours) due = index
+  })
+  return due >= remindersSent ? due : null
+}
+
+/**
+ * Fill {{variable}} placeholders; unknown variables render empty
+ */
+export const renderTemplate = (text, variables) =>
+  String(text ?? '').replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name]),
+  )
+
+/**
+ * Single-use reminder promo code, e.g. COMEBACK-3F9A1C2B
+ */
+export const generatePromoCode = () =>
+  `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+
+const formatTaka = (amount) => `৳${roundMoney(amount).toFixed(2)}`
+
+/**
+ * Plain-text list of priced cart lines for the {{cart_items}} placeholder
+ */
+export const formatCartItems = (lines) =>
+  lines
+    .map((line) => `- ${line.name} x ${line.quantity}: ${formatTaka(line.line_total)}`)
+    .join('\n')
+
+const getSigningSecret = () => {
+  const secret = process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET_KEY
+  if (!secret) {
+    throw new Error('CART_TOKEN_SECRET (or JWT_SECRET_KEY) is not configured')
+  }
+  return secret
+}
+
+const sign = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(`restore-cart.${payload}`).digest('base64url')
+
+/**
+ * Signed restore token for one reminder sequence:
+ * "<abandonedCartId>.<expiresEpochSeconds>.<signature>"
+ */
+export const signRestoreToken = (
+  abandonedCartId,
+  expiresAt = new Date(Date.now() + RECOVERY_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+  secret = getSigningSecret(),
+) => {
+  const payload = `${abandonedCartId}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`
+  return `${payload}.${sign(payload, secret)}`
+}
+
+/**
+ * Returns { abandonedCartId, expiresAt } for a valid, unexpired token, otherwise null
+ */
+export const verifyRestoreToken = (token, now = new Date(), secret = getSigningSecret()) => {
+  const parts = String(token || '').split('.')
+  if (parts.length !== 3) return null
+
+  const [abandonedCartId, expires, signature] = parts
+  const expected = Buffer.from(sign(`${abandonedCartId}.${expires}`, secret))
+  const received = Buffer.from(signature)
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null
+  }
+
+  const expiresAt = new Date(parseInt(expires, 10) * 1000)
+  if (isNaN(expiresAt.getTime()) || expiresAt <= now) return null
+
+  return { abandonedCartId, expiresAt }
+}
+
+/**
+ * Dashboard figures from getAbandonedCartStats
+ */
+export const summarizeRecovery = (stats) => {
+  const emailed = parseInt(stats?.emailed, 10) || 0
+  const recovered = parseInt(stats?.recovered, 10) || 0
+  return {
+    emailed,
+    restored: parseInt(stats?.restored, 10) || 0,
+    recovered,
+    recoveryRate: emailed ? Math.round((recovered / emailed) * 1000) / 10 : 0,
+    recoveredRevenue: roundMoney(parseFloat(stats?.recovered_revenue) || 0),
+  }
+}
+
+const loadReminderTemplate = async (step) => {
+  const { rows } = await database.query(
+    'SELECT subject, body, is_active FROM email_templates WHERE name = $1',
+    [`abandoned_cart_reminder_${step}`],
+  )
+  return rows[0] || null
+}
+
+const createReminderPromotion = async (code, userId) => {
+  await database.query(
+    `INSERT INTO promotions (code, type, value, max_uses, expiry_date, description, is_active, created_by)
+     VALUES ($1, 'percentage', $2, 1, NOW() + ($3 * INTERVAL '1 day'), $4, true, $5)`,
+    [code, PROMO_PERCENT, RECOVERY_WINDOW_DAYS, 'Abandoned cart reminder', userId],
+  )
+}
+
+/**
+ * Send the reminder due for one idle cart
+ * Returns true when an email went out
+ */
+const remindShopper = async (cart, now) => {
+  const stepIndex = getDueReminderStep(
+    REMINDER_STEPS_HOURS,
+    cart.reminders_sent,
+    cart.last_activity,
+    now,
+  )
+  if (stepIndex === null) return false
+  const step = stepIndex + 1
+
+  const template = await loadReminderTemplate(step)
+  if (!template) {
+    console.warn(`⚠️ [ABANDONED CART] Email template abandoned_cart_reminder_${step} is missing`)
+  }
+
+  const summary = await getCartSummary({ userId: cart.user_id })
+  if (summary.lines.length === 0) return false
+
+  const abandoned = await createAbandonedCart({
+    userId: cart.user_id,
+    cartUpdatedAt: cart.last_activity,
+    items: summary.lines.map((line) => ({
+      product_id: line.product_id,
+      variant_id: line.variant_id,
+      quantity: line.quantity,
+    })),
+    cartTotal: summary.subtotal,
+  })
+
+  const offersPromo =
+    PROMO_PERCENT > 0 && step >= PROMO_STEP && !abandoned.promo_code && template?.is_active
+  const newPromoCode = offersPromo ? generatePromoCode() : null
+  const finished = step >= REMINDER_STEPS_HOURS.length
+  // An inactive (or missing) template skips the reminder but still moves the sequence on
+  const claimed = await claimReminder(abandoned.id, { step, promoCode: newPromoCode, finished })
+  if (!claimed || !template?.is_active) return false
+
+  let promoCode = abandoned.promo_code
+  if (newPromoCode) {
+    try {
+      await createReminderPromotion(newPromoCode, cart.user_id)
+      promoCode = newPromoCode
+    } catch (error) {
+      console.error('❌ [ABANDONED CART] Promo code creation failed:', error.message)
+    }
+  }
+
+  const restoreUrl = `${(process.env.BACKEND_URL || '').replace(/\/$/, '')}/api/v1/customer/cart/restore/${signRestoreToken(abandoned.id)}`
+  const variables = {
+    customer_name: cart.name || 'Customer',
+    cart_items: formatCartItems(summary.lines),
+    cart_total: formatTaka(summary.subtotal),
+    restore_link: restoreUrl,
+    promo_code: promoCode || '',
+    promo_message: promoCode
+      ? `Use code ${promoCode} for ${PROMO_PERCENT}% off your order within ${RECOVERY_WINDOW_DAYS} days.`
+      : '',
+  }
+  const subject = renderTemplate(template.subject, variables)
+
+  await sendEmail({
+    email: cart.email,
+    subject,
+    message: generateAbandonedCartEmailTemplate({
+      heading: subject,
+      body: renderTemplate(template.body, variables),
+      restoreUrl,
+      promoCode,
+    }),
+  })
+  return true
+}
+
+/**
+ * Close finished sequences, attribute recoveries and email shoppers whose reminder is due
+ * Never throws so it is safe to call without awaiting
+ */
+export const runAbandonedCartJob = async (now = new Date()) => {
+  try {
+    const recovered = await markRecoveredCarts(RECOVERY_WINDOW_DAYS)
+    await closeStaleAbandonedCarts(RECOVERY_WINDOW_DAYS)
+
+    const lastStep = REMINDER_STEPS_HOURS[REMINDER_STEPS_HOURS.length - 1]
+    const carts = await findIdleCarts({
+      minIdleHours: REMINDER_STEPS_HOURS[0],
+      // Carts idle for much longer than the sequence (e.g. before it was enabled) are left alone
+      maxIdleHours: lastStep + 24,
+      stepCount: REMINDER_STEPS_HOURS.length,
+      limit: BATCH_SIZE,
+    })
+
+    let sent = 0
+    for (const cart of carts) {
+      try {
+        if (await remindShopper(cart, now)) sent++
+      } catch (error) {
+        console.error(
+          `❌ [ABANDONED CART] Reminder for user ${cart.user_id} failed:`,
+          error.message,
+        )
+      }
+    }
+
+    if (sent || recovered) {
+      console.log(`✅ [ABANDONED CART] Sent ${sent} reminders, ${recovered} carts recovered`)
+    }
+    return { sent, recovered }
+  } catch (error) {
+    console.error('❌ [ABANDONED CART] Job failed:', error.message)
+    return null
+  }
+}
+
+/**
+ * Check for abandoned carts every ABANDONED_CART_INTERVAL_MINUTES (default 15)
+ */
+export const initializeAbandonedCartJob = () => {
+  setInterval(
+    () => {
+      runAbandonedCartJob()
+    },
+    CHECK_INTERVAL_MINUTES * 60 * 1000,
+  )
+
+  console.log(
+    `⏱️ Abandoned cart job initialized (every ${CHECK_INTERVAL_MINUTES} minutes, reminders at ${REMINDER_STEPS_HOURS.join('h, ')}h)`,
+  )
+}
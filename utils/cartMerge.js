@@ -0,0 +1,90 @@
+/**
+ * Cart Merge
+ * When a guest logs in or registers, their guest cart is combined with the account cart:
+ * quantities of the same product / variant are added up, capped by stock and by
+ * sold_individually, and anything that could not be carried over is reported back.
+ * Abandoned cart restore links put saved lines back the same way.
+ */
+
+/**
+ * Most units of a product (or variant) one cart line may hold
+ * line: { product_type, sold_individually, stock }
+ */
+export const lineQuantityLimit = (line) => {
+  const tracksStock = line.product_type !== 'downloadable'
+  const stock = tracksStock ? Math.max(parseInt(line.stock, 10) || 0, 0) : Infinity
+  return line.sold_individually ? Math.min(1, stock) : stock
+}
+
+const lineKey = (line) => `${line.product_id}:${line.variant_id || ''}`
+
+const dropReason = (line, limit) => {
+  if (line.available === false) return 'unavailable'
+  if (limit === 0) return 'out_of_stock'
+  if (line.sold_individually) return 'sold_individually'
+  return 'insufficient_stock'
+}
+
+/**
+ * Plan the merge of guest cart lines into account cart lines
+ * Lines: { id, product_id, variant_id, quantity, name, product_type, sold_individually,
+ *          stock, available }
+ * Returns { updates: [{ id, quantity }], inserts: [{ product_id, variant_id, quantity }],
+ *           dropped: [{ product_id, variant_id, name, requested, added, reason }] }
+ */
+export const planCartMerge = (guestLines, accountLines) => {
+  const accountByKey = new Map(accountLines.map((line) => [lineKey(line), { ...line }]))
+  const inserts = new Map()
+  const updates = new Map()
+  const dropped = []
+
+  for (const guestLine of guestLines) {
+    const key = lineKey(guestLine)
+    const existing = accountByKey.get(key) || inserts.get(key)
+    const current = existing?.quantity || 0
+    const limit = guestLine.available === false ? 0 : lineQuantityLimit(guestLine)
+    const added = Math.max(Math.min(current + guestLine.quantity, limit) - current, 0)
+
+    if (added < guestLine.quantity) {
+      dropped.push({
+        product_id: guestLine.product_id,
+        variant_id: guestLine.variant_id || null,
+        name: guestLine.name,
+        requested: guestLine.quantity,
+        added,
+        reason: dropReason(guestLine, limit),
+      })
+    }
+    if (added === 0) continue
+
+    if (accountByKey.has(key)) {
+      existing.quantity = current + added
+      updates.set(key, { id: existing.id, quantity: existing.quantity })
+    } else {
+      inserts.set(key, {
+        product_id: guestLine.product_id,
+        variant_id: guestLine.variant_id || null,
+        quantity: current + added,
+      })
+    }
+  }
+
+  return { updates: [...updates.values()], inserts: [...inserts.values()], dropped }
+}
+
+/**
+ * Plan putting saved cart lines (an abandoned cart snapshot) back into a cart
+ * Only what the cart is missing is added, so restoring twice doesn't double quantities.
+ * Lines as for planCartMerge; returns the same shape
+ */
+export const planCartRestore = (savedLines, cartLines) => {
+  const inCart = new Map()
+  for (const line of cartLines) {
+    inCart.set(lineKey(line), (inCart.get(lineKey(line)) || 0) + line.quantity)
+  }
+  const missingLines = savedLines
+    .map((line) => ({ ...line, quantity: line.quantity - (inCart.get(lineKey(line)) || 0) }))
+    .filter((line) => line.quantity > 0)
+
+  return planCartMerge(missingLines, cartLines)
+}
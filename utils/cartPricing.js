@@ -0,0 +1,286 @@
+/**
+ * Cart Pricing
+ * Prices a cart entirely on the server from cart_items: effective unit prices (sale price or a
+ * running price rule), line discounts, a promotion code spread across the lines, shipping from
+ * the shipping settings and tax. Checkout compares the totals the client shows against this.
+ *
+ * Amounts are in BDT. Line amounts keep poisha (2 decimals); shipping, tax and the order total
+ * are rounded to whole taka like order creation does.
+ */
+
+import database from '../database/db.js'
+import { getCartRows } from '../models/cartItemsTable.js'
+import { getSetting } from '../models/settingsTable.js'
+import { getProductPricing, getVariantPricing, loadActivePriceRules } from './pricing.js'
+
+export const CART_CURRENCY = 'BDT'
+
+// VAT charged on the discounted merchandise total (shipping is not taxed)
+export const TAX_RATE =
+  process.env.CART_TAX_RATE !== undefined ? parseFloat(process.env.CART_TAX_RATE) || 0 : 0.05
+
+// Used until zones are configured in the shipping settings (the long-standing flat rates)
+export const DEFAULT_SHIPPING_ZONES = [
+  { name: 'Chittagong', regions: ['chittagong', 'চট্টগ্রাম'], rate: 60 },
+  { name: 'Rest of Bangladesh', regions: [], rate: 100 },
+]
+
+// Client and server totals may differ by rounding only
+const TOTALS_TOLERANCE = 0.01
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+export const roundTaka = (amount) => Math.round(amount)
+
+/**
+ * Price cart rows (from getCartRows) at current prices
+ * Returns lines with regular_price, unit_price, line_subtotal (at regular price),
+ * line_discount (sale / price rule savings) and line_total
+ */
+export const priceCartLines = (rows, priceRules = []) =>
+  rows.map((row) => {
+    const product = { id: row.product_id, ...row }
+    const pricing = row.variant_id
+      ? getVariantPricing(
+          { price: row.variant_price, sale_price: row.variant_sale_price },
+          product,
+          priceRules,
+        )
+      : getProductPricing(product, priceRules)
+    const quantity = parseInt(row.quantity, 10) || 0
+    const lineSubtotal = roundMoney(pricing.regular_price * quantity)
+    const lineTotal = roundMoney(pricing.effective_price * quantity)
+
+    return {
+      id: row.cart_item_id,
+      product_id: row.product_id,
+      variant_id: row.variant_id || null,
+      name: row.name,
+      quantity,
+      product_type: row.product_type || 'simple',
+      free_shipping: Boolean(row.free_shipping),
+      regular_price: pricing.regular_price,
+      unit_price: pricing.effective_price,
+      price_rule: pricing.price_rule,
+      line_subtotal: lineSubtotal,
+      line_discount: roundMoney(lineSubtotal - lineTotal),
+      promotion_discount: 0,
+      line_total: lineTotal,
+    }
+  })
+
+/**
+ * Why a promotion can't be used on this order, or null when it can
+ */
+export const getPromotionProblem = (promotion, merchandiseTotal, now = new Date()) => {
+  if (!promotion || !promotion.is_active) return 'Invalid or expired promotion code'
+  if (promotion.expiry_date && new Date(promotion.expiry_date) <= now) {
+    return 'Invalid or expired promotion code'
+  }
+  if (promotion.max_uses && promotion.used_count >= promotion.max_uses) {
+    return 'This promotion code has reached its usage limit'
+  }
+  const minimum = toNumber(promotion.min_order_value) || 0
+  if (merchandiseTotal < minimum) {
+    return `Minimum order value is ৳${minimum}`
+  }
+  return null
+}
+
+/**
+ * Discount of a percentage or fixed promotion (never more than the merchandise total)
+ */
+export const computePromotionDiscount = (promotion, merchandiseTotal) => {
+  const value = toNumber(promotion.value) || 0
+  const discount =
+    promotion.type === 'percentage' ? (merchandiseTotal * Math.min(value, 100)) / 100 : value
+  return roundMoney(Math.min(Math.max(discount, 0), merchandiseTotal))
+}
+
+/**
+ * Spread an order-level discount over the lines in proportion to their totals
+ * Rounding leftovers go to the largest line so the parts add up exactly
+ */
+export const allocateDiscount = (lines, discount) => {
+  const total = lines.reduce((sum, line) => sum + line.line_total, 0)
+  if (discount <= 0 || total <= 0) return lines
+
+  const shares = lines.map((line) => roundMoney((discount * line.line_total) / total))
+  const leftover = roundMoney(discount - shares.reduce((sum, share) => sum + share, 0))
+  if (leftover !== 0) {
+    const largest = lines.reduce(
+      (best, line, index) => (line.line_total > lines[best].line_total ? index : best),
+      0,
+    )
+    shares[largest] = roundMoney(shares[largest] + leftover)
+  }
+
+  return lines.map((line, index) => ({
+    ...line,
+    promotion_discount: shares[index],
+    line_total: roundMoney(line.line_total - shares[index]),
+  }))
+}
+
+/**
+ * Shipping for the order
+ * shippingSettings.zones: [{ name, regions: [district, ...], rate, freeShippingThreshold }]
+ * A zone whose regions include the district (case-insensitive) is used, else the zone without
+ * regions. Orders with nothing to ship (downloads, free-shipping products) ship free.
+ * Returns { amount, zone, free_reason }
+ */
+export const calculateShipping = (lines, shippingSettings, district, orderValue) => {
+  const shippable = lines.filter(
+    (line) => line.product_type !== 'downloadable' && !line.free_shipping,
+  )
+  if (shippable.length === 0) {
+    return { amount: 0, zone: null, free_reason: lines.length ? 'nothing_to_ship' : 'empty_cart' }
+  }
+
+  const configured = Array.isArray(shippingSettings?.zones)
+    ? shippingSettings.zones.filter((zone) => toNumber(zone?.rate) !== null)
+    : []
+  const zones = configured.length ? configured : DEFAULT_SHIPPING_ZONES
+  const wanted = String(district || '')
+    .trim()
+    .toLowerCase()
+  const zone =
+    zones.find((candidate) =>
+      (candidate.regions || []).some((region) => String(region).trim().toLowerCase() === wanted),
+    ) ||
+    zones.find((candidate) => !candidate.regions || candidate.regions.length === 0) ||
+    zones[zones.length - 1]
+
+  const threshold = toNumber(zone.freeShippingThreshold)
+  if (threshold !== null && threshold > 0 && orderValue >= threshold) {
+    return { amount: 0, zone: zone.name || null, free_reason: 'threshold' }
+  }
+  return { amount: roundTaka(toNumber(zone.rate)), zone: zone.name || null, free_reason: null }
+}
+
+/**
+ * Full cart summary from priced inputs
+ * options: { priceRules, promotion, promoCode, shippingSettings, district, taxRate, now }
+ */
+export const summarizeCart = (rows, options = {}) => {
+  const {
+    priceRules = [],
+    promotion = null,
+    promoCode = null,
+    shippingSettings = null,
+    district = '',
+    taxRate = TAX_RATE,
+    now = new Date(),
+  } = options
+
+  let lines = priceCartLines(rows, priceRules)
+  const regularSubtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_subtotal, 0))
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0))
+
+  let appliedPromotion = null
+  let promotionError = null
+  if (promoCode) {
+    promotionError = getPromotionProblem(promotion, subtotal, now)
+    if (!promotionError) {
+      const discount = computePromotionDiscount(promotion, subtotal)
+      lines = allocateDiscount(lines, discount)
+      appliedPromotion = {
+        id: promotion.id,
+        code: promotion.code,
+        type: promotion.type,
+        value: toNumber(promotion.value),
+        discount,
+      }
+    }
+  }
+
+  const promotionDiscount = appliedPromotion?.discount || 0
+  const discountedSubtotal = roundMoney(subtotal - promotionDiscount)
+  const shipping = calculateShipping(lines, shippingSettings, district, discountedSubtotal)
+  const tax = roundTaka(discountedSubtotal * taxRate)
+
+  return {
+    currency: CART_CURRENCY,
+    lines,
+    item_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+    regular_subtotal: regularSubtotal,
+    line_discount_total: roundMoney(regularSubtotal - subtotal),
+    subtotal,
+    promotion: appliedPromotion,
+    promotion_error: promotionError,
+    promotion_discount: promotionDiscount,
+    shipping: shipping.amount,
+    shipping_zone: shipping.zone,
+    free_shipping_reason: shipping.free_reason,
+    tax_rate: taxRate,
+    tax,
+    total: roundTaka(discountedSubtotal + shipping.amount + tax),
+  }
+}
+
+/**
+ * Client totals that disagree with the server summary
+ * clientTotals: { subtotal, shippingCost, tax, total } as sent by checkout
+ * Returns [{ field, expected, received }] (empty when everything matches)
+ */
+export const findTotalsMismatches = (clientTotals, summary) => {
+  const fields = [
+    ['subtotal', summary.subtotal],
+    ['shippingCost', summary.shipping],
+    ['tax', summary.tax],
+    ['total', summary.total],
+  ]
+  return fields
+    .map(([field, expected]) => ({ field, expected, received: toNumber(clientTotals[field]) }))
+    .filter(
+      ({ expected, received }) =>
+        received === null || Math.abs(received - expected) > TOTALS_TOLERANCE,
+    )
+}
+
+/**
+ * Promotion row by code (codes are stored upper-case), or null
+ */
+const loadPromotion = async (code, client) => {
+  const { rows } = await client.query('SELECT * FROM promotions WHERE code = $1', [
+    String(code).trim().toUpperCase(),
+  ])
+  return rows[0] || null
+}
+
+/**
+ * Price a shopper's or guest's cart
+ * owner: { userId } or { guestToken }; options: { promoCode, district }
+ */
+export const getCartSummary = async (
+  owner,
+  { promoCode = null, district = '' } = {},
+  client = database,
+) => {
+  const [rows, priceRules, promotion, shippingSettings] = await Promise.all([
+    owner ? getCartRows(owner, client) : [],
+    loadActivePriceRules(client),
+    promoCode ? loadPromotion(promoCode, client) : null,
+    getSetting('shipping_settings'),
+  ])
+
+  return summarizeCart(rows, { priceRules, promotion, promoCode, shippingSettings, district })
+}
+
+/**
+ * Whether the items checkout was given are exactly the priced cart lines
+ * cartItems: [{ id (product id), variant_id, quantity }]
+ */
+export const sameCartLines = (cartItems, lines) => {
+  const key = (productId, variantId, quantity) =>
+    `${productId}:${variantId || ''}:${parseInt(quantity, 10)}`
+  const client = cartItems.map((item) => key(item.id, item.variant_id, item.quantity)).sort()
+  const server = lines.map((line) => key(line.product_id, line.variant_id, line.quantity)).sort()
+  return client.length === server.length && client.every((value, index) => value === server[index])
+}
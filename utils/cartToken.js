@@ -0,0 +1,77 @@
+/**
+ * Guest Cart Token
+ * Guests get a cart_token cookie holding a random cart id and an HMAC signature, so a cart
+ * can only be read or changed by the browser it was issued to. The cart moves into the
+ * account when the guest logs in or registers.
+ */
+
+import crypto from 'crypto'
+
+export const CART_COOKIE = 'cart_token'
+const CART_COOKIE_DAYS = 30
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const cartTokenSecret = () => process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET_KEY
+
+const sign = (cartId, secret) =>
+  crypto.createHmac('sha256', secret).update(cartId).digest('base64url')
+
+/**
+ * Cookie value for a guest cart id: "<cartId>.<signature>"
+ */
+export const signCartToken = (cartId, secret = cartTokenSecret()) => {
+  if (!secret) {
+    throw new Error('CART_TOKEN_SECRET (or JWT_SECRET_KEY) is not configured')
+  }
+  return `${cartId}.${sign(cartId, secret)}`
+}
+
+/**
+ * The cart id of a signed token, or null when the token is malformed or tampered with
+ */
+export const verifyCartToken = (token, secret = cartTokenSecret()) => {
+  if (typeof token !== 'string' || !secret) return null
+  const [cartId, signature, ...rest] = token.split('.')
+  if (rest.length > 0 || !UUID_PATTERN.test(cartId || '') || !signature) return null
+
+  const expected = Buffer.from(sign(cartId, secret))
+  const received = Buffer.from(signature)
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+    ? cartId.toLowerCase()
+    : null
+}
+
+/**
+ * The guest cart id of the request, or null when there is no valid cart cookie
+ */
+export const readCartToken = (req) => verifyCartToken(req.cookies?.[CART_COOKIE])
+
+/**
+ * The guest cart id of the request, issuing a new signed cookie when there is none
+ */
+export const ensureCartToken = (req, res) => {
+  const existing = readCartToken(req)
+  if (existing) return existing
+
+  const cartId = crypto.randomUUID()
+  res.cookie(CART_COOKIE, signCartToken(cartId), {
+    expires: new Date(Date.now() + CART_COOKIE_DAYS * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+    sameSite: 'Lax',
+    secure: process.env.NODE_ENV === 'production',
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    path: '/',
+  })
+  return cartId
+}
+
+/**
+ * Drop the guest cart cookie (after its items moved into an account)
+ */
+export const clearCartToken = (res) => {
+  res.clearCookie(CART_COOKIE, {
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    path: '/',
+  })
+}
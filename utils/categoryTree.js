@@ -0,0 +1,101 @@
+/**
+ * Category Tree
+ * Pure helpers over the flat list of category rows (parent_id references):
+ * nesting, breadcrumbs, descendants and move validation.
+ * Categories are a small set, so callers load them all and work in memory.
+ */
+
+export const slugifyCategory = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 255)
+
+const byPosition = (a, b) =>
+  (a.position || 0) - (b.position || 0) || String(a.name).localeCompare(String(b.name))
+
+/**
+ * Root-to-category path as [{ id, name, slug }] (empty when the id is unknown)
+ * Stops on a broken or cyclic parent chain instead of looping
+ */
+export const getBreadcrumbs = (categories, categoryId) => {
+  const byId = new Map(categories.map((category) => [String(category.id), category]))
+  const trail = []
+  const seen = new Set()
+  let current = byId.get(String(categoryId))
+
+  while (current && !seen.has(String(current.id))) {
+    seen.add(String(current.id))
+    trail.unshift({ id: current.id, name: current.name, slug: current.slug })
+    current = current.parent_id ? byId.get(String(current.parent_id)) : null
+  }
+  return trail
+}
+
+/**
+ * Ids of a category and everything below it
+ */
+export const getDescendantIds = (categories, categoryId) => {
+  const ids = [String(categoryId)]
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (String(category.parent_id) === ids[i] && !ids.includes(String(category.id))) {
+        ids.push(String(category.id))
+      }
+    }
+  }
+  return ids
+}
+
+/**
+ * Whether making newParentId the parent of categoryId would put it under itself
+ */
+export const wouldCreateCycle = (categories, categoryId, newParentId) =>
+  Boolean(newParentId) && getDescendantIds(categories, categoryId).includes(String(newParentId))
+
+/**
+ * Nest flat rows into [{ ...category, depth, breadcrumbs, children: [...] }]
+ * Children are ordered by position, then name; rows whose parent is missing become roots
+ */
+export const buildCategoryTree = (categories) => {
+  const ids = new Set(categories.map((category) => String(category.id)))
+  const childrenOf = new Map()
+
+  for (const category of categories) {
+    const parentKey =
+      category.parent_id && ids.has(String(category.parent_id)) ? String(category.parent_id) : null
+    if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, [])
+    childrenOf.get(parentKey).push(category)
+  }
+
+  const build = (parentKey, depth, seen) =>
+    (childrenOf.get(parentKey) || [])
+      .filter((category) => !seen.has(String(category.id)))
+      .sort(byPosition)
+      .map((category) => {
+        const path = new Set(seen).add(String(category.id))
+        return {
+          ...category,
+          depth,
+          breadcrumbs: getBreadcrumbs(categories, category.id),
+          children: build(String(category.id), depth + 1, path),
+        }
+      })
+
+  return build(null, 0, new Set())
+}
+
+/**
+ * Categories shown on the storefront: active, with every ancestor active too
+ */
+export const getVisibleCategories = (categories) => {
+  const activeIds = new Set(
+    categories.filter((category) => category.is_active !== false).map((c) => String(c.id)),
+  )
+  return categories.filter((category) =>
+    getBreadcrumbs(categories, category.id).every((crumb) => activeIds.has(String(crumb.id))),
+  )
+}
@@ -4,6 +4,23 @@ import { createOrdersTable } from '../models/ordersTable.js'
 import { createPaymentsTable } from '../models/paymentsTable.js'
 import { createProductReviewsTable } from '../models/productReviewsTable.js'
 import { createProductsTable } from '../models/productTable.js'
+import { createProductVariantsTable } from '../models/productVariantsTable.js'
+import { createWarehousesTable } from '../models/warehousesTable.js'
+import { createStockMovementsTable } from '../models/stockMovementsTable.js'
+import { createStockAlertsTable } from '../models/stockAlertsTable.js'
+import { createImportJobsTable } from '../models/importJobsTable.js'
+import { createFeedCategoryMappingsTable } from '../models/feedCategoryMappingsTable.js'
+import { createPriceRulesTable } from '../models/priceRulesTable.js'
+import { createProductBundlesTable } from '../models/productBundlesTable.js'
+import { createProductDownloadsTable } from '../models/productDownloadsTable.js'
+import { createCategoriesTable } from '../models/categoriesTable.js'
+import { createProductAttributesTables } from '../models/productAttributesTable.js'
+import { createProductSearchIndex } from '../models/productSearchTable.js'
+import { createSearchAnalyticsTables } from '../models/searchAnalyticsTable.js'
+import { createProductRecommendationsTable } from '../models/productRecommendationsTable.js'
+import { createProductViewsTable } from '../models/productViewsTable.js'
+import { createCompareItemsTable } from '../models/compareItemsTable.js'
+import { createProductQuestionsTables } from '../models/productQuestionsTable.js'
 import { createShippingInfoTable } from '../models/shippinginfoTable.js'
 import {
   createSettingsTable,
@@ -12,6 +29,7 @@ import {
 } from '../models/settingsTable.js'
 import createAuditLogsTable from '../models/auditLogsTable.js'
 import createPromotionsTable from '../models/promotionsTable.js'
+import { createAbandonedCartsTable } from '../models/abandonedCartsTable.js'
 import createNotificationsTable from '../models/notificationsTable.js'
 import {
   createPagesTable,
@@ -30,9 +48,39 @@ export const createTables = async () => {
   try {
     await createUserTable()
     await createProductsTable()
+    await createCategoriesTable()
+    // 🏷️ Typed product attributes (needs products, categories)
+    await createProductAttributesTables()
+    // 🔎 Full-text / fuzzy search index on products
+    await createProductSearchIndex()
+    // 📈 Search log and synonym / redirect rules (needs users, products)
+    await createSearchAnalyticsTables()
+    // 🤝 Precomputed related / bought-together products (needs products)
+    await createProductRecommendationsTable()
+    // 👀 Recently viewed products of shoppers and guest visitors (needs users, products)
+    await createProductViewsTable()
+    // ⚖️ Product compare lists of shoppers and guest visitors (needs users, products)
+    await createCompareItemsTable()
     await createProductReviewsTable()
+    // ❓ Product questions, answers and upvotes (needs users, products)
+    await createProductQuestionsTables()
     await createOrdersTable()
     await createOrderItemTable()
+    // 👕 Product variants (needs products, order_items)
+    await createProductVariantsTable()
+    // 🏬 Warehouses, per-location stock and reservations (needs orders, variants)
+    await createWarehousesTable()
+    // 📒 Append-only stock movement ledger
+    await createStockMovementsTable()
+    // 🔔 Low stock alerts and back-in-stock subscriptions
+    await createStockAlertsTable()
+    // 📥 Background product import jobs
+    await createImportJobsTable()
+    // 🛒 Google / Facebook feed category mappings
+    await createFeedCategoryMappingsTable()
+    await createPriceRulesTable()
+    await createProductBundlesTable()
+    await createProductDownloadsTable()
     await createShippingInfoTable()
     await createPaymentsTable()
     await createSettingsTable()
@@ -44,6 +92,8 @@ export const createTables = async () => {
     await createNotificationsTable()
     // 💬 Promotions & Discounts
     await createPromotionsTable()
+    // 🛒 Abandoned cart reminder sequences (needs users, orders)
+    await createAbandonedCartsTable()
 
     // 🎨 Content Management Tables
     await createPagesTable()
@@ -0,0 +1,147 @@
+/**
+ * Downloadable Products
+ * Private file storage, download grants issued after payment and signed,
+ * short-lived download links. The link only proves who may download what until when;
+ * the grant's download limit and expiry are checked again on every download.
+ */
+
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { createOrderDownloadGrants } from '../models/productDownloadsTable.js'
+
+// Files live outside anything served statically
+export const DOWNLOADS_DIR = path.resolve(
+  process.env.PRIVATE_DOWNLOADS_DIR || 'uploads/private/downloads',
+)
+export const DOWNLOAD_LINK_TTL_MINUTES = parseInt(process.env.DOWNLOAD_LINK_TTL_MINUTES, 10) || 60
+export const DEFAULT_DOWNLOAD_LIMIT = parseInt(process.env.DEFAULT_DOWNLOAD_LIMIT, 10) || 5
+export const DEFAULT_DOWNLOAD_ACCESS_DAYS =
+  parseInt(process.env.DEFAULT_DOWNLOAD_ACCESS_DAYS, 10) || 30
+
+const getSigningSecret = () => {
+  const secret = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET_KEY
+  if (!secret) {
+    throw new Error('DOWNLOAD_URL_SECRET (or JWT_SECRET_KEY) is not configured')
+  }
+  return secret
+}
+
+const sign = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+
+/**
+ * Signed token for one grant: "<grantId>.<expiresEpochSeconds>.<signature>"
+ */
+export const signDownloadToken = (
+  grantId,
+  expiresAt = new Date(Date.now() + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000),
+  secret = getSigningSecret(),
+) => {
+  const payload = `${grantId}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`
+  return `${payload}.${sign(payload, secret)}`
+}
+
+/**
+ * Returns { grantId, expiresAt } for a valid, unexpired token, otherwise null
+ */
+export const verifyDownloadToken = (token, now = new Date(), secret = getSigningSecret()) => {
+  const parts = String(token || '').split('.')
+  if (parts.length !== 3) return null
+
+  const [grantId, expires, signature] = parts
+  const expected = Buffer.from(sign(`${grantId}.${expires}`, secret))
+  const received = Buffer.from(signature)
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null
+  }
+
+  const expiresAt = new Date(parseInt(expires, 10) * 1000)
+  if (isNaN(expiresAt.getTime()) || expiresAt <= now) return null
+
+  return { grantId, expiresAt }
+}
+
+/**
+ * Why a grant can't be downloaded right now ('revoked' | 'expired' | 'limit_reached'), or null
+ */
+export const getGrantBlockReason = (grant, now = new Date()) => {
+  if (grant.revoked_at) return 'revoked'
+  if (grant.expires_at && new Date(grant.expires_at) <= now) return 'expired'
+  if (grant.download_count >= grant.download_limit) return 'limit_reached'
+  return null
+}
+
+/**
+ * Add remaining downloads and a fresh signed link (when still downloadable) to a grant
+ */
+export const withDownloadLink = (grant, origin, now = new Date()) => {
+  const blockedReason = getGrantBlockReason(grant, now)
+  const linkExpiresAt = new Date(now.getTime() + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000)
+
+  return {
+    ...grant,
+    downloads_remaining: Math.max(grant.download_limit - grant.download_count, 0),
+    available: blockedReason === null,
+    blocked_reason: blockedReason,
+    download_url: blockedReason
+      ? null
+      : `${origin}/api/v1/downloads/${signDownloadToken(grant.id, linkExpiresAt)}`,
+    download_url_expires_at: blockedReason ? null : linkExpiresAt.toISOString(),
+  }
+}
+
+/**
+ * Absolute path of a stored file; refuses keys that would escape the downloads directory
+ */
+export const resolveStoragePath = (storageKey) => {
+  const filePath = path.resolve(DOWNLOADS_DIR, storageKey)
+  if (!filePath.startsWith(DOWNLOADS_DIR + path.sep)) {
+    throw new Error('Invalid storage key')
+  }
+  return filePath
+}
+
+/**
+ * Move an uploaded temp file into private storage under a random name
+ * Returns the storage key saved on the product_files row
+ */
+export const storeDownloadFile = async (file) => {
+  await fs.promises.mkdir(DOWNLOADS_DIR, { recursive: true })
+  const storageKey = `${crypto.randomUUID()}${path.extname(file.name || '').toLowerCase()}`
+  await file.mv(resolveStoragePath(storageKey))
+  return storageKey
+}
+
+/**
+ * Remove a stored file; a file that is already gone is not an error
+ */
+export const removeDownloadFile = async (storageKey) => {
+  try {
+    await fs.promises.unlink(resolveStoragePath(storageKey))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ [DOWNLOADS] Failed to remove ${storageKey}:`, error.message)
+    }
+  }
+}
+
+/**
+ * Grant access to the files of every downloadable product in a paid order
+ * Called from the payment callbacks; never fails the payment itself
+ */
+export const grantDownloadsForOrder = async (orderId) => {
+  try {
+    const grants = await createOrderDownloadGrants(orderId, {
+      downloadLimit: DEFAULT_DOWNLOAD_LIMIT,
+      accessDays: DEFAULT_DOWNLOAD_ACCESS_DAYS,
+    })
+    if (grants.length > 0) {
+      console.log(`✅ [DOWNLOADS] Granted ${grants.length} downloads for order ${orderId}`)
+    }
+    return grants
+  } catch (error) {
+    console.error(`❌ [DOWNLOADS] Failed to grant downloads for order ${orderId}:`, error.message)
+    return []
+  }
+}
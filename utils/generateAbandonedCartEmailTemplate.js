@@ -0,0 +1,45 @@
+// The body comes from an admin-editable plain-text template filled with product names,
+// so it is escaped before going into the HTML
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+  )
+
+export const generateAbandonedCartEmailTemplate = ({ heading, body, restoreUrl, promoCode }) => {
+  const paragraphs = String(body || '')
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map(
+      (paragraph) =>
+        ` <p style="font-size: 16px; color: #ccc;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`,
+    )
+    .join('\n')
+
+  return `
+ <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; background-color: #000; color: #fff;">
+ <h2 style="color: #fff; text-align: center;">${escapeHtml(heading)}</h2>
+${paragraphs}
+ ${
+   promoCode
+     ? `<div style="text-align: center; margin: 20px 0; padding: 15px; border: 1px dashed #fff; border-radius: 5px;">
+ <span style="font-size: 14px; color: #ccc;">Your code</span><br>
+ <strong style="font-size: 22px; color: #fff; letter-spacing: 2px;">${escapeHtml(promoCode)}</strong>
+ </div>`
+     : ''
+ }
+ <div style="text-align: center; margin: 20px 0;">
+ <a href="${escapeHtml(restoreUrl)}"
+style="display: inline-block; font-size: 16px; font-weight: bold; color: #000; text-decoration: none; padding: 12px 20px; border: 1px solid #fff; border-radius: 5px; background-color: #fff;">
+ Restore My Cart
+ </a>
+ </div>
+ <p style="font-size: 16px; color: #ccc;">You are receiving this email because you left items in your cart. You can turn off email notifications in your account settings.</p>
+ <footer style="margin-top: 20px; text-align: center; font-size: 14px; color: #666;">
+  <p>Thank you,<br>Ecommerce Team</p>
+  <p style="font-size: 12px; color: #444;">This is an automated message. Please do not reply to this email.</p>
+  </footer>
+ </div>
+ `
+}
@@ -0,0 +1,21 @@
+export const generateBackInStockEmailTemplate = ({ productName, variantLabel, productUrl }) => {
+  const fullName = variantLabel ? `${productName} (${variantLabel})` : productName
+  return `
+ <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; background-color: #000; color: #fff;">
+ <h2 style="color: #fff; text-align: center;">Back In Stock</h2>
+ <p style="font-size: 16px; color: #ccc;">Dear Customer,</p>
+ <p style="font-size: 16px; color: #ccc;">Good news! <strong style="color: #fff;">${fullName}</strong> is available again. Stock is limited, so order soon:</p>
+ <div style="text-align: center; margin: 20px 0;">
+ <a href="${productUrl}"
+style="display: inline-block; font-size: 16px; font-weight: bold; color: #000; text-decoration: none; padding: 12px 20px; border: 1px solid #fff; border-radius: 5px; background-color: #fff;">
+ View Product
+ </a>
+ </div>
+ <p style="font-size: 16px; color: #ccc;">You are receiving this email because you asked to be notified when this item was back in stock.</p>
+ <footer style="margin-top: 20px; text-align: center; font-size: 14px; color: #666;">
+  <p>Thank you,<br>Ecommerce Team</p>
+  <p style="font-size: 12px; color: #444;">This is an automated message. Please do not reply to this email.</p>
+  </footer>
+ </div>
+ `
+}
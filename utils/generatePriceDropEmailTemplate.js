@@ -0,0 +1,43 @@
+// Product and list names are shopper / admin written, so they are escaped before going into the HTML
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+  )
+
+const formatTaka = (amount) => `৳${Number(amount).toFixed(2)}`
+
+export const generatePriceDropEmailTemplate = ({ customerName, drops }) => {
+  const rows = drops
+    .map(
+      (drop) => `
+ <tr>
+  <td style="padding: 10px; border-bottom: 1px solid #333;">
+   <a href="${escapeHtml(drop.productUrl)}" style="color: #fff; text-decoration: none; font-weight: bold;">${escapeHtml(drop.name)}</a><br>
+   <span style="font-size: 13px; color: #888;">On ${escapeHtml(drop.listNames.join(', '))}</span>
+  </td>
+  <td style="padding: 10px; border-bottom: 1px solid #333; text-align: right; white-space: nowrap;">
+   <span style="color: #888; text-decoration: line-through;">${formatTaka(drop.oldPrice)}</span><br>
+   <strong style="color: #fff;">${formatTaka(drop.newPrice)}</strong>
+   <span style="color: #4caf50;">(-${drop.dropPercent}%)</span>
+  </td>
+ </tr>`,
+    )
+    .join('')
+
+  return `
+ <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; background-color: #000; color: #fff;">
+ <h2 style="color: #fff; text-align: center;">Price Drop On Your Wishlist</h2>
+ <p style="font-size: 16px; color: #ccc;">Dear ${escapeHtml(customerName || 'Customer')},</p>
+ <p style="font-size: 16px; color: #ccc;">${drops.length === 1 ? 'An item' : 'Items'} you saved just got cheaper:</p>
+ <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 15px; color: #ccc;">${rows}
+ </table>
+ <p style="font-size: 16px; color: #ccc;">Prices can change again at any time, so don't wait too long.</p>
+ <p style="font-size: 14px; color: #888;">You are receiving this email because you saved these items to a wishlist. You can turn off price drop alerts in your notification preferences.</p>
+ <footer style="margin-top: 20px; text-align: center; font-size: 14px; color: #666;">
+  <p>Thank you,<br>Ecommerce Team</p>
+  <p style="font-size: 12px; color: #444;">This is an automated message. Please do not reply to this email.</p>
+  </footer>
+ </div>
+ `
+}
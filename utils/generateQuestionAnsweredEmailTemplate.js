@@ -0,0 +1,39 @@
+// Questions and answers are shopper-written, so they are escaped before going into the HTML
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+  )
+
+export const generateQuestionAnsweredEmailTemplate = ({
+  askerName,
+  productName,
+  question,
+  answer,
+  productUrl,
+}) => {
+  return `
+ <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; background-color: #000; color: #fff;">
+ <h2 style="color: #fff; text-align: center;">Your Question Was Answered</h2>
+ <p style="font-size: 16px; color: #ccc;">Dear ${escapeHtml(askerName || 'Customer')},</p>
+ <p style="font-size: 16px; color: #ccc;">Your question about <strong style="color: #fff;">${escapeHtml(productName)}</strong> has a new answer.</p>
+ <div style="margin: 20px 0; padding: 15px; border: 1px solid #333; border-radius: 5px;">
+ <p style="font-size: 14px; color: #999; margin: 0 0 5px;">Your question</p>
+ <p style="font-size: 16px; color: #fff; margin: 0 0 15px;">${escapeHtml(question)}</p>
+ <p style="font-size: 14px; color: #999; margin: 0 0 5px;">Answer</p>
+ <p style="font-size: 16px; color: #fff; margin: 0;">${escapeHtml(answer)}</p>
+ </div>
+ <div style="text-align: center; margin: 20px 0;">
+ <a href="${productUrl}"
+style="display: inline-block; font-size: 16px; font-weight: bold; color: #000; text-decoration: none; padding: 12px 20px; border: 1px solid #fff; border-radius: 5px; background-color: #fff;">
+ View Product
+ </a>
+ </div>
+ <p style="font-size: 16px; color: #ccc;">You are receiving this email because you asked a question about this product.</p>
+ <footer style="margin-top: 20px; text-align: center; font-size: 14px; color: #666;">
+  <p>Thank you,<br>Ecommerce Team</p>
+  <p style="font-size: 12px; color: #444;">This is an automated message. Please do not reply to this email.</p>
+  </footer>
+ </div>
+ `
+}
@@ -1,45 +1,179 @@
-export async function getAIRecommendation(req, res, userPrompt, products) {
-  const API_KEY = process.env.GEMINI_API_KEY
-  const URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent`
+/**
+ * AI Product Recommendation
+ * Asks the configured LLM provider (see llmProviders.js) which of a set of keyword-matched
+ * products fit a shopper's request. Only the best candidates that fit the token budget are
+ * sent, the answer must be JSON naming candidate ids, and any failure (timeout, HTTP error,
+ * invalid answer) falls back to a deterministic keyword ranking - this never writes a response.
+ */
 
+import { getLLMProvider } from './llmProviders.js'
+import { withTimeout } from './enhancedErrorHandling.js'
+
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS, 10) || 15000
+const CANDIDATE_TOKEN_BUDGET = parseInt(process.env.AI_CANDIDATE_TOKEN_BUDGET, 10) || 6000
+
+const STOP_WORDS = new Set(
+  `the they them then i we you he she it is a an of and or to for from on who whom why when
+  which with this that in at by be not was were has have had do does did so some any how can
+  could should would there here just than because but its it's if show me find want need looking
+  please`.split(/\s+/),
+)
+
+const SYSTEM_PROMPT =
+  'You are a product search assistant for an online store. Pick the products that match the ' +
+  "shopper's request, best match first. Answer with JSON only, in the form " +
+  '{"productIds": ["<id>", ...]}, using ids from the product list. Return an empty list if ' +
+  'nothing matches.'
+
+/**
+ * Meaningful lowercase words of a shopper's request (stop words and bare numbers removed)
+ */
+export const extractKeywords = (text) => [
+  ...new Set(
+    String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\s']/gu, ' ')
+      .split(/\s+/)
+      .filter((word) => word && !STOP_WORDS.has(word) && !/^\d+$/.test(word)),
+  ),
+]
+
+// Rough token count (about four characters per token)
+export const estimateTokens = (text) => Math.ceil(String(text).length / 4)
+
+/**
+ * The part of a product the model needs to judge it
+ */
+export const toCandidate = (product) => ({
+  id: String(product.id),
+  name: product.name,
+  category: product.category || '',
+  brand: product.brand || '',
+  price: Number(product.price),
+  description: String(product.description || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200),
+})
+
+/**
+ * Products ranked by how many keywords they contain (name hits count most)
+ * Deterministic: ties keep rating order, then name
+ */
+export const rankByKeywords = (products, keywords) => {
+  const score = (product) =>
+    keywords.reduce((sum, keyword) => {
+      const name = String(product.name || '').toLowerCase()
+      const rest = `${product.category || ''} ${product.brand || ''} ${product.description || ''}`
+      return sum + (name.includes(keyword) ? 3 : 0) + (rest.toLowerCase().includes(keyword) ? 1 : 0)
+    }, 0)
+
+  return products
+    .map((product) => ({ product, score: score(product) }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (Number(b.product.ratings) || 0) - (Number(a.product.ratings) || 0) ||
+        String(a.product.name).localeCompare(String(b.product.name)),
+    )
+    .map(({ product }) => product)
+}
+
+/**
+ * Best keyword matches whose candidate entries fit within the token budget
+ */
+export const selectCandidates = (products, keywords, tokenBudget = CANDIDATE_TOKEN_BUDGET) => {
+  const candidates = []
+  let used = 0
+  for (const product of rankByKeywords(products, keywords)) {
+    const candidate = toCandidate(product)
+    const tokens = estimateTokens(JSON.stringify(candidate))
+    if (used + tokens > tokenBudget) break
+    candidates.push(candidate)
+    used += tokens
+  }
+  return candidates
+}
+
+export const buildRecommendationPrompt = (userPrompt, candidates) =>
+  `Shopper request: ${JSON.stringify(String(userPrompt))}\n\n` +
+  `Products (one JSON object per line):\n${candidates.map((c) => JSON.stringify(c)).join('\n')}`
+
+/**
+ * Validate the model's answer: JSON { productIds: [...] } (a bare id array, or objects with an
+ * id, are accepted too). Unknown and repeated ids are dropped.
+ * Throws when the answer is not in that shape.
+ */
+export const parseProductIdResponse = (text, candidateIds) => {
+  const cleaned = String(text || '')
+    .replace(/```(?:json)?/g, '')
+    .trim()
+  if (!cleaned) throw new Error('Empty AI response')
+
+  let parsed
   try {
-    const geminiPrompt = `
-        Here is a list of avaiable products:
-        ${JSON.stringify(products, null, 2)}
-
-        Based on the following user request, filter and suggest the best matching products:
-        "${userPrompt}"
-
-        Only return the matching products in JSON format.
-    `
-
-    const response = await fetch(URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Goog-Api-Key': API_KEY,
-      },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: geminiPrompt }] }],
+    parsed = JSON.parse(cleaned)
+  } catch (error) {
+    throw new Error('AI response is not valid JSON')
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.productIds
+  if (!Array.isArray(list)) throw new Error('AI response has no productIds list')
+
+  const allowed = new Set(candidateIds.map(String))
+  const ids = []
+  for (const item of list) {
+    const id = String(item && typeof item === 'object' ? item.id : item)
+    if (allowed.has(id) && !ids.includes(id)) ids.push(id)
+  }
+  return ids
+}
+
+/**
+ * Pick the products matching a shopper's request
+ * Returns { products, source: 'ai' | 'keyword', provider, fallbackReason? }
+ */
+export async function getAIRecommendation(
+  userPrompt,
+  products,
+  { provider = getLLMProvider(), timeoutMs = AI_TIMEOUT_MS, tokenBudget } = {},
+) {
+  const keywords = extractKeywords(userPrompt)
+  const candidates = selectCandidates(products, keywords, tokenBudget)
+  const fallback = (reason) => ({
+    products: rankByKeywords(products, keywords).filter((product) =>
+      keywords.some((keyword) =>
+        `${product.name} ${product.category || ''} ${product.brand || ''} ${product.description || ''}`
+          .toLowerCase()
+          .includes(keyword),
+      ),
+    ),
+    source: 'keyword',
+    provider: provider.name,
+    fallbackReason: reason,
+  })
+
+  if (candidates.length === 0) return fallback('No candidates')
+
+  try {
+    const text = await withTimeout(
+      provider.generate({
+        system: SYSTEM_PROMPT,
+        prompt: buildRecommendationPrompt(userPrompt, candidates),
+        context: { query: userPrompt, candidates },
       }),
-    })
-
-    const data = await response.json()
-    const aiResponseText = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || ''
-    const cleanedText = aiResponseText.replace(/```json|```/g, ``).trim()
-
-    if (!cleanedText) {
-      return res.status(500).json({ success: false, message: 'AI response is empty or invalid.' })
-    }
-
-    let parsedProducts
-    try {
-      parsedProducts = JSON.parse(cleanedText)
-    } catch (error) {
-      return res.status(500).json({ success: false, message: 'Failed to parse AI response' })
-    }
-    return { success: true, products: parsedProducts }
+      timeoutMs,
+    )
+    const ids = parseProductIdResponse(
+      text,
+      candidates.map((candidate) => candidate.id),
+    )
+
+    const byId = new Map(products.map((product) => [String(product.id), product]))
+    return { products: ids.map((id) => byId.get(id)), source: 'ai', provider: provider.name }
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Internal server error.' })
+    console.warn(`⚠️ [AI SEARCH] ${provider.name} failed, using keyword ranking:`, error.message)
+    return fallback(error.message)
   }
 }
@@ -1,6 +1,6 @@
 import jwt from 'jsonwebtoken'
 
-export const sendToken = (user, statusCode, message, res) => {
+export const sendToken = (user, statusCode, message, res, extra = {}) => {
   const secretKeyAccess = process.env.JWT_SECRET_KEY_ACCESS || process.env.JWT_SECRET_KEY
   const secretKeyRefresh = process.env.JWT_SECRET_KEY_REFRESH || process.env.JWT_SECRET_KEY
 
@@ -67,5 +67,6 @@ export const sendToken = (user, statusCode, message, res) => {
       accessToken: accessToken,
       refreshToken: refreshToken,
       token: accessToken, // Alias for backward compatibility
+      ...extra,
     })
 }
@@ -0,0 +1,136 @@
+/**
+ * LLM Providers
+ * One small interface over the language models used by AI product search:
+ *   provider.generate({ system, prompt, context }) -> Promise<string> (the model's JSON text)
+ * Providers: gemini, openai (any OpenAI-compatible chat completions API) and mock
+ * (deterministic, offline - for tests and local development).
+ * Chosen by AI_PROVIDER; without it Gemini is used when GEMINI_API_KEY is set, else mock.
+ */
+
+import { tokenizeSearchText } from './searchSynonyms.js'
+
+export const LLM_PROVIDERS = ['gemini', 'openai', 'mock']
+
+const DEFAULT_GEMINI_MODEL = 'gemini-3-flash-preview'
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini'
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1'
+
+/**
+ * Read a JSON response, turning HTTP errors into exceptions with the provider's message
+ */
+const readJsonResponse = async (response, providerName) => {
+  const data = await response.json().catch(() => null)
+  if (!response.ok) {
+    const detail = data?.error?.message || response.statusText
+    throw new Error(`${providerName} request failed (${response.status}): ${detail}`)
+  }
+  return data
+}
+
+/**
+ * Google Gemini (generateContent) asking for a JSON response
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL } = {}) => ({
+  name: 'gemini',
+  model,
+  async generate({ system, prompt }) {
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not configured')
+
+    const response = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Goog-Api-Key': apiKey },
+        body: JSON.stringify({
+          systemInstruction: { parts: [{ text: system }] },
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { responseMimeType: 'application/json', temperature: 0 },
+        }),
+      },
+    )
+    const data = await readJsonResponse(response, 'Gemini')
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || ''
+  },
+})
+
+/**
+ * OpenAI or any OpenAI-compatible chat completions API (local servers, gateways)
+ */
+export const createOpenAICompatibleProvider = ({
+  apiKey,
+  model = DEFAULT_OPENAI_MODEL,
+  baseUrl = DEFAULT_OPENAI_BASE_URL,
+} = {}) => ({
+  name: 'openai',
+  model,
+  async generate({ system, prompt }) {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+      }),
+    })
+    const data = await readJsonResponse(response, 'OpenAI-compatible')
+    return data?.choices?.[0]?.message?.content?.trim() || ''
+  },
+})
+
+/**
+ * Offline provider: picks candidates sharing words with the request, best match first
+ * respond(request) can replace the default answer (tests use it for bad or slow responses)
+ */
+export const createMockProvider = ({ respond } = {}) => ({
+  name: 'mock',
+  model: 'mock',
+  async generate(request) {
+    if (respond) return respond(request)
+
+    const { query = '', candidates = [] } = request.context || {}
+    const words = new Set(tokenizeSearchText(query))
+    const productIds = candidates
+      .map((candidate) => ({
+        id: candidate.id,
+        hits: tokenizeSearchText(
+          `${candidate.name} ${candidate.category} ${candidate.brand}`,
+        ).filter((word) => words.has(word)).length,
+      }))
+      .filter((candidate) => candidate.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .map((candidate) => candidate.id)
+    return JSON.stringify({ productIds })
+  },
+})
+
+/**
+ * Provider configured by the environment
+ * AI_PROVIDER=gemini|openai|mock, GEMINI_API_KEY, GEMINI_MODEL,
+ * OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL
+ */
+export const getLLMProvider = (env = process.env) => {
+  const name = (env.AI_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'mock')).toLowerCase()
+
+  if (name === 'gemini') {
+    return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL })
+  }
+  if (name === 'openai') {
+    return createOpenAICompatibleProvider({
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL,
+      baseUrl: env.OPENAI_BASE_URL,
+    })
+  }
+  if (!LLM_PROVIDERS.includes(name)) {
+    console.warn(`⚠️ Unknown AI_PROVIDER "${name}", using the mock provider`)
+  }
+  return createMockProvider()
+}
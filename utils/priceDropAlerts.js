@@ -0,0 +1,213 @@
+/**
+ * Wishlist Price-Drop Alerts
+ * Wishlist items remember the unit price when they were added (price_at_add). When a product
+ * gets cheaper than that - an admin edit, a variant edit or a scheduled sale starting - the
+ * owner gets an in-app notification and one digest email. Each alerted item records the price
+ * it was alerted at (last_notified_price), so the same drop is never announced twice and the
+ * next alert needs a further drop. Shoppers opt out with the priceDropAlerts notification
+ * preference.
+ */
+
+import { createNotificationRecord } from '../controllers/notificationController.js'
+import {
+  claimPriceAlerts,
+  getPriceWatchRows,
+  raisePriceAlertBaselines,
+} from '../models/wishlistsTable.js'
+import { loadActivePriceRules } from './pricing.js'
+import { priceWishlistItems } from './wishlists.js'
+import { sendEmail } from './sendEmail.js'
+import { generatePriceDropEmailTemplate } from './generatePriceDropEmailTemplate.js'
+
+// Smallest drop (percent of the last price the shopper saw) worth an alert
+export const PRICE_DROP_MIN_PERCENT =
+  parseFloat(process.env.PRICE_DROP_ALERT_MIN_PERCENT) >= 0
+    ? parseFloat(process.env.PRICE_DROP_ALERT_MIN_PERCENT)
+    : 5
+// Catches drops that don't go through a product edit, e.g. scheduled sales
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.PRICE_DROP_ALERT_INTERVAL_MINUTES, 10) || 30
+
+const toPrice = (value) => (value === null || value === undefined ? null : parseFloat(value))
+
+/**
+ * Work out which watched items to alert about
+ * Takes priced watch rows ({ id, user_id, product_id, variant_id, current_price, price_at_add,
+ * last_notified_price, ... }) and returns:
+ * - alerts: one per user and product / variant (the same item can sit on several lists) with
+ *   old_price, new_price, drop_percent and the item_ids to claim
+ * - raised: { id, price } of items whose price went back up past the last alerted price
+ */
+export const planPriceDropAlerts = (rows, minPercent = PRICE_DROP_MIN_PERCENT) => {
+  const alerts = new Map()
+  const raised = []
+
+  for (const row of rows) {
+    const lastNotified = toPrice(row.last_notified_price)
+    const baseline = lastNotified ?? toPrice(row.price_at_add)
+    const current = row.current_price
+    if (baseline === null || !(baseline > 0)) continue
+
+    if (lastNotified !== null && current > lastNotified) {
+      raised.push({ id: row.id, price: current })
+      continue
+    }
+
+    const dropPercent = Math.round(((baseline - current) / baseline) * 1000) / 10
+    if (current >= baseline || dropPercent < minPercent) continue
+
+    const key = `${row.user_id}:${row.product_id}:${row.variant_id || ''}`
+    const alert = alerts.get(key)
+    if (alert) {
+      alert.item_ids.push(row.id)
+      if (row.list_name && !alert.list_names.includes(row.list_name)) {
+        alert.list_names.push(row.list_name)
+      }
+      // Report the drop from the highest price the shopper saw on any of their lists
+      if (baseline > alert.old_price) {
+        alert.old_price = baseline
+        alert.drop_percent = dropPercent
+      }
+      continue
+    }
+
+    alerts.set(key, {
+      user_id: row.user_id,
+      product_id: row.product_id,
+      variant_id: row.variant_id || null,
+      name: row.name,
+      image: row.image || null,
+      list_names: row.list_name ? [row.list_name] : [],
+      old_price: baseline,
+      new_price: current,
+      drop_percent: dropPercent,
+      item_ids: [row.id],
+    })
+  }
+
+  return { alerts: [...alerts.values()], raised }
+}
+
+const productUrl = (productId) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/product/${productId}`
+
+const notifyShopper = async (recipient, alerts) => {
+  // Claim first: a concurrent run (product edit + interval) only gets the items it claimed
+  const claimed = new Set(
+    await claimPriceAlerts(
+      alerts.flatMap((alert) => alert.item_ids),
+      alerts.flatMap((alert) => alert.item_ids.map(() => alert.new_price)),
+    ),
+  )
+  const dropped = alerts.filter((alert) => alert.item_ids.some((id) => claimed.has(id)))
+  if (dropped.length === 0) return 0
+
+  for (const alert of dropped) {
+    await createNotificationRecord({
+      userId: recipient.user_id,
+      type: 'wishlist',
+      title: `${alert.name} is now ৳${alert.new_price.toFixed(2)}`,
+      message: `Down ${alert.drop_percent}% from ৳${alert.old_price.toFixed(2)} on ${alert.list_names.join(', ') || 'your wishlist'}`,
+      data: {
+        kind: 'price_drop',
+        productId: alert.product_id,
+        variantId: alert.variant_id,
+        oldPrice: alert.old_price,
+        newPrice: alert.new_price,
+        dropPercent: alert.drop_percent,
+      },
+    })
+  }
+
+  if (recipient.email && recipient.email_notifications) {
+    try {
+      await sendEmail({
+        email: recipient.email,
+        subject:
+          dropped.length === 1
+            ? `Price drop: ${dropped[0].name}`
+            : `${dropped.length} items on your wishlist got cheaper`,
+        message: generatePriceDropEmailTemplate({
+          customerName: recipient.user_name,
+          drops: dropped.map((alert) => ({
+            name: alert.name,
+            listNames: alert.list_names,
+            oldPrice: alert.old_price,
+            newPrice: alert.new_price,
+            dropPercent: alert.drop_percent,
+            productUrl: productUrl(alert.product_id),
+          })),
+        }),
+      })
+    } catch (error) {
+      // The in-app notifications are already out; don't retry the whole alert for the email
+      console.error(`❌ [PRICE DROP] Email to user ${recipient.user_id} failed:`, error.message)
+    }
+  }
+
+  return dropped.length
+}
+
+/**
+ * Compare watched wishlist items with current prices and alert their owners
+ * Pass productIds to check only products that were just edited. Never throws.
+ */
+export const runPriceDropAlerts = async (productIds = null) => {
+  try {
+    if (productIds && productIds.length === 0) return null
+
+    const rows = await getPriceWatchRows(productIds)
+    if (rows.length === 0) return { alerted: 0 }
+
+    const priced = priceWishlistItems(rows, await loadActivePriceRules()).map((item, index) => ({
+      ...item,
+      user_id: rows[index].user_id,
+      list_name: rows[index].list_name,
+      last_notified_price: rows[index].last_notified_price,
+    }))
+    const { alerts, raised } = planPriceDropAlerts(priced)
+
+    if (raised.length > 0) {
+      await raisePriceAlertBaselines(
+        raised.map((item) => item.id),
+        raised.map((item) => item.price),
+      )
+    }
+
+    const recipients = new Map(rows.map((row) => [row.user_id, row]))
+    const byUser = new Map()
+    for (const alert of alerts) {
+      if (!byUser.has(alert.user_id)) byUser.set(alert.user_id, [])
+      byUser.get(alert.user_id).push(alert)
+    }
+
+    let alerted = 0
+    for (const [userId, userAlerts] of byUser) {
+      try {
+        alerted += await notifyShopper(recipients.get(userId), userAlerts)
+      } catch (error) {
+        console.error(`❌ [PRICE DROP] Alert for user ${userId} failed:`, error.message)
+      }
+    }
+
+    if (alerted) {
+      console.log(`✅ [PRICE DROP] Sent ${alerted} price drop alerts to ${byUser.size} shoppers`)
+    }
+    return { alerted }
+  } catch (error) {
+    console.error('❌ [PRICE DROP] Check failed:', error.message)
+    return null
+  }
+}
+
+export const initializePriceDropAlertJob = () => {
+  setInterval(
+    () => {
+      runPriceDropAlerts()
+    },
+    CHECK_INTERVAL_MINUTES * 60 * 1000,
+  )
+
+  console.log(
+    `⏱️ Price drop alert job initialized (every ${CHECK_INTERVAL_MINUTES} minutes, drops of ${PRICE_DROP_MIN_PERCENT}% or more)`,
+  )
+}
@@ -0,0 +1,232 @@
+/**
+ * Effective Pricing
+ * One place that decides what a product or variant sells for right now:
+ * the static sale price, or a running scheduled price rule, whichever is lower.
+ * Used by product listings, product details, the cart and order creation.
+ */
+
+import database from '../database/db.js'
+import { getActivePriceRules } from '../models/priceRulesTable.js'
+import { getAllCategories } from '../models/categoriesTable.js'
+import { getDescendantIds } from './categoryTree.js'
+import { getVariantUnitPrice, parseJsonField } from '../models/productVariantsTable.js'
+import { broadcastPriceRuleChange } from '../socket/socketSetup.js'
+
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.PRICE_RULE_CHECK_SECONDS, 10) || 60
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100
+
+const toNumber = (value) =>
+  value === null || value === undefined || value === '' ? null : parseFloat(value)
+
+/**
+ * Whether a rule targets a product (category and brand match case-insensitively)
+ */
+export const ruleMatchesProduct = (rule, product) => {
+  const targets = parseJsonField(rule.target_values, []).map((value) => String(value))
+
+  if (rule.target_type === 'product') {
+    return targets.includes(String(product.id))
+  }
+
+  const field = rule.target_type === 'category' ? product.category : product.brand
+  if (!field) return false
+  const lowered = String(field).toLowerCase()
+  return targets.some((target) => target.toLowerCase() === lowered)
+}
+
+/**
+ * Widen category rules to the categories below the ones they target, so a rule on "Clothing"
+ * also prices products filed under "Clothing > Men > Panjabi"
+ * categories: flat category rows ({ id, name, parent_id })
+ */
+export const expandCategoryRules = (rules, categories = []) => {
+  if (categories.length === 0) return rules
+  const byId = new Map(categories.map((category) => [String(category.id), category]))
+
+  return rules.map((rule) => {
+    if (rule.target_type !== 'category') return rule
+
+    const targets = parseJsonField(rule.target_values, []).map((value) => String(value))
+    const lowered = new Set(targets.map((target) => target.toLowerCase()))
+    const names = new Set(targets)
+    for (const category of categories) {
+      if (!lowered.has(String(category.name).toLowerCase())) continue
+      for (const id of getDescendantIds(categories, category.id)) {
+        names.add(byId.get(id).name)
+      }
+    }
+    return { ...rule, target_values: [...names] }
+  })
+}
+
+/**
+ * Price after applying a rule to the regular price (never negative, never higher)
+ */
+export const applyPriceRule = (rule, regularPrice) => {
+  const value = parseFloat(rule.value) || 0
+  let price = regularPrice
+
+  if (rule.discount_type === 'percentage') {
+    price = regularPrice * (1 - Math.min(value, 100) / 100)
+  } else if (rule.discount_type === 'fixed') {
+    price = regularPrice - value
+  } else if (rule.discount_type === 'fixed_price') {
+    price = value
+  }
+
+  return roundPrice(Math.min(Math.max(price, 0), regularPrice))
+}
+
+/**
+ * Pricing for one product or variant
+ * staticPrice is what it sells for without rules (its own sale price, if any)
+ * Returns { regular_price, effective_price, on_sale, price_rule }
+ */
+export const computeEffectivePrice = ({ regularPrice, staticPrice, product, rules = [] }) => {
+  let effective = staticPrice
+  let appliedRule = null
+
+  for (const rule of rules) {
+    if (!ruleMatchesProduct(rule, product)) continue
+    const rulePrice = applyPriceRule(rule, regularPrice)
+    if (rulePrice < effective) {
+      effective = rulePrice
+      appliedRule = rule
+    }
+  }
+
+  return {
+    regular_price: regularPrice,
+    effective_price: roundPrice(effective),
+    on_sale: effective < regularPrice,
+    price_rule: appliedRule
+      ? {
+          id: appliedRule.id,
+          name: appliedRule.name,
+          discount_type: appliedRule.discount_type,
+          value: parseFloat(appliedRule.value),
+          starts_at: appliedRule.starts_at,
+          ends_at: appliedRule.ends_at,
+        }
+      : null,
+  }
+}
+
+/**
+ * Pricing for a simple product (or a variable product's parent)
+ */
+export const getProductPricing = (product, rules = []) => {
+  const regularPrice = toNumber(product.price) || 0
+  const salePrice = toNumber(product.sale_price)
+  const staticPrice =
+    salePrice !== null && salePrice > 0 && salePrice < regularPrice ? salePrice : regularPrice
+
+  return computeEffectivePrice({ regularPrice, staticPrice, product, rules })
+}
+
+/**
+ * Pricing for a variant; rules apply to the variant's own price
+ * (the parent's sale price is not inherited, as in getVariantUnitPrice)
+ */
+export const getVariantPricing = (variant, product, rules = []) => {
+  const regularPrice = toNumber(variant.price) ?? (toNumber(product.price) || 0)
+  const staticPrice = getVariantUnitPrice(variant, product)
+
+  return computeEffectivePrice({ regularPrice, staticPrice, product, rules })
+}
+
+/**
+ * Unit price charged for a cart / order line
+ */
+export const getEffectiveUnitPrice = (product, variant = null, rules = []) =>
+  (variant ? getVariantPricing(variant, product, rules) : getProductPricing(product, rules))
+    .effective_price
+
+/**
+ * Add effective_price / on_sale / price_rule to a product (and its variants)
+ */
+export const withEffectivePrice = (product, rules = []) => {
+  if (!product) return product
+  const { effective_price, on_sale, price_rule } = getProductPricing(product, rules)
+  const priced = { ...product, effective_price, on_sale, price_rule }
+
+  if (Array.isArray(product.variants)) {
+    priced.variants = product.variants.map((variant) => {
+      const variantPricing = getVariantPricing(variant, product, rules)
+      return {
+        ...variant,
+        effective_price: variantPricing.effective_price,
+        on_sale: variantPricing.on_sale,
+        price_rule: variantPricing.price_rule,
+      }
+    })
+  }
+  return priced
+}
+
+/**
+ * Rules running now; pricing falls back to static prices if they can't be loaded
+ */
+export const loadActivePriceRules = async (client = database) => {
+  let rules
+  try {
+    rules = await getActivePriceRules(new Date(), client)
+  } catch (error) {
+    console.error('❌ [PRICING] Failed to load price rules:', error.message)
+    return []
+  }
+  if (!rules.some((rule) => rule.target_type === 'category')) return rules
+
+  try {
+    return expandCategoryRules(rules, await getAllCategories({}, client))
+  } catch (error) {
+    // Without the tree, category rules still match their own categories
+    console.error('❌ [PRICING] Failed to load categories for price rules:', error.message)
+    return rules
+  }
+}
+
+/**
+ * Broadcast sales that started or ended since the last check
+ * A rule switched off by an admin while running counts as ended
+ */
+export const announcePriceRuleChanges = async (io) => {
+  try {
+    const { rows: started } = await database.query(
+      `UPDATE price_rules SET started_announced_at = NOW()
+       WHERE is_active = true AND starts_at <= NOW() AND (ends_at IS NULL OR ends_at > NOW())
+         AND started_announced_at IS NULL
+       RETURNING *`,
+    )
+    const { rows: ended } = await database.query(
+      `UPDATE price_rules SET ended_announced_at = NOW()
+       WHERE started_announced_at IS NOT NULL AND ended_announced_at IS NULL
+         AND (is_active = false OR (ends_at IS NOT NULL AND ends_at <= NOW()))
+       RETURNING *`,
+    )
+
+    if (io) {
+      started.forEach((rule) => broadcastPriceRuleChange(io, rule, 'started'))
+      ended.forEach((rule) => broadcastPriceRuleChange(io, rule, 'ended'))
+    }
+    if (started.length > 0 || ended.length > 0) {
+      console.log(`✅ [PRICING] Sales started: ${started.length}, ended: ${ended.length}`)
+    }
+    return { started: started.length, ended: ended.length }
+  } catch (error) {
+    console.error('❌ [PRICING] Price rule check failed:', error.message)
+    return { started: 0, ended: 0 }
+  }
+}
+
+/**
+ * Check for sale starts / ends on an interval
+ */
+export const initializePriceRuleScheduler = (io) => {
+  setInterval(() => {
+    announcePriceRuleChanges(io)
+  }, CHECK_INTERVAL_SECONDS * 1000)
+
+  console.log(`⏱️ Price rule scheduler initialized (every ${CHECK_INTERVAL_SECONDS} seconds)`)
+}
@@ -0,0 +1,242 @@
+/**
+ * Product Attributes
+ * Pure helpers for typed attributes (material, screen size, RAM, ...):
+ * validating values before they are stored, shaping them for product pages,
+ * and turning shopper filters into SQL conditions on product_attribute_values.
+ */
+
+export const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select', 'multiselect']
+
+// Types whose values must come from attribute.options
+export const OPTION_TYPES = ['select', 'multiselect']
+
+const TRUE_VALUES = ['true', '1', 'yes']
+const FALSE_VALUES = ['false', '0', 'no']
+
+const toList = (raw) =>
+  (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map((item) => String(item ?? '').trim())
+    .filter(Boolean)
+
+const parseBoolean = (raw) => {
+  const lowered = String(raw).trim().toLowerCase()
+  if (TRUE_VALUES.includes(lowered)) return true
+  if (FALSE_VALUES.includes(lowered)) return false
+  return null
+}
+
+const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value
+  try {
+    const parsed = JSON.parse(value || '[]')
+    return Array.isArray(parsed) ? parsed : []
+  } catch {
+    return []
+  }
+}
+
+export const getAttributeOptions = (attribute) => parseJsonArray(attribute.options).map(String)
+
+/**
+ * Clean the option list of a select / multiselect attribute
+ * Returns { options } (trimmed, de-duplicated case-insensitively) or { error }
+ */
+export const normalizeAttributeOptions = (type, raw) => {
+  if (!OPTION_TYPES.includes(type)) return { options: [] }
+
+  const options = []
+  for (const option of toList(raw ?? [])) {
+    if (option.length > 255) return { error: 'Attribute options cannot exceed 255 characters' }
+    if (!options.some((existing) => existing.toLowerCase() === option.toLowerCase())) {
+      options.push(option)
+    }
+  }
+  if (options.length === 0) {
+    return { error: `A ${type} attribute needs at least one option` }
+  }
+  return { options }
+}
+
+/**
+ * Validate one product value against its attribute
+ * Returns { rows: [{ value_text, value_number, value_boolean }] } or { error }
+ * Empty values return no rows (the attribute is cleared); multiselect returns one row per option
+ */
+export const normalizeAttributeValue = (attribute, raw) => {
+  if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+    return { rows: [] }
+  }
+  const row = { value_text: null, value_number: null, value_boolean: null }
+
+  switch (attribute.type) {
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim())
+      if (!Number.isFinite(number)) return { error: `${attribute.name} must be a number` }
+      return { rows: [{ ...row, value_number: number }] }
+    }
+    case 'boolean': {
+      const bool = typeof raw === 'boolean' ? raw : parseBoolean(raw)
+      if (bool === null) return { error: `${attribute.name} must be true or false` }
+      return { rows: [{ ...row, value_boolean: bool }] }
+    }
+    case 'select':
+    case 'multiselect': {
+      const options = getAttributeOptions(attribute)
+      const picked = toList(raw)
+      if (attribute.type === 'select' && picked.length > 1) {
+        return { error: `${attribute.name} takes a single option` }
+      }
+      const rows = []
+      for (const value of picked) {
+        // Store the option's own spelling so facets group cleanly
+        const option = options.find((candidate) => candidate.toLowerCase() === value.toLowerCase())
+        if (!option) {
+          return { error: `${attribute.name} must be one of: ${options.join(', ')}` }
+        }
+        if (!rows.some((existing) => existing.value_text === option)) {
+          rows.push({ ...row, value_text: option })
+        }
+      }
+      return { rows }
+    }
+    default: {
+      const text = String(raw).trim()
+      if (text.length > 255) return { error: `${attribute.name} cannot exceed 255 characters` }
+      return { rows: [{ ...row, value_text: text }] }
+    }
+  }
+}
+
+/**
+ * Turn stored value rows (joined with their attribute) into
+ * [{ id, name, slug, type, unit, value }] for product pages; multiselect values are arrays
+ */
+export const formatAttributeValues = (rows) => {
+  const byAttribute = new Map()
+  for (const row of rows) {
+    const value =
+      row.type === 'number'
+        ? parseFloat(row.value_number)
+        : row.type === 'boolean'
+          ? row.value_boolean
+          : row.value_text
+    const key = String(row.attribute_id)
+    if (!byAttribute.has(key)) {
+      byAttribute.set(key, {
+        id: row.attribute_id,
+        name: row.name,
+        slug: row.slug,
+        type: row.type,
+        unit: row.unit || null,
+        position: row.attribute_position ?? row.position ?? 0,
+        value: row.type === 'multiselect' ? [] : value,
+      })
+    }
+    if (row.type === 'multiselect') byAttribute.get(key).value.push(value)
+  }
+  return [...byAttribute.values()]
+    .sort((a, b) => a.position - b.position || a.name.localeCompare(b.name))
+    .map(({ position, ...attribute }) => attribute)
+}
+
+/**
+ * Attribute filters from a listing query string: ?attr.ram=8,16&attr.screen-size=13-15
+ * Returns { [slug]: rawValue }
+ */
+export const readQueryAttributeFilters = (query = {}) => {
+  const filters = {}
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith('attr.') && key.length > 5 && value !== '') {
+      filters[key.slice(5)] = value
+    }
+  }
+  return filters
+}
+
+const parseNumberFilter = (raw) => {
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    const min = raw.min === undefined || raw.min === '' ? null : Number(raw.min)
+    const max = raw.max === undefined || raw.max === '' ? null : Number(raw.max)
+    return { min, max }
+  }
+  // "8-16", "8-" and "-16" are ranges; "8,16" lists exact values
+  const text = Array.isArray(raw) ? raw.join(',') : String(raw).trim()
+  const range = text.match(/^([\d.]*)-([\d.]*)$/)
+  if (range) {
+    return {
+      min: range[1] === '' ? null : Number(range[1]),
+      max: range[2] === '' ? null : Number(range[2]),
+    }
+  }
+  return { values: toList(text).map(Number) }
+}
+
+/**
+ * Match raw filters ({ slug: value }) with attribute definitions
+ * Returns { filters: [{ attribute, values } | { attribute, min, max }] } or { error }
+ */
+export const resolveAttributeFilters = (raw, attributes) => {
+  const filters = []
+  for (const [slug, value] of Object.entries(raw || {})) {
+    const attribute = attributes.find((candidate) => candidate.slug === slug)
+    if (!attribute || attribute.is_filterable === false) {
+      return { error: `Unknown attribute filter: ${slug}` }
+    }
+
+    if (attribute.type === 'number') {
+      const parsed = parseNumberFilter(value)
+      const numbers = parsed.values || [parsed.min, parsed.max].filter((n) => n !== null)
+      if (numbers.length === 0 || numbers.some((n) => !Number.isFinite(n))) {
+        return { error: `Invalid number filter for ${attribute.name}` }
+      }
+      if (parsed.min !== null && parsed.max !== null && parsed.max < parsed.min) {
+        return { error: `Invalid range for ${attribute.name}` }
+      }
+      filters.push({ attribute, ...parsed })
+    } else if (attribute.type === 'boolean') {
+      const bool = typeof value === 'boolean' ? value : parseBoolean(value)
+      if (bool === null) return { error: `${attribute.name} filter must be true or false` }
+      filters.push({ attribute, values: [bool] })
+    } else {
+      const values = toList(value)
+      if (values.length === 0) continue
+      filters.push({ attribute, values })
+    }
+  }
+  return { filters }
+}
+
+/**
+ * One EXISTS condition per attribute filter (options of one attribute are OR-ed,
+ * different attributes are AND-ed). Pushes parameters onto values.
+ */
+export const buildAttributeConditions = (filters, values, productColumn = 'p.id') =>
+  filters.map(({ attribute, values: matches, min, max }) => {
+    values.push(attribute.id)
+    const clauses = [`pav_f.attribute_id = $${values.length}`]
+
+    if (attribute.type === 'number') {
+      if (matches) {
+        values.push(matches)
+        clauses.push(`pav_f.value_number = ANY($${values.length}::numeric[])`)
+      } else {
+        if (min !== null && min !== undefined) {
+          values.push(min)
+          clauses.push(`pav_f.value_number >= $${values.length}`)
+        }
+        if (max !== null && max !== undefined) {
+          values.push(max)
+          clauses.push(`pav_f.value_number <= $${values.length}`)
+        }
+      }
+    } else if (attribute.type === 'boolean') {
+      values.push(matches[0])
+      clauses.push(`pav_f.value_boolean = $${values.length}`)
+    } else {
+      values.push(matches.map((match) => match.toLowerCase()))
+      clauses.push(`LOWER(pav_f.value_text) = ANY($${values.length}::text[])`)
+    }
+
+    return `EXISTS (SELECT 1 FROM product_attribute_values pav_f
+      WHERE pav_f.product_id = ${productColumn} AND ${clauses.join(' AND ')})`
+  })
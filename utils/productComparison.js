@@ -0,0 +1,161 @@
+/**
+ * Product Comparison
+ * Builds the side-by-side matrix for the compare list: one row per compared property with a
+ * normalized value for every product (in compare-list order) and a flag for rows whose values
+ * are not all the same.
+ */
+
+import { formatAttributeValues } from './productAttributes.js'
+
+// Products a shopper can compare at once
+export const MAX_COMPARE_PRODUCTS = parseInt(process.env.COMPARE_MAX_PRODUCTS, 10) || 4
+
+// Weights are compared in kilograms
+const KG_PER_UNIT = { kg: 1, g: 0.001, lb: 0.45359237, lbs: 0.45359237, oz: 0.028349523 }
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+const round = (value, places = 3) =>
+  value === null ? null : Math.round(value * 10 ** places) / 10 ** places
+
+/**
+ * Product weight in kilograms (null when missing or in an unknown unit)
+ */
+export const normalizeWeightKg = (weight, unit = 'kg') => {
+  const value = toNumber(weight)
+  const factor = KG_PER_UNIT[String(unit || 'kg').toLowerCase()]
+  return value === null || !factor ? null : round(value * factor)
+}
+
+/**
+ * Length × width × height, or null when no dimension is set
+ */
+export const normalizeDimensions = (product) => {
+  const dimensions = {
+    length: toNumber(product.length),
+    width: toNumber(product.width),
+    height: toNumber(product.height),
+  }
+  return Object.values(dimensions).every((value) => value === null) ? null : dimensions
+}
+
+/**
+ * True when the values are not all equal (missing values count as different,
+ * multiselect lists are compared regardless of order)
+ */
+export const valuesDiffer = (values) =>
+  new Set(
+    values.map((value) =>
+      JSON.stringify(Array.isArray(value) ? [...value].map(String).sort() : (value ?? null)),
+    ),
+  ).size > 1
+
+const percentage = (part, total) =>
+  total > 0 ? Math.round(((toNumber(part) || 0) / total) * 1000) / 10 : null
+
+/**
+ * Comparison matrix
+ * products: product rows in compare-list order
+ * attributeRows: rows of getProductAttributeValues for those products
+ * reviewStats: review_statistics rows
+ * Returns { products: [{ id, name, slug, image, brand, category }], rows: [
+ *   { key, label, group, unit, values: [...], differs } ] }
+ */
+export const buildComparisonMatrix = (products, attributeRows = [], reviewStats = []) => {
+  const statsByProduct = new Map(reviewStats.map((stats) => [String(stats.product_id), stats]))
+  const stats = products.map((product) => statsByProduct.get(String(product.id)) || null)
+
+  const rows = []
+  const addRow = (key, label, group, values, unit = null) =>
+    rows.push({ key, label, group, unit, values, differs: valuesDiffer(values) })
+
+  addRow(
+    'price',
+    'Price',
+    'pricing',
+    products.map((p) => toNumber(p.price)),
+  )
+  addRow(
+    'sale_price',
+    'Sale price',
+    'pricing',
+    products.map((p) => toNumber(p.sale_price)),
+  )
+
+  addRow(
+    'rating',
+    'Rating',
+    'reviews',
+    products.map((p) => toNumber(p.ratings)),
+  )
+  const totals = stats.map((s) => (s ? toNumber(s.total_reviews) || 0 : 0))
+  addRow('total_reviews', 'Reviews', 'reviews', totals)
+  addRow(
+    'avg_review_rating',
+    'Average review rating',
+    'reviews',
+    stats.map((s) => (s ? round(toNumber(s.avg_rating), 2) : null)),
+  )
+  addRow(
+    'five_star_percent',
+    '5-star reviews',
+    'reviews',
+    stats.map((s, i) => (s ? percentage(s.five_star_count, totals[i]) : null)),
+    '%',
+  )
+  addRow(
+    'verified_purchase_reviews',
+    'Verified purchase reviews',
+    'reviews',
+    stats.map((s) => (s ? toNumber(s.verified_purchase_reviews) || 0 : 0)),
+  )
+
+  addRow('dimensions', 'Dimensions (L × W × H)', 'shipping', products.map(normalizeDimensions))
+  addRow(
+    'weight',
+    'Weight',
+    'shipping',
+    products.map((p) => normalizeWeightKg(p.weight, p.weight_unit)),
+    'kg',
+  )
+
+  // Attributes: every attribute any compared product has, in attribute order
+  const attributesByProduct = new Map()
+  for (const row of attributeRows) {
+    const key = String(row.product_id)
+    attributesByProduct.set(key, [...(attributesByProduct.get(key) || []), row])
+  }
+  const formatted = products.map((p) =>
+    formatAttributeValues(attributesByProduct.get(String(p.id)) || []),
+  )
+  const attributeOrder = formatAttributeValues([
+    ...new Map(attributeRows.map((row) => [String(row.attribute_id), row])).values(),
+  ])
+  for (const attribute of attributeOrder) {
+    addRow(
+      `attr.${attribute.slug}`,
+      attribute.name,
+      'attributes',
+      formatted.map(
+        (list) => list.find((item) => String(item.id) === String(attribute.id))?.value ?? null,
+      ),
+      attribute.unit,
+    )
+  }
+
+  return {
+    products: products.map((product) => ({
+      id: product.id,
+      name: product.name,
+      slug: product.slug || null,
+      image: product.images?.[0] || null,
+      brand: product.brand || null,
+      category: product.category || null,
+    })),
+    rows,
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Product Export
+ * Streams the catalog as CSV, JSON or XLSX using the importer's column layout,
+ * so an exported file can be edited and uploaded again through /import.
+ */
+
+import ExcelJS from 'exceljs'
+import database from '../database/db.js'
+import { IMPORT_COLUMNS } from './productImport.js'
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx']
+export const EXPORT_COLUMNS = Object.keys(IMPORT_COLUMNS)
+
+const BATCH_SIZE = 500
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch (e) {
+    return fallback
+  }
+}
+
+/**
+ * Shape a products row into import columns
+ * Lists stay arrays here; flattenExportRow joins them for spreadsheets
+ */
+export const toExportRow = (product) => {
+  const row = {}
+  for (const column of EXPORT_COLUMNS) {
+    const value = product[column]
+    row[column] = value === undefined ? null : value
+  }
+
+  row.images = parseJson(product.images, [])
+    .map((image) => (typeof image === 'string' ? image : image?.url))
+    .filter(Boolean)
+  row.image_alts = parseJson(product.image_alts, [])
+  row.tags = parseJson(product.tags, [])
+
+  for (const column of EXPORT_COLUMNS) {
+    const type = IMPORT_COLUMNS[column].type
+    if ((type === 'price' || type === 'decimal') && row[column] !== null) {
+      row[column] = parseFloat(row[column])
+    }
+  }
+
+  // Variant stock is managed per variant and the importer rejects a parent stock value
+  if (product.product_type === 'variable') {
+    row.stock = null
+  }
+
+  return row
+}
+
+/**
+ * Spreadsheet cell values: lists joined with "|", nulls as empty cells
+ */
+export const flattenExportRow = (row) =>
+  EXPORT_COLUMNS.map((column) => {
+    const value = row[column]
+    if (value === null || value === undefined) return ''
+    if (Array.isArray(value)) return value.join('|')
+    return value
+  })
+
+/**
+ * Quote a CSV cell when needed
+ * Text starting with = + - @ gets a leading apostrophe so spreadsheets don't run it
+ * as a formula; the importer strips it again
+ */
+export const escapeCsvCell = (value) => {
+  let text = String(value ?? '')
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Yield filtered products in id order, BATCH_SIZE at a time
+ */
+async function* productBatches({ conditions, values }) {
+  let lastId = null
+
+  while (true) {
+    const where = [...conditions]
+    const params = [...values]
+    if (lastId) {
+      params.push(lastId)
+      where.push(`p.id > $${params.length}`)
+    }
+    params.push(BATCH_SIZE)
+
+    const { rows } = await database.query(
+      `SELECT p.* FROM products p
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY p.id ASC
+       LIMIT $${params.length}`,
+      params,
+    )
+
+    if (rows.length === 0) return
+    yield rows
+    if (rows.length < BATCH_SIZE) return
+    lastId = rows[rows.length - 1].id
+  }
+}
+
+/**
+ * Write the export to res in the requested format
+ * Returns the number of products written
+ */
+export const streamProductExport = async (res, format, filters) => {
+  let count = 0
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res })
+    const sheet = workbook.addWorksheet('Products')
+    sheet.addRow(EXPORT_COLUMNS).commit()
+    for await (const batch of productBatches(filters)) {
+      for (const product of batch) {
+        sheet.addRow(flattenExportRow(toExportRow(product))).commit()
+        count++
+      }
+    }
+    sheet.commit()
+    await workbook.commit()
+    return count
+  }
+
+  if (format === 'json') {
+    res.write('[')
+    for await (const batch of productBatches(filters)) {
+      for (const product of batch) {
+        res.write(`${count > 0 ? ',' : ''}\n${JSON.stringify(toExportRow(product))}`)
+        count++
+      }
+    }
+    res.end('\n]\n')
+    return count
+  }
+
+  // CSV with a BOM so Excel opens it as UTF-8
+  res.write(`\uFEFF${EXPORT_COLUMNS.join(',')}\r\n`)
+  for await (const batch of productBatches(filters)) {
+    const lines = batch.map((product) =>
+      flattenExportRow(toExportRow(product)).map(escapeCsvCell).join(','),
+    )
+    res.write(`${lines.join('\r\n')}\r\n`)
+    count += batch.length
+  }
+  res.end()
+  return count
+}
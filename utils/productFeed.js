@@ -0,0 +1,303 @@
+/**
+ * Product Feed
+ * Builds Google Merchant Center and Facebook (Meta) catalog feeds from products.
+ * Variable products are listed once per active variant, grouped by item_group_id.
+ * Generated feeds are cached in memory because ad platforms poll them.
+ */
+
+import crypto from 'crypto'
+import database from '../database/db.js'
+import { getSetting } from '../models/settingsTable.js'
+import { getCategoryMappings } from '../models/feedCategoryMappingsTable.js'
+import { parseJsonField } from '../models/productVariantsTable.js'
+import { getProductPricing, getVariantPricing, loadActivePriceRules } from './pricing.js'
+
+export const FEED_FORMATS = ['xml', 'csv']
+export const FEED_CURRENCY = 'BDT'
+export const FEED_CACHE_MINUTES = parseInt(process.env.PRODUCT_FEED_CACHE_MINUTES, 10) || 60
+
+// Products with these visibility values never appear in ad feeds
+const HIDDEN_VISIBILITIES = ['hidden', 'private']
+
+const AVAILABILITY = {
+  google: { in: 'in_stock', out: 'out_of_stock', backorder: 'backorder' },
+  facebook: { in: 'in stock', out: 'out of stock', backorder: 'available for order' },
+}
+
+const CATEGORY_FIELD = {
+  google: 'google_product_category',
+  facebook: 'fb_product_category',
+}
+
+const feedCache = new Map()
+
+/**
+ * Forget cached feeds (all channels, or one)
+ */
+export const clearFeedCache = (channel = null) => {
+  for (const key of feedCache.keys()) {
+    if (!channel || key.startsWith(`${channel}:`)) feedCache.delete(key)
+  }
+}
+
+export const formatFeedPrice = (amount) => `${Number(amount).toFixed(2)} ${FEED_CURRENCY}`
+
+/**
+ * Strip HTML and collapse whitespace; channels reject markup in descriptions
+ */
+export const toPlainText = (html, maxLength = 5000) =>
+  String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength)
+
+/**
+ * in / out / backorder from stock_status, falling back to the stock count
+ * (downloadable products never run out)
+ */
+export const resolveAvailability = ({
+  stock_status: stockStatus,
+  stock,
+  allow_backorders,
+  product_type: productType,
+}) => {
+  if (stockStatus === 'out-of-stock') return 'out'
+  if (stockStatus === 'on-backorder') return 'backorder'
+  if (Number(stock) > 0 || productType === 'downloadable') return 'in'
+  return allow_backorders ? 'backorder' : 'out'
+}
+
+const imageUrls = (images) =>
+  parseJsonField(images, [])
+    .map((image) => (typeof image === 'string' ? image : image?.url))
+    .filter(Boolean)
+
+/**
+ * "start/end" window of the price rule behind a sale (ISO 8601), or null for open-ended sales
+ */
+const saleEffectiveDate = (rule) => {
+  if (!rule?.starts_at || !rule?.ends_at) return null
+  return `${new Date(rule.starts_at).toISOString()}/${new Date(rule.ends_at).toISOString()}`
+}
+
+/**
+ * Build channel items for one product (and its variants)
+ * Prices are the ones the storefront charges: static sale prices and running price rules
+ * Items without a price above zero or an image are left out; channels reject them
+ */
+export const buildFeedItems = (
+  product,
+  { channel, variants = [], categoryMappings = {}, baseUrl = '', rules = [] },
+) => {
+  const availability = AVAILABILITY[channel]
+  const link = `${baseUrl}/product/${product.slug || product.id}`
+  const parentImages = imageUrls(product.images)
+  const description = toPlainText(product.description || product.short_description || product.name)
+  const mappedCategory = categoryMappings[String(product.category || '').toLowerCase()]
+
+  const baseItem = {
+    title: String(product.name).slice(0, 150),
+    description,
+    link,
+    brand: product.brand || null,
+    condition: 'new',
+    product_type: product.category || null,
+    [CATEGORY_FIELD[channel]]: mappedCategory || null,
+  }
+
+  const sources =
+    product.product_type === 'variable' && variants.length > 0
+      ? variants.map((variant) => {
+          const options = parseJsonField(variant.options, {})
+          const label = Object.values(options).join(' / ')
+          return {
+            id: variant.sku || variant.id,
+            item_group_id: product.sku || product.id,
+            title: label ? `${product.name} - ${label}`.slice(0, 150) : baseItem.title,
+            pricing: getVariantPricing(variant, product, rules),
+            barcode: variant.barcode,
+            sku: variant.sku,
+            images: [...imageUrls(variant.images), ...parentImages],
+            availability: resolveAvailability({
+              stock: variant.stock,
+              allow_backorders: product.allow_backorders,
+            }),
+          }
+        })
+      : [
+          {
+            id: product.sku || product.id,
+            item_group_id: null,
+            title: baseItem.title,
+            pricing: getProductPricing(product, rules),
+            barcode: product.barcode,
+            sku: product.sku,
+            images: parentImages,
+            availability: resolveAvailability(product),
+          },
+        ]
+
+  return sources
+    .filter((source) => source.pricing.regular_price > 0 && source.images.length > 0)
+    .map((source) => {
+      const {
+        regular_price: price,
+        effective_price: salePrice,
+        on_sale,
+        price_rule,
+      } = source.pricing
+      const item = {
+        id: String(source.id),
+        item_group_id: source.item_group_id ? String(source.item_group_id) : null,
+        ...baseItem,
+        title: source.title,
+        image_link: source.images[0],
+        additional_image_link: [...new Set(source.images.slice(1))].slice(0, 10),
+        availability: availability[source.availability],
+        price: formatFeedPrice(price),
+        sale_price: on_sale ? formatFeedPrice(salePrice) : null,
+        sale_price_effective_date: on_sale ? saleEffectiveDate(price_rule) : null,
+        gtin: source.barcode || null,
+        mpn: source.sku || null,
+      }
+      // Google wants an explicit "no" when a product has neither GTIN nor brand
+      if (channel === 'google' && !item.gtin && !item.brand) {
+        item.identifier_exists = 'no'
+      }
+      return item
+    })
+}
+
+export const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+/**
+ * RSS 2.0 with the Google namespace (Meta accepts the same format)
+ */
+export const renderXmlFeed = (items, { title, link, description }) => {
+  const itemXml = items.map((item) => {
+    const fields = Object.entries(item).flatMap(([key, value]) => {
+      if (value === null || value === undefined) return []
+      const values = Array.isArray(value) ? value : [value]
+      return values.map((entry) => `      <g:${key}>${escapeXml(entry)}</g:${key}>`)
+    })
+    return `    <item>\n${fields.join('\n')}\n    </item>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    ...itemXml,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n')
+}
+
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(',') : String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * CSV with one column per field used by any item
+ */
+export const renderCsvFeed = (items) => {
+  const columns = [...new Set(items.flatMap((item) => Object.keys(item)))]
+  const lines = items.map((item) => columns.map((column) => csvCell(item[column])).join(','))
+  return `${[columns.join(','), ...lines].join('\n')}\n`
+}
+
+/**
+ * Load every feed-eligible product with its active variants
+ */
+const loadFeedProducts = async () => {
+  const { rows: products } = await database.query(
+    `SELECT * FROM products
+     WHERE COALESCE(visibility, 'visible') <> ALL($1)
+     ORDER BY created_at DESC`,
+    [HIDDEN_VISIBILITIES],
+  )
+
+  const variableIds = products.filter((p) => p.product_type === 'variable').map((p) => p.id)
+  const variantsByProduct = new Map()
+  if (variableIds.length > 0) {
+    const { rows: variants } = await database.query(
+      `SELECT * FROM product_variants
+       WHERE product_id = ANY($1::uuid[]) AND is_active = true
+       ORDER BY position ASC, created_at ASC`,
+      [variableIds],
+    )
+    for (const variant of variants) {
+      if (!variantsByProduct.has(variant.product_id)) variantsByProduct.set(variant.product_id, [])
+      variantsByProduct.get(variant.product_id).push(variant)
+    }
+  }
+
+  return { products, variantsByProduct }
+}
+
+/**
+ * Build (or return the cached) feed body for a channel and format
+ * Returns { body, etag, generatedAt, itemCount }
+ */
+export const generateProductFeed = async (channel, format) => {
+  const cacheKey = `${channel}:${format}`
+  const cached = feedCache.get(cacheKey)
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached
+  }
+
+  const baseUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '')
+  const [{ products, variantsByProduct }, categoryMappings, shopInfo, rules] = await Promise.all([
+    loadFeedProducts(),
+    getCategoryMappings(channel),
+    getSetting('shop_info'),
+    loadActivePriceRules(),
+  ])
+
+  const items = products.flatMap((product) =>
+    buildFeedItems(product, {
+      channel,
+      variants: variantsByProduct.get(product.id) || [],
+      categoryMappings,
+      baseUrl,
+      rules,
+    }),
+  )
+
+  const shopName = shopInfo?.shopName || 'Bedtex'
+  const body =
+    format === 'csv'
+      ? renderCsvFeed(items)
+      : renderXmlFeed(items, {
+          title: `${shopName} products`,
+          link: baseUrl || '/',
+          description: `${shopName} product feed`,
+        })
+
+  const entry = {
+    body,
+    etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+    generatedAt: new Date(),
+    itemCount: items.length,
+    expiresAt: Date.now() + FEED_CACHE_MINUTES * 60 * 1000,
+  }
+  feedCache.set(cacheKey, entry)
+
+  console.log(
+    `✅ [FEED] Generated ${channel} ${format.toUpperCase()} feed with ${items.length} items`,
+  )
+  return entry
+}
@@ -0,0 +1,98 @@
+import { buildAttributeConditions } from './productAttributes.js'
+
+/**
+ * Shared WHERE clause for product listings
+ * Used by the storefront listing and the admin export so both filter the same way
+ * Returns { conditions, values } or { error } for invalid input
+ */
+export const buildProductFilters = ({
+  availability,
+  price,
+  category,
+  categoryId,
+  ratings,
+  search,
+  brand,
+  attributes = [],
+} = {}) => {
+  const conditions = []
+  const values = []
+
+  // Filter products by availability (downloadable products are always in stock)
+  if (availability === 'in-stock') {
+    conditions.push(`(stock > 5 OR product_type = 'downloadable')`)
+  } else if (availability === 'limited') {
+    conditions.push(`stock > 0 AND stock <= 5 AND product_type <> 'downloadable'`)
+  } else if (availability === 'out-of-stock') {
+    conditions.push(`stock = 0 AND product_type <> 'downloadable'`)
+  }
+
+  // Filter products by price
+  if (price) {
+    const [minPrice, maxPrice] = price.split('-')
+    if (minPrice && maxPrice) {
+      // Validate prices
+      const min = parseFloat(minPrice)
+      const max = parseFloat(maxPrice)
+      if (isNaN(min) || isNaN(max) || min < 0 || max < min) {
+        return { error: 'Invalid price range format. Expected: min-max' }
+      }
+      values.push(min, max)
+      conditions.push(`price BETWEEN $${values.length - 1} AND $${values.length}`)
+    }
+  }
+
+  // Filter products by category
+  if (category) {
+    values.push(`%${category}%`)
+    conditions.push(`category ILIKE $${values.length}`)
+  }
+
+  // Filter products by category id, including everything nested below it
+  if (categoryId) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(categoryId)) {
+      return { error: 'Invalid category_id' }
+    }
+    values.push(categoryId)
+    conditions.push(`category_id IN (
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM categories WHERE id = $${values.length}
+        UNION ALL
+        SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+      )
+      SELECT id FROM subtree
+    )`)
+  }
+
+  // Filter products by rating
+  if (ratings) {
+    const rating = parseFloat(ratings)
+    if (isNaN(rating) || rating < 0 || rating > 5) {
+      return { error: 'Rating must be between 0 and 5' }
+    }
+    values.push(rating)
+    conditions.push(`ratings >= $${values.length}`)
+  }
+
+  // Filter products by brand (comma-separated, any of them)
+  if (brand) {
+    const brands = (Array.isArray(brand) ? brand : String(brand).split(','))
+      .map((value) => String(value).trim().toLowerCase())
+      .filter(Boolean)
+    if (brands.length > 0) {
+      values.push(brands)
+      conditions.push(`LOWER(p.brand) = ANY($${values.length}::text[])`)
+    }
+  }
+
+  // Filter products by attribute values (already resolved against the attribute definitions)
+  conditions.push(...buildAttributeConditions(attributes, values))
+
+  // Add search query
+  if (search) {
+    values.push(`%${search}%`)
+    conditions.push(`(p.name ILIKE $${values.length} OR p.description ILIKE $${values.length})`)
+  }
+
+  return { conditions, values }
+}
@@ -0,0 +1,551 @@
+/**
+ * Product Import
+ * Reads CSV / XLSX product sheets, maps columns onto the products schema and
+ * upserts rows by product id (present in exported files) or SKU. Every row is
+ * validated on its own so one bad line never blocks the rest; dry runs report what
+ * would happen without writing anything.
+ */
+
+import fs from 'fs'
+import ExcelJS from 'exceljs'
+import database from '../database/db.js'
+import { reconcileDefaultLocation, recordStockDelta } from './stockManager.js'
+import { withTransaction } from './transactionHelper.js'
+import { syncBundlesForComponents } from '../models/productBundlesTable.js'
+import { resolveProductCategory } from '../models/categoriesTable.js'
+import { IMPORT_JOB_STALE_MINUTES, failInterruptedImportJobs } from '../models/importJobsTable.js'
+
+// Files above this many rows are handed to a background job
+export const IMPORT_SYNC_ROW_LIMIT = parseInt(process.env.IMPORT_SYNC_ROW_LIMIT, 10) || 200
+export const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 20000
+
+const MAX_PRICE = 99999.99 // DECIMAL(7,2)
+
+/**
+ * Importable columns and how to coerce them
+ * Header aliases are matched after lower-casing and collapsing spaces/dashes to "_"
+ */
+export const IMPORT_COLUMNS = {
+  id: { type: 'uuid', aliases: ['product_id'] },
+  name: { type: 'string', max: 255, aliases: ['title', 'product_name'] },
+  description: { type: 'string' },
+  short_description: { type: 'string' },
+  sku: { type: 'string', max: 100 },
+  barcode: { type: 'string', max: 255 },
+  slug: { type: 'string', max: 255 },
+  category: { type: 'string', max: 100 },
+  brand: { type: 'string', max: 100 },
+  price: { type: 'price', aliases: ['regular_price'] },
+  sale_price: { type: 'price' },
+  cost_price: { type: 'price' },
+  stock: { type: 'integer', min: 0, aliases: ['quantity', 'qty', 'stock_quantity'] },
+  low_stock_threshold: { type: 'integer', min: 0 },
+  stock_status: { type: 'string', max: 50 },
+  allow_backorders: { type: 'boolean', aliases: ['backorders'] },
+  sold_individually: { type: 'boolean' },
+  weight: { type: 'decimal' },
+  weight_unit: { type: 'string', max: 20 },
+  length: { type: 'decimal' },
+  width: { type: 'decimal' },
+  height: { type: 'decimal' },
+  shipping_class: { type: 'string', max: 100 },
+  free_shipping: { type: 'boolean' },
+  featured: { type: 'boolean' },
+  visibility: { type: 'string', max: 50 },
+  enable_reviews: { type: 'boolean' },
+  meta_title: { type: 'string', max: 255 },
+  meta_description: { type: 'string' },
+  focus_keyword: { type: 'string', max: 100 },
+  purchase_note: { type: 'string' },
+  menu_order: { type: 'integer' },
+  images: { type: 'images', aliases: ['image', 'image_urls'] },
+  image_alts: { type: 'list' },
+  tags: { type: 'list' },
+}
+
+const JSON_COLUMNS = ['images', 'image_alts', 'tags']
+
+const normalizeHeader = (header) =>
+  String(header ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_')
+
+const HEADER_LOOKUP = Object.entries(IMPORT_COLUMNS).reduce((lookup, [column, spec]) => {
+  lookup[column] = column
+  for (const alias of spec.aliases || []) lookup[alias] = column
+  return lookup
+}, {})
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * The delimiter is detected from the header line (comma or semicolon)
+ */
+export const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '')
+  const firstLine = input.slice(0, input.search(/\r?\n|$/))
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''))
+}
+
+/**
+ * Flatten ExcelJS cell values (hyperlinks, rich text, formulas, dates) to plain values
+ */
+const excelCellValue = (value) => {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'object') {
+    if ('result' in value) return excelCellValue(value.result)
+    if ('text' in value) return String(value.text)
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('')
+    return ''
+  }
+  return value
+}
+
+const readXlsx = async (filePath) => {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.readFile(filePath)
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+
+  const rows = []
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-indexed
+    const cells = []
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      cells.push(excelCellValue(row.values[col]))
+    }
+    rows.push(cells)
+  })
+  return rows
+}
+
+/**
+ * Work out the file type from the upload's name / mimetype
+ */
+export const detectImportFileType = (file) => {
+  const name = String(file?.name || '').toLowerCase()
+  if (name.endsWith('.csv') || file?.mimetype === 'text/csv') return 'csv'
+  if (
+    name.endsWith('.xlsx') ||
+    file?.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ) {
+    return 'xlsx'
+  }
+  return null
+}
+
+/**
+ * Turn header + cell rows into objects keyed by import column
+ * Unknown headers are returned so the caller can report them
+ */
+export const rowsToRecords = (rows) => {
+  if (rows.length === 0) return { records: [], unknownColumns: [] }
+
+  const [header, ...body] = rows
+  const columns = header.map((cell) => HEADER_LOOKUP[normalizeHeader(cell)] || null)
+  const unknownColumns = header.filter((cell, index) => !columns[index] && String(cell).trim())
+
+  const records = body.map((cells, index) => {
+    const record = { __row: index + 2 } // spreadsheet line number, header is line 1
+    columns.forEach((column, colIndex) => {
+      if (column) record[column] = cells[colIndex]
+    })
+    return record
+  })
+
+  return { records, unknownColumns }
+}
+
+/**
+ * Same as rowsToRecords for a JSON array of product objects
+ * Rows are numbered from 1
+ */
+export const objectsToRecords = (items) =>
+  items.map((item, index) => {
+    const record = { __row: index + 1 }
+    for (const [key, value] of Object.entries(item || {})) {
+      const column = HEADER_LOOKUP[normalizeHeader(key)]
+      if (column) record[column] = value
+    }
+    return record
+  })
+
+/**
+ * Read an uploaded CSV / XLSX file into records
+ */
+export const readImportFile = async (filePath, fileType) => {
+  const rows =
+    fileType === 'xlsx' ? await readXlsx(filePath) : parseCsv(fs.readFileSync(filePath, 'utf8'))
+  return rowsToRecords(rows)
+}
+
+const splitList = (value) => {
+  if (Array.isArray(value)) {
+    // JSON imports may send images as [{ url }]
+    return value.map((item) => String(item?.url ?? item ?? '').trim()).filter(Boolean)
+  }
+  const text = String(value).trim()
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text)
+      if (Array.isArray(parsed)) return parsed.map((item) => String(item).trim()).filter(Boolean)
+    } catch (e) {
+      // fall through to delimiter splitting
+    }
+  }
+  // Always "|", the separator exports write: tags and URLs may contain commas
+  return text
+    .split('|')
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+}
+
+/**
+ * Coerce one cell to its column type
+ * Returns { value } or { error }
+ */
+const coerceCell = (column, spec, raw) => {
+  if (spec.type === 'boolean') {
+    const value = BOOLEAN_VALUES[String(raw).trim().toLowerCase()]
+    return value === undefined ? { error: `${column} must be yes/no or true/false` } : { value }
+  }
+
+  if (spec.type === 'price' || spec.type === 'decimal') {
+    const value = Number(String(raw).replace(/,/g, '').trim())
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${column} must be a non-negative number` }
+    }
+    if (spec.type === 'price' && value > MAX_PRICE) {
+      return { error: `${column} cannot exceed ${MAX_PRICE}` }
+    }
+    return { value: Math.round(value * 100) / 100 }
+  }
+
+  if (spec.type === 'integer') {
+    const text = String(raw).trim()
+    const value = Number(text)
+    if (!Number.isInteger(value)) return { error: `${column} must be a whole number` }
+    if (spec.min !== undefined && value < spec.min) {
+      return { error: `${column} cannot be less than ${spec.min}` }
+    }
+    return { value }
+  }
+
+  if (spec.type === 'uuid') {
+    const value = String(raw).trim().toLowerCase()
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value)) {
+      return { error: `${column} must be a product id from an export` }
+    }
+    return { value }
+  }
+
+  if (spec.type === 'list') {
+    return { value: splitList(raw) }
+  }
+
+  if (spec.type === 'images') {
+    const urls = splitList(raw)
+    const invalid = urls.find((url) => !/^https?:\/\//i.test(url))
+    if (invalid) return { error: `images must be http(s) URLs (got "${invalid}")` }
+    return { value: urls.map((url) => ({ url, public_id: null })) }
+  }
+
+  // Exports prefix formula-like text with an apostrophe; drop it on the way back in
+  const value = String(raw)
+    .trim()
+    .replace(/^'(?=[=+\-@])/, '')
+  if (spec.max && value.length > spec.max) {
+    return { error: `${column} cannot be longer than ${spec.max} characters` }
+  }
+  return { value }
+}
+
+/**
+ * Validate and coerce one record
+ * Blank cells are left out so an update only touches the columns that were filled in
+ */
+export const mapImportRecord = (record) => {
+  const data = {}
+  const errors = []
+
+  for (const [column, spec] of Object.entries(IMPORT_COLUMNS)) {
+    const raw = record[column]
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue
+
+    const { value, error } = coerceCell(column, spec, raw)
+    if (error) errors.push(error)
+    else data[column] = value
+  }
+
+  if (data.sale_price !== undefined && data.price !== undefined && data.sale_price > data.price) {
+    errors.push('sale_price cannot be higher than price')
+  }
+
+  return { data, errors }
+}
+
+/**
+ * Fields a brand new product must have
+ */
+export const validateNewProduct = (data) => {
+  const errors = []
+  if (!data.name) errors.push('name is required for new products')
+  if (data.price === undefined) errors.push('price is required for new products')
+  return errors
+}
+
+/**
+ * Look up existing products for every id and SKU in the file in one query
+ * Returns { byId, bySku }
+ */
+const findExistingProducts = async (ids, skus) => {
+  if (ids.length === 0 && skus.length === 0) return { byId: new Map(), bySku: new Map() }
+  const { rows } = await database.query(
+    `SELECT id, sku, stock, product_type, price, sale_price FROM products
+     WHERE id = ANY($1::uuid[]) OR sku = ANY($2)`,
+    [ids, skus],
+  )
+  return {
+    byId: new Map(rows.map((row) => [row.id, row])),
+    bySku: new Map(rows.filter((row) => row.sku).map((row) => [row.sku, row])),
+  }
+}
+
+const serializeColumn = (column, value) =>
+  JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value
+
+const insertProduct = async (data, createdBy, client) => {
+  const row = {
+    description: '',
+    category: 'Uncategorized',
+    stock: 0,
+    ...data,
+    created_by: createdBy,
+  }
+  const columns = Object.keys(row)
+  const { rows } = await client.query(
+    `INSERT INTO products (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    columns.map((column) => serializeColumn(column, row[column])),
+  )
+  return rows[0]
+}
+
+const updateProduct = async (productId, data, client) => {
+  const columns = Object.keys(data)
+  const { rows } = await client.query(
+    `UPDATE products
+     SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = NOW()
+     WHERE id = $${columns.length + 1}
+     RETURNING *`,
+    [...columns.map((column) => serializeColumn(column, data[column])), productId],
+  )
+  return rows[0]
+}
+
+/**
+ * Validate and (unless dryRun) write every record
+ * Returns a report with one entry per row that failed or, in dry-run mode, every row
+ * onProgress(processedRows) is called every 25 rows
+ */
+export const importProductRecords = async (
+  records,
+  { dryRun = false, createdBy = null, jobId = null, onProgress = null } = {},
+) => {
+  const summary = { total: records.length, created: 0, updated: 0, failed: 0 }
+  const report = []
+
+  const mapped = records.map(mapImportRecord)
+  const { byId, bySku } = await findExistingProducts(
+    [...new Set(mapped.map(({ data }) => data.id).filter(Boolean))],
+    [...new Set(mapped.map(({ data }) => data.sku).filter(Boolean))],
+  )
+  const seenSkus = new Map()
+  const seenIds = new Map()
+
+  for (const [index, record] of records.entries()) {
+    const rowNumber = record.__row
+    const { data, errors } = mapped[index]
+    // Exported rows carry the product id, so rows without a SKU still update their product
+    const existing = data.id ? byId.get(data.id) : data.sku ? bySku.get(data.sku) : null
+    const action = existing ? 'update' : 'create'
+
+    if (data.id) {
+      if (!existing) {
+        errors.push(`No product with id ${data.id}`)
+      } else if (seenIds.has(data.id)) {
+        errors.push(`Duplicate id in file (first used on row ${seenIds.get(data.id)})`)
+      } else {
+        seenIds.set(data.id, rowNumber)
+      }
+      delete data.id
+    }
+
+    if (data.sku) {
+      if (seenSkus.has(data.sku)) {
+        errors.push(`Duplicate SKU in file (first used on row ${seenSkus.get(data.sku)})`)
+      } else {
+        seenSkus.set(data.sku, rowNumber)
+      }
+    }
+
+    if (existing) {
+      if (existing.product_type === 'variable' && data.stock !== undefined) {
+        errors.push('stock of variable products is managed per variant')
+      }
+      if (existing.product_type === 'bundle') {
+        // Exported bundle rows carry the derived values; only a change is an error
+        const derived = ['price', 'sale_price', 'stock'].filter(
+          (column) => data[column] !== undefined,
+        )
+        if (derived.some((column) => Number(data[column]) !== Number(existing[column]))) {
+          errors.push('price, sale_price and stock of bundles come from their components')
+        }
+        derived.forEach((column) => delete data[column])
+      }
+      const price = data.price ?? parseFloat(existing.price)
+      if (data.sale_price !== undefined && data.price === undefined && data.sale_price > price) {
+        errors.push('sale_price cannot be higher than price')
+      }
+      if (Object.keys(data).every((column) => column === 'sku')) {
+        errors.push('No columns to update')
+      }
+    } else {
+      errors.push(...validateNewProduct(data))
+    }
+
+    if (errors.length === 0 && !dryRun) {
+      try {
+        await withTransaction(async (transaction) => {
+          // Category names are linked to the category tree when they match a category
+          if (!existing || data.category !== undefined) {
+            const resolved = await resolveProductCategory({ category: data.category }, transaction)
+            data.category = resolved.category
+            data.category_id = resolved.category_id
+          }
+
+          const saved = existing
+            ? await updateProduct(existing.id, data, transaction)
+            : await insertProduct(data, createdBy, transaction)
+
+          if (
+            !['variable', 'downloadable'].includes(saved.product_type) &&
+            (!existing || data.stock !== undefined)
+          ) {
+            await reconcileDefaultLocation(saved.id, null, transaction)
+            await recordStockDelta(
+              {
+                productId: saved.id,
+                previous: existing ? existing.stock : 0,
+                current: saved.stock,
+                reason: existing ? 'manual_correction' : 'initial',
+                referenceType: 'import',
+                referenceId: jobId,
+                createdBy,
+              },
+              transaction,
+            )
+          }
+          if (existing && (data.price !== undefined || data.stock !== undefined)) {
+            await syncBundlesForComponents([saved.id], transaction)
+          }
+        })
+      } catch (error) {
+        errors.push(
+          error.code === '23505'
+            ? `Duplicate value: ${error.detail || error.message}`
+            : error.message,
+        )
+      }
+    }
+
+    if (errors.length > 0) {
+      summary.failed++
+      report.push({ row: rowNumber, sku: data.sku || null, action, status: 'error', errors })
+    } else {
+      summary[action === 'update' ? 'updated' : 'created']++
+      if (dryRun) {
+        report.push({ row: rowNumber, sku: data.sku || null, action, status: 'ok', errors: [] })
+      }
+    }
+
+    if (onProgress && ((index + 1) % 25 === 0 || index + 1 === records.length)) {
+      await onProgress(index + 1, summary)
+    }
+  }
+
+  return { summary, report }
+}
+
+/**
+ * Fail background imports whose process died, at startup and then every few minutes
+ * (an instance that crashed leaves its jobs for the others to clean up)
+ */
+export const initializeImportJobCleanup = () => {
+  failInterruptedImportJobs()
+  setInterval(
+    () => {
+      failInterruptedImportJobs()
+    },
+    IMPORT_JOB_STALE_MINUTES * 60 * 1000,
+  )
+
+  console.log(
+    `⏱️ Import job cleanup initialized (jobs silent for ${IMPORT_JOB_STALE_MINUTES} minutes are failed)`,
+  )
+}
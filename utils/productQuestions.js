@@ -0,0 +1,69 @@
+/**
+ * Product Q&A
+ * Validation and shaping for customer questions and answers. Questions and answers go through
+ * the same moderation_status workflow as reviews; answers from admins are approved right away,
+ * answers from verified buyers wait for moderation.
+ */
+
+export const QA_MODERATION_STATUSES = ['pending', 'approved', 'rejected']
+
+export const QUESTION_MIN_LENGTH = 10
+export const QUESTION_MAX_LENGTH = 500
+export const ANSWER_MIN_LENGTH = 2
+export const ANSWER_MAX_LENGTH = 2000
+
+// Answers shown under each question in product responses
+export const ANSWERS_PER_QUESTION = 3
+
+/**
+ * Trimmed, whitespace-collapsed text, or an error message when it is out of bounds
+ * Returns { text } or { error }
+ */
+export const validateQaText = (value, { label, min, max }) => {
+  const text = String(value ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (text.length < min) {
+    return { error: `${label} must be at least ${min} characters` }
+  }
+  if (text.length > max) {
+    return { error: `${label} cannot exceed ${max} characters` }
+  }
+  return { text }
+}
+
+/**
+ * Who may answer a question: admins, and shoppers who bought the product
+ */
+export const canAnswerQuestion = ({ isAdmin, verifiedPurchase }) =>
+  Boolean(isAdmin || verifiedPurchase)
+
+/**
+ * Moderation status a new answer starts in
+ */
+export const initialAnswerStatus = ({ isAdmin }) => (isAdmin ? 'approved' : 'pending')
+
+/**
+ * Attach approved answers to their questions (admin answers first, then most upvoted)
+ * keeping at most `perQuestion` answers per question
+ */
+export const groupAnswersByQuestion = (questions, answers, perQuestion = ANSWERS_PER_QUESTION) => {
+  const byQuestion = new Map()
+  for (const answer of answers) {
+    const key = String(answer.question_id)
+    byQuestion.set(key, [...(byQuestion.get(key) || []), answer])
+  }
+
+  return questions.map((question) => ({
+    ...question,
+    answers: (byQuestion.get(String(question.id)) || [])
+      .sort(
+        (a, b) =>
+          Number(Boolean(b.is_admin_answer)) - Number(Boolean(a.is_admin_answer)) ||
+          (b.upvotes || 0) - (a.upvotes || 0) ||
+          new Date(a.created_at) - new Date(b.created_at),
+      )
+      .slice(0, perQuestion)
+      .map(({ question_id, ...answer }) => answer),
+  }))
+}
@@ -0,0 +1,232 @@
+/**
+ * Product Text Search
+ * Full-text search over products.search_vector (name > tags and brand > category > description),
+ * trigram similarity for typos, and a consonant "skeleton" that lets Bangla and romanized
+ * spellings of a name find each other (শাড়ি, shari, saree and sari all become "sr").
+ * The skeleton rules here are also compiled into the search_skeleton() SQL function,
+ * so stored skeletons and query skeletons are always built the same way.
+ */
+
+import { expandSearchTerms, tokenizeSearchText } from './searchSynonyms.js'
+
+// Minimum pg_trgm word similarity between the query and a product name for a fuzzy match
+export const FUZZY_THRESHOLD = 0.4
+
+// Sequences replaced before letters are mapped (nukta letters often arrive decomposed)
+export const BANGLA_REPLACEMENTS = [
+  ['\u09A1\u09BC', '\u09DC'],
+  ['\u09A2\u09BC', '\u09DD'],
+  ['\u09AF\u09BC', '\u09DF'],
+]
+
+// Bangla letters, vowel signs and digits in a plain romanization
+export const BANGLA_TO_LATIN = {
+  অ: 'o',
+  আ: 'a',
+  ই: 'i',
+  ঈ: 'i',
+  উ: 'u',
+  ঊ: 'u',
+  ঋ: 'ri',
+  এ: 'e',
+  ঐ: 'oi',
+  ও: 'o',
+  ঔ: 'ou',
+  'া': 'a',
+  'ি': 'i',
+  'ী': 'i',
+  'ু': 'u',
+  'ূ': 'u',
+  'ৃ': 'ri',
+  'ে': 'e',
+  'ৈ': 'oi',
+  'ো': 'o',
+  'ৌ': 'ou',
+  ক: 'k',
+  খ: 'kh',
+  গ: 'g',
+  ঘ: 'gh',
+  ঙ: 'ng',
+  চ: 'ch',
+  ছ: 'ch',
+  জ: 'j',
+  ঝ: 'jh',
+  ঞ: 'n',
+  ট: 't',
+  ঠ: 'th',
+  ড: 'd',
+  ঢ: 'dh',
+  ণ: 'n',
+  ত: 't',
+  থ: 'th',
+  দ: 'd',
+  ধ: 'dh',
+  ন: 'n',
+  প: 'p',
+  ফ: 'ph',
+  ব: 'b',
+  ভ: 'bh',
+  ম: 'm',
+  য: 'j',
+  র: 'r',
+  ল: 'l',
+  শ: 'sh',
+  ষ: 'sh',
+  স: 's',
+  হ: 'h',
+  '\u09DC': 'r',
+  '\u09DD': 'r',
+  '\u09DF': 'y',
+  ৎ: 't',
+  'ং': 'ng',
+  'ঃ': 'h',
+  'ঁ': '',
+  '্': '',
+  '়': '',
+  '০': '0',
+  '১': '1',
+  '২': '2',
+  '৩': '3',
+  '৪': '4',
+  '৫': '5',
+  '৬': '6',
+  '৭': '7',
+  '৮': '8',
+  '৯': '9',
+}
+
+// Spellings that sound alike in romanized Bangla and English, folded to one letter
+export const LATIN_FOLDS = [
+  ['kh', 'k'],
+  ['gh', 'g'],
+  ['ch', 'c'],
+  ['jh', 'j'],
+  ['th', 't'],
+  ['dh', 'd'],
+  ['ph', 'f'],
+  ['bh', 'b'],
+  ['sh', 's'],
+  ['ck', 'k'],
+  ['q', 'k'],
+  ['z', 'j'],
+  ['v', 'b'],
+  ['x', 'ks'],
+  ['w', 'o'],
+]
+
+/**
+ * Consonant skeleton of a text: romanized, sound-alike letters folded, vowels dropped
+ * and doubled letters collapsed, word by word
+ */
+export const toSearchSkeleton = (text) => {
+  let output = String(text || '').toLowerCase()
+  for (const [from, to] of BANGLA_REPLACEMENTS) output = output.split(from).join(to)
+
+  let mapped = ''
+  for (const ch of output) mapped += BANGLA_TO_LATIN[ch] ?? ch
+  for (const [from, to] of LATIN_FOLDS) mapped = mapped.split(from).join(to)
+
+  return mapped
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/[aeiouy]/g, '')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/ +/g, ' ')
+    .trim()
+}
+
+/**
+ * SQL for search_skeleton(text), the database twin of toSearchSkeleton
+ */
+export const buildSkeletonFunctionSql = () => `
+  CREATE OR REPLACE FUNCTION search_skeleton(input TEXT) RETURNS TEXT AS $fn$
+  DECLARE
+    replacements JSONB := '${JSON.stringify(BANGLA_REPLACEMENTS)}';
+    letters JSONB := '${JSON.stringify(BANGLA_TO_LATIN)}';
+    folds JSONB := '${JSON.stringify(LATIN_FOLDS)}';
+    output TEXT := lower(COALESCE(input, ''));
+    mapped TEXT := '';
+    ch TEXT;
+    pair JSONB;
+  BEGIN
+    FOR pair IN SELECT value FROM jsonb_array_elements(replacements) LOOP
+      output := replace(output, pair->>0, pair->>1);
+    END LOOP;
+    FOREACH ch IN ARRAY regexp_split_to_array(output, '') LOOP
+      mapped := mapped || COALESCE(letters->>ch, ch);
+    END LOOP;
+    FOR pair IN SELECT value FROM jsonb_array_elements(folds) LOOP
+      mapped := replace(mapped, pair->>0, pair->>1);
+    END LOOP;
+    mapped := regexp_replace(mapped, '[^a-z0-9]+', ' ', 'g');
+    mapped := regexp_replace(mapped, '[aeiouy]', '', 'g');
+    mapped := regexp_replace(mapped, '([a-z])\\1+', '\\1', 'g');
+    RETURN btrim(regexp_replace(mapped, ' +', ' ', 'g'));
+  END
+  $fn$ LANGUAGE plpgsql IMMUTABLE;
+`
+
+/**
+ * Prefix tsquery for search-as-you-type ("red sar" -> "red:* & sar:*")
+ * Terms with synonyms match any of them: "mobile" -> "(mobile:* | smartphone:*)"
+ * Returns '' when the text has no words
+ */
+export const buildPrefixTsQuery = (text, synonyms = new Map()) =>
+  expandSearchTerms(tokenizeSearchText(text), synonyms)
+    .map((alternatives) => {
+      const phrases = alternatives.map((words) => words.map((word) => `${word}:*`).join(' & '))
+      if (phrases.length === 1) return phrases[0]
+      return `(${phrases.map((phrase) => (phrase.includes('&') ? `(${phrase})` : phrase)).join(' | ')})`
+    })
+    .join(' & ')
+
+const HEADLINE_NAME = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'
+const HEADLINE_SNIPPET =
+  'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=12, MaxFragments=2'
+const PLAIN_DESCRIPTION = `regexp_replace(COALESCE(p.description, ''), '<[^>]*>', ' ', 'g')`
+
+// Product text is escaped before highlighting, so <mark> is the only markup in the result
+const escapeHtmlSql = (expression) =>
+  `replace(replace(replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`
+const HTML_NAME = escapeHtmlSql('p.name')
+
+/**
+ * Match and rank products against a search text. Pushes parameters onto values.
+ * Returns { condition, rank, headline } SQL fragments over products p:
+ * condition - full-text, fuzzy or transliterated match
+ * rank - relevance score (higher is better)
+ * headline - highlighted_name and snippet columns: HTML-escaped product text with <mark> around
+ *   matched words
+ * synonyms (from buildSynonymMap) widen the full-text part
+ */
+export const buildTextSearch = (query, values, { synonyms } = {}) => {
+  const text = String(query || '').trim()
+  const tsQuery = buildPrefixTsQuery(text, synonyms)
+  const skeleton = toSearchSkeleton(text)
+
+  values.push(text)
+  const textParam = `$${values.length}`
+  const matches = [`word_similarity(${textParam}, p.name) >= ${FUZZY_THRESHOLD}`]
+  const rank = [`word_similarity(${textParam}, p.name)`]
+
+  let tsq = null
+  if (tsQuery) {
+    values.push(tsQuery)
+    tsq = `to_tsquery('simple', $${values.length})`
+    matches.unshift(`p.search_vector @@ ${tsq}`)
+    rank.unshift(`ts_rank(p.search_vector, ${tsq}) * 4`)
+  }
+
+  if (skeleton.length >= 2) {
+    values.push(skeleton)
+    const skeletonMatch = `(' ' || p.search_skeleton) LIKE '% ' || $${values.length}::text || '%'`
+    matches.push(skeletonMatch)
+    rank.push(`CASE WHEN ${skeletonMatch} THEN 0.3 ELSE 0 END`)
+  }
+
+  const headline = tsq
+    ? `ts_headline('simple', ${HTML_NAME}, ${tsq}, '${HEADLINE_NAME}') AS highlighted_name,
+       ts_headline('simple', ${escapeHtmlSql(PLAIN_DESCRIPTION)}, ${tsq}, '${HEADLINE_SNIPPET}') AS snippet`
+    : `${HTML_NAME} AS highlighted_name, ${escapeHtmlSql(`LEFT(${PLAIN_DESCRIPTION}, 200)`)} AS snippet`
+
+  return { condition: `(${matches.join(' OR ')})`, rank: `(${rank.join(' + ')})`, headline }
+}
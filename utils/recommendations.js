@@ -0,0 +1,217 @@
+/**
+ * Recommendation Engine
+ * Offline item-to-item recommendations computed from order_items, cart_items,
+ * wishlist_items and product_views (guests count as shoppers by their visitor id).
+ * A background job scores every pair of products that share shoppers
+ * (cosine similarity of their weighted shopper vectors), counts how often they were
+ * ordered together, and stores the best pairs in product_recommendations for the feed
+ * endpoints to read. No external service is involved.
+ */
+
+import database from '../database/db.js'
+import { withTransaction } from './transactionHelper.js'
+import { replaceProductRecommendations } from '../models/productRecommendationsTable.js'
+
+const RECOMPUTE_INTERVAL_HOURS = parseInt(process.env.RECOMMENDATION_INTERVAL_HOURS, 10) || 6
+
+// How strongly each kind of interaction says a shopper wants a product
+export const INTERACTION_WEIGHTS = { order: 3, cart: 2, wishlist: 1, view: 0.5 }
+
+// Related products kept per product
+export const MAX_RELATED_PRODUCTS = 20
+
+// Only the most recent interactions of very active shoppers are used (keeps pair counting bounded)
+export const MAX_PRODUCTS_PER_SHOPPER = 100
+
+/**
+ * Group interaction rows ({ user_id, product_id, source, at }) into shopper vectors
+ * Returns Map(user -> Map(product -> weight)); the strongest signal per product wins
+ */
+export const buildShopperVectors = (rows, weights = INTERACTION_WEIGHTS) => {
+  const latest = new Map()
+  for (const row of rows) {
+    const weight = weights[row.source]
+    if (!weight || !row.user_id || !row.product_id) continue
+
+    const products = latest.get(row.user_id) || new Map()
+    const current = products.get(row.product_id)
+    const at = row.at ? new Date(row.at).getTime() : 0
+    products.set(row.product_id, {
+      weight: Math.max(weight, current?.weight || 0),
+      at: Math.max(at, current?.at || 0),
+    })
+    latest.set(row.user_id, products)
+  }
+
+  const vectors = new Map()
+  for (const [userId, products] of latest) {
+    const recent = [...products.entries()]
+      .sort((a, b) => b[1].at - a[1].at)
+      .slice(0, MAX_PRODUCTS_PER_SHOPPER)
+    vectors.set(userId, new Map(recent.map(([productId, { weight }]) => [productId, weight])))
+  }
+  return vectors
+}
+
+const pairKey = (a, b) => `${a}|${b}`
+
+/**
+ * Cosine similarity between products over shopper vectors
+ * Returns Map(product -> Map(related product -> similarity)), both directions filled
+ */
+export const computeItemSimilarities = (vectors) => {
+  const norms = new Map()
+  const dots = new Map()
+
+  for (const products of vectors.values()) {
+    const entries = [...products.entries()]
+    for (let i = 0; i < entries.length; i++) {
+      const [a, weightA] = entries[i]
+      norms.set(a, (norms.get(a) || 0) + weightA * weightA)
+      for (let j = i + 1; j < entries.length; j++) {
+        const [b, weightB] = entries[j]
+        const key = a < b ? pairKey(a, b) : pairKey(b, a)
+        dots.set(key, (dots.get(key) || 0) + weightA * weightB)
+      }
+    }
+  }
+
+  const similarities = new Map()
+  const add = (from, to, score) => {
+    const related = similarities.get(from) || new Map()
+    related.set(to, score)
+    similarities.set(from, related)
+  }
+  for (const [key, dot] of dots) {
+    const [a, b] = key.split('|')
+    const score = dot / Math.sqrt(norms.get(a) * norms.get(b))
+    add(a, b, score)
+    add(b, a, score)
+  }
+  return similarities
+}
+
+/**
+ * Count the orders each pair of products appears in together
+ * rows: [{ order_id, product_id }]; returns Map(product -> Map(related product -> orders))
+ */
+export const computeBoughtTogether = (rows) => {
+  const orders = new Map()
+  for (const row of rows) {
+    const products = orders.get(row.order_id) || new Set()
+    products.add(row.product_id)
+    orders.set(row.order_id, products)
+  }
+
+  const together = new Map()
+  const add = (from, to) => {
+    const related = together.get(from) || new Map()
+    related.set(to, (related.get(to) || 0) + 1)
+    together.set(from, related)
+  }
+  for (const products of orders.values()) {
+    const list = [...products].slice(0, MAX_PRODUCTS_PER_SHOPPER)
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        add(list[i], list[j])
+        add(list[j], list[i])
+      }
+    }
+  }
+  return together
+}
+
+/**
+ * Rows to store: for every product its top related products by similarity, plus its top
+ * bought-together products, merged into one row per pair
+ */
+export const selectRecommendationPairs = (
+  similarities,
+  boughtTogether,
+  limit = MAX_RELATED_PRODUCTS,
+) => {
+  const top = (related, score) =>
+    [...(related || new Map()).entries()]
+      .sort((a, b) => score(b) - score(a) || (a[0] < b[0] ? -1 : 1))
+      .slice(0, limit)
+      .map(([relatedProductId]) => relatedProductId)
+
+  const pairs = []
+  const productIds = new Set([...similarities.keys(), ...boughtTogether.keys()])
+  for (const productId of productIds) {
+    const similar = similarities.get(productId) || new Map()
+    const together = boughtTogether.get(productId) || new Map()
+    const keep = new Set([
+      ...top(similar, ([, score]) => score),
+      ...top(together, ([, count]) => count),
+    ])
+
+    for (const relatedProductId of keep) {
+      pairs.push({
+        productId,
+        relatedProductId,
+        similarity: Math.round(Math.min(similar.get(relatedProductId) || 0, 1) * 100000) / 100000,
+        boughtTogether: together.get(relatedProductId) || 0,
+      })
+    }
+  }
+  return pairs
+}
+
+/**
+ * Rebuild product_recommendations from current orders, carts, wishlists and views
+ * Never throws so it is safe to call without awaiting
+ */
+export const recomputeRecommendations = async () => {
+  try {
+    const started = Date.now()
+
+    const { rows: interactions } = await database.query(`
+      SELECT o.buyer_id AS user_id, oi.product_id, 'order' AS source, o.created_at AS at
+      FROM order_items oi JOIN orders o ON o.id = oi.order_id
+      WHERE o.order_status <> 'Cancelled' AND o.buyer_id IS NOT NULL
+      UNION ALL
+      SELECT COALESCE(user_id, guest_token), product_id, 'cart' AS source, updated_at AS at
+      FROM cart_items
+      UNION ALL
+      SELECT user_id, product_id, 'wishlist' AS source, created_at AS at FROM wishlist_items
+      UNION ALL
+      SELECT COALESCE(user_id, visitor_id), product_id, 'view' AS source, last_viewed_at AS at
+      FROM product_views
+    `)
+    const { rows: orderLines } = await database.query(`
+      SELECT DISTINCT oi.order_id, oi.product_id
+      FROM order_items oi JOIN orders o ON o.id = oi.order_id
+      WHERE o.order_status <> 'Cancelled'
+    `)
+
+    const similarities = computeItemSimilarities(buildShopperVectors(interactions))
+    const pairs = selectRecommendationPairs(similarities, computeBoughtTogether(orderLines))
+
+    await withTransaction((client) => replaceProductRecommendations(pairs, client))
+
+    console.log(
+      `✅ [RECOMMENDATIONS] Stored ${pairs.length} product pairs in ${Date.now() - started}ms`,
+    )
+    return { pairs: pairs.length, products: similarities.size }
+  } catch (error) {
+    console.error('❌ [RECOMMENDATIONS] Recompute failed:', error.message)
+    return null
+  }
+}
+
+/**
+ * Recompute recommendations on startup and every RECOMMENDATION_INTERVAL_HOURS (default 6)
+ */
+export const initializeRecommendationJob = () => {
+  recomputeRecommendations()
+
+  setInterval(
+    () => {
+      recomputeRecommendations()
+    },
+    RECOMPUTE_INTERVAL_HOURS * 60 * 60 * 1000,
+  )
+
+  console.log(`⏱️ Recommendation job initialized (every ${RECOMPUTE_INTERVAL_HOURS} hours)`)
+}
@@ -0,0 +1,282 @@
+/**
+ * Search Facets
+ * Filters and facet counts for product search (brand, price buckets, rating and
+ * every filterable attribute). Each facet is counted with all active filters except
+ * its own, so picking "Samsung" still shows how many products the other brands have.
+ */
+
+import database from '../database/db.js'
+import { buildProductFilters } from './productFilters.js'
+import { buildTextSearch } from './productSearch.js'
+
+export const RATING_THRESHOLDS = [4, 3, 2, 1]
+export const PRICE_BUCKET_COUNT = 5
+const BRAND_FACET_LIMIT = 30
+
+const toOptionalNumber = (value) =>
+  value === undefined || value === null || value === '' ? undefined : Number(value)
+
+/**
+ * WHERE clause for product search
+ * spec: { query, category, categoryId, brands, minPrice, maxPrice, minRating, inStockOnly,
+ *   attributes, synonyms }
+ * (attributes are resolved filters from resolveAttributeFilters, synonyms from buildSynonymMap)
+ * Returns { conditions, values, rank?, headline? } or { error }
+ * (rank and headline are SQL from buildTextSearch, present when there is a query)
+ */
+export const buildSearchFilters = ({
+  query,
+  category,
+  categoryId,
+  brands,
+  minPrice,
+  maxPrice,
+  minRating,
+  inStockOnly,
+  attributes = [],
+  synonyms,
+} = {}) => {
+  const shared = buildProductFilters({ categoryId, brand: brands, attributes })
+  if (shared.error) return shared
+  const { conditions, values } = shared
+
+  // Full-text, fuzzy and transliterated match; rank and headline are for the result query
+  let textSearch = null
+  if (query) {
+    textSearch = buildTextSearch(query, values, { synonyms })
+    conditions.push(textSearch.condition)
+  }
+
+  if (category) {
+    values.push(category)
+    conditions.push(`p.category = $${values.length}`)
+  }
+
+  const bounds = [
+    ['p.price >=', toOptionalNumber(minPrice)],
+    ['p.price <=', toOptionalNumber(maxPrice)],
+    ['p.ratings >=', toOptionalNumber(minRating)],
+  ]
+  for (const [comparison, number] of bounds) {
+    if (number === undefined) continue
+    if (!Number.isFinite(number) || number < 0) {
+      return { error: 'Price and rating filters must be positive numbers' }
+    }
+    values.push(number)
+    conditions.push(`${comparison} $${values.length}`)
+  }
+
+  if (inStockOnly) {
+    conditions.push("(p.stock > 0 OR p.product_type = 'downloadable')")
+  }
+
+  return { conditions, values, rank: textSearch?.rank, headline: textSearch?.headline }
+}
+
+/**
+ * The search spec without the filter a facet is about
+ * facet: 'brand' | 'price' | 'rating' | an attribute id
+ */
+export const withoutFacet = (spec, facet) => {
+  if (facet === 'brand') return { ...spec, brands: undefined }
+  if (facet === 'price') return { ...spec, minPrice: undefined, maxPrice: undefined }
+  if (facet === 'rating') return { ...spec, minRating: undefined }
+  return {
+    ...spec,
+    attributes: (spec.attributes || []).filter(
+      (filter) => String(filter.attribute.id) !== String(facet),
+    ),
+  }
+}
+
+/**
+ * Evenly sized price buckets with round bounds covering min..max
+ * Returns [{ min, max }] (empty when there are no prices)
+ */
+export const getPriceBucketBounds = (min, max, count = PRICE_BUCKET_COUNT) => {
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) return []
+  if (max === min) return [{ min, max }]
+
+  const rawStep = (max - min) / count
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep))
+  const step = [1, 2, 2.5, 5, 10].map((factor) => factor * magnitude).find((s) => s >= rawStep)
+
+  const round = (amount) => Math.round(amount * 100) / 100
+  const start = Math.floor(min / step) * step
+  const buckets = []
+  for (let i = 0; round(start + i * step) < max; i++) {
+    buckets.push({ min: round(start + i * step), max: round(start + (i + 1) * step) })
+  }
+  return buckets
+}
+
+const facetValue = (attribute, row) => {
+  if (attribute.type === 'number') return parseFloat(row.value_number)
+  if (attribute.type === 'boolean') return row.value_boolean
+  return row.value_text
+}
+
+const isValueSelected = (filter, value) => {
+  if (!filter) return false
+  if (filter.attribute.type === 'number') {
+    if (filter.values) return filter.values.includes(value)
+    return (filter.min ?? -Infinity) <= value && value <= (filter.max ?? Infinity)
+  }
+  if (filter.attribute.type === 'boolean') return filter.values[0] === value
+  return filter.values.some((selected) => selected.toLowerCase() === String(value).toLowerCase())
+}
+
+/**
+ * Group attribute facet rows ({ attribute_id, value_*, count }) under their attributes
+ * Returns [{ id, name, slug, type, unit, values: [{ value, count, selected }], range? }]
+ * in attribute order; attributes without values among the results are left out
+ */
+export const shapeAttributeFacets = (attributes, rows, filters = []) =>
+  attributes
+    .map((attribute) => {
+      const filter = filters.find((f) => String(f.attribute.id) === String(attribute.id))
+      const values = rows
+        .filter((row) => String(row.attribute_id) === String(attribute.id))
+        .map((row) => {
+          const value = facetValue(attribute, row)
+          return { value, count: parseInt(row.count, 10), selected: isValueSelected(filter, value) }
+        })
+        .filter((entry) => entry.value !== null && entry.value !== undefined)
+        .sort((a, b) =>
+          attribute.type === 'number'
+            ? a.value - b.value
+            : b.count - a.count || String(a.value).localeCompare(String(b.value)),
+        )
+
+      const facet = {
+        id: attribute.id,
+        name: attribute.name,
+        slug: attribute.slug,
+        type: attribute.type,
+        unit: attribute.unit || null,
+        values,
+      }
+      if (attribute.type === 'number' && values.length > 0) {
+        facet.range = { min: values[0].value, max: values[values.length - 1].value }
+      }
+      return facet
+    })
+    .filter((facet) => facet.values.length > 0)
+
+const whereSql = (conditions, extra = []) => {
+  const all = [...conditions, ...extra]
+  return all.length ? `WHERE ${all.join(' AND ')}` : ''
+}
+
+/**
+ * Facet counts for a search
+ * attributes: the filterable attribute definitions (facets are labelled from them)
+ * Returns { brands, price, ratings, attributes }
+ */
+export const loadSearchFacets = async (spec, attributes, client = database) => {
+  const filtersFor = (facet) => buildSearchFilters(withoutFacet(spec, facet))
+
+  // Brands
+  const brandFilters = filtersFor('brand')
+  const selectedBrands = (
+    Array.isArray(spec.brands) ? spec.brands : String(spec.brands || '').split(',')
+  )
+    .map((brand) => String(brand).trim().toLowerCase())
+    .filter(Boolean)
+  const { rows: brandRows } = await client.query(
+    `SELECT p.brand AS value, COUNT(*)::INT AS count
+     FROM products p
+     ${whereSql(brandFilters.conditions, ['p.brand IS NOT NULL', "TRIM(p.brand) <> ''"])}
+     GROUP BY p.brand
+     ORDER BY count DESC, p.brand ASC
+     LIMIT ${BRAND_FACET_LIMIT}`,
+    brandFilters.values,
+  )
+
+  // Price buckets, sized to the price range of the matching products
+  const priceFilters = filtersFor('price')
+  const { rows: rangeRows } = await client.query(
+    `SELECT MIN(p.price)::FLOAT AS min, MAX(p.price)::FLOAT AS max
+     FROM products p ${whereSql(priceFilters.conditions)}`,
+    priceFilters.values,
+  )
+  const bounds = getPriceBucketBounds(rangeRows[0]?.min, rangeRows[0]?.max)
+  let price = []
+  if (bounds.length > 0) {
+    const values = [...priceFilters.values]
+    const counts = bounds.map(({ min, max }, i) => {
+      values.push(min, max)
+      const upper = i === bounds.length - 1 ? '<=' : '<'
+      return `COUNT(*) FILTER (WHERE p.price >= $${values.length - 1} AND p.price ${upper} $${values.length})::INT AS b${i}`
+    })
+    const { rows } = await client.query(
+      `SELECT ${counts.join(', ')} FROM products p ${whereSql(priceFilters.conditions)}`,
+      values,
+    )
+    const minPrice = toOptionalNumber(spec.minPrice)
+    const maxPrice = toOptionalNumber(spec.maxPrice)
+    price = bounds.map((bucket, i) => ({
+      ...bucket,
+      count: rows[0][`b${i}`],
+      selected: minPrice === bucket.min && maxPrice === bucket.max,
+    }))
+  }
+
+  // Ratings ("4 stars & up", ...)
+  const ratingFilters = filtersFor('rating')
+  const { rows: ratingRows } = await client.query(
+    `SELECT ${RATING_THRESHOLDS.map(
+      (threshold) => `COUNT(*) FILTER (WHERE p.ratings >= ${threshold})::INT AS r${threshold}`,
+    ).join(', ')}
+     FROM products p ${whereSql(ratingFilters.conditions)}`,
+    ratingFilters.values,
+  )
+  const minRating = toOptionalNumber(spec.minRating)
+
+  // Attributes: one query for every attribute without a filter, one per filtered attribute
+  const filters = spec.attributes || []
+  const filteredIds = filters.map((filter) => filter.attribute.id)
+  const attributeQueries = [
+    {
+      facet: null,
+      clause: (i) => `NOT (pav.attribute_id = ANY($${i}::uuid[]))`,
+      param: filteredIds,
+    },
+    ...filteredIds.map((id) => ({
+      facet: id,
+      clause: (i) => `pav.attribute_id = $${i}`,
+      param: id,
+    })),
+  ]
+  const attributeRows = []
+  for (const { facet, clause, param } of attributeQueries) {
+    const { conditions, values } = facet ? filtersFor(facet) : buildSearchFilters(spec)
+    const params = [...values, param]
+    const { rows } = await client.query(
+      `SELECT pav.attribute_id, pav.value_text, pav.value_number, pav.value_boolean,
+              COUNT(DISTINCT p.id)::INT AS count
+       FROM products p
+       JOIN product_attribute_values pav ON pav.product_id = p.id
+       JOIN attributes a ON a.id = pav.attribute_id AND a.is_filterable = true
+       ${whereSql(conditions, [clause(params.length)])}
+       GROUP BY pav.attribute_id, pav.value_text, pav.value_number, pav.value_boolean`,
+      params,
+    )
+    attributeRows.push(...rows)
+  }
+
+  return {
+    brands: brandRows.map((row) => ({
+      value: row.value,
+      count: row.count,
+      selected: selectedBrands.includes(String(row.value).toLowerCase()),
+    })),
+    price,
+    ratings: RATING_THRESHOLDS.map((threshold) => ({
+      min: threshold,
+      count: ratingRows[0][`r${threshold}`],
+      selected: minRating === threshold,
+    })),
+    attributes: shapeAttributeFacets(attributes, attributeRows, filters),
+  }
+}
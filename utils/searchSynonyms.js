@@ -0,0 +1,90 @@
+/**
+ * Search Synonyms & Redirects
+ * Admin-managed search rules: a synonym rule widens a term ("mobile" also finds
+ * "smartphone"), a redirect rule sends a whole query to a page ("sale" -> /promotions).
+ */
+
+export const SEARCH_RULE_TYPES = ['synonym', 'redirect']
+
+/**
+ * Lowercased words of a text (letters, marks and digits), as used by the text search
+ */
+export const tokenizeSearchText = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{M}\p{N}]+/gu) || []
+
+/**
+ * How queries are grouped in the search log and matched against rule terms
+ */
+export const normalizeSearchQuery = (text) => tokenizeSearchText(text).join(' ').slice(0, 255)
+
+/**
+ * Map of normalized term -> [alternative phrases] from the active synonym rules
+ */
+export const buildSynonymMap = (rules) => {
+  const synonyms = new Map()
+  for (const rule of rules) {
+    if (rule.type !== 'synonym' || rule.is_active === false) continue
+    const term = normalizeSearchQuery(rule.term)
+    const alternatives = (Array.isArray(rule.synonyms) ? rule.synonyms : [])
+      .map(normalizeSearchQuery)
+      .filter((alternative) => alternative && alternative !== term)
+    if (!term || alternatives.length === 0) continue
+    synonyms.set(term, [...new Set([...(synonyms.get(term) || []), ...alternatives])])
+  }
+  return synonyms
+}
+
+/**
+ * Redirect URL for a query that exactly matches an active redirect rule, or null
+ */
+export const findSearchRedirect = (query, rules) => {
+  const normalized = normalizeSearchQuery(query)
+  if (!normalized) return null
+  const rule = rules.find(
+    (candidate) =>
+      candidate.type === 'redirect' &&
+      candidate.is_active !== false &&
+      normalizeSearchQuery(candidate.term) === normalized,
+  )
+  return rule ? rule.redirect_url : null
+}
+
+/**
+ * Redirects go to a storefront path ("/promotions") or an http(s) URL
+ */
+export const isValidRedirectUrl = (url) =>
+  typeof url === 'string' && /^(\/(?!\/)|https?:\/\/)\S*$/i.test(url.trim())
+
+/**
+ * Split search words into groups, replacing terms that have synonyms (longest phrase first)
+ * Returns [[phrase, ...alternatives]] where every phrase is a list of words
+ */
+export const expandSearchTerms = (words, synonyms = new Map()) => {
+  const longest = Math.max(1, ...[...synonyms.keys()].map((term) => term.split(' ').length))
+  const groups = []
+
+  for (let i = 0; i < words.length;) {
+    let length = Math.min(longest, words.length - i)
+    while (length > 1 && !synonyms.has(words.slice(i, i + length).join(' '))) length--
+
+    const phrase = words.slice(i, i + length).join(' ')
+    groups.push([phrase, ...(synonyms.get(phrase) || [])].map((text) => text.split(' ')))
+    i += length
+  }
+  return groups
+}
+
+/**
+ * Overall click-through numbers from daily report rows ({ searches, clicked_searches })
+ */
+export const summarizeClickThrough = (days) => {
+  const searches = days.reduce((sum, day) => sum + (parseInt(day.searches, 10) || 0), 0)
+  const clicked = days.reduce((sum, day) => sum + (parseInt(day.clicked_searches, 10) || 0), 0)
+  return {
+    searches,
+    clicked_searches: clicked,
+    ctr: searches > 0 ? Math.round((clicked / searches) * 10000) / 10000 : 0,
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Sitemap & robots.txt
+ * Builds the XML sitemap from products, the category tree and published CMS pages.
+ * Catalogs above SITEMAP_MAX_URLS are split into per-section files listed by a sitemap index.
+ */
+
+import database from '../database/db.js'
+import { getAllCategories } from '../models/categoriesTable.js'
+import { buildCategoryTree, getDescendantIds, getVisibleCategories } from './categoryTree.js'
+import { escapeXml } from './productFeed.js'
+
+// The protocol allows 50,000 URLs per file; stay below it
+export const SITEMAP_MAX_URLS = Math.min(parseInt(process.env.SITEMAP_MAX_URLS, 10) || 45000, 50000)
+export const SITEMAP_CACHE_MINUTES = parseInt(process.env.SITEMAP_CACHE_MINUTES, 10) || 60
+export const SITEMAP_SECTIONS = ['products', 'categories', 'pages']
+
+// Products with these visibility values are kept out of the sitemap
+const HIDDEN_VISIBILITIES = ['hidden', 'private']
+
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9'
+
+// Generated sitemaps by storefront base URL
+const sitemapCache = new Map()
+
+export const clearSitemapCache = () => {
+  sitemapCache.clear()
+}
+
+/**
+ * W3C datetime for <lastmod>, or null when the value isn't a date
+ */
+export const formatLastmod = (value) => {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Storefront paths for each kind of entry (slugs, falling back to ids)
+ */
+export const productPath = (product) => `/product/${encodeURIComponent(product.slug || product.id)}`
+
+export const categoryPath = (category) =>
+  `/category/${encodeURIComponent(category.slug || category.id)}`
+
+export const pagePath = (page) => `/pages/${encodeURIComponent(page.slug)}`
+
+/**
+ * <urlset> document for a list of { loc, lastmod }
+ */
+export const renderUrlset = (entries) => {
+  const urls = entries.map((entry) => {
+    const lastmod = formatLastmod(entry.lastmod)
+    return [
+      '  <url>',
+      `    <loc>${escapeXml(entry.loc)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+      '  </url>',
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NS}">`,
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * <sitemapindex> document for a list of { loc, lastmod }
+ */
+export const renderSitemapIndex = (sitemaps) => {
+  const items = sitemaps.map((sitemap) => {
+    const lastmod = formatLastmod(sitemap.lastmod)
+    return [
+      '  <sitemap>',
+      `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+      '  </sitemap>',
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<sitemapindex xmlns="${SITEMAP_NS}">`,
+    ...items,
+    '</sitemapindex>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * Split each section into files of at most maxUrls entries
+ * Returns [{ section, page, entries, lastmod }] (page is 1-based)
+ */
+export const paginateSections = (sections, maxUrls = SITEMAP_MAX_URLS) =>
+  Object.entries(sections).flatMap(([section, entries]) => {
+    const files = []
+    for (let start = 0; start < entries.length; start += maxUrls) {
+      const chunk = entries.slice(start, start + maxUrls)
+      const lastmod = chunk.reduce((latest, entry) => {
+        const time = new Date(entry.lastmod || 0).getTime() || 0
+        return time > latest ? time : latest
+      }, 0)
+      files.push({
+        section,
+        page: files.length + 1,
+        entries: chunk,
+        lastmod: lastmod ? new Date(lastmod) : null,
+      })
+    }
+    return files
+  })
+
+/**
+ * robots.txt body: the admin's text from SEO settings, or a default
+ * The Sitemap line is added unless the admin already wrote one or sitemaps are off
+ */
+export const buildRobotsTxt = ({ robotsTxt, sitemapEnabled = true, sitemapUrl }) => {
+  const base = String(robotsTxt || '').trim() || 'User-agent: *\nDisallow: /api/'
+  const lines = base.replace(/\r\n/g, '\n').split('\n')
+
+  if (sitemapEnabled && sitemapUrl && !lines.some((line) => /^\s*sitemap\s*:/i.test(line))) {
+    lines.push('', `Sitemap: ${sitemapUrl}`)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+const loadProductEntries = async (baseUrl) => {
+  const { rows } = await database.query(
+    `SELECT id, slug, COALESCE(updated_at, created_at) AS lastmod
+     FROM products
+     WHERE COALESCE(visibility, 'visible') <> ALL($1)
+     ORDER BY created_at ASC`,
+    [HIDDEN_VISIBILITIES],
+  )
+  return rows.map((row) => ({ loc: `${baseUrl}${productPath(row)}`, lastmod: row.lastmod }))
+}
+
+/**
+ * Categories come from the category tree: active rows whose ancestors are active too,
+ * parents before their children. A category's lastmod is its own last edit or the most
+ * recently updated product anywhere below it, whichever is later.
+ */
+const loadCategoryEntries = async (baseUrl) => {
+  const categories = getVisibleCategories(await getAllCategories())
+  if (categories.length === 0) return []
+
+  const { rows: productDates } = await database.query(
+    `SELECT category_id, MAX(COALESCE(updated_at, created_at)) AS lastmod
+     FROM products
+     WHERE category_id IS NOT NULL AND COALESCE(visibility, 'visible') <> ALL($1)
+     GROUP BY category_id`,
+    [HIDDEN_VISIBILITIES],
+  )
+  const lastmodByCategory = new Map(
+    productDates.map((row) => [String(row.category_id), row.lastmod]),
+  )
+
+  const latest = (dates) =>
+    dates.reduce((found, value) => {
+      const time = new Date(value || 0).getTime() || 0
+      return time > found ? time : found
+    }, 0)
+
+  const flatten = (nodes) => nodes.flatMap((node) => [node, ...flatten(node.children)])
+
+  return flatten(buildCategoryTree(categories)).map((category) => {
+    const subtree = getDescendantIds(categories, category.id)
+    const time = latest([category.updated_at, ...subtree.map((id) => lastmodByCategory.get(id))])
+    return {
+      loc: `${baseUrl}${categoryPath(category)}`,
+      lastmod: time ? new Date(time) : null,
+    }
+  })
+}
+
+const loadPageEntries = async (baseUrl) => {
+  const { rows } = await database.query(
+    `SELECT slug, COALESCE(updated_at, created_at) AS lastmod
+     FROM pages
+     WHERE is_published = true
+     ORDER BY slug ASC`,
+  )
+  return rows.map((row) => ({ loc: `${baseUrl}${pagePath(row)}`, lastmod: row.lastmod }))
+}
+
+/**
+ * Load (or return the cached) sitemap files for the storefront at baseUrl
+ * Returns { files, generatedAt, urlCount }
+ */
+export const getSitemapFiles = async (baseUrl) => {
+  if (!/^https?:\/\//.test(baseUrl || '')) {
+    throw new Error(`Sitemap needs an absolute storefront URL, got "${baseUrl}"`)
+  }
+  baseUrl = baseUrl.replace(/\/$/, '')
+
+  const cached = sitemapCache.get(baseUrl)
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached
+  }
+
+  const [products, categories, pages] = await Promise.all([
+    loadProductEntries(baseUrl),
+    loadCategoryEntries(baseUrl),
+    loadPageEntries(baseUrl),
+  ])
+
+  const files = paginateSections({ products, categories, pages })
+  const sitemap = {
+    files,
+    generatedAt: new Date(),
+    urlCount: products.length + categories.length + pages.length,
+    expiresAt: Date.now() + SITEMAP_CACHE_MINUTES * 60 * 1000,
+  }
+  sitemapCache.set(baseUrl, sitemap)
+
+  console.log(`✅ [SITEMAP] Generated ${sitemap.urlCount} URLs for ${baseUrl}`)
+  return sitemap
+}
@@ -0,0 +1,223 @@
+/**
+ * Stock Alerts
+ * Background checker that tells admins when stock falls to a product's
+ * low_stock_threshold and emails customers waiting for an item to come back.
+ */
+
+import database from '../database/db.js'
+import { createNotificationRecord } from '../controllers/notificationController.js'
+import { broadcastLowStockAlert } from '../socket/socketSetup.js'
+import { sendEmail } from './sendEmail.js'
+import { generateBackInStockEmailTemplate } from './generateBackInStockEmailTemplate.js'
+import { parseJsonField } from '../models/productVariantsTable.js'
+
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.STOCK_ALERT_INTERVAL_MINUTES, 10) || 5
+const EMAIL_BATCH_SIZE = 100
+
+/**
+ * A threshold of 0 still alerts when the item sells out
+ */
+export const isLowStock = (stock, threshold) => {
+  const limit = parseInt(threshold, 10)
+  return Number(stock) <= (isNaN(limit) || limit < 0 ? 0 : limit)
+}
+
+/**
+ * Human readable variant options, e.g. { Size: 'M', Color: 'Red' } -> "Size: M, Color: Red"
+ */
+export const formatVariantLabel = (options) => {
+  const parsed = parseJsonField(options, {})
+  return Object.entries(parsed)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(', ')
+}
+
+/**
+ * Current stock of every simple product and every active variant
+ * Variants inherit the parent's threshold; bundles are left out because their stock is held
+ * (and alerted on) as component stock
+ */
+const STOCK_LEVELS_QUERY = `
+  SELECT p.id AS product_id, NULL::uuid AS variant_id, p.name, p.sku, NULL::jsonb AS options,
+         p.stock, GREATEST(COALESCE(p.low_stock_threshold, 0), 0) AS threshold
+  FROM products p
+  WHERE p.product_type NOT IN ('variable', 'bundle', 'downloadable')
+  UNION ALL
+  SELECT v.product_id, v.id AS variant_id, p.name, v.sku, v.options,
+         v.stock, GREATEST(COALESCE(p.low_stock_threshold, 0), 0) AS threshold
+  FROM product_variants v
+  JOIN products p ON v.product_id = p.id
+  WHERE v.is_active = true
+`
+
+/**
+ * Open an alert for every item at or below its threshold that has none yet,
+ * and resolve alerts whose stock has recovered
+ * productIds limits the check to those products
+ */
+export const checkLowStock = async (io = null, productIds = null) => {
+  const productFilter = productIds ? 'AND s.product_id = ANY($1::uuid[])' : ''
+  const values = productIds ? [productIds] : []
+
+  const { rows: newlyLow } = await database.query(
+    `SELECT s.* FROM (${STOCK_LEVELS_QUERY}) s
+     WHERE s.stock <= s.threshold
+       ${productFilter}
+       AND NOT EXISTS (
+         SELECT 1 FROM low_stock_alerts a
+         WHERE a.product_id = s.product_id
+           AND a.variant_id IS NOT DISTINCT FROM s.variant_id
+           AND a.status = 'open'
+       )`,
+    values,
+  )
+
+  const resolved = await database.query(
+    `UPDATE low_stock_alerts a
+     SET status = 'resolved', resolved_at = NOW()
+     FROM (${STOCK_LEVELS_QUERY}) s
+     WHERE a.status = 'open'
+       AND a.product_id = s.product_id
+       AND a.variant_id IS NOT DISTINCT FROM s.variant_id
+       AND s.stock > s.threshold
+       ${productFilter}`,
+    values,
+  )
+
+  if (newlyLow.length === 0) {
+    return { opened: 0, resolved: resolved.rowCount }
+  }
+
+  const admins = await database.query(`SELECT id FROM users WHERE role = 'Admin'`)
+
+  for (const item of newlyLow) {
+    const inserted = await database.query(
+      `INSERT INTO low_stock_alerts (product_id, variant_id, stock, threshold)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      [item.product_id, item.variant_id, item.stock, item.threshold],
+    )
+    // Another run opened it first
+    if (inserted.rows.length === 0) continue
+
+    const variantLabel = item.variant_id ? formatVariantLabel(item.options) : ''
+    const displayName = variantLabel ? `${item.name} (${variantLabel})` : item.name
+    const soldOut = item.stock === 0
+
+    for (const admin of admins.rows) {
+      await createNotificationRecord({
+        userId: admin.id,
+        type: 'inventory',
+        title: soldOut ? `${displayName} is out of stock` : `${displayName} is running low`,
+        message: `${item.stock} left (threshold ${item.threshold})`,
+        data: {
+          alertId: inserted.rows[0].id,
+          productId: item.product_id,
+          variantId: item.variant_id,
+          sku: item.sku,
+          stock: item.stock,
+          threshold: item.threshold,
+        },
+        priority: soldOut ? 'high' : 'normal',
+      })
+    }
+
+    if (io) {
+      broadcastLowStockAlert(io, {
+        id: item.product_id,
+        variantId: item.variant_id,
+        name: displayName,
+        sku: item.sku,
+        stock: item.stock,
+        threshold: item.threshold,
+      })
+    }
+  }
+
+  console.log(`⚠️ [STOCK ALERTS] ${newlyLow.length} items at or below their low stock threshold`)
+
+  return { opened: newlyLow.length, resolved: resolved.rowCount }
+}
+
+/**
+ * Email every pending subscriber whose product or variant has stock again
+ * Failed sends stay pending and are retried on the next run
+ */
+export const notifyBackInStock = async (productIds = null) => {
+  const { rows } = await database.query(
+    `SELECT s.id, s.email, s.product_id, s.variant_id, p.name AS product_name, v.options
+     FROM back_in_stock_subscriptions s
+     JOIN products p ON s.product_id = p.id
+     LEFT JOIN product_variants v ON s.variant_id = v.id
+     WHERE s.status = 'pending'
+       AND (CASE WHEN s.variant_id IS NULL THEN p.stock ELSE v.stock END) > 0
+       AND (s.variant_id IS NULL OR v.is_active = true)
+       ${productIds ? 'AND s.product_id = ANY($2::uuid[])' : ''}
+     ORDER BY s.created_at ASC
+     LIMIT $1`,
+    productIds ? [EMAIL_BATCH_SIZE, productIds] : [EMAIL_BATCH_SIZE],
+  )
+
+  let sent = 0
+  for (const subscription of rows) {
+    try {
+      await sendEmail({
+        email: subscription.email,
+        subject: `${subscription.product_name} is back in stock`,
+        message: generateBackInStockEmailTemplate({
+          productName: subscription.product_name,
+          variantLabel: subscription.variant_id ? formatVariantLabel(subscription.options) : '',
+          productUrl: `${process.env.FRONTEND_URL || ''}/product/${subscription.product_id}`,
+        }),
+      })
+
+      await database.query(
+        `UPDATE back_in_stock_subscriptions SET status = 'notified', notified_at = NOW() WHERE id = $1`,
+        [subscription.id],
+      )
+      sent++
+    } catch (error) {
+      console.error(
+        `❌ [STOCK ALERTS] Back-in-stock email to ${subscription.email} failed:`,
+        error.message,
+      )
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📧 [STOCK ALERTS] Sent ${sent} back-in-stock emails`)
+  }
+
+  return { sent, failed: rows.length - sent }
+}
+
+/**
+ * Run both checks, optionally for a few products only (e.g. right after an adjustment)
+ * Never throws so it is safe to call without awaiting
+ */
+export const runStockAlertChecks = async (io = null, productIds = null) => {
+  try {
+    const lowStock = await checkLowStock(io, productIds)
+    const backInStock = await notifyBackInStock(productIds)
+    return { lowStock, backInStock }
+  } catch (error) {
+    console.error('❌ Error running stock alert checks:', error.message)
+    return null
+  }
+}
+
+/**
+ * Initialize stock alert routine
+ * Runs every STOCK_ALERT_INTERVAL_MINUTES (default 5)
+ */
+export const initializeStockAlertChecker = (io) => {
+  setInterval(
+    () => {
+      runStockAlertChecks(io)
+    },
+    CHECK_INTERVAL_MINUTES * 60 * 1000,
+  )
+
+  console.log(`⏱️ Stock alert checker initialized (every ${CHECK_INTERVAL_MINUTES} minutes)`)
+}
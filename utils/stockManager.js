@@ -0,0 +1,663 @@
+/**
+ * Stock Manager
+ * Central place for decrementing and restoring stock so that product, variant
+ * and per-warehouse stock stay consistent across orders, checkout and cancellations.
+ * Every change to a total is written to the stock_movements ledger.
+ */
+
+import database from '../database/db.js'
+import ErrorHandler from '../middlewares/errorMiddleware.js'
+import { syncParentStock } from '../models/productVariantsTable.js'
+import { getBundleComponents, syncBundlesForComponents } from '../models/productBundlesTable.js'
+import { withTransaction } from './transactionHelper.js'
+
+// How long checkout holds stock while the customer is on the payment gateway
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 15
+
+/**
+ * Take quantity out of warehouse locations in priority order
+ * Returns [{ warehouseId, quantity }]; products without location rows return []
+ */
+async function allocateFromLocations({ productId, variantId, quantity }, client) {
+  const { rows: levels } = await client.query(
+    `SELECT il.id, il.warehouse_id, il.quantity
+     FROM inventory_levels il
+     JOIN warehouses w ON il.warehouse_id = w.id
+     WHERE il.product_id = $1 AND il.variant_id IS NOT DISTINCT FROM $2::uuid
+       AND w.is_active = true AND il.quantity > 0
+     ORDER BY w.is_default DESC, w.priority ASC
+     FOR UPDATE OF il`,
+    [productId, variantId],
+  )
+
+  const allocations = []
+  let remaining = quantity
+
+  for (const level of levels) {
+    if (remaining <= 0) break
+    const take = Math.min(level.quantity, remaining)
+    await client.query(
+      `UPDATE inventory_levels SET quantity = quantity - $1, updated_at = NOW() WHERE id = $2`,
+      [take, level.id],
+    )
+    allocations.push({ warehouseId: level.warehouse_id, quantity: take })
+    remaining -= take
+  }
+
+  return allocations
+}
+
+/**
+ * Put quantity back into a warehouse location (the default one when unknown)
+ */
+async function returnToLocation({ productId, variantId, quantity, warehouseId }, client) {
+  if (!warehouseId) {
+    const { rows } = await client.query(
+      `SELECT il.warehouse_id
+       FROM inventory_levels il
+       JOIN warehouses w ON il.warehouse_id = w.id
+       WHERE il.product_id = $1 AND il.variant_id IS NOT DISTINCT FROM $2::uuid
+       ORDER BY w.is_default DESC, w.priority ASC
+       LIMIT 1`,
+      [productId, variantId],
+    )
+    // Product is not tracked per location
+    if (rows.length === 0) return
+    warehouseId = rows[0].warehouse_id
+  }
+
+  await client.query(
+    `UPDATE inventory_levels SET quantity = quantity + $1, updated_at = NOW()
+     WHERE warehouse_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4::uuid`,
+    [quantity, warehouseId, productId, variantId],
+  )
+}
+
+/**
+ * Append a row to the stock_movements ledger
+ */
+export async function recordMovement(
+  {
+    productId,
+    variantId = null,
+    warehouseId = null,
+    change,
+    balanceAfter = null,
+    reason,
+    referenceType = null,
+    referenceId = null,
+    note = null,
+    createdBy = null,
+  },
+  client = database,
+) {
+  if (!change) return null
+
+  const { rows } = await client.query(
+    `INSERT INTO stock_movements
+       (product_id, variant_id, warehouse_id, quantity_change, balance_after, reason,
+        reference_type, reference_id, note, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      productId,
+      variantId,
+      warehouseId,
+      change,
+      balanceAfter,
+      reason,
+      referenceType,
+      referenceId ? String(referenceId) : null,
+      note,
+      createdBy,
+    ],
+  )
+  return rows[0]
+}
+
+/**
+ * Record the difference between two stock totals (admin edits, imports)
+ */
+export async function recordStockDelta(
+  { productId, variantId = null, previous, current, reason = 'manual_correction', ...context },
+  client = database,
+) {
+  const change = (parseInt(current, 10) || 0) - (parseInt(previous, 10) || 0)
+  return recordMovement(
+    { productId, variantId, change, balanceAfter: current, reason, ...context },
+    client,
+  )
+}
+
+/**
+ * Apply a signed change to a product (or variant) total
+ * Returns the new total, or null when it would go negative / the row is missing
+ */
+async function changeTotal({ productId, variantId, delta }, client) {
+  if (variantId) {
+    const result = await client.query(
+      `UPDATE product_variants
+       SET stock = stock + $1, updated_at = NOW()
+       WHERE id = $2 AND product_id = $3 AND stock + $1 >= 0
+       RETURNING id, stock`,
+      [delta, variantId, productId],
+    )
+    if (result.rows.length === 0) return null
+
+    await syncParentStock(productId, client)
+    return result.rows[0].stock
+  }
+
+  const result = await client.query(
+    `UPDATE products
+     SET stock = stock + $1, updated_at = NOW()
+     WHERE id = $2 AND stock + $1 >= 0
+     RETURNING id, stock`,
+    [delta, productId],
+  )
+  if (result.rows.length === 0) return null
+
+  // Bundles containing this product may now make more (or fewer) complete sets
+  await syncBundlesForComponents([productId], client)
+  return result.rows[0].stock
+}
+
+/**
+ * Replace bundle lines with one line per component (quantity multiplied out)
+ * Bundles have no stock of their own; their components are what gets picked
+ * lines: [{ productId, variantId, quantity, ... }]
+ */
+export async function expandBundleLines(lines, client = database) {
+  const bundleIds = [
+    ...new Set(lines.filter((line) => !line.variantId).map((line) => line.productId)),
+  ]
+  const componentsByBundle = await getBundleComponents(bundleIds, client)
+
+  return lines.flatMap((line) => {
+    const components = !line.variantId && componentsByBundle[line.productId]
+    if (!components) return [line]
+    return components.map((component) => ({
+      ...line,
+      productId: component.component_id,
+      variantId: null,
+      quantity: component.quantity * line.quantity,
+    }))
+  })
+}
+
+/**
+ * The lines of an order that actually move stock
+ * Downloadable products have no stock and are dropped; bundles become their components
+ * lines: [{ productId, variantId, quantity, ... }]
+ */
+export async function getStockLines(lines, client = database) {
+  const productIds = [
+    ...new Set(lines.filter((line) => !line.variantId).map((line) => line.productId)),
+  ]
+  const { rows: downloadable } =
+    productIds.length > 0
+      ? await client.query(
+          `SELECT id FROM products WHERE id = ANY($1::uuid[]) AND product_type = 'downloadable'`,
+          [productIds],
+        )
+      : { rows: [] }
+  const downloadableIds = new Set(downloadable.map((row) => row.id))
+
+  return expandBundleLines(
+    lines.filter((line) => line.variantId || !downloadableIds.has(line.productId)),
+    client,
+  )
+}
+
+/**
+ * Decrement stock for one order line
+ * Variant lines decrement the variant and re-sync the parent product total
+ * Returns { stock, allocations }; allocations always add up to quantity
+ * Throws a 400 ErrorHandler when there is not enough stock
+ */
+export async function decrementStock(
+  { productId, variantId = null, quantity, reason = 'sale', ...context },
+  client = database,
+) {
+  const qty = parseInt(quantity, 10)
+  const stock = await changeTotal({ productId, variantId, delta: -qty }, client)
+
+  if (stock === null) {
+    throw new ErrorHandler(
+      variantId ? 'Insufficient stock for selected variant' : 'Insufficient stock for product',
+      400,
+    )
+  }
+
+  const allocations = await allocateFromLocations({ productId, variantId, quantity: qty }, client)
+
+  // Units the locations could not cover (no location rows, or locations holding less than the
+  // total) are booked without a warehouse, so the ledger and reservations always add up to qty
+  const allocated = allocations.reduce((sum, line) => sum + line.quantity, 0)
+  if (allocated < qty) {
+    allocations.push({ warehouseId: null, quantity: qty - allocated })
+  }
+
+  // One ledger row per warehouse the units came from
+  for (const line of allocations) {
+    await recordMovement(
+      {
+        productId,
+        variantId,
+        warehouseId: line.warehouseId,
+        change: -line.quantity,
+        balanceAfter: stock,
+        reason,
+        ...context,
+      },
+      client,
+    )
+  }
+
+  return { stock, allocations }
+}
+
+/**
+ * Restore stock for one order line (cancellations, failed payments)
+ */
+export async function restoreStock(
+  {
+    productId,
+    variantId = null,
+    quantity,
+    warehouseId = null,
+    reason = 'cancellation',
+    ...context
+  },
+  client = database,
+) {
+  const qty = parseInt(quantity, 10)
+
+  let lineVariantId = variantId
+  let stock = variantId ? await changeTotal({ productId, variantId, delta: qty }, client) : null
+  if (stock === null && variantId) {
+    // A variable product's stock is the sum of its variants, so units of a deleted variant
+    // have nowhere to go; other products (e.g. variants dropped on a type change) take them back
+    const { rows } = await client.query('SELECT product_type FROM products WHERE id = $1', [
+      productId,
+    ])
+    if (!rows[0] || rows[0].product_type === 'variable') {
+      console.warn(
+        `⚠️ ${qty} units of deleted variant ${variantId} (product ${productId}) could not be restored`,
+      )
+      return null
+    }
+  }
+  if (stock === null) {
+    lineVariantId = null
+    stock = await changeTotal({ productId, variantId: null, delta: qty }, client)
+  }
+  if (stock === null) return null
+
+  await returnToLocation(
+    { productId, variantId: lineVariantId, quantity: qty, warehouseId },
+    client,
+  )
+  await recordMovement(
+    {
+      productId,
+      variantId: lineVariantId,
+      warehouseId,
+      change: qty,
+      balanceAfter: stock,
+      reason,
+      ...context,
+    },
+    client,
+  )
+
+  return stock
+}
+
+/**
+ * Post a manual stock adjustment (restock, damage, return, correction)
+ * Positive changes go to the given warehouse (default location when omitted),
+ * negative changes come out of it or out of locations in priority order
+ */
+export async function adjustStock(
+  { productId, variantId = null, warehouseId = null, change, reason, ...context },
+  client = database,
+) {
+  const delta = parseInt(change, 10)
+
+  if (delta > 0) {
+    return restoreStock(
+      { productId, variantId, quantity: delta, warehouseId, reason, ...context },
+      client,
+    )
+  }
+
+  if (!warehouseId) {
+    const { stock } = await decrementStock(
+      { productId, variantId, quantity: -delta, reason, ...context },
+      client,
+    )
+    return stock
+  }
+
+  const level = await client.query(
+    `UPDATE inventory_levels SET quantity = quantity + $1, updated_at = NOW()
+     WHERE warehouse_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4::uuid
+       AND quantity + $1 >= 0
+     RETURNING quantity`,
+    [delta, warehouseId, productId, variantId],
+  )
+  if (level.rows.length === 0) {
+    throw new ErrorHandler('Not enough stock at the selected warehouse', 400)
+  }
+
+  const stock = await changeTotal({ productId, variantId, delta }, client)
+  if (stock === null) {
+    throw new ErrorHandler('Adjustment would make stock negative', 400)
+  }
+
+  await recordMovement(
+    { productId, variantId, warehouseId, change: delta, balanceAfter: stock, reason, ...context },
+    client,
+  )
+  return stock
+}
+
+/**
+ * Recalculate product/variant stock from its location rows
+ */
+export async function syncStockFromLocations(productId, variantId = null, client = database) {
+  if (variantId) {
+    await client.query(
+      `UPDATE product_variants
+       SET stock = COALESCE((SELECT SUM(quantity) FROM inventory_levels WHERE variant_id = $1), 0),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [variantId],
+    )
+    return syncParentStock(productId, client)
+  }
+
+  const { rows } = await client.query(
+    `UPDATE products
+     SET stock = COALESCE((SELECT SUM(quantity) FROM inventory_levels WHERE product_id = $1 AND variant_id IS NULL), 0),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING stock`,
+    [productId],
+  )
+  await syncBundlesForComponents([productId], client)
+  return rows[0]?.stock
+}
+
+/**
+ * Set the quantity held at one warehouse and re-derive the sellable total
+ */
+export async function setLocationStock(
+  { warehouseId, productId, variantId = null, quantity, ...context },
+  client = database,
+) {
+  const previous = await client.query(
+    variantId
+      ? `SELECT stock FROM product_variants WHERE id = $1`
+      : `SELECT stock FROM products WHERE id = $1`,
+    [variantId || productId],
+  )
+
+  await client.query(
+    `INSERT INTO inventory_levels (warehouse_id, product_id, variant_id, quantity)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (warehouse_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+     DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()`,
+    [warehouseId, productId, variantId, quantity],
+  )
+
+  await syncStockFromLocations(productId, variantId, client)
+  const current = await client.query(
+    variantId
+      ? `SELECT stock FROM product_variants WHERE id = $1`
+      : `SELECT stock FROM products WHERE id = $1`,
+    [variantId || productId],
+  )
+
+  await recordStockDelta(
+    {
+      productId,
+      variantId,
+      warehouseId,
+      previous: previous.rows[0]?.stock,
+      current: current.rows[0]?.stock,
+      reason: 'manual_correction',
+      ...context,
+    },
+    client,
+  )
+
+  return variantId ? syncParentStock(productId, client) : current.rows[0]?.stock
+}
+
+/**
+ * Bring location rows in line after the total was edited directly
+ * (product form, variant form): the default location absorbs the difference
+ */
+export async function reconcileDefaultLocation(productId, variantId = null, client = database) {
+  const { rows } = await client.query(
+    variantId
+      ? `SELECT stock FROM product_variants WHERE id = $1`
+      : `SELECT stock FROM products WHERE id = $1`,
+    [variantId || productId],
+  )
+  if (rows.length === 0) return
+
+  const total = parseInt(rows[0].stock, 10) || 0
+  const { rows: others } = await client.query(
+    `SELECT COALESCE(SUM(il.quantity), 0) AS quantity
+     FROM inventory_levels il
+     JOIN warehouses w ON il.warehouse_id = w.id
+     WHERE il.product_id = $1 AND il.variant_id IS NOT DISTINCT FROM $2::uuid AND w.is_default = false`,
+    [productId, variantId],
+  )
+  const { rows: defaults } = await client.query(
+    `SELECT id FROM warehouses WHERE is_default = true ORDER BY priority ASC LIMIT 1`,
+  )
+  if (defaults.length === 0) return
+
+  const defaultQuantity = Math.max(total - parseInt(others[0].quantity, 10), 0)
+  await client.query(
+    `INSERT INTO inventory_levels (warehouse_id, product_id, variant_id, quantity)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (warehouse_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+     DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()`,
+    [defaults[0].id, productId, variantId, defaultQuantity],
+  )
+}
+
+/**
+ * Hold stock for an order until it is paid, cancelled or the hold expires
+ */
+export async function reserveStock(
+  { orderId, userId = null, productId, variantId = null, quantity, ttlMinutes },
+  client = database,
+) {
+  const { allocations } = await decrementStock(
+    { productId, variantId, quantity, referenceType: 'order', referenceId: orderId },
+    client,
+  )
+  const minutes = ttlMinutes || RESERVATION_TTL_MINUTES
+
+  // Units not taken from a location are still reserved, just without a warehouse
+  const reservations = []
+
+  for (const line of allocations) {
+    const { rows } = await client.query(
+      `INSERT INTO stock_reservations
+         (order_id, user_id, product_id, variant_id, warehouse_id, quantity, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' minutes')::INTERVAL)
+       RETURNING *`,
+      [orderId, userId, productId, variantId, line.warehouseId, line.quantity, String(minutes)],
+    )
+    reservations.push(rows[0])
+  }
+
+  return reservations
+}
+
+/**
+ * Mark an order's holds as final once payment is confirmed (or for COD)
+ */
+export async function commitReservations(orderId, client = database) {
+  const result = await client.query(
+    `UPDATE stock_reservations SET status = 'committed'
+     WHERE order_id = $1 AND status = 'active'`,
+    [orderId],
+  )
+  return result.rowCount
+}
+
+/**
+ * Make sure an order still holds its stock before a payment for it is accepted
+ * An order cancelled because its holds expired gets them back (and its open status) if the
+ * stock is still there; otherwise, or when the order was cancelled for another reason, this
+ * throws a 409 and the payment must be refused or refunded. Locks the order row.
+ */
+export async function holdStockForPayment(orderId, client = database) {
+  const { rows } = await client.query(
+    'SELECT id, user_id, order_status FROM orders WHERE id = $1 FOR UPDATE',
+    [orderId],
+  )
+  const order = rows[0]
+  if (!order) throw new ErrorHandler('Order not found', 404)
+  if (order.order_status.toLowerCase() !== 'cancelled') return order
+
+  const { rows: expired } = await client.query(
+    `SELECT product_id, variant_id, SUM(quantity)::int AS quantity
+     FROM stock_reservations
+     WHERE order_id = $1 AND status = 'expired'
+     GROUP BY product_id, variant_id`,
+    [orderId],
+  )
+  if (expired.length === 0) {
+    throw new ErrorHandler('Order was cancelled; payment not accepted', 409)
+  }
+
+  try {
+    for (const line of expired) {
+      await reserveStock(
+        {
+          orderId,
+          userId: order.user_id,
+          productId: line.product_id,
+          variantId: line.variant_id,
+          quantity: line.quantity,
+        },
+        client,
+      )
+    }
+  } catch (error) {
+    if (error.statusCode !== 400) throw error
+    throw new ErrorHandler('Stock held for this order expired and is no longer available', 409)
+  }
+
+  // Checkout orders use lowercase statuses, /order/new orders use capitalised ones
+  const reopened = order.order_status === 'cancelled' ? 'pending' : 'Processing'
+  await client.query('UPDATE orders SET order_status = $1, updated_at = NOW() WHERE id = $2', [
+    reopened,
+    orderId,
+  ])
+  console.log(`♻️ Re-reserved expired stock for order ${orderId}`)
+
+  return { ...order, order_status: reopened }
+}
+
+/**
+ * Return an order's held stock to the warehouses it came from
+ * Returns the number of reservation rows released
+ */
+export async function releaseReservations(
+  orderId,
+  { status = 'released', includeCommitted = false } = {},
+  client = database,
+) {
+  const statuses = includeCommitted ? ['active', 'committed'] : ['active']
+  const { rows } = await client.query(
+    `SELECT * FROM stock_reservations
+     WHERE order_id = $1 AND status = ANY($2::text[])
+     FOR UPDATE`,
+    [orderId, statuses],
+  )
+
+  for (const reservation of rows) {
+    await restoreStock(
+      {
+        productId: reservation.product_id,
+        variantId: reservation.variant_id,
+        quantity: reservation.quantity,
+        warehouseId: reservation.warehouse_id,
+        referenceType: 'order',
+        referenceId: orderId,
+      },
+      client,
+    )
+  }
+
+  if (rows.length > 0) {
+    await client.query(
+      `UPDATE stock_reservations SET status = $1, released_at = NOW()
+       WHERE id = ANY($2::uuid[])`,
+      [status, rows.map((r) => r.id)],
+    )
+  }
+
+  return rows.length
+}
+
+/**
+ * Release holds whose time ran out and cancel the unpaid orders behind them
+ */
+export const releaseExpiredReservations = async () => {
+  try {
+    const { rows } = await database.query(
+      `SELECT DISTINCT order_id FROM stock_reservations
+       WHERE status = 'active' AND expires_at < NOW()`,
+    )
+
+    let expired = 0
+    for (const { order_id: orderId } of rows) {
+      const released = await withTransaction(async (transaction) => {
+        // Re-reads the order's active holds FOR UPDATE: a payment that committed them since the
+        // scan above leaves nothing to release, and the order must not be cancelled then
+        const count = await releaseReservations(orderId, { status: 'expired' }, transaction)
+        if (count === 0) return 0
+
+        // Holds are committed on payment, so an active hold means the order was never confirmed
+        // Checkout orders use lowercase statuses, /order/new orders use capitalised ones
+        await transaction.query(
+          `UPDATE orders
+           SET order_status = CASE WHEN order_status = LOWER(order_status) THEN 'cancelled' ELSE 'Cancelled' END
+           WHERE id = $1 AND order_status IN ('pending', 'payment_pending', 'Processing')`,
+          [orderId],
+        )
+        return count
+      })
+      if (released > 0) expired++
+    }
+
+    if (expired > 0) {
+      console.log(`🧹 Released expired stock reservations for ${expired} orders`)
+    }
+  } catch (error) {
+    console.error('❌ Error releasing expired reservations:', error.message)
+  }
+}
+
+/**
+ * Initialize reservation expiry routine
+ * Runs every minute
+ */
+export const initializeReservationCleanup = () => {
+  setInterval(() => {
+    releaseExpiredReservations()
+  }, 60 * 1000) // Every minute
+
+  console.log('⏱️ Stock reservation expiry routine initialized')
+}
@@ -0,0 +1,39 @@
+/**
+ * Anonymous Visitor Id
+ * Guests are identified by a long-lived visitor_id cookie so their browsing history can
+ * follow them until they log in (and then be merged into their account).
+ */
+
+import crypto from 'crypto'
+
+export const VISITOR_COOKIE = 'visitor_id'
+const VISITOR_COOKIE_DAYS = 365
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * The visitor id from the request cookie, or null when missing or malformed
+ */
+export const readVisitorId = (req) => {
+  const visitorId = req.cookies?.[VISITOR_COOKIE]
+  return typeof visitorId === 'string' && UUID_PATTERN.test(visitorId) ? visitorId : null
+}
+
+/**
+ * The visitor id of the request, issuing a new cookie when the visitor has none
+ */
+export const ensureVisitorId = (req, res) => {
+  const existing = readVisitorId(req)
+  if (existing) return existing
+
+  const visitorId = crypto.randomUUID()
+  res.cookie(VISITOR_COOKIE, visitorId, {
+    expires: new Date(Date.now() + VISITOR_COOKIE_DAYS * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+    sameSite: 'Lax',
+    secure: process.env.NODE_ENV === 'production',
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    path: '/',
+  })
+  return visitorId
+}
@@ -0,0 +1,137 @@
+/**
+ * Wishlists
+ * Shoppers keep a default list, a "Saved for later" list filled from the cart and any number of
+ * named lists ("Eid gifts", "Wedding"). Each item remembers its unit price when it was added so
+ * lists can show what got cheaper since.
+ */
+
+import database from '../database/db.js'
+import { getProductPricing, getVariantPricing, loadActivePriceRules } from './pricing.js'
+import { roundMoney } from './cartPricing.js'
+
+export const WISHLIST_NAME_MAX_LENGTH = 100
+export const MAX_WISHLISTS_PER_USER = 50
+
+// Names of the lists every shopper gets (by kind)
+export const SPECIAL_WISHLIST_NAMES = {
+  default: 'My Wishlist',
+  saved_for_later: 'Saved for later',
+}
+
+/**
+ * Trimmed list name, or an error message
+ */
+export const validateWishlistName = (value) => {
+  const name = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : ''
+  if (!name) return { error: 'List name is required' }
+  if (name.length > WISHLIST_NAME_MAX_LENGTH) {
+    return { error: `List name must be at most ${WISHLIST_NAME_MAX_LENGTH} characters` }
+  }
+  const reserved = Object.values(SPECIAL_WISHLIST_NAMES).map((special) => special.toLowerCase())
+  if (reserved.includes(name.toLowerCase())) {
+    return { error: `"${name}" is a reserved list name` }
+  }
+  return { name }
+}
+
+/**
+ * Current unit price of a product or variant row (product columns plus variant_price /
+ * variant_sale_price, as selected for cart and wishlist lines)
+ */
+export const getRowPricing = (row, priceRules = []) => {
+  const product = { id: row.product_id, ...row }
+  return row.variant_id
+    ? getVariantPricing(
+        { price: row.variant_price, sale_price: row.variant_sale_price },
+        product,
+        priceRules,
+      )
+    : getProductPricing(product, priceRules)
+}
+
+/**
+ * Price wishlist item rows at current prices
+ * Adds regular_price, current_price, price_at_add and price_drop / price_drop_percent (how much
+ * cheaper the item is than when it was added; 0 when it isn't, or the added price is unknown)
+ */
+export const priceWishlistItems = (rows, priceRules = []) =>
+  rows.map((row) => {
+    const pricing = getRowPricing(row, priceRules)
+    const priceAtAdd =
+      row.price_at_add === null || row.price_at_add === undefined
+        ? null
+        : parseFloat(row.price_at_add)
+    const drop =
+      priceAtAdd !== null && pricing.effective_price < priceAtAdd
+        ? roundMoney(priceAtAdd - pricing.effective_price)
+        : 0
+    const variantImages = row.variant_images || []
+
+    return {
+      id: row.id,
+      list_id: row.list_id,
+      product_id: row.product_id,
+      variant_id: row.variant_id || null,
+      variant_options: row.variant_options || null,
+      quantity: row.quantity,
+      name: row.name,
+      image: variantImages[0] || (row.images && row.images.length > 0 ? row.images[0] : null),
+      category: row.category,
+      ratings: row.ratings,
+      stock: row.variant_id ? row.variant_stock : row.stock,
+      regular_price: pricing.regular_price,
+      current_price: pricing.effective_price,
+      on_sale: pricing.effective_price < pricing.regular_price,
+      price_at_add: priceAtAdd,
+      price_drop: drop,
+      price_drop_percent: drop ? Math.round((drop / priceAtAdd) * 1000) / 10 : 0,
+      added_at: row.created_at,
+    }
+  })
+
+/**
+ * Price drop report of one list's priced items (from priceWishlistItems)
+ */
+export const summarizeListPriceDrops = (items) => {
+  const dropped = items
+    .filter((item) => item.price_drop > 0)
+    .sort((a, b) => b.price_drop_percent - a.price_drop_percent)
+  return {
+    total_items: items.length,
+    total_value: roundMoney(items.reduce((sum, item) => sum + item.current_price, 0)),
+    items_on_sale: items.filter((item) => item.on_sale).length,
+    out_of_stock_items: items.filter((item) => parseInt(item.stock, 10) === 0).length,
+    price_drop_count: dropped.length,
+    total_price_drop: roundMoney(dropped.reduce((sum, item) => sum + item.price_drop, 0)),
+    price_drops: dropped.map((item) => ({
+      item_id: item.id,
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      name: item.name,
+      price_at_add: item.price_at_add,
+      current_price: item.current_price,
+      price_drop: item.price_drop,
+      price_drop_percent: item.price_drop_percent,
+      added_at: item.added_at,
+    })),
+  }
+}
+
+/**
+ * A product (or active variant) that can go on a list, with its current unit price, or null
+ */
+export const loadListableProduct = async (productId, variantId = null, client = database) => {
+  const { rows } = await client.query(
+    `SELECT p.id AS product_id, p.name, p.price, p.sale_price, p.brand, p.category, p.product_type,
+            v.id AS variant_id, v.price AS variant_price, v.sale_price AS variant_sale_price
+     FROM products p
+     LEFT JOIN product_variants v ON v.id = $2::uuid AND v.product_id = p.id AND v.is_active = true
+     WHERE p.id = $1`,
+    [productId, variantId],
+  )
+  const row = rows[0]
+  if (!row || (variantId && !row.variant_id)) return null
+
+  const pricing = getRowPricing(row, await loadActivePriceRules(client))
+  return { ...row, unit_price: pricing.effective_price }
+}